@@ -3,3 +3,7 @@ module.exports.EventStream = require('./src/EventStream');
 module.exports.Storage = require('./src/Storage');
 module.exports.Index = require('./src/Index');
 module.exports.Consumer = require('./src/Consumer');
+module.exports.Matcher = require('./src/Matcher');
+module.exports.Schema = require('./src/Schema');
+module.exports.KeyStore = require('./src/KeyStore');
+module.exports.ShreddingSerializer = require('./src/ShreddingSerializer');
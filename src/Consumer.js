@@ -40,7 +40,7 @@ class Consumer extends stream.Readable {
 
         this.fileName = path.join(consumerDirectory, this.storage.storageFile + '.' + indexName + '.' + identifier);
         try {
-            this.position = fs.readFileSync(this.fileName);
+            this.position = parseInt(fs.readFileSync(this.fileName, 'utf8'), 10);
         } catch (e) {
             this.position = startFrom;
         }
@@ -72,12 +72,21 @@ class Consumer extends stream.Readable {
         this.position = position;
         if (!this.persist) {
             this.persist = setImmediate(() => {
-                fs.writeFileSync(this.fileName, this.position);
                 this.persist = undefined;
+                this.persistPosition();
             });
         }
     }
 
+    /**
+     * Write the current position to the consumer file.
+     *
+     * @private
+     */
+    persistPosition() {
+        fs.writeFileSync(this.fileName, String(this.position));
+    }
+
     /**
      * Start consuming documents.
      *
@@ -88,6 +97,15 @@ class Consumer extends stream.Readable {
         if (this.isPaused()) {
             this.resume();
         }
+        this.consume();
+    }
+
+    /**
+     * Catch up with the index and then consume new documents as they are added, without resuming a paused stream.
+     *
+     * @private
+     */
+    consume() {
         if (this.consuming) {
             return;
         }
@@ -96,25 +114,26 @@ class Consumer extends stream.Readable {
         // Catch up to current index position
         const catchUpBatch = () => {
             setImmediate(() => {
+                if (this.consuming === false) {
+                    return;
+                }
                 if (this.index.length <= this.position) {
                     this.storage.on('index-add', this.handler);
                     this.emit('caught-up');
                     return;
                 }
-                if (this.consuming === false) {
-                    return;
-                }
 
                 const maxBatchPosition = Math.min(this.position + MAX_CATCHUP_BATCH + 1, this.index.length);
-                const documents = this.storage.readRange(this.position + 1, maxBatchPosition, this.index);
-                for (let document of documents) {
-                    if (!this.push(document)) {
+                while (this.position < maxBatchPosition) {
+                    const document = this.storage.read(this.position + 1, this.index);
+                    // Documents that were removed by a compaction are skipped, but still count for the position
+                    if (document !== false && !this.push(document)) {
                         this.stop();
                         break;
                     }
                     ++this.position;
                 }
-                fs.writeFileSync(this.fileName, this.position);
+                this.persistPosition();
                 catchUpBatch();
             });
         };
@@ -131,6 +150,11 @@ class Consumer extends stream.Readable {
         }
         this.storage.removeListener('index-add', this.handler);
         this.consuming = false;
+        if (this.persist) {
+            clearImmediate(this.persist);
+            this.persist = undefined;
+            this.persistPosition();
+        }
     }
 
     /**
@@ -138,7 +162,9 @@ class Consumer extends stream.Readable {
      * @private
      */
     _read() {
-        this.start();
+        if (!this.isPaused()) {
+            this.consume();
+        }
     }
 }
 
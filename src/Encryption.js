@@ -0,0 +1,129 @@
+/**
+ * Helpers for encrypting the files of a storage that is configured with an `encryptionKey`.
+ *
+ * Every kind of file uses its own key, which is derived from the configured key with HMAC-SHA256, so the same key is
+ * never used with two different cipher modes. Metadata, snapshots and index entries are sealed with AES-256-GCM,
+ * which also authenticates them. The sequence numbers in key index files, which are only ever appended, are encrypted
+ * with AES-256-CTR by their file offset, so every number can be decrypted on its own.
+ */
+const crypto = require('crypto');
+
+const KEY_SIZE = 32;
+const SEAL_CIPHER = 'aes-256-gcm';
+const SEAL_IV_SIZE = 12;
+const SEAL_TAG_SIZE = 16;
+// How many bytes sealed data is larger than the data
+const SEAL_OVERHEAD = SEAL_IV_SIZE + SEAL_TAG_SIZE;
+const STREAM_CIPHER = 'aes-256-ctr';
+const BLOCK_SIZE = 16;
+// The counter block of the stream cipher consists of a random nonce per file and the block number in the file
+const NONCE_SIZE = 8;
+
+class DecryptionError extends Error {}
+
+/**
+ * Check that the given key can be used for encryption.
+ *
+ * @param {Buffer} key The key to check.
+ * @throws {Error} if the key is not a Buffer of 32 bytes.
+ */
+function assertValidKey(key) {
+    if (!Buffer.isBuffer(key) || key.byteLength !== KEY_SIZE) {
+        throw new Error(`Encryption key must be a Buffer of ${KEY_SIZE} bytes.`);
+    }
+}
+
+/**
+ * @param {Buffer} key The configured encryption key.
+ * @param {string} purpose The name of the kind of file the key is used for.
+ * @returns {Buffer} A key that is only used for the given purpose.
+ */
+function deriveKey(key, purpose) {
+    return crypto.createHmac('sha256', key).update(purpose).digest();
+}
+
+/**
+ * Encrypt and authenticate the given data.
+ *
+ * @param {Buffer} key The derived key.
+ * @param {Buffer|string} data The data to seal.
+ * @param {string} [context] Additional data that is authenticated, but not stored, e.g. the stream the data belongs to.
+ * @returns {Buffer} The random IV, the authentication tag and the encrypted data.
+ */
+function seal(key, data, context = '') {
+    const iv = crypto.randomBytes(SEAL_IV_SIZE);
+    const cipher = crypto.createCipheriv(SEAL_CIPHER, key, iv);
+    cipher.setAAD(Buffer.from(context, 'utf8'));
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+}
+
+/**
+ * Decrypt data that was sealed with `seal()`.
+ *
+ * @param {Buffer} key The derived key.
+ * @param {Buffer} sealed The sealed data.
+ * @param {string} [context] The additional data that was given to `seal()`.
+ * @returns {Buffer} The decrypted data.
+ * @throws {DecryptionError} if the data was modified, belongs to a different context or the key is wrong.
+ */
+function unseal(key, sealed, context = '') {
+    if (sealed.byteLength < SEAL_OVERHEAD) {
+        throw new DecryptionError('Sealed data is incomplete.');
+    }
+    const decipher = crypto.createDecipheriv(SEAL_CIPHER, key, sealed.slice(0, SEAL_IV_SIZE));
+    decipher.setAAD(Buffer.from(context, 'utf8'));
+    decipher.setAuthTag(sealed.slice(SEAL_IV_SIZE, SEAL_IV_SIZE + SEAL_TAG_SIZE));
+    try {
+        return Buffer.concat([decipher.update(sealed.slice(SEAL_OVERHEAD)), decipher.final()]);
+    } catch (e) {
+        throw new DecryptionError('Sealed data can not be authenticated. It was modified or the encryption key is wrong.');
+    }
+}
+
+/**
+ * @returns {Buffer} A random nonce for a new file that is encrypted with `crypt()`.
+ */
+function createNonce() {
+    return crypto.randomBytes(NONCE_SIZE);
+}
+
+/**
+ * Encrypt or decrypt a part of a buffer in place with the key stream of the given file offset.
+ * Since the key stream only depends on the offset, data must never be written twice to the same offset of a file with
+ * the same nonce.
+ *
+ * @param {Buffer} key The derived key.
+ * @param {Buffer} nonce The nonce of the file.
+ * @param {number} fileOffset The offset in the file of the first byte to encrypt or decrypt.
+ * @param {Buffer} buffer The buffer to encrypt or decrypt.
+ * @param {number} [start] The position in the buffer to start at. Default 0.
+ * @param {number} [end] The position in the buffer to end before. Default buffer.byteLength.
+ */
+function crypt(key, nonce, fileOffset, buffer, start = 0, end = buffer.byteLength) {
+    if (end <= start) {
+        return;
+    }
+    const block = Math.floor(fileOffset / BLOCK_SIZE);
+    const iv = Buffer.alloc(BLOCK_SIZE);
+    nonce.copy(iv, 0, 0, NONCE_SIZE);
+    iv.writeUInt32BE(Math.floor(block / 0x100000000), NONCE_SIZE, true);
+    iv.writeUInt32BE(block % 0x100000000, NONCE_SIZE + 4, true);
+    const cipher = crypto.createCipheriv(STREAM_CIPHER, key, iv);
+    const skip = fileOffset % BLOCK_SIZE;
+    if (skip > 0) {
+        cipher.update(Buffer.alloc(skip));
+    }
+    cipher.update(buffer.slice(start, end)).copy(buffer, start);
+}
+
+module.exports.KEY_SIZE = KEY_SIZE;
+module.exports.NONCE_SIZE = NONCE_SIZE;
+module.exports.SEAL_OVERHEAD = SEAL_OVERHEAD;
+module.exports.assertValidKey = assertValidKey;
+module.exports.deriveKey = deriveKey;
+module.exports.seal = seal;
+module.exports.unseal = unseal;
+module.exports.createNonce = createNonce;
+module.exports.crypt = crypt;
+module.exports.DecryptionError = DecryptionError;
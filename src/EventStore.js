@@ -1,10 +1,14 @@
 const EventStream = require('./EventStream');
 const JoinEventStream = require('./JoinEventStream');
+const KeyEventStream = require('./KeyEventStream');
 const fs = require('fs');
 const path = require('path');
 const EventEmitter = require('events');
 const Storage = require('./Storage');
+const SnapshotStore = require('./SnapshotStore');
+const Encryption = require('./Encryption');
 const Consumer = require('./Consumer');
+const Schema = require('./Schema');
 const stream = require('stream');
 
 const ExpectedVersion = {
@@ -13,16 +17,73 @@ const ExpectedVersion = {
 };
 
 class OptimisticConcurrencyError extends Error {}
+class DuplicateEventError extends Error {}
+class ValidationError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {Array<string>} errors The list of all schema violations.
+     */
+    constructor(message, errors) {
+        super(message);
+        this.errors = errors;
+    }
+
+}
+
+const CATEGORY_STREAM_PREFIX = '$ce-';
+const EVENT_TYPE_STREAM_PREFIX = '$et-';
+
+/**
+ * @param {string} string
+ * @returns {string} The string with all characters that have a special meaning in regular expressions escaped.
+ */
+function escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {*} event The event to get the client supplied id for.
+ * @returns {string|number|undefined} The eventId property of the event if it has one.
+ */
+function eventIdOf(event) {
+    return event !== null && typeof event === 'object' ? event.eventId : undefined;
+}
+
+/**
+ * @param {Date|number} time A date or a timestamp in milliseconds.
+ * @returns {number} The timestamp in milliseconds.
+ * @throws {Error} if the time is not a valid date or number.
+ */
+function timestampOf(time) {
+    const timestamp = time instanceof Date ? time.getTime() : time;
+    if (typeof timestamp !== 'number' || isNaN(timestamp)) {
+        throw new Error(`Invalid time ${time}, must be a date or a timestamp in milliseconds.`);
+    }
+    return timestamp;
+}
+
+/**
+ * @param {*} event The event to get the type for.
+ * @returns {string|undefined} The type property of the event if it has one.
+ */
+function eventTypeOf(event) {
+    return event !== null && typeof event === 'object' && typeof event.type === 'string' ? event.type : undefined;
+}
 
 class EventUnwrapper extends stream.Transform {
 
-    constructor() {
+    /**
+     * @param {function(Object): Object} [upcast] A function that converts a stored event to the current schema version.
+     */
+    constructor(upcast = storedEvent => storedEvent) {
         super({ objectMode: true });
+        this.upcast = upcast;
     }
 
     _transform(data, encoding, callback) {
         if (data.stream && data.payload) {
-            this.push(data.payload);
+            this.push(this.upcast(data).payload);
         } else {
             this.push(data);
         }
@@ -43,7 +104,15 @@ class EventStore extends EventEmitter {
      * @param {Object} [config] An object with config options.
      * @param {string} [config.storageDirectory] The directory where the data should be stored. Default './data'.
      * @param {string} [config.streamsDirectory] The directory where the streams should be stored. Default '{storageDirectory}/streams'.
+     * @param {string} [config.snapshotsDirectory] The directory where the snapshots should be stored. Default '{storageDirectory}/snapshots'.
      * @param {Object} [config.storageConfig] Additional config options given to the storage backend. See `Storage`.
+     * @param {boolean} [config.readOnly] If the store should be opened read-only to follow the commits of another process. Default false.
+     * @param {boolean} [config.categoryStreams] If a `$ce-<category>` stream should be maintained for every category of streams named `<category>-<id>`. Default false.
+     * @param {boolean} [config.eventTypeStreams] If a `$et-<type>` stream should be maintained for every `type` of the committed events. Default false.
+     * @param {boolean} [config.timeIndex] If a time index of the commit times should be maintained, which is needed for `getEventsBetween()` and for reading from a date. Default false.
+     * @param {boolean} [config.idempotentCommits] If the `eventId` of committed events should be indexed, so replayed commits are detected. Default false.
+     * @param {Object<string, Object>} [config.schemas] An object of event types and the JSON schemas that committed events of that `type` need to fulfill. See `Schema` for the supported keywords.
+     * @throws {InvalidSchemaError} if any of the schemas is invalid.
      */
     constructor(storeName = 'eventstore', config = {}) {
         super();
@@ -59,15 +128,74 @@ class EventStore extends EventEmitter {
             partitioner: (event) => event.stream
         };
         const storageConfig = Object.assign(defaults, config.storageConfig);
+        if (config.readOnly) {
+            storageConfig.readOnly = true;
+        }
+        this.readOnly = !!storageConfig.readOnly;
+        this.categoryStreams = !!config.categoryStreams;
+        this.eventTypeStreams = !!config.eventTypeStreams;
+        this.timeIndex = !!config.timeIndex;
+        this.idempotentCommits = !!config.idempotentCommits;
         this.streamsDirectory = path.resolve(storageConfig.indexDirectory);
 
         this.streams = {};
+        this.eventIds = null;
+        this.upcasters = new Map();
+        this.schemas = new Map();
+        for (let eventType of Object.keys(config.schemas || {})) {
+            Schema.validate(config.schemas[eventType]);
+            this.schemas.set(eventType, config.schemas[eventType]);
+        }
         this.storeName = storeName || 'eventstore';
         this.storage = new Storage(this.storeName, storageConfig);
+        this.snapshots = new SnapshotStore(this.storeName, {
+            dataDirectory: config.snapshotsDirectory || path.join(this.storageDirectory, 'snapshots'),
+            encryptionKey: storageConfig.encryptionKey
+        });
+        this.streamMetadataKey = storageConfig.encryptionKey ? Encryption.deriveKey(storageConfig.encryptionKey, 'stream metadata') : null;
+        this.storage.on('recovered', report => process.nextTick(() => this.emit('recovered', report)));
         this.storage.open();
         this.streams['_all'] = { index: this.storage.index };
+        try {
+            if (this.timeIndex) {
+                this.storage.ensureTimeIndex('metadata.committedAt');
+            }
+            if (!this.readOnly) {
+                this.rollbackPartialCommit();
+            }
+            if (this.idempotentCommits && !this.readOnly) {
+                // Ids of events that were written since the index was last flushed are added by the storage
+                this.eventIds = this.storage.ensureKeyIndex('eventIds', storedEvent => eventIdOf(storedEvent.payload));
+            }
+        } catch (e) {
+            this.storage.close();
+            throw e;
+        }
+        if (this.readOnly) {
+            this.followStorage();
+        }
 
-        this.scanStreams(() => this.emit('ready'));
+        this.isReady = false;
+        this.scanStreams(() => {
+            if (!this.readOnly) {
+                this.rebuildSystemStreams();
+            }
+            this.isReady = true;
+            this.emit('ready');
+        });
+    }
+
+    /**
+     * Wait until the event store is ready, i.e. all existing streams are available.
+     *
+     * @api
+     * @returns {Promise} A promise that resolves when the event store is ready.
+     */
+    ready() {
+        if (this.isReady) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.once('ready', resolve));
     }
 
     /**
@@ -98,6 +226,48 @@ class EventStore extends EventEmitter {
         });
     }
 
+    /**
+     * Follow the writes of another process to a read-only storage, by making new streams available and emitting
+     * a 'commit' event for every new commit.
+     *
+     * @private
+     */
+    followStorage() {
+        this.storage.on('index-created', name => {
+            const matches = name.match(/^stream-(.*)$/);
+            if (matches !== null && !(matches[1] in this.streams)) {
+                this.streams[matches[1]] = { index: this.storage.openIndex(name) };
+                this.emit('stream-available', matches[1]);
+            }
+        });
+
+        let commit = null;
+        this.storage.on('wrote', storedEvent => {
+            const { metadata, stream, payload } = storedEvent;
+            if (commit && (commit.commitId !== metadata.commitId || commit.streamName !== stream)) {
+                this.emit('commit', commit);
+                commit = null;
+            }
+            if (!commit) {
+                commit = {
+                    commitId: metadata.commitId,
+                    committedAt: metadata.committedAt,
+                    streamName: stream,
+                    streamVersion: metadata.streamVersion,
+                    events: []
+                };
+                // All events of a refresh are emitted synchronously, so the commit is complete after them
+                process.nextTick(() => {
+                    if (commit) {
+                        this.emit('commit', commit);
+                        commit = null;
+                    }
+                });
+            }
+            commit.events.push(payload);
+        });
+    }
+
     /**
      * Close the event store and free up all resources.
      *
@@ -107,6 +277,26 @@ class EventStore extends EventEmitter {
         this.storage.close();
     }
 
+    /**
+     * Close the event store and free up all resources.
+     *
+     * @api
+     * @returns {Promise} A promise that resolves when the event store is closed.
+     */
+    closeAsync() {
+        return new Promise(resolve => resolve(this.close()));
+    }
+
+    /**
+     * @private
+     * @throws {Error} if the store is opened read-only.
+     */
+    assertWritable() {
+        if (this.readOnly) {
+            throw new Error(`Event store ${this.storeName} is opened read-only.`);
+        }
+    }
+
     /**
      * Get the number of events stored.
      *
@@ -121,16 +311,22 @@ class EventStore extends EventEmitter {
      * Commit a list of events for the given stream name, which is expected to be at the given version.
      * Note that the events committed may still appear in other streams too - the given stream name is only
      * relevant for optimistic concurrency checks with the given expected version.
+     * If the events carry an `eventId` property and were already committed before, e.g. because a client retried the
+     * commit, nothing is written and the callback is invoked with the originally stored commit.
      *
      * @api
      * @param {string} streamName The name of the stream to commit the events to.
      * @param {Array<Object>|Object} events The events to commit or a single event.
      * @param {number} [expectedVersion] One of ExpectedVersion constants or a positive version number that the stream is supposed to be at before commit.
      * @param {Object} [metadata] The commit metadata to use as base. Useful for replication and adding storage metadata.
-     * @param {function} [callback] A function that will be executed when all events have been committed.
+     * @param {function} [callback] A function that will be executed when all events have been committed and written to disk.
      * @throws {OptimisticConcurrencyError} if the stream is not at the expected version.
+     * @throws {DuplicateEventError} if only some of the events were already committed before.
+     * @throws {ValidationError} if any of the events does not match the schema of its type.
+     * @throws {Error} if the store is opened read-only.
      */
     commit(streamName, events, expectedVersion = ExpectedVersion.Any, metadata = {}, callback = null) {
+        this.assertWritable();
         if (typeof streamName !== 'string') {
             throw new Error('Must specify a stream name for commit.');
         }
@@ -154,37 +350,338 @@ class EventStore extends EventEmitter {
             metadata = undefined;
         }
 
-        if (!(streamName in this.streams)) {
-            this.createEventStream(streamName, { stream: streamName });
+        this.commitTransaction([{ streamName, events, expectedVersion }], metadata, commits => {
+            if (typeof callback === 'function') return callback(commits[0]);
+        });
+    }
+
+    /**
+     * Commit lists of events to several streams at once, each of which is expected to be at the given version.
+     * Either all events of the transaction are committed or none of them: all expected versions are checked before
+     * anything is written, a transaction that fails while writing is truncated again right away and a transaction that
+     * was only partially written when the process crashed will be rolled back on the next start.
+     * All events of the transaction share the same commitId and are numbered consecutively by their commitVersion.
+     * Like with `commit()`, a replayed transaction of events with an `eventId` is detected and not written again.
+     *
+     * @api
+     * @param {Array<{streamName: string, events: Array<Object>|Object, expectedVersion: number}>} operations The streams and their events to commit.
+     * @param {Object} [metadata] The commit metadata to use as base. Useful for replication and adding storage metadata.
+     * @param {function(Array<Object>)} [callback] A function that will be executed with the commits of all streams when all events have been committed and written to disk.
+     * @throws {OptimisticConcurrencyError} if any of the streams is not at the expected version.
+     * @throws {DuplicateEventError} if only some of the events were already committed before.
+     * @throws {ValidationError} if any of the events does not match the schema of its type.
+     * @throws {Error} if any of the streams is a system stream.
+     * @throws {Error} if the store is opened read-only.
+     */
+    commitTransaction(operations, metadata = {}, callback = null) {
+        this.assertWritable();
+        if (!(operations instanceof Array) || operations.length === 0) {
+            throw new Error('No operations specified for transaction.');
         }
-        let streamVersion = this.streams[streamName].index.length;
-        if (expectedVersion !== ExpectedVersion.Any && streamVersion !== expectedVersion) {
-            throw new OptimisticConcurrencyError(`Optimistic Concurrency error. Expected stream "${streamName}" at version ${expectedVersion} but is at version ${streamVersion}.`);
+        if (typeof metadata === 'function') {
+            callback = metadata;
+            metadata = undefined;
+        }
+
+        operations = operations.map(({ streamName, events, expectedVersion = ExpectedVersion.Any }) => {
+            if (typeof streamName !== 'string') {
+                throw new Error('Must specify a stream name for commit.');
+            }
+            if (this.isSystemStream(streamName)) {
+                throw new Error(`Can not commit to system stream "${streamName}".`);
+            }
+            if (!events) {
+                throw new Error('No events specified for commit.');
+            }
+            return { streamName, events: events instanceof Array ? events : [events], expectedVersion };
+        });
+        for (let { streamName, events } of operations) {
+            events.forEach(event => this.assertValidEvent(streamName, event));
+        }
+
+        const replayedCommits = this.findReplayedCommits(operations);
+        if (replayedCommits) {
+            if (typeof callback === 'function') {
+                process.nextTick(() => callback(replayedCommits));
+            }
+            return;
+        }
+
+        const streamVersions = {};
+        for (let operation of operations) {
+            const { streamName, expectedVersion } = operation;
+            if (!(streamName in this.streams)) {
+                this.createEventStream(streamName, { stream: streamName });
+            }
+            if (!(streamName in streamVersions)) {
+                streamVersions[streamName] = this.streams[streamName].index.length;
+            }
+            operation.streamVersion = streamVersions[streamName];
+            if (expectedVersion !== ExpectedVersion.Any && operation.streamVersion !== expectedVersion) {
+                throw new OptimisticConcurrencyError(`Optimistic Concurrency error. Expected stream "${streamName}" at version ${expectedVersion} but is at version ${operation.streamVersion}.`);
+            }
+            streamVersions[streamName] += operation.events.length;
+        }
+        for (let { streamName, events } of operations) {
+            events.forEach(event => this.ensureSystemStreams(streamName, event));
         }
 
         const commitId = this.length;
-        let commitVersion = 0;
         const committedAt = Date.now();
-        const commit = Object.assign({
-            commitId,
-            committedAt
-        }, metadata, {
-            streamName,
-            streamVersion,
-            events: []
-        });
+        const commitSize = operations.reduce((size, operation) => size + operation.events.length, 0);
+        let commitVersion = 0;
+        const commits = [];
         const commitCallback = () => {
-            this.emit('commit', commit);
-            if (typeof callback === 'function') return callback(commit);
+            commits.forEach(commit => this.emit('commit', commit));
+            if (typeof callback === 'function') return callback(commits);
         };
-        for (let event of events) {
-            const eventMetadata = Object.assign({ commitId, committedAt }, metadata, { commitVersion, streamVersion });
-            const storedEvent = { stream: streamName, payload: event, metadata: eventMetadata };
-            commitVersion++;
-            streamVersion++;
-            commit.events.push(event);
-            this.storage.write(storedEvent, commitVersion !== events.length ? undefined : commitCallback);
+        try {
+            for (let { streamName, events, streamVersion } of operations) {
+                const commit = Object.assign({
+                    commitId,
+                    committedAt
+                }, metadata, {
+                    streamName,
+                    streamVersion,
+                    events: []
+                });
+                commits.push(commit);
+                for (let event of events) {
+                    const eventMetadata = Object.assign({ commitId, committedAt }, metadata, { commitVersion, commitSize, streamVersion });
+                    if (this.upcasters.has(eventTypeOf(event))) {
+                        eventMetadata.schemaVersion = this.getSchemaVersion(eventTypeOf(event));
+                    }
+                    const storedEvent = { stream: streamName, payload: event, metadata: eventMetadata };
+                    commitVersion++;
+                    streamVersion++;
+                    commit.events.push(event);
+                    this.storage.write(storedEvent, commitVersion !== commitSize ? undefined : commitCallback);
+                }
+            }
+        } catch (e) {
+            // Remove the events of the transaction that were already written, so readers never see a partial transaction
+            this.storage.truncate(commitId);
+            throw e;
+        }
+        if (commitSize === 0) {
+            process.nextTick(commitCallback);
+        }
+    }
+
+    /**
+     * Commit lists of events to several streams at once.
+     * This is the promise version of `commitTransaction()`.
+     *
+     * @api
+     * @param {Array<{streamName: string, events: Array<Object>|Object, expectedVersion: number}>} operations The streams and their events to commit.
+     * @param {Object} [metadata] The commit metadata to use as base. Useful for replication and adding storage metadata.
+     * @returns {Promise<Array<Object>>} A promise that resolves with the commits of all streams when all events have been written to disk and rejects with an OptimisticConcurrencyError if any stream is not at the expected version.
+     */
+    commitTransactionAsync(operations, metadata = {}) {
+        return new Promise(resolve => this.commitTransaction(operations, metadata, resolve));
+    }
+
+    /**
+     * Check the event against the schema of its type, if there is one.
+     *
+     * @private
+     * @param {string} streamName The name of the stream the event is committed to.
+     * @param {Object} event The event.
+     * @throws {ValidationError} if the event does not match the schema.
+     */
+    assertValidEvent(streamName, event) {
+        const eventType = eventTypeOf(event);
+        if (!this.schemas.has(eventType)) {
+            return;
+        }
+        const errors = Schema.check(event, this.schemas.get(eventType), 'event');
+        if (errors.length > 0) {
+            throw new ValidationError(`Invalid event of type "${eventType}" for stream "${streamName}": ${errors.join(' ')}`, errors);
+        }
+    }
+
+    /**
+     * Stream names are only reserved for the kinds of system streams that are enabled, so stores that do not maintain
+     * them can keep using such names.
+     *
+     * @private
+     * @param {string} streamName The name of the stream.
+     * @returns {boolean} True if the name is reserved for a category or event type stream that is maintained by the store.
+     */
+    isSystemStream(streamName) {
+        return (this.categoryStreams && streamName.substr(0, CATEGORY_STREAM_PREFIX.length) === CATEGORY_STREAM_PREFIX)
+            || (this.eventTypeStreams && streamName.substr(0, EVENT_TYPE_STREAM_PREFIX.length) === EVENT_TYPE_STREAM_PREFIX);
+    }
+
+    /**
+     * Get the names and matchers of the enabled system streams that the given event belongs to.
+     *
+     * @private
+     * @param {string} streamName The name of the stream the event is committed to.
+     * @param {Object} event The event.
+     * @returns {Object} An object of system stream names and their declarative matchers.
+     */
+    systemStreamsFor(streamName, event) {
+        const systemStreams = {};
+        const separator = streamName.indexOf('-');
+        if (this.categoryStreams && !this.isSystemStream(streamName) && separator > 0) {
+            const category = streamName.substr(0, separator);
+            systemStreams[CATEGORY_STREAM_PREFIX + category] = { stream: { $regex: '^' + escapeRegExp(category) + '-' } };
+        }
+        if (this.eventTypeStreams && event !== null && typeof event === 'object' && typeof event.type === 'string' && event.type !== '') {
+            systemStreams[EVENT_TYPE_STREAM_PREFIX + event.type] = { 'payload.type': event.type };
+        }
+        return systemStreams;
+    }
+
+    /**
+     * Create the enabled system streams that the given event belongs to if they don't exist yet.
+     *
+     * @private
+     * @param {string} streamName The name of the stream the event is committed to.
+     * @param {Object} event The event.
+     */
+    ensureSystemStreams(streamName, event) {
+        const systemStreams = this.systemStreamsFor(streamName, event);
+        for (let name of Object.keys(systemStreams)) {
+            if (!(name in this.streams)) {
+                this.createEventStream(name, systemStreams[name]);
+            }
+        }
+    }
+
+    /**
+     * Create the system streams for all existing events, if the category or event type streams were enabled for the
+     * first time, i.e. none of them exists yet.
+     *
+     * @private
+     */
+    rebuildSystemStreams() {
+        const streamNames = Object.keys(this.streams);
+        const exists = prefix => streamNames.some(name => name.substr(0, prefix.length) === prefix);
+        const rebuildCategories = this.categoryStreams && !exists(CATEGORY_STREAM_PREFIX);
+        const rebuildEventTypes = this.eventTypeStreams && !exists(EVENT_TYPE_STREAM_PREFIX);
+        if (this.length === 0 || (!rebuildCategories && !rebuildEventTypes)) {
+            return;
+        }
+
+        const systemStreams = {};
+        this.getAllEvents().forEach((event, metadata, streamName) => {
+            const matchers = this.systemStreamsFor(streamName, event);
+            for (let name of Object.keys(matchers)) {
+                const isCategory = name.substr(0, CATEGORY_STREAM_PREFIX.length) === CATEGORY_STREAM_PREFIX;
+                if (isCategory ? rebuildCategories : rebuildEventTypes) {
+                    systemStreams[name] = matchers[name];
+                }
+            }
+        });
+        for (let name of Object.keys(systemStreams)) {
+            if (!(name in this.streams)) {
+                this.createEventStream(name, systemStreams[name]);
+            }
+        }
+    }
+
+    /**
+     * Find the number of the stored event with the given id.
+     *
+     * @private
+     * @param {string|number} eventId The client supplied event id.
+     * @returns {number} The 1-based number of the event in the store or 0 if no event with that id is stored.
+     */
+    findEvent(eventId) {
+        const numbers = this.eventIds.get(eventId);
+        // Entries may point to events that were rolled back, so they are checked against the stored event
+        for (let i = numbers.length - 1; i >= 0; i--) {
+            const storedEvent = this.storage.read(numbers[i]);
+            if (storedEvent && eventIdOf(storedEvent.payload) === eventId) {
+                return numbers[i];
+            }
         }
+        return 0;
+    }
+
+    /**
+     * Check if the events of the given operations were already committed before, because a client retried a commit.
+     * Replays are only detected if the store was opened with `idempotentCommits`.
+     *
+     * @private
+     * @param {Array<{streamName: string, events: Array<Object>}>} operations The operations of the commit.
+     * @returns {Array<Object>|boolean} The originally stored commits or false if none of the events was committed yet.
+     * @throws {DuplicateEventError} if the events contain duplicate ids or only some of them were committed before.
+     */
+    findReplayedCommits(operations) {
+        if (!this.eventIds) {
+            return false;
+        }
+        const events = operations.reduce((all, operation) => all.concat(operation.events), []);
+        const eventIds = events.map(eventIdOf).filter(eventId => eventId !== undefined);
+        if (eventIds.length === 0) {
+            return false;
+        }
+        if (new Set(eventIds).size !== eventIds.length) {
+            throw new DuplicateEventError('The commit contains the same event id more than once.');
+        }
+        const numbers = eventIds.map(eventId => this.findEvent(eventId)).filter(number => number > 0);
+        if (numbers.length === 0) {
+            return false;
+        }
+        const duplicateError = new DuplicateEventError('Some events of the commit were already committed with a different commit.');
+        if (numbers.length !== events.length) {
+            throw duplicateError;
+        }
+
+        const first = Math.min.apply(Math, numbers);
+        const { commitId } = this.storage.read(first).metadata;
+        const commits = [];
+        for (let commit of this.getCommits(first - 1)) {
+            if (commit.commitId !== commitId) break;
+            commits.push(commit);
+        }
+        if (commits.reduce((size, commit) => size + commit.events.length, 0) !== events.length) {
+            throw duplicateError;
+        }
+        return commits;
+    }
+
+    /**
+     * Roll back the last commit if it was only partially written, e.g. because the process crashed in between.
+     *
+     * @private
+     * @returns {number} The amount of events that were rolled back.
+     */
+    rollbackPartialCommit() {
+        const length = this.length;
+        if (length === 0) {
+            return 0;
+        }
+        const { metadata } = this.storage.read(length);
+        // Commits written before the commitSize was stored can not be checked
+        if (!metadata || typeof metadata.commitSize !== 'number' || metadata.commitVersion + 1 >= metadata.commitSize) {
+            return 0;
+        }
+        const partialEvents = metadata.commitVersion + 1;
+        this.storage.truncate(length - partialEvents);
+        return partialEvents;
+    }
+
+    /**
+     * Commit a list of events for the given stream name, which is expected to be at the given version.
+     * This is the promise version of `commit()`.
+     *
+     * @api
+     * @param {string} streamName The name of the stream to commit the events to.
+     * @param {Array<Object>|Object} events The events to commit or a single event.
+     * @param {number} [expectedVersion] One of ExpectedVersion constants or a positive version number that the stream is supposed to be at before commit.
+     * @param {Object} [metadata] The commit metadata to use as base. Useful for replication and adding storage metadata.
+     * @returns {Promise<Object>} A promise that resolves with the commit when all events have been written to disk and rejects with an OptimisticConcurrencyError if the stream is not at the expected version.
+     */
+    commitAsync(streamName, events, expectedVersion = ExpectedVersion.Any, metadata = {}) {
+        if (typeof expectedVersion === 'object') {
+            metadata = expectedVersion;
+            expectedVersion = ExpectedVersion.Any;
+        }
+        return new Promise(resolve => this.commit(streamName, events, expectedVersion, metadata, resolve));
     }
 
     /**
@@ -194,13 +691,21 @@ class EventStore extends EventEmitter {
      * @param {string} streamName The name of the stream to get.
      * @param {number} [minRevision] The minimum revision to include in the events (inclusive).
      * @param {number} [maxRevision] The maximum revision to include in the events (inclusive).
+     * @param {boolean} [reverse] If the events should be iterated backwards from newest to oldest. Default false.
      * @returns {EventStream|boolean} The event stream or false if a stream with the name doesn't exist.
      */
-    getEventStream(streamName, minRevision = 0, maxRevision = -1) {
+    getEventStream(streamName, minRevision = 0, maxRevision = -1, reverse = false) {
         if (!(streamName in this.streams)) {
             return false;
         }
-        return new EventStream(streamName, this, minRevision, maxRevision);
+        const firstVisible = this.firstVisibleRevision(streamName);
+        if (firstVisible > 0) {
+            const length = this.streams[streamName].index.length;
+            if (minRevision < 0) minRevision += length;
+            if (maxRevision < 0) maxRevision += length;
+            minRevision = Math.max(minRevision, firstVisible);
+        }
+        return new EventStream(streamName, this, minRevision, maxRevision, reverse);
     }
 
     /**
@@ -210,10 +715,68 @@ class EventStore extends EventEmitter {
      * @api
      * @param {number} [minRevision] The minimum revision to include in the events (inclusive).
      * @param {number} [maxRevision] The maximum revision to include in the events (inclusive).
+     * @param {boolean} [reverse] If the events should be iterated backwards from newest to oldest. Default false.
      * @returns {EventStream} The event stream.
      */
-    getAllEvents(minRevision = 0, maxRevision = -1) {
-        return this.getEventStream('_all', minRevision, maxRevision);
+    getAllEvents(minRevision = 0, maxRevision = -1, reverse = false) {
+        return this.getEventStream('_all', minRevision, maxRevision, reverse);
+    }
+
+    /**
+     * Find the number of the first event that was committed at or after the given time.
+     *
+     * @private
+     * @param {Date|number} time The date or timestamp in milliseconds.
+     * @returns {number} The 1-based number of the event or the store length + 1 if all events are older.
+     * @throws {Error} if the time is invalid or the time index is not enabled.
+     */
+    findByTime(time) {
+        const timestamp = timestampOf(time);
+        if (!this.timeIndex) {
+            throw new Error('The time index is not enabled, open the store with the timeIndex option.');
+        }
+        return this.storage.findByTimestamp(timestamp);
+    }
+
+    /**
+     * Get a stream of all events that were committed within the given time range, using the time index of the storage.
+     * The start of the range is inclusive, the end is exclusive, so consecutive ranges never overlap.
+     *
+     * @api
+     * @param {Date|number} from The start of the time range as date or timestamp in milliseconds (inclusive).
+     * @param {Date|number} to The end of the time range as date or timestamp in milliseconds (exclusive).
+     * @returns {EventStream} The event stream.
+     * @throws {Error} if the time range is invalid or the time index is not enabled.
+     */
+    getEventsBetween(from, to) {
+        const first = this.findByTime(from);
+        const last = this.findByTime(to) - 1;
+        if (last < first) {
+            // A negative revision counts from the end of the store, so the empty range needs positive bounds
+            return this.getAllEvents(1, 0);
+        }
+        return this.getAllEvents(first - 1, last - 1);
+    }
+
+    /**
+     * Get the revision of the first event in the given stream that was committed at or after the given time.
+     *
+     * @api
+     * @param {string} streamName The name of the stream.
+     * @param {Date|number} time The date or timestamp in milliseconds.
+     * @returns {number} The 0-based stream revision, which is the stream length if all events are older.
+     * @throws {Error} if the time is invalid or the time index is not enabled.
+     */
+    getRevisionAt(streamName, time) {
+        const number = this.findByTime(time);
+        if (!(streamName in this.streams)) {
+            return 0;
+        }
+        const index = this.streams[streamName].index;
+        if (index.length === 0 || index.lastEntry.number < number) {
+            return index.length;
+        }
+        return index.find(number, true) - 1;
     }
 
     /**
@@ -223,10 +786,11 @@ class EventStore extends EventEmitter {
      * @param {Array<string>} streamNames An array of the stream names to join.
      * @param {number} [minRevision] The minimum revision to include in the events (inclusive).
      * @param {number} [maxRevision] The maximum revision to include in the events (inclusive).
+     * @param {boolean} [reverse] If the events should be iterated backwards from newest to oldest. Default false.
      * @return {EventStream} The joined event stream.
      * @throws {Error} if any of the streams doesn't exist.
      */
-    fromStreams(streamName, streamNames, minRevision = 0, maxRevision = -1) {
+    fromStreams(streamName, streamNames, minRevision = 0, maxRevision = -1, reverse = false) {
         if (!(streamNames instanceof Array)) {
             throw new Error('Must specify an array of stream names.');
         }
@@ -235,7 +799,41 @@ class EventStore extends EventEmitter {
                 throw new Error(`Stream "${stream}" does not exist.`);
             }
         }
-        return new JoinEventStream(streamName, streamNames, this, minRevision, maxRevision);
+        return new JoinEventStream(streamName, streamNames, this, minRevision, maxRevision, reverse);
+    }
+
+    /**
+     * Ensure that a key index with the given name exists, which allows to get all events with the same key as an event
+     * stream with `getEventStreamByKey()`, without creating a stream for every key.
+     * The key index needs to be ensured every time the store is opened, so it is updated for all events.
+     *
+     * @api
+     * @param {string} name The name of the key index.
+     * @param {string|function(Object): (string|number)} key A dotted path of the key in the stored event, e.g. `'metadata.correlationId'` or `'payload.orderId'`, or a function that receives the stored event and returns its key.
+     * @returns {KeyIndex} The key index.
+     */
+    ensureKeyIndex(name, key) {
+        return this.storage.ensureKeyIndex(name, key);
+    }
+
+    /**
+     * Get an event stream of all events with the given key in the key index, within the revision boundaries.
+     *
+     * @api
+     * @param {string} name The name of the key index.
+     * @param {string|number} key The key to get the events for.
+     * @param {number} [minRevision] The minimum revision within the events with the key to include (inclusive).
+     * @param {number} [maxRevision] The maximum revision within the events with the key to include (inclusive).
+     * @param {boolean} [reverse] If the events should be iterated backwards from newest to oldest. Default false.
+     * @returns {EventStream} The event stream, which is empty if no event has the key.
+     * @throws {Error} if the key index was not ensured.
+     */
+    getEventStreamByKey(name, key, minRevision = 0, maxRevision = -1, reverse = false) {
+        if (!(name in this.storage.keyIndexes)) {
+            throw new Error(`Key index "${name}" does not exist.`);
+        }
+        const numbers = this.storage.keyIndexes[name].index.get(key);
+        return new KeyEventStream(name + ':' + key, numbers, this, minRevision, maxRevision, reverse);
     }
 
     /**
@@ -243,12 +841,14 @@ class EventStore extends EventEmitter {
      *
      * @api
      * @param {string} streamName The name of the stream to create.
-     * @param {Object|function(event)} matcher A matcher object, denoting the properties that need to match on an event a function that takes the event and returns true if the event should be added.
+     * @param {Object|function(event)} matcher A declarative matcher object (see `Matcher`) that describes the events to add or a function that takes the event and returns true if the event should be added.
      * @returns {EventStream} The EventStream with all existing events matching the matcher.
      * @throws {Error} If a stream with that name already exists.
      * @throws {Error} If the stream could not be created.
+     * @throws {Error} If the store is opened read-only.
      */
     createEventStream(streamName, matcher) {
+        this.assertWritable();
         if (streamName in this.streams) {
             throw new Error('Can not recreate stream!');
         }
@@ -262,6 +862,23 @@ class EventStore extends EventEmitter {
         return new EventStream(streamName, this);
     }
 
+    /**
+     * Create a new stream with the given matcher.
+     * This is the promise version of `createEventStream()`.
+     *
+     * @api
+     * @param {string} streamName The name of the stream to create.
+     * @param {Object|function(event)} matcher A declarative matcher object (see `Matcher`) that describes the events to add or a function that takes the event and returns true if the event should be added.
+     * @returns {Promise<EventStream>} A promise that resolves with the EventStream when the stream index is written to disk.
+     */
+    createEventStreamAsync(streamName, matcher) {
+        return new Promise(resolve => {
+            const stream = this.createEventStream(streamName, matcher);
+            this.streams[streamName].index.flush();
+            resolve(stream);
+        });
+    }
+
     /**
      * Delete an event stream. Will do nothing if the stream with the name doesn't exist.
      *
@@ -271,27 +888,333 @@ class EventStore extends EventEmitter {
      * @api
      * @param {string} streamName The name of the stream to delete.
      * @returns void
+     * @throws {Error} If the store is opened read-only.
      */
     deleteEventStream(streamName) {
+        this.assertWritable();
         if (!(streamName in this.streams)) {
             return;
         }
         this.streams[streamName].index.destroy();
+        this.snapshots.delete(streamName);
+        if (fs.existsSync(this.streamMetadataFileName(streamName))) {
+            fs.unlinkSync(this.streamMetadataFileName(streamName));
+        }
         delete this.streams[streamName];
         this.emit('stream-deleted', streamName);
     }
 
+    /**
+     * @private
+     * @param {string} streamName The name of the stream.
+     * @returns {string} The full path of the metadata file for the stream.
+     */
+    streamMetadataFileName(streamName) {
+        return path.join(this.streamsDirectory, this.storeName + '.stream-' + streamName + '.meta');
+    }
+
+    /**
+     * Set the metadata of the given stream, replacing the previous metadata. The metadata is persisted next to the
+     * stream index.
+     * Following properties limit the events that are visible in the stream. Events that are hidden by them are not
+     * returned by `getEventStream()`, `fromStreams()` and `getConsumer()` any more, but are only physically removed by
+     * scavenging the storage.
+     *
+     * @api
+     * @param {string} streamName The name of the stream to set the metadata for.
+     * @param {Object} metadata The stream metadata. May contain additional custom properties.
+     * @param {number} [metadata.maxCount] Only the last maxCount events of the stream are visible.
+     * @param {number} [metadata.maxAge] Only events that were committed within the last maxAge milliseconds are visible.
+     * @param {number} [metadata.truncateBefore] Only events from this 0-based revision on are visible.
+     * @throws {Error} if the stream does not exist or the metadata is invalid.
+     * @throws {Error} if the store is opened read-only.
+     */
+    setStreamMetadata(streamName, metadata) {
+        this.assertWritable();
+        if (!(streamName in this.streams) || streamName === '_all') {
+            throw new Error(`Stream "${streamName}" does not exist.`);
+        }
+        if (metadata === null || typeof metadata !== 'object') {
+            throw new Error('Stream metadata must be an object.');
+        }
+        for (let property of ['maxCount', 'maxAge', 'truncateBefore']) {
+            const value = metadata[property];
+            if (typeof value !== 'undefined' && (typeof value !== 'number' || value < 0 || !Number.isInteger(value))) {
+                throw new Error(`Stream metadata "${property}" must be a non-negative integer.`);
+            }
+        }
+        const fileName = this.streamMetadataFileName(streamName);
+        const data = JSON.stringify(metadata);
+        fs.writeFileSync(fileName + '.tmp', this.streamMetadataKey ? Encryption.seal(this.streamMetadataKey, data, streamName) : data);
+        fs.renameSync(fileName + '.tmp', fileName);
+        this.streams[streamName].metadata = metadata;
+    }
+
+    /**
+     * Get the metadata of the given stream.
+     *
+     * @api
+     * @param {string} streamName The name of the stream to get the metadata for.
+     * @returns {Object|boolean} The stream metadata, an empty object if none was set or false if the stream does not exist.
+     * @throws {Error} if the metadata of an encrypted store can not be decrypted.
+     */
+    getStreamMetadata(streamName) {
+        if (!(streamName in this.streams)) {
+            return false;
+        }
+        const stream = this.streams[streamName];
+        // A reader needs to pick up metadata changes of the writer
+        if (this.readOnly || !stream.metadata) {
+            const fileName = this.streamMetadataFileName(streamName);
+            let data;
+            try {
+                data = fs.readFileSync(fileName);
+            } catch (e) {
+                data = null;
+            }
+            if (data && this.streamMetadataKey) {
+                try {
+                    data = Encryption.unseal(this.streamMetadataKey, data, streamName);
+                } catch (e) {
+                    // Metadata that was modified must not silently lift the limits of the stream
+                    throw new Error(`Metadata file "${fileName}" can not be decrypted. It was modified or the encryption key is wrong.`);
+                }
+            }
+            try {
+                stream.metadata = JSON.parse(data.toString('utf8'));
+            } catch (e) {
+                stream.metadata = {};
+            }
+        }
+        return stream.metadata;
+    }
+
+    /**
+     * Get the first revision of the given stream that is visible according to the stream metadata.
+     *
+     * @private
+     * @param {string} streamName The name of the stream.
+     * @returns {number} The 0-based revision of the first visible event, which equals the stream length if no event is visible.
+     */
+    firstVisibleRevision(streamName) {
+        const metadata = this.getStreamMetadata(streamName);
+        if (!metadata) {
+            return 0;
+        }
+        const index = this.streams[streamName].index;
+        const length = index.length;
+        let first = 0;
+        if (typeof metadata.truncateBefore === 'number') {
+            first = Math.max(first, metadata.truncateBefore);
+        }
+        if (typeof metadata.maxCount === 'number') {
+            first = Math.max(first, length - metadata.maxCount);
+        }
+        first = Math.min(first, length);
+        if (typeof metadata.maxAge === 'number') {
+            // Events are ordered by their commit time, so the first event that is young enough can be searched
+            const oldest = Date.now() - metadata.maxAge;
+            let last = length;
+            while (first < last) {
+                const mid = first + ((last - first) >> 1);
+                // Events that were scavenged are skipped, by comparing the next event that still exists instead
+                let revision = mid, storedEvent;
+                while (revision < last && (storedEvent = this.storage.read(revision + 1, index)) === false) {
+                    revision++;
+                }
+                if (storedEvent && storedEvent.metadata.committedAt < oldest) {
+                    first = revision + 1;
+                } else {
+                    last = mid;
+                }
+            }
+        }
+        return first;
+    }
+
+    /**
+     * Physically remove all events that are hidden by the metadata of the stream they were committed to, see
+     * `setStreamMetadata()`, and all events for which the given function returns true, e.g. to erase personal data.
+     * The storage is compacted to reclaim the space, while all stream versions stay the same. Consumers, readers and
+     * other processes should not access the store until the scavenge has finished.
+     *
+     * @api
+     * @param {function(Object): boolean} [shouldRemove] A function that receives a stored event and returns true if it should be removed.
+     * @returns {{documents: number, partitions: Object}} The compaction report of the storage, see `Storage.compact()`.
+     * @throws {Error} if the store is opened read-only.
+     */
+    scavenge(shouldRemove) {
+        this.assertWritable();
+        // Events are only removed if they are hidden in the stream they were committed to, not in any projected stream
+        const hidden = new Map();
+        for (let streamName of Object.keys(this.streams)) {
+            if (streamName === '_all') continue;
+            const first = this.firstVisibleRevision(streamName);
+            const index = this.streams[streamName].index;
+            for (let revision = 1; revision <= first; revision++) {
+                const number = index.get(revision).number;
+                if (!hidden.has(number)) {
+                    hidden.set(number, new Set());
+                }
+                hidden.get(number).add(streamName);
+            }
+        }
+        return this.storage.compact((storedEvent, number) =>
+            (hidden.has(number) && hidden.get(number).has(storedEvent.stream)) ||
+            (typeof shouldRemove === 'function' && !!shouldRemove(storedEvent))
+        );
+    }
+
+    /**
+     * Register a function that converts the payload of events of the given type from one schema version to the next.
+     * Events without a schema version in their metadata are at version 1, and new events of a type with upcasters are
+     * committed with the current schema version, i.e. the version after the last registered upcaster.
+     *
+     * Upcasting happens lazily whenever events are read from an event stream, a consumer or `getCommits()`. The stored
+     * events are never rewritten, so upcasters need to be registered again every time the store is opened.
+     *
+     * @api
+     * @param {string} eventType The `type` of the events to convert.
+     * @param {number} fromVersion The schema version the upcaster converts from. Upcasters of a type must be registered in order, starting at 1.
+     * @param {function(Object, Object): Object} upcaster A function that receives the payload and metadata of an event and returns the payload in the next schema version.
+     * @throws {Error} if the upcaster is not a function or not registered in order of the schema versions.
+     */
+    registerUpcaster(eventType, fromVersion, upcaster) {
+        if (typeof eventType !== 'string' || eventType === '') {
+            throw new Error('Must specify an event type for the upcaster.');
+        }
+        if (typeof upcaster !== 'function') {
+            throw new Error(`Upcaster for event type "${eventType}" must be a function.`);
+        }
+        const schemaVersion = this.getSchemaVersion(eventType);
+        if (fromVersion !== schemaVersion) {
+            throw new Error(`Upcasters for event type "${eventType}" must be registered in order. Expected an upcaster from version ${schemaVersion}.`);
+        }
+        if (!this.upcasters.has(eventType)) {
+            this.upcasters.set(eventType, []);
+        }
+        this.upcasters.get(eventType).push(upcaster);
+    }
+
+    /**
+     * Get the current schema version of the given event type, which is the version new events are committed with.
+     *
+     * @api
+     * @param {string} eventType The `type` of the events.
+     * @returns {number} The 1-based schema version.
+     */
+    getSchemaVersion(eventType) {
+        return this.upcasters.has(eventType) ? this.upcasters.get(eventType).length + 1 : 1;
+    }
+
+    /**
+     * Convert the payload of the stored event to the current schema version of its type.
+     *
+     * @private
+     * @param {Object} storedEvent The stored event with stream, payload and metadata.
+     * @returns {Object} The stored event with the converted payload and updated schema version, or the same stored event if nothing needed to be converted.
+     */
+    upcast(storedEvent) {
+        const upcasters = this.upcasters.get(eventTypeOf(storedEvent.payload));
+        let schemaVersion = storedEvent.metadata.schemaVersion || 1;
+        if (!upcasters || schemaVersion > upcasters.length) {
+            return storedEvent;
+        }
+        let payload = storedEvent.payload;
+        for (; schemaVersion <= upcasters.length; schemaVersion++) {
+            payload = upcasters[schemaVersion - 1](payload, storedEvent.metadata);
+        }
+        const metadata = Object.assign({}, storedEvent.metadata, { schemaVersion });
+        return Object.assign({}, storedEvent, { payload, metadata });
+    }
+
+    /**
+     * Save a snapshot of the state that was built from the given stream up to the given version.
+     * Only the latest snapshot of every stream is kept. Snapshots are stored separately from the events and can be
+     * deleted and rebuilt at any time.
+     *
+     * @api
+     * @param {string} streamName The name of the stream the state was built from.
+     * @param {number} version The 0-based version of the last event of the stream that is contained in the state.
+     * @param {*} state The state to save. Must be serializable to JSON.
+     * @returns {boolean} True if the snapshot was saved or false if a snapshot of a later version already exists.
+     * @throws {Error} if the stream does not exist or does not contain the given version.
+     * @throws {Error} if the store is opened read-only.
+     */
+    saveSnapshot(streamName, version, state) {
+        this.assertWritable();
+        if (!(streamName in this.streams)) {
+            throw new Error(`Stream "${streamName}" does not exist.`);
+        }
+        const streamLength = this.streams[streamName].index.length;
+        if (typeof version !== 'number' || version < 0 || version >= streamLength) {
+            throw new Error(`Invalid snapshot version ${version} for stream "${streamName}" at version ${streamLength}.`);
+        }
+        return this.snapshots.save(streamName, version, state);
+    }
+
+    /**
+     * Get the latest snapshot of the given stream.
+     *
+     * @api
+     * @param {string} streamName The name of the stream to get the snapshot for.
+     * @returns {{streamName: string, version: number, createdAt: number, state: *}|boolean} The snapshot or false if there is none.
+     */
+    getLatestSnapshot(streamName) {
+        return this.snapshots.getLatest(streamName);
+    }
+
+    /**
+     * Get the latest snapshot of the given stream together with an event stream of all events after the snapshot.
+     * If there is no snapshot, the event stream contains all events of the stream.
+     *
+     * @api
+     * @param {string} streamName The name of the stream to get.
+     * @returns {{snapshot: Object|boolean, stream: EventStream}|boolean} The snapshot and event stream or false if a stream with the name doesn't exist.
+     */
+    getEventStreamFromSnapshot(streamName) {
+        if (!(streamName in this.streams)) {
+            return false;
+        }
+        const snapshot = this.getLatestSnapshot(streamName);
+        const stream = this.getEventStream(streamName, snapshot ? snapshot.version + 1 : 0);
+        return { snapshot, stream };
+    }
+
+    /**
+     * Delete the snapshot of the given stream or of all streams. The events of the streams are not touched.
+     *
+     * @api
+     * @param {string} [streamName] The name of the stream to delete the snapshot for. If omitted, all snapshots are deleted.
+     * @returns {number} The amount of deleted snapshots.
+     * @throws {Error} if the store is opened read-only.
+     */
+    deleteSnapshots(streamName) {
+        this.assertWritable();
+        if (typeof streamName === 'string') {
+            return this.snapshots.delete(streamName) ? 1 : 0;
+        }
+        return this.snapshots.deleteAll();
+    }
+
     /**
      * Get a durable consumer for the given stream that will keep receiving events from the last position.
      *
      * @param {string} streamName The name of the stream to consume.
      * @param {string} identifier The unique identifying name of this consumer.
-     * @param {number} [since] The stream revision to start consuming from.
+     * @param {number|Date} [since] The stream revision to start consuming from, or the date of the first event to consume.
      * @returns {Consumer} A durable consumer for the given stream.
      */
     getConsumer(streamName, identifier, since = 0) {
+        if (since instanceof Date) {
+            since = this.getRevisionAt(streamName, since);
+        }
         const consumer = new Consumer(this.storage, 'stream-' + streamName, identifier, since);
-        return consumer.pipe(new EventUnwrapper());
+        const firstVisible = this.firstVisibleRevision(streamName);
+        if (consumer.position < firstVisible) {
+            consumer.position = firstVisible;
+        }
+        return consumer.pipe(new EventUnwrapper(storedEvent => this.upcast(storedEvent)));
     }
 
     /**
@@ -312,7 +1235,8 @@ class EventStore extends EventEmitter {
                 continue;
             }
 
-            if (!commit || commit.commitId !== metadata.commitId) {
+            // A transaction yields one commit per stream, which all share the same commitId
+            if (!commit || commit.commitId !== metadata.commitId || commit.streamName !== stream) {
                 if (commit) {
                     yield commit;
                 }
@@ -334,4 +1258,6 @@ class EventStore extends EventEmitter {
 
 module.exports = EventStore;
 module.exports.ExpectedVersion = ExpectedVersion;
-module.exports.OptimisticConcurrencyError = OptimisticConcurrencyError;
\ No newline at end of file
+module.exports.OptimisticConcurrencyError = OptimisticConcurrencyError;
+module.exports.DuplicateEventError = DuplicateEventError;
+module.exports.ValidationError = ValidationError;
\ No newline at end of file
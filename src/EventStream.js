@@ -1,18 +1,26 @@
 const stream = require('stream');
 
+const emptyIterator = { next() { return { done: true }; } };
+const emptyAsyncIterator = { next() { return Promise.resolve({ done: true }); } };
+
 /**
  * An event stream is a simple wrapper around an iterator over storage documents.
- * It implements a node readable stream interface.
+ * It implements a node readable stream interface and can be iterated asynchronously with `for await ... of` where
+ * `Symbol.asyncIterator` is supported.
  */
 class EventStream extends stream.Readable {
 
     /**
+     * Negative revisions count from the end of the stream, e.g. `(-20, -1, true)` iterates the last 20 events from newest
+     * to oldest. If the minRevision is greater than the maxRevision, the stream is empty.
+     *
      * @param {string} name The name of the stream.
      * @param {EventStore} eventStore The event store to get the stream from.
      * @param {number} [minRevision] The minimum revision to include in the events (inclusive).
      * @param {number} [maxRevision] The maximum revision to include in the events (inclusive).
+     * @param {boolean} [reverse] If the events should be iterated backwards, starting at maxRevision. Default false.
      */
-    constructor(name, eventStore, minRevision = 0, maxRevision = -1) {
+    constructor(name, eventStore, minRevision = 0, maxRevision = -1, reverse = false) {
         super({ objectMode: true });
         if (!name) {
             throw new Error('Need to specify a stream name.');
@@ -22,13 +30,18 @@ class EventStream extends stream.Readable {
         }
 
         this.name = name;
+        this.reverse = !!reverse;
+        // Stored events are converted to the current schema version of their type when they are read
+        this.upcast = typeof eventStore.upcast === 'function' ? storedEvent => eventStore.upcast(storedEvent) : storedEvent => storedEvent;
         if (eventStore.streams[name]) {
             const streamIndex = eventStore.streams[name].index;
             if (minRevision >= 0) minRevision++;
             if (maxRevision >= 0) maxRevision++;
-            this.iterator = eventStore.storage.readRange(minRevision, maxRevision, streamIndex);
+            this.iterator = eventStore.storage.readRange(minRevision, maxRevision, streamIndex, this.reverse);
+            this.asyncIterator = eventStore.storage.readRangeAsync(minRevision, maxRevision, streamIndex, this.reverse);
         } else {
-            this.iterator = { next() { return { done: true }; } };
+            this.iterator = emptyIterator;
+            this.asyncIterator = emptyAsyncIterator;
         }
     }
 
@@ -83,7 +96,18 @@ class EventStream extends stream.Readable {
         } catch(e) {
             return false;
         }
-        return next.done ? false : next.value;
+        return next.done ? false : this.upcast(next.value);
+    }
+
+    /**
+     * Get the next event without blocking the event loop.
+     * The asynchronous iteration is independent of the synchronous iteration with `next()`.
+     *
+     * @api
+     * @returns {Promise<Object|boolean>} A promise that resolves with the next event or false if no more events in the stream.
+     */
+    nextAsync() {
+        return this.asyncIterator.next().then(next => next, () => ({ done: true })).then(next => next.done ? false : this.upcast(next.value));
     }
 
     /**
@@ -97,4 +121,18 @@ class EventStream extends stream.Readable {
 
 }
 
+/* istanbul ignore else  */
+if (typeof Symbol.asyncIterator === 'symbol') {
+    /**
+     * Async iterator implementation. Iterate over the stream in a `for await ... of` loop.
+     *
+     * @returns {{next: function(): Promise<{value: Object, done: boolean}>}}
+     */
+    EventStream.prototype[Symbol.asyncIterator] = function() {
+        return {
+            next: () => this.nextAsync().then(next => next === false ? { value: undefined, done: true } : { value: next.payload, done: false })
+        };
+    };
+}
+
 module.exports = EventStream;
@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const mkdirpSync = require('mkdirp').sync;
 const Entry = require('./IndexEntry');
+const Encryption = require('./Encryption');
 const EntryInterface = Entry.EntryInterface;
 
 Buffer.poolSize = 64 * 1024;
@@ -9,6 +10,81 @@ Buffer.poolSize = 64 * 1024;
 // node-event-store-index V01
 const HEADER_MAGIC = "nesidx01";
 
+// How many entries are kept in memory at most by default
+const DEFAULT_CACHE_SIZE = 4096;
+// How many entries are read from disk at once when iterating a range
+const READ_CHUNK_SIZE = 1024;
+
+class CorruptFileError extends Error {}
+
+/**
+ * A cache of index entries by position, which evicts the least recently used entry when it is full.
+ * The insertion order of the Map is used as recency order, so every access moves the entry to the end.
+ */
+class EntryCache {
+
+    /**
+     * @param {number} maxSize The maximum amount of entries to keep. 0 means unbounded.
+     */
+    constructor(maxSize) {
+        this.maxSize = maxSize;
+        this.entries = new Map();
+    }
+
+    /**
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * @param {number} position The 1-based index position.
+     * @returns {Entry|undefined} The cached entry or undefined if it is not cached.
+     */
+    get(position) {
+        const entry = this.entries.get(position);
+        if (entry !== undefined && this.maxSize > 0) {
+            this.entries.delete(position);
+            this.entries.set(position, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * @param {number} position The 1-based index position.
+     * @param {Entry} entry The entry to cache.
+     */
+    set(position, entry) {
+        this.entries.delete(position);
+        this.entries.set(position, entry);
+        if (this.maxSize > 0 && this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Remove all entries after the given position.
+     *
+     * @param {number} length The amount of entries that are kept.
+     */
+    truncate(length) {
+        for (let position of this.entries.keys()) {
+            if (position > length) {
+                this.entries.delete(position);
+            }
+        }
+    }
+
+    /**
+     * Remove all entries.
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+}
+
 /**
  * An index is a simple append-only file that stores an ordered list of entry elements pointing to the actual file position
  * where the matching document is found in the storage file.
@@ -30,6 +106,12 @@ class Index {
      * @param {number} [options.writeBufferSize] The number of bytes to use for the write buffer. Default 4096.
      * @param {number} [options.flushDelay] How many ms to delay the write buffer flush to optimize throughput. Default 100.
      * @param {Object} [options.metadata] An object containing the metadata information for this index. Will be written on initial creation and checked on subsequent openings.
+     * @param {function} [options.beforeFlush] A function that is called every time before the write buffer is flushed to disk.
+     * @param {boolean} [options.readOnly] If the index should be opened read-only. It will never write to the file and can follow the file being written by another process with `refresh()`. Default false.
+     * @param {number} [options.cacheSize] How many entries to keep in memory at most. The least recently used entries are evicted first. 0 means unbounded. Default 4096.
+     * @param {Buffer} [options.encryptionKey] A 32 byte key to encrypt the entries and the metadata with. The index file must have been created with the same key.
+     * @param {boolean} [options.open] If the index should be opened on instanciation. Default true.
+     * @throws {CorruptFileError} if the index is opened and the file is corrupt.
      */
     constructor(name = '.index', options = {}) {
         if (typeof name !== 'string') {
@@ -40,29 +122,46 @@ class Index {
             dataDirectory: '.',
             writeBufferSize: 4096,
             flushDelay: 100,
-            EntryClass: Entry
+            EntryClass: Entry,
+            readOnly: false,
+            cacheSize: DEFAULT_CACHE_SIZE,
+            open: true
         };
         options = Object.assign(defaults, options);
         const EntryClass = options.EntryClass;
         Entry.assertValidEntryClass(EntryClass);
-        if (!fs.existsSync(options.dataDirectory)) {
+        this.readOnly = !!options.readOnly;
+        if (!this.readOnly && !fs.existsSync(options.dataDirectory)) {
             mkdirpSync(options.dataDirectory);
         }
 
-        this.data = [];
+        this.cache = new EntryCache(options.cacheSize >>> 0);
+        // Entries that were added, but are still in the write buffer and can not be read from the file yet
+        this.pendingEntries = [];
+        this.entryCount = 0;
         this.name = name;
         this.fileName = path.resolve(options.dataDirectory, this.name);
-        this.readBuffer = Buffer.allocUnsafe(EntryClass.size);
         this.writeBuffer = Buffer.allocUnsafe(options.writeBufferSize >>> 0);
         this.flushDelay = options.flushDelay >>> 0;
+        this.beforeFlush = options.beforeFlush;
+        this.encryptionKey = options.encryptionKey || null;
+        if (this.encryptionKey) {
+            Encryption.assertValidKey(this.encryptionKey);
+            this.entryKey = Encryption.deriveKey(this.encryptionKey, 'index entries');
+            this.metadataKey = Encryption.deriveKey(this.encryptionKey, 'index metadata');
+        }
 
         this.EntryClass = EntryClass;
+        this.recordSize = this.entryRecordSize(EntryClass);
+        this.readBuffer = Buffer.allocUnsafe(this.recordSize);
         if (options.metadata) {
             this.metadata = Object.assign({entryClass: EntryClass.name, entrySize: EntryClass.size}, options.metadata);
         }
 
         this.fd = null;
-        this.open();
+        if (options.open) {
+            this.open();
+        }
     }
 
     /**
@@ -86,7 +185,7 @@ class Index {
      * @returns {number}
      */
     get length() {
-        return this.data.length;
+        return this.entryCount;
     }
 
     /**
@@ -104,7 +203,8 @@ class Index {
      *
      * @private
      * @returns {number} The amount of entries in the file.
-     * @throws {Error} If the file is corrupt or can not be read correctly.
+     * @throws {CorruptFileError} If the file is corrupt.
+     * @throws {Error} If the file can not be read correctly.
      */
     checkFile() {
         const stat = fs.fstatSync(this.fd);
@@ -113,19 +213,23 @@ class Index {
         }
 
         if (stat.size === 0) {
+            if (this.readOnly) {
+                throw new Error(`Index file "${this.fileName}" is not initialized yet.`);
+            }
             // Freshly created index... write metadata initially.
             this.writeMetadata();
         } else {
             stat.size -= this.readMetadata();
             if (stat.size < 0) {
-                throw new Error('Invalid index file!');
+                throw new CorruptFileError('Invalid index file!');
             }
         }
 
-        const length = Math.floor(stat.size / this.EntryClass.size);
-        if (stat.size > length * this.EntryClass.size) {
+        const length = Math.floor(stat.size / this.recordSize);
+        // A read-only index may see an entry that the writer has not finished writing yet
+        if (!this.readOnly && stat.size > length * this.recordSize) {
             // Corrupt index file
-            throw new Error('Index file is corrupt!');
+            throw new CorruptFileError('Index file is corrupt!');
         }
         return length;
     }
@@ -137,6 +241,7 @@ class Index {
      *
      * @api
      * @returns {boolean} True if the index was opened or false if it was already open.
+     * @throws {CorruptFileError} if the file is corrupt.
      * @throws {Error} if the file can not be opened.
      */
     open() {
@@ -144,14 +249,14 @@ class Index {
             return false;
         }
 
-        this.fd = fs.openSync(this.fileName, 'a+');
+        this.fd = fs.openSync(this.fileName, this.readOnly ? 'r' : 'a+');
         if (!this.fd) {
             throw new Error(`Error opening index file "${this.fileName}".`);
         }
 
         this.writeBufferCursor = 0;
         this.flushCallbacks = [];
-        this.readUntil = -1;
+        this.pendingEntries = [];
 
         let length;
         try {
@@ -160,8 +265,8 @@ class Index {
             this.close();
             throw e;
         }
+        this.entryCount = length;
         if (length > 0) {
-            this.data = new Array(length);
             // Read last item to get the index started
             this.read(length);
         }
@@ -169,6 +274,26 @@ class Index {
         return true;
     }
 
+    /**
+     * Update the length of a read-only index to the entries that were completely written to the file by another process.
+     * Entries that were removed from the file, e.g. by a truncate, are dropped.
+     *
+     * @api
+     * @returns {number} The length of the index after the refresh.
+     */
+    refresh() {
+        if (!this.fd) {
+            return this.length;
+        }
+        const stat = fs.fstatSync(this.fd);
+        const length = Math.max(0, Math.floor((stat.size - this.headerSize) / this.recordSize));
+        if (length < this.entryCount) {
+            this.cache.truncate(length);
+        }
+        this.entryCount = length;
+        return this.length;
+    }
+
     /**
      * Write the metadata to the file.
      *
@@ -180,6 +305,12 @@ class Index {
             this.metadata = {entryClass: this.EntryClass.name, entrySize: this.EntryClass.size};
         }
         let metadata = JSON.stringify(this.metadata);
+        if (this.encryptionKey) {
+            // The random nonce identifies the file, so entries can not be moved to another index file unnoticed
+            this.nonce = Encryption.createNonce();
+            const nonce = this.nonce.toString('hex');
+            metadata = JSON.stringify({ nonce, metadata: Encryption.seal(this.metadataKey, metadata, nonce).toString('base64') });
+        }
         let metadataSize = Buffer.byteLength(metadata, 'utf8');
         const pad = (16 - ((8 + 4 + metadataSize + 1) % 16)) % 16;
         metadata += ' '.repeat(pad) + "\n";
@@ -197,8 +328,8 @@ class Index {
      *
      * @private
      * @returns {number} The size of the metadata header.
-     * @throws {Error} if the file header magic value is invalid.
-     * @throws {Error} if the metadata size in the header is invalid.
+     * @throws {Error} if the file was created with a different library version.
+     * @throws {CorruptFileError} if the file header magic value, the metadata size or the metadata is invalid.
      * @throws {Error} if metadata is set and the read metadata does not match.
      */
     readMetadata() {
@@ -209,30 +340,222 @@ class Index {
             if (headerMagic.substr(0, 6) === HEADER_MAGIC.substr(0, 6)) {
                 throw new Error(`Invalid file version. The index ${this.fileName} was created with a different library version.`);
             }
-            throw new Error('Invalid file header.');
+            throw new CorruptFileError('Invalid file header.');
         }
         const metadataSize = headerBuffer.readUInt32BE(8, true);
         if (metadataSize < 3) {
-            throw new Error('Invalid metadata size.');
+            throw new CorruptFileError('Invalid metadata size.');
         }
 
         const metadataBuffer = Buffer.allocUnsafe(metadataSize - 1);
         metadataBuffer.fill(" ");
         fs.readSync(this.fd, metadataBuffer, 0, metadataSize - 1, 8 + 4);
-        const metadata = metadataBuffer.toString('utf8').trim();
+        let metadata = metadataBuffer.toString('utf8').trim();
+
+        let parsedMetadata;
+        try {
+            parsedMetadata = JSON.parse(metadata);
+        } catch (e) {
+            throw new CorruptFileError('Invalid metadata.');
+        }
+        if (typeof parsedMetadata.nonce === 'string' || this.encryptionKey) {
+            metadata = this.decryptMetadata(parsedMetadata);
+            parsedMetadata = JSON.parse(metadata);
+        }
+        this.useEntryClass(this.detectEntryClass(parsedMetadata));
 
         // Verify metadata if it was set in constructor
         if (this.metadata && JSON.stringify(this.metadata) !== metadata) {
             throw new Error('Index metadata mismatch! ' + metadata);
         }
+        this.metadata = parsedMetadata;
+
+        this.headerSize = 8 + 4 + metadataSize;
+        return this.headerSize;
+    }
+
+    /**
+     * Decrypt the metadata of an encrypted index file and take the nonce that its entries are authenticated with.
+     *
+     * @private
+     * @param {Object} fileMetadata The metadata as stored in the index file.
+     * @returns {string} The decrypted metadata.
+     * @throws {Error} if the encryption of the file does not match the encryption key or the metadata can not be decrypted.
+     */
+    decryptMetadata(fileMetadata) {
+        if (typeof fileMetadata.nonce !== 'string') {
+            throw new Error(`Index ${this.fileName} is not encrypted.`);
+        }
+        if (!this.encryptionKey) {
+            throw new Error(`Index ${this.fileName} is encrypted, but no encryption key was specified.`);
+        }
         try {
-            this.metadata = JSON.parse(metadata);
+            const metadata = Encryption.unseal(this.metadataKey, Buffer.from(String(fileMetadata.metadata), 'base64'), fileMetadata.nonce);
+            this.nonce = Buffer.from(fileMetadata.nonce, 'hex');
+            return metadata.toString('utf8');
         } catch (e) {
-            throw new Error('Invalid metadata.');
+            throw new Error(`Metadata of index ${this.fileName} can not be decrypted. It was modified or the encryption key is wrong.`);
         }
+    }
 
-        this.headerSize = 8 + 4 + metadataSize;
-        return this.headerSize;
+    /**
+     * @private
+     * @param {EntryInterface} EntryClass The entry class.
+     * @returns {number} The amount of bytes an entry of the given class takes up in the file.
+     */
+    entryRecordSize(EntryClass) {
+        return EntryClass.size + (this.entryKey ? Encryption.SEAL_OVERHEAD : 0);
+    }
+
+    /**
+     * Write an entry to the write buffer. An encrypted entry is sealed with a random IV and authenticated together with
+     * its position, so it can neither be modified nor moved unnoticed.
+     *
+     * @private
+     * @param {Entry} entry The entry to write.
+     * @param {number} position The 1-based index position of the entry.
+     * @returns {number} The amount of bytes written.
+     */
+    writeEntry(entry, position) {
+        if (!this.entryKey) {
+            return entry.toBuffer(this.writeBuffer, this.writeBufferCursor);
+        }
+        const buffer = Buffer.allocUnsafe(this.EntryClass.size);
+        entry.toBuffer(buffer, 0);
+        return Encryption.seal(this.entryKey, buffer, this.nonce.toString('hex') + ':' + position).copy(this.writeBuffer, this.writeBufferCursor);
+    }
+
+    /**
+     * Read an entry from a buffer that was read from the file.
+     *
+     * @private
+     * @param {Buffer} buffer The buffer to read from.
+     * @param {number} offset The offset of the entry in the buffer.
+     * @param {number} position The 1-based index position of the entry.
+     * @returns {Entry} The entry.
+     * @throws {CorruptFileError} if the encrypted entry can not be authenticated.
+     */
+    readEntry(buffer, offset, position) {
+        if (!this.entryKey) {
+            return this.EntryClass.fromBuffer(buffer, offset);
+        }
+        let decrypted;
+        try {
+            decrypted = Encryption.unseal(this.entryKey, buffer.slice(offset, offset + this.recordSize), this.nonce.toString('hex') + ':' + position);
+        } catch (e) {
+            throw new CorruptFileError(`Entry ${position} of index ${this.fileName} can not be authenticated. It was modified or the encryption key is wrong.`);
+        }
+        return this.EntryClass.fromBuffer(decrypted);
+    }
+
+    /**
+     * Detect the entry class that was used to write the index file from the file metadata.
+     *
+     * @private
+     * @param {Object} metadata The metadata read from the index file.
+     * @returns {EntryInterface} The entry class for the index file.
+     * @throws {Error} if the entry class of the file is unknown or the entry size does not match.
+     */
+    detectEntryClass(metadata) {
+        if (!metadata.entryClass) {
+            return this.EntryClass;
+        }
+        let EntryClass = this.EntryClass;
+        if (metadata.entryClass !== EntryClass.name) {
+            if (!Entry.EntryClasses.hasOwnProperty(metadata.entryClass)) {
+                throw new Error(`Unknown entry class "${metadata.entryClass}" in index ${this.fileName}.`);
+            }
+            EntryClass = Entry.EntryClasses[metadata.entryClass];
+        }
+        if (metadata.entrySize !== EntryClass.size) {
+            throw new Error(`Invalid entry size ${metadata.entrySize} in index ${this.fileName}, expected ${EntryClass.size}.`);
+        }
+        return EntryClass;
+    }
+
+    /**
+     * Switch the entry class that is used for reading and writing entries.
+     *
+     * @private
+     * @param {EntryInterface} EntryClass The entry class to use.
+     */
+    useEntryClass(EntryClass) {
+        if (EntryClass === this.EntryClass) {
+            return;
+        }
+        this.EntryClass = EntryClass;
+        this.recordSize = this.entryRecordSize(EntryClass);
+        this.readBuffer = Buffer.allocUnsafe(this.recordSize);
+        if (this.metadata) {
+            this.metadata = Object.assign({}, this.metadata, { entryClass: EntryClass.name, entrySize: EntryClass.size });
+        }
+    }
+
+    /**
+     * Convert this index to a different entry class, e.g. to migrate an index with 32-bit `Entry` items to `Entry64`.
+     * The converted index is written to a temporary file that only replaces the original file when it is complete.
+     *
+     * @api
+     * @param {EntryInterface} EntryClass The entry class to convert all entries to.
+     * @returns {boolean} True if the index was migrated or false if it already uses the given entry class.
+     */
+    migrate(EntryClass) {
+        const migrated = this.writeMigration(EntryClass, this.fileName + '.migrate');
+        if (migrated === false) {
+            return false;
+        }
+        this.close();
+        fs.renameSync(migrated.fileName, this.fileName);
+        this.completeMigration(migrated);
+        return true;
+    }
+
+    /**
+     * Write a copy of this index that is converted to a different entry class, without replacing the index file.
+     * Once the copy replaced the index file, `completeMigration()` needs to be called with the returned copy.
+     *
+     * @api
+     * @param {EntryInterface} EntryClass The entry class to convert all entries to.
+     * @param {string} fileName The full path of the file to write the converted copy to.
+     * @returns {Index|boolean} The closed copy or false if the index already uses the given entry class.
+     */
+    writeMigration(EntryClass, fileName) {
+        this.assertWritable();
+        Entry.assertValidEntryClass(EntryClass);
+        if (EntryClass === this.EntryClass) {
+            return false;
+        }
+        this.open();
+        this.flush();
+
+        const metadata = Object.assign({}, this.metadata);
+        delete metadata.entryClass;
+        delete metadata.entrySize;
+        const migrated = new Index(path.basename(fileName), {
+            dataDirectory: path.dirname(fileName),
+            writeBufferSize: this.writeBuffer.byteLength,
+            EntryClass,
+            metadata,
+            encryptionKey: this.encryptionKey
+        });
+        for (let entry of this.entries()) {
+            migrated.add(new EntryClass(entry.number, entry.position, entry.size, entry.partition));
+        }
+        migrated.close();
+        return migrated;
+    }
+
+    /**
+     * Reopen this index after its file was replaced by a copy written with `writeMigration()`.
+     *
+     * @api
+     * @param {Index} migrated The copy that replaced the index file.
+     */
+    completeMigration(migrated) {
+        this.close();
+        this.useEntryClass(migrated.EntryClass);
+        this.metadata = migrated.metadata;
+        this.open();
     }
 
     /**
@@ -240,13 +563,13 @@ class Index {
      * @api
      */
     close() {
-        this.data = [];
-        this.readUntil = -1;
+        this.cache.clear();
         if (this.fd) {
             this.flush();
             fs.closeSync(this.fd);
             this.fd = undefined;
         }
+        this.entryCount = 0;
     }
 
     /**
@@ -254,6 +577,7 @@ class Index {
      * @api
      */
     destroy() {
+        this.assertWritable();
         this.close();
         fs.unlinkSync(this.fileName);
     }
@@ -273,10 +597,16 @@ class Index {
             this.flushTimeout = null;
         }
         if (this.writeBufferCursor === 0) return false;
+        if (typeof this.beforeFlush === 'function') {
+            this.beforeFlush();
+        }
         fs.writeSync(this.fd, this.writeBuffer, 0, this.writeBufferCursor);
         this.writeBufferCursor = 0;
-        this.flushCallbacks.forEach(callback => callback());
+        this.pendingEntries = [];
+        // Callbacks may write again, which registers new callbacks for the next flush
+        const flushCallbacks = this.flushCallbacks;
         this.flushCallbacks = [];
+        flushCallbacks.forEach(callback => callback());
         return true;
     }
 
@@ -299,24 +629,28 @@ class Index {
      * @param {Entry} entry The index entry to append.
      * @param {function} [callback] A callback function to execute when the index entry is flushed to disk.
      * @returns {number} The index position for the entry. It matches the index size after the insertion.
+     * @throws {Error} if the index is opened read-only.
      */
     add(entry, callback) {
+        this.assertWritable();
         if (entry.constructor.name !== this.EntryClass.name) {
             throw new Error(`Wrong entry object, got ${entry.constructor.name}, expected ${this.EntryClass.name}.`);
         }
         if (entry.constructor.size !== this.EntryClass.size) {
             throw new Error(`Invalid entry size, got ${entry.constructor.size}, expected ${this.EntryClass.size}.`);
         }
-        if (this.readUntil === this.data.length - 1) {
-            this.readUntil++;
+        if (this.writeBufferCursor + this.recordSize > this.writeBuffer.byteLength) {
+            this.flush();
         }
-        this.data[this.data.length] = entry;
+        this.entryCount++;
+        this.pendingEntries.push(entry);
+        this.cache.set(this.entryCount, entry);
 
         if (this.writeBufferCursor === 0) {
             this.flushTimeout = setTimeout(() => this.flush(), this.flushDelay);
         }
 
-        this.writeBufferCursor += entry.toBuffer(this.writeBuffer, this.writeBufferCursor);
+        this.writeBufferCursor += this.writeEntry(entry, this.entryCount);
         this.onFlush(callback, this.length);
         if (this.writeBufferCursor >= this.writeBuffer.byteLength) {
             this.flush();
@@ -325,12 +659,22 @@ class Index {
         return this.length;
     }
 
+    /**
+     * @private
+     * @throws {Error} if the index is opened read-only.
+     */
+    assertWritable() {
+        if (this.readOnly) {
+            throw new Error(`Index "${this.name}" is opened read-only.`);
+        }
+    }
+
     /**
      * Read a single index entry from the given index position.
-     * Will prevent reading if the entry has already been read sequentially from the start.
+     * Entries are cached, so reading an entry again does not access the file until it is evicted from the cache.
      *
      * @private
-     * @param {number} index
+     * @param {number} index The 1-based index position.
      * @returns {Entry|boolean} The index entry at the given position or false on error.
      */
     read(index) {
@@ -338,23 +682,24 @@ class Index {
             return false;
         }
 
-        index--;
-
-        if (index <= this.readUntil) {
-            return this.data[index];
+        const flushedLength = this.entryCount - this.pendingEntries.length;
+        if (index > flushedLength) {
+            return this.pendingEntries[index - flushedLength - 1];
         }
-        fs.readSync(this.fd, this.readBuffer, 0, this.EntryClass.size, this.headerSize + index * this.EntryClass.size);
-        if (index === this.readUntil + 1) {
-            this.readUntil++;
+        let entry = this.cache.get(index);
+        if (entry !== undefined) {
+            return entry;
         }
-        this.data[index] = this.EntryClass.fromBuffer(this.readBuffer);
+        fs.readSync(this.fd, this.readBuffer, 0, this.recordSize, this.headerSize + (index - 1) * this.recordSize);
+        entry = this.readEntry(this.readBuffer, 0, index);
+        this.cache.set(index, entry);
 
-        return this.data[index];
+        return entry;
     }
 
     /**
      * Read a range of entries from disk. This method will not do any range checks.
-     * It will however optimize to prevent reading entries that have already been read sequentially from start.
+     * The entries are not added to the cache, so reading a large range does not evict the entries that are used often.
      *
      * @private
      * @param {number} from The 1-based index position from where to read from (inclusive).
@@ -369,34 +714,29 @@ class Index {
         if (until < from) {
             return false;
         }
-        if (until === from) {
-            return this.read(from);
-        }
-
-        from--;
-        until--;
 
-        const readFrom = Math.max(this.readUntil + 1, from);
-        const amount = (until - readFrom + 1);
-
-        const readBuffer = Buffer.allocUnsafe(amount * this.EntryClass.size);
-        let readSize = fs.readSync(this.fd, readBuffer, 0, readBuffer.byteLength, this.headerSize + readFrom * this.EntryClass.size);
-        let index = 0;
-        while (index < amount && readSize > 0) {
-            this.data[index + readFrom] = this.EntryClass.fromBuffer(readBuffer, index * this.EntryClass.size);
-            readSize -= this.EntryClass.size;
-            index++;
+        const entries = [];
+        const flushedLength = this.entryCount - this.pendingEntries.length;
+        const readUntil = Math.min(until, flushedLength);
+        if (from <= readUntil) {
+            const amount = readUntil - from + 1;
+            const readBuffer = Buffer.allocUnsafe(amount * this.recordSize);
+            let readSize = fs.readSync(this.fd, readBuffer, 0, readBuffer.byteLength, this.headerSize + (from - 1) * this.recordSize);
+            for (let index = 0; index < amount && readSize > 0; index++) {
+                entries.push(this.readEntry(readBuffer, index * this.recordSize, from + index));
+                readSize -= this.recordSize;
+            }
         }
-        if (from <= this.readUntil + 1) {
-            this.readUntil = Math.max(this.readUntil, until);
+        for (let index = Math.max(from, flushedLength + 1); index <= until; index++) {
+            entries.push(this.pendingEntries[index - flushedLength - 1]);
         }
 
-        return this.data.slice(from, until + 1);
+        return entries;
     }
 
     /**
      * Read all index entries. Equal to range(1, index.length) with the exception that this returns
-     * an empty array if the index is empty.
+     * an empty array if the index is empty. This holds all entries in memory, so use `entries()` for large indexes.
      *
      * @api
      * @returns {Array<Entry>} An array of all index entries.
@@ -408,6 +748,44 @@ class Index {
         return this.range(1, this.length);
     }
 
+    /**
+     * Iterate the index entries of a range without reading all of them into memory at once. The entries are read in
+     * chunks and the range is fixed when the iteration starts, so entries added during the iteration are not included.
+     * Positions outside of the index are skipped.
+     *
+     * @api
+     * @param {number} [from] The 1-based index position from where to iterate (inclusive). If < 0 will start at that position from end. Default 1.
+     * @param {number} [until] The 1-based index position until where to iterate (inclusive). If < 0 will iterate until that position from the end. Defaults to this.length.
+     * @param {boolean} [reverse] If the entries should be iterated backwards, from `until` down to `from`. Default false.
+     * @returns {Generator<Entry>} A generator that returns the entries of the range one by one.
+     */
+    *entries(from = 1, until = -1, reverse = false) {
+        if (from < 0) from += this.length + 1;
+        if (until < 0) until += this.length + 1;
+        from = Math.max(from, 1);
+        until = Math.min(until, this.length);
+
+        if (reverse) {
+            for (let chunk = until; chunk >= from; chunk -= READ_CHUNK_SIZE) {
+                const entries = this.readRange(Math.max(from, chunk - READ_CHUNK_SIZE + 1), chunk);
+                if (entries === false) {
+                    return;
+                }
+                for (let i = entries.length - 1; i >= 0; i--) {
+                    yield entries[i];
+                }
+            }
+            return;
+        }
+        for (let chunk = from; chunk <= until; chunk += READ_CHUNK_SIZE) {
+            const entries = this.readRange(chunk, Math.min(chunk + READ_CHUNK_SIZE - 1, until));
+            if (entries === false) {
+                return;
+            }
+            yield* entries;
+        }
+    }
+
     /**
      * @private
      * @param {number} index The 1-based index position to wrap around if < 0 and check against the bounds.
@@ -435,10 +813,6 @@ class Index {
             return false;
         }
 
-        if (this.data[index - 1]) {
-            return this.data[index - 1];
-        }
-
         return this.read(index);
     }
 
@@ -461,7 +835,7 @@ class Index {
     }
 
     /**
-     * Get a range of index entries.
+     * Get a range of index entries. This holds the whole range in memory, so use `entries()` for large ranges.
      *
      * @api
      * @param {number} from The 1-based index position from where to get entries from (inclusive). If < 0 will start at that position from end.
@@ -476,15 +850,7 @@ class Index {
             return false;
         }
 
-        const readFrom = Math.max(this.readUntil + 1, from);
-        let readUntil = until;
-        while (readUntil >= readFrom && this.data[readUntil - 1]) readUntil--;
-
-        if (readFrom <= readUntil) {
-            this.readRange(readFrom, readUntil);
-        }
-
-        return this.data.slice(from - 1, until);
+        return this.readRange(from, until);
     }
 
     /**
@@ -533,6 +899,7 @@ class Index {
      * @param {number} after The index entry number to truncate after.
      */
     truncate(after) {
+        this.assertWritable();
         if (after > this.length) {
             return;
         }
@@ -543,11 +910,13 @@ class Index {
             this.flush();
         }
 
-        fs.truncateSync(this.fileName, this.headerSize + after * this.EntryClass.size);
-        this.data.splice(after);
-        this.readUntil = Math.min(this.readUntil, after);
+        fs.truncateSync(this.fileName, this.headerSize + after * this.recordSize);
+        this.cache.truncate(after);
+        this.entryCount = after;
     }
 }
 
 module.exports = Index;
 module.exports.Entry = Entry;
+module.exports.Entry64 = Entry.Entry64;
+module.exports.CorruptFileError = CorruptFileError;
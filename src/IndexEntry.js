@@ -27,6 +27,30 @@ function assertValidEntryClass(EntryClass) {
     }
 }
 
+/**
+ * Write an unsigned integer of up to 53 bits to the buffer as 64-bit little endian value.
+ *
+ * @param {Buffer} buffer The buffer to write to.
+ * @param {number} value The value to write.
+ * @param {number} offset The position inside the buffer to write to.
+ */
+function writeUInt64LE(buffer, value, offset) {
+    buffer.writeUInt32LE(value % 0x100000000, offset, true);
+    buffer.writeUInt32LE(Math.floor(value / 0x100000000), offset + 4, true);
+}
+
+/**
+ * Read a 64-bit little endian unsigned integer from the buffer.
+ * Values beyond Number.MAX_SAFE_INTEGER will lose precision.
+ *
+ * @param {Buffer} buffer The buffer to read from.
+ * @param {number} offset The position inside the buffer to read from.
+ * @returns {number}
+ */
+function readUInt64LE(buffer, offset) {
+    return buffer.readUInt32LE(offset, true) + buffer.readUInt32LE(offset + 4, true) * 0x100000000;
+}
+
 /**
  * Default Entry item contains information about the sequence number, the file position, the document size and the partition number.
  */
@@ -84,6 +108,41 @@ class Entry extends Array {
 
 }
 
+/**
+ * Entry item with 64-bit sequence number and file position, so that partitions can grow beyond 4GB and the storage can
+ * hold more than 2^32 documents. The document size and partition number are still 32-bit values.
+ */
+class Entry64 extends Entry {
+
+    static get size() {
+        return 8 + 8 + 4 + 4;
+    }
+
+    static fromBuffer(buffer, offset = 0) {
+        const number     = readUInt64LE(buffer, offset);
+        const position   = readUInt64LE(buffer, offset +  8);
+        const size       = buffer.readUInt32LE(offset + 16, true);
+        const partition  = buffer.readUInt32LE(offset + 20, true);
+        return new this(number, position, size, partition);
+    }
+
+    toBuffer(buffer, offset) {
+        writeUInt64LE(buffer, this[0], offset);
+        writeUInt64LE(buffer, this[1], offset +  8);
+        buffer.writeUInt32LE(this[2], offset + 16, true);
+        buffer.writeUInt32LE(this[3], offset + 20, true);
+        return Entry64.size;
+    }
+
+}
+
+/**
+ * The entry classes that are detected by name when opening an existing index file.
+ */
+const EntryClasses = { Entry, Entry64 };
+
 module.exports = Entry;
+module.exports.Entry64 = Entry64;
+module.exports.EntryClasses = EntryClasses;
 module.exports.EntryInterface = EntryInterface;
 module.exports.assertValidEntryClass = assertValidEntryClass;
@@ -12,13 +12,15 @@ class JoinEventStream extends EventStream {
      * @param {EventStore} eventStore The event store to get the stream from.
      * @param {number} [minRevision] The minimum revision to include in the events (inclusive).
      * @param {number} [maxRevision] The maximum revision to include in the events (inclusive).
+     * @param {boolean} [reverse] If the events should be iterated backwards, starting at maxRevision. Default false.
      */
-    constructor(name, streams, eventStore, minRevision = 0, maxRevision = -1) {
-        super(name, eventStore, minRevision, maxRevision);
+    constructor(name, streams, eventStore, minRevision = 0, maxRevision = -1, reverse = false) {
+        super(name, eventStore, minRevision, maxRevision, reverse);
         if (!(streams instanceof Array) || streams.length === 0) {
             throw new Error(`Invalid list of streams supplied to JoinStream ${name}.`);
         }
         this._next = new Array(streams.length).fill(undefined);
+        this._nextAsync = new Array(streams.length).fill(undefined);
 
         // Translate revisions to index numbers (1-based) and wrap around negatives
         minRevision++;
@@ -26,15 +28,49 @@ class JoinEventStream extends EventStream {
         maxRevision++;
         if (maxRevision <= 0) maxRevision += eventStore.length;
 
-        this.iterator = streams.map(streamName => {
-            if (!eventStore.streams[streamName]) {
-                return { next() { return { done: true }; } };
+        this.iterator = [];
+        this.asyncIterator = [];
+        for (let streamName of streams) {
+            const streamIndex = eventStore.streams[streamName] && eventStore.streams[streamName].index;
+            // Events hidden by the stream metadata are skipped
+            const from = streamIndex && Math.max(streamIndex.find(minRevision, true) || 1, eventStore.firstVisibleRevision(streamName) + 1);
+            const until = streamIndex && streamIndex.find(maxRevision);
+            if (!streamIndex || from > until) {
+                this.iterator.push({ next() { return { done: true }; } });
+                this.asyncIterator.push({ next() { return Promise.resolve({ done: true }); } });
+                continue;
+            }
+            this.iterator.push(eventStore.storage.readRange(from, until, streamIndex, this.reverse));
+            this.asyncIterator.push(eventStore.storage.readRangeAsync(from, until, streamIndex, this.reverse));
+        }
+    }
+
+    /**
+     * Find the position of the event that comes first in the store, or last if reading backwards.
+     *
+     * @private
+     * @param {Array<Object|boolean>} events The next event of every joined stream or false if the stream has no more events.
+     * @param {boolean} [reverse] If the event that comes last in the store should be found.
+     * @returns {number} The position of the first event or -1 if there are no more events.
+     */
+    static first(events, reverse = false) {
+        let firstIndex = -1;
+        events.forEach((event, index) => {
+            if (event === false) {
+                return;
+            }
+            if (firstIndex === -1) {
+                firstIndex = index;
+                return;
+            }
+            const first = events[firstIndex].metadata;
+            // Events of a transaction share the commitId, but are ordered by their commitVersion
+            const order = (first.commitId - event.metadata.commitId) || (first.commitVersion - event.metadata.commitVersion);
+            if (order !== 0 && (order > 0) !== reverse) {
+                firstIndex = index;
             }
-            const streamIndex = eventStore.streams[streamName].index;
-            const from = streamIndex.find(minRevision, true);
-            const until = streamIndex.find(maxRevision);
-            return eventStore.storage.readRange(from || 1, until, streamIndex);
         });
+        return firstIndex;
     }
 
     /**
@@ -42,26 +78,40 @@ class JoinEventStream extends EventStream {
      * @returns {Object|boolean} The next event or false if no more events in the stream.
      */
     next() {
-        let nextIndex = -1;
         this._next.forEach((value, index) => {
             if (typeof value === 'undefined') {
                 const next = this.iterator[index].next();
-                value = this._next[index] = next.done ? false : next.value;
-            }
-            if (value === false) {
-                return;
-            }
-            if (nextIndex === -1 || this._next[nextIndex].metadata.commitId > value.metadata.commitId) {
-                nextIndex = index;
+                this._next[index] = next.done ? false : next.value;
             }
         });
 
+        const nextIndex = JoinEventStream.first(this._next, this.reverse);
         if (nextIndex === -1) {
             return false;
         }
         const next = this._next[nextIndex];
         this._next[nextIndex] = undefined;
-        return next;
+        return this.upcast(next);
+    }
+
+    /**
+     * @api
+     * @returns {Promise<Object|boolean>} A promise that resolves with the next event or false if no more events in the stream.
+     */
+    nextAsync() {
+        return Promise.all(this._nextAsync.map((value, index) => {
+            if (typeof value !== 'undefined') {
+                return value;
+            }
+            return this.asyncIterator[index].next().then(next => this._nextAsync[index] = next.done ? false : next.value);
+        })).then(events => {
+            const nextIndex = JoinEventStream.first(events, this.reverse);
+            if (nextIndex === -1) {
+                return false;
+            }
+            this._nextAsync[nextIndex] = undefined;
+            return this.upcast(events[nextIndex]);
+        });
     }
 
 }
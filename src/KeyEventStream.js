@@ -0,0 +1,39 @@
+const EventStream = require('./EventStream');
+
+/**
+ * An event stream over all events with the same key in a key index, e.g. all events of a correlation id, in the order
+ * they were committed.
+ * It implements a node readable stream interface.
+ */
+class KeyEventStream extends EventStream {
+
+    /**
+     * Revisions are counted within the events with the key and negative revisions count from the end.
+     *
+     * @param {string} name The name of the stream.
+     * @param {Array<number>} numbers The 1-based sequence numbers of all events with the key.
+     * @param {EventStore} eventStore The event store to get the events from.
+     * @param {number} [minRevision] The minimum revision to include in the events (inclusive).
+     * @param {number} [maxRevision] The maximum revision to include in the events (inclusive).
+     * @param {boolean} [reverse] If the events should be iterated backwards, starting at maxRevision. Default false.
+     */
+    constructor(name, numbers, eventStore, minRevision = 0, maxRevision = -1, reverse = false) {
+        super(name, eventStore, minRevision, maxRevision, reverse);
+        if (!(numbers instanceof Array)) {
+            throw new Error(`Invalid list of sequence numbers supplied to KeyEventStream ${name}.`);
+        }
+
+        if (minRevision < 0) minRevision += numbers.length;
+        if (maxRevision < 0) maxRevision += numbers.length;
+        numbers = numbers.slice(Math.max(minRevision, 0), Math.max(maxRevision + 1, 0));
+        if (this.reverse) {
+            numbers.reverse();
+        }
+
+        this.iterator = eventStore.storage.readNumbers(numbers);
+        this.asyncIterator = eventStore.storage.readNumbersAsync(numbers);
+    }
+
+}
+
+module.exports = KeyEventStream;
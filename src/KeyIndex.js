@@ -0,0 +1,559 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mkdirpSync = require('mkdirp').sync;
+const Encryption = require('./Encryption');
+
+const HEADER_MAGIC = "neskey02";
+// The header contains the magic value, the amount of hash buckets, flags, the checkpoint, the amount of distinct keys
+// and the nonce of an encrypted file
+const HEADER_SIZE = 40;
+const FLAG_ENCRYPTED = 1;
+const POINTER_SIZE = 8;
+const DIGEST_SIZE = 16;
+// A key node links to the next key node of its bucket and to the last entry of its key and contains the key digest
+const KEY_NODE_SIZE = 2 * POINTER_SIZE + DIGEST_SIZE;
+// An entry links to the previous entry of its key and contains the document sequence number
+const ENTRY_SIZE = 2 * POINTER_SIZE;
+const DEFAULT_BUCKETS = 1024;
+// The hash table is rebuilt with twice the buckets when there are more distinct keys than this per bucket on average
+const MAX_LOAD_FACTOR = 2;
+const DEFAULT_WRITE_BUFFER_SIZE = 16 * 1024;
+
+/**
+ * A key index is a persistent hash table that maps arbitrary keys to the 1-based sequence numbers of the documents
+ * they belong to. Other than the positional `Index` it allows to look up documents by a key, e.g. a client supplied id.
+ *
+ * The file starts with a table of buckets, which link to a chain of key nodes. Every key node links to the chain of
+ * entries of its key, so a lookup only reads the nodes of one bucket and the entries of the key. Keys are only stored
+ * as a 16 byte SHA-256 digest, or HMAC-SHA256 digest if the index is encrypted. New entries are buffered until the
+ * next `flush()`, so neither opening the index nor adding keys needs memory that grows with the amount of keys.
+ * Entries that were added again after a crash are only returned once. An encrypted index also encrypts the sequence
+ * numbers of its entries, so only the amount of keys and entries and how entries are grouped by key is visible.
+ * A read-only key index never writes to the file, so entries added to it are only kept in memory.
+ */
+class KeyIndex {
+
+    /**
+     * @param {string} name The name of the file to use for storing the index.
+     * @param {Object} [options] An object with additional index options.
+     * @param {string} [options.dataDirectory] The directory to store the index file in. Default '.'.
+     * @param {boolean} [options.readOnly] If the index should be opened read-only. Default false.
+     * @param {number} [options.buckets] The amount of hash buckets of a new index file. Default 1024.
+     * @param {number} [options.writeBufferSize] Size of the write buffer in bytes. Default 16384.
+     * @param {Buffer} [options.encryptionKey] A 32 byte key to derive the key digests from and to encrypt the sequence numbers with. The index file must have been created with the same key.
+     */
+    constructor(name, options = {}) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('Must specify a name for the key index.');
+        }
+        let defaults = {
+            dataDirectory: '.',
+            readOnly: false,
+            buckets: DEFAULT_BUCKETS,
+            writeBufferSize: DEFAULT_WRITE_BUFFER_SIZE
+        };
+        options = Object.assign(defaults, options);
+        this.readOnly = !!options.readOnly;
+        if (!this.readOnly && !fs.existsSync(options.dataDirectory)) {
+            mkdirpSync(options.dataDirectory);
+        }
+
+        this.name = name;
+        this.fileName = path.resolve(options.dataDirectory, this.name);
+        this.initialBuckets = Math.max(1, options.buckets >>> 0);
+        this.writeBufferSize = Math.max(KEY_NODE_SIZE + ENTRY_SIZE, options.writeBufferSize >>> 0);
+        this.encryptionKey = options.encryptionKey || null;
+        if (this.encryptionKey) {
+            Encryption.assertValidKey(this.encryptionKey);
+            this.digestKey = Encryption.deriveKey(this.encryptionKey, 'key index digests');
+            this.entryKey = Encryption.deriveKey(this.encryptionKey, 'key index entries');
+        }
+        this.fd = null;
+        this.opened = false;
+        this.open();
+    }
+
+    /**
+     * Return the amount of distinct keys in the index.
+     *
+     * @api
+     * @returns {number}
+     */
+    get length() {
+        return this.keyCount;
+    }
+
+    /**
+     * Check if the index is opened and ready for access.
+     *
+     * @api
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.opened;
+    }
+
+    /**
+     * Open the index file and read its header. A new index file is created with an empty bucket table.
+     *
+     * @api
+     * @returns {boolean} True if the index was opened or false if it was already open.
+     * @throws {Error} if the index file is invalid.
+     */
+    open() {
+        if (this.opened) {
+            return false;
+        }
+        this.bucketCount = 0;
+        this.lastNumber = 0;
+        this.keyCount = 0;
+        this.fileSize = 0;
+        this.nonce = null;
+        // Entries that are added to a read-only index, by key
+        this.addedKeys = new Map();
+        this.writeBuffer = Buffer.alloc(this.writeBufferSize);
+        this.writeBufferCursor = 0;
+        // Pointers inside the file that are changed with the next flush, by file offset
+        this.pointerUpdates = new Map();
+        this.dirty = false;
+
+        if (!fs.existsSync(this.fileName)) {
+            if (this.readOnly) {
+                this.opened = true;
+                return true;
+            }
+            KeyIndex.createFile(this.fileName, this.initialBuckets, this.encryptionKey ? Encryption.createNonce() : null);
+        }
+        this.fd = fs.openSync(this.fileName, this.readOnly ? 'r' : 'r+');
+        try {
+            this.readHeader();
+        } catch (e) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+            throw e;
+        }
+        this.opened = true;
+        return true;
+    }
+
+    /**
+     * Write a new index file with an empty bucket table.
+     *
+     * @private
+     * @param {string} fileName The full path of the file to write.
+     * @param {number} bucketCount The amount of hash buckets.
+     * @param {Buffer|null} nonce The nonce to encrypt the entries of the file with or null if it is not encrypted.
+     */
+    static createFile(fileName, bucketCount, nonce) {
+        const buffer = Buffer.alloc(HEADER_SIZE + bucketCount * POINTER_SIZE);
+        buffer.write(HEADER_MAGIC, 0, HEADER_MAGIC.length, 'utf8');
+        buffer.writeUInt32BE(bucketCount, 8, true);
+        if (nonce) {
+            buffer.writeUInt32BE(FLAG_ENCRYPTED, 12, true);
+            nonce.copy(buffer, 32);
+        }
+        fs.writeFileSync(fileName, buffer);
+    }
+
+    /**
+     * Read the bucket count, checkpoint and amount of keys from the file header.
+     *
+     * @private
+     * @throws {Error} if the file header is invalid or the encryption of the file does not match the encryption key.
+     */
+    readHeader() {
+        const fileSize = fs.fstatSync(this.fd).size;
+        const header = Buffer.alloc(HEADER_SIZE);
+        fs.readSync(this.fd, header, 0, HEADER_SIZE, 0);
+        const bucketCount = header.readUInt32BE(8, true);
+        if (fileSize < HEADER_SIZE || header.toString('utf8', 0, HEADER_MAGIC.length) !== HEADER_MAGIC || bucketCount === 0
+            || fileSize < HEADER_SIZE + bucketCount * POINTER_SIZE) {
+            throw new Error(`Invalid key index file "${this.fileName}".`);
+        }
+        const encrypted = (header.readUInt32BE(12, true) & FLAG_ENCRYPTED) !== 0;
+        if (encrypted && !this.encryptionKey) {
+            throw new Error(`Key index ${this.fileName} is encrypted, but no encryption key was specified.`);
+        }
+        if (!encrypted && this.encryptionKey) {
+            throw new Error(`Key index ${this.fileName} is not encrypted.`);
+        }
+        this.nonce = encrypted ? header.slice(32, 32 + Encryption.NONCE_SIZE) : null;
+        this.bucketCount = bucketCount;
+        this.lastNumber = header.readDoubleBE(16, true);
+        this.keyCount = header.readDoubleBE(24, true);
+        this.fileSize = fileSize;
+    }
+
+    /**
+     * Close the index and release the file handle.
+     *
+     * @api
+     */
+    close() {
+        if (this.fd) {
+            this.flush();
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+        this.opened = false;
+        this.addedKeys = null;
+        this.writeBuffer = null;
+        this.pointerUpdates = null;
+    }
+
+    /**
+     * This destroys the index and deletes it from disk.
+     *
+     * @api
+     */
+    destroy() {
+        this.close();
+        fs.unlinkSync(this.fileName);
+    }
+
+    /**
+     * Flush all added entries to disk. New key nodes and entries are appended before the pointers to them are changed
+     * and the header is written last, so a crash during a flush never leaves pointers to missing data.
+     *
+     * @api
+     * @returns {boolean} If a flush actually was executed.
+     */
+    flush() {
+        if (!this.fd || this.readOnly || !this.dirty) {
+            return false;
+        }
+        if (this.writeBufferCursor > 0) {
+            fs.writeSync(this.fd, this.writeBuffer, 0, this.writeBufferCursor, this.fileSize);
+            this.fileSize += this.writeBufferCursor;
+            this.writeBufferCursor = 0;
+        }
+        const pointerBuffer = Buffer.alloc(POINTER_SIZE);
+        for (let [offset, pointer] of this.pointerUpdates) {
+            pointerBuffer.writeDoubleBE(pointer, 0, true);
+            fs.writeSync(this.fd, pointerBuffer, 0, POINTER_SIZE, offset);
+        }
+        this.pointerUpdates.clear();
+        const header = Buffer.alloc(2 * POINTER_SIZE);
+        header.writeDoubleBE(this.lastNumber, 0, true);
+        header.writeDoubleBE(this.keyCount, POINTER_SIZE, true);
+        fs.writeSync(this.fd, header, 0, header.byteLength, 16);
+        this.dirty = false;
+        return true;
+    }
+
+    /**
+     * @private
+     * @param {string|number} key The key.
+     * @returns {Buffer} The digest that the key is stored as.
+     */
+    digest(key) {
+        // The type is part of the digest, so the number 4 and the string '4' are different keys
+        const hash = this.digestKey ? crypto.createHmac('sha256', this.digestKey) : crypto.createHash('sha256');
+        return hash.update(JSON.stringify(key)).digest().slice(0, DIGEST_SIZE);
+    }
+
+    /**
+     * Read bytes of the file, or of the write buffer if they were not flushed yet.
+     *
+     * @private
+     * @param {number} offset The file offset to read from.
+     * @param {number} length The amount of bytes to read.
+     * @returns {Buffer}
+     */
+    readBytes(offset, length) {
+        if (offset >= this.fileSize && !this.readOnly) {
+            const start = offset - this.fileSize;
+            return this.writeBuffer.slice(start, start + length);
+        }
+        const buffer = Buffer.alloc(length);
+        fs.readSync(this.fd, buffer, 0, length, offset);
+        return buffer;
+    }
+
+    /**
+     * Read a pointer, including changes that were not flushed yet.
+     *
+     * @private
+     * @param {number} offset The file offset of the pointer.
+     * @returns {number} The file offset that the pointer points to or 0 if it is not set.
+     */
+    readPointer(offset) {
+        if (this.pointerUpdates.has(offset)) {
+            return this.pointerUpdates.get(offset);
+        }
+        return this.readBytes(offset, POINTER_SIZE).readDoubleBE(0, true);
+    }
+
+    /**
+     * Change a pointer with the next flush.
+     *
+     * @private
+     * @param {number} offset The file offset of the pointer.
+     * @param {number} pointer The file offset to point to.
+     */
+    writePointer(offset, pointer) {
+        if (offset >= this.fileSize) {
+            this.writeBuffer.writeDoubleBE(pointer, offset - this.fileSize, true);
+        } else {
+            this.pointerUpdates.set(offset, pointer);
+        }
+    }
+
+    /**
+     * Append the given bytes to the write buffer, which is flushed first if it is full.
+     *
+     * @private
+     * @param {Buffer} buffer The bytes to append.
+     * @param {number} [encryptFrom] The position in the buffer from which on the bytes are encrypted, if the index is encrypted. Default buffer.byteLength.
+     * @returns {number} The file offset that the bytes will be written to.
+     */
+    append(buffer, encryptFrom = buffer.byteLength) {
+        if (this.writeBufferCursor + buffer.byteLength > this.writeBuffer.byteLength) {
+            this.flush();
+        }
+        const offset = this.fileSize + this.writeBufferCursor;
+        if (this.nonce) {
+            Encryption.crypt(this.entryKey, this.nonce, offset + encryptFrom, buffer, encryptFrom);
+        }
+        this.writeBufferCursor += buffer.copy(this.writeBuffer, this.writeBufferCursor);
+        this.dirty = true;
+        return offset;
+    }
+
+    /**
+     * @private
+     * @param {Buffer} digest The key digest.
+     * @returns {number} The file offset of the bucket pointer for the digest.
+     */
+    bucketOffset(digest) {
+        return HEADER_SIZE + (digest.readUInt32BE(0, true) % this.bucketCount) * POINTER_SIZE;
+    }
+
+    /**
+     * Find the key node of the given digest in its bucket.
+     *
+     * @private
+     * @param {Buffer} digest The key digest.
+     * @returns {number} The file offset of the key node or 0 if the key is not in the index.
+     */
+    findKeyNode(digest) {
+        if (!this.fd) {
+            return 0;
+        }
+        let node = this.readPointer(this.bucketOffset(digest));
+        while (node > 0) {
+            if (this.readBytes(node + 2 * POINTER_SIZE, DIGEST_SIZE).equals(digest)) {
+                return node;
+            }
+            node = this.readPointer(node);
+        }
+        return 0;
+    }
+
+    /**
+     * Read the sequence numbers of the entry chain that ends at the given entry.
+     *
+     * @private
+     * @param {number} entry The file offset of the last entry of a key.
+     * @returns {Array<number>} The sequence numbers in the order they were added.
+     */
+    readEntries(entry) {
+        const numbers = [];
+        while (entry > 0) {
+            // The bytes may belong to the write buffer, so they are copied before they are decrypted
+            const buffer = Buffer.from(this.readBytes(entry, ENTRY_SIZE));
+            if (this.nonce) {
+                Encryption.crypt(this.entryKey, this.nonce, entry + POINTER_SIZE, buffer, POINTER_SIZE);
+            }
+            numbers.push(buffer.readDoubleBE(POINTER_SIZE, true));
+            entry = buffer.readDoubleBE(0, true);
+        }
+        return numbers.reverse();
+    }
+
+    /**
+     * Add an entry for the key with the given digest.
+     *
+     * @private
+     * @param {Buffer} digest The key digest.
+     * @param {number} number The document sequence number.
+     */
+    addEntry(digest, number) {
+        const entry = Buffer.alloc(ENTRY_SIZE);
+        entry.writeDoubleBE(number, POINTER_SIZE, true);
+        const node = this.findKeyNode(digest);
+        if (node > 0) {
+            entry.writeDoubleBE(this.readPointer(node + POINTER_SIZE), 0, true);
+            this.writePointer(node + POINTER_SIZE, this.append(entry, POINTER_SIZE));
+        } else {
+            const entryOffset = this.append(entry, POINTER_SIZE);
+            const keyNode = Buffer.alloc(KEY_NODE_SIZE);
+            const bucket = this.bucketOffset(digest);
+            keyNode.writeDoubleBE(this.readPointer(bucket), 0, true);
+            keyNode.writeDoubleBE(entryOffset, POINTER_SIZE, true);
+            digest.copy(keyNode, 2 * POINTER_SIZE);
+            this.writePointer(bucket, this.append(keyNode));
+            this.keyCount++;
+        }
+        this.lastNumber = Math.max(this.lastNumber, number);
+    }
+
+    /**
+     * Add the given key for the document with the given sequence number.
+     * The entry is written to disk on the next `flush()`.
+     *
+     * @api
+     * @param {string|number} key The key to add.
+     * @param {number} number The 1-based sequence number of the document the key belongs to.
+     * @throws {Error} if the key is not a string or number.
+     */
+    add(key, number) {
+        if (typeof key !== 'string' && typeof key !== 'number') {
+            throw new Error('Key must be a string or number.');
+        }
+        if (this.readOnly) {
+            if (!this.addedKeys.has(key)) {
+                if (this.findKeyNode(this.digest(key)) === 0) {
+                    this.keyCount++;
+                }
+                this.addedKeys.set(key, []);
+            }
+            this.addedKeys.get(key).push(number);
+            this.lastNumber = Math.max(this.lastNumber, number);
+            return;
+        }
+        this.addEntry(this.digest(key), number);
+        if (this.keyCount > this.bucketCount * MAX_LOAD_FACTOR) {
+            this.rehash(this.bucketCount * 2);
+        }
+    }
+
+    /**
+     * Record that the keys of all documents up to the given sequence number are added to the index.
+     *
+     * @api
+     * @param {number} number The 1-based sequence number of the last document that is indexed.
+     */
+    checkpoint(number) {
+        if (number <= this.lastNumber) {
+            return;
+        }
+        this.lastNumber = number;
+        this.dirty = !this.readOnly;
+    }
+
+    /**
+     * Get the sequence numbers of all documents with the given key.
+     *
+     * @api
+     * @param {string|number} key The key to look up.
+     * @returns {Array<number>} The sequence numbers in ascending order.
+     */
+    get(key) {
+        const node = this.findKeyNode(this.digest(key));
+        let numbers = node > 0 ? this.readEntries(this.readPointer(node + POINTER_SIZE)) : [];
+        if (this.readOnly && this.addedKeys.has(key)) {
+            numbers = numbers.concat(this.addedKeys.get(key));
+        }
+        // Entries may be contained twice, if they were added again after a crash or by a read-only index
+        numbers.sort((a, b) => a - b);
+        return numbers.filter((number, i) => i === 0 || number !== numbers[i - 1]);
+    }
+
+    /**
+     * Write all entries whose sequence number passes the filter to a new key index file.
+     * The new file has a checkpoint of the last sequence number that passes the filter.
+     *
+     * @param {string} fileName The full path of the file to write.
+     * @param {function(number): boolean} filter A function that receives a sequence number and returns true if the entry should be kept.
+     * @param {number} [bucketCount] The amount of hash buckets of the new file. Defaults to the bucket count of this index.
+     * @returns {number} The last sequence number of the new file.
+     * @throws {Error} if the index is opened read-only.
+     */
+    copy(fileName, filter, bucketCount = this.bucketCount) {
+        this.assertWritable();
+        this.flush();
+        if (fs.existsSync(fileName)) {
+            fs.unlinkSync(fileName);
+        }
+        const copy = new KeyIndex(path.basename(fileName), {
+            dataDirectory: path.dirname(fileName),
+            buckets: bucketCount,
+            writeBufferSize: this.writeBufferSize,
+            encryptionKey: this.encryptionKey
+        });
+        let lastNumber = filter(this.lastNumber) ? this.lastNumber : 0;
+        for (let bucket = 0; bucket < this.bucketCount; bucket++) {
+            let node = this.readPointer(HEADER_SIZE + bucket * POINTER_SIZE);
+            while (node > 0) {
+                const keyNode = this.readBytes(node, KEY_NODE_SIZE);
+                const digest = keyNode.slice(2 * POINTER_SIZE);
+                for (let number of this.readEntries(keyNode.readDoubleBE(POINTER_SIZE, true))) {
+                    if (!filter(number)) continue;
+                    copy.addEntry(digest, number);
+                    lastNumber = Math.max(lastNumber, number);
+                }
+                node = keyNode.readDoubleBE(0, true);
+            }
+        }
+        copy.checkpoint(lastNumber);
+        copy.close();
+        return lastNumber;
+    }
+
+    /**
+     * Rebuild the index file with the given amount of hash buckets.
+     *
+     * @private
+     * @param {number} bucketCount The new amount of hash buckets.
+     */
+    rehash(bucketCount) {
+        this.replaceFile(() => this.copy(this.fileName + '.tmp', () => true, bucketCount));
+    }
+
+    /**
+     * Replace the index file with the file written by the given function and reopen the index.
+     *
+     * @private
+     * @param {function} writeFile A function that writes the new index file to `{fileName}.tmp`.
+     */
+    replaceFile(writeFile) {
+        writeFile();
+        this.close();
+        fs.renameSync(this.fileName + '.tmp', this.fileName);
+        this.open();
+    }
+
+    /**
+     * Remove all entries of documents after the given sequence number.
+     *
+     * @api
+     * @param {number} after The sequence number after which all entries are removed.
+     * @throws {Error} if the index is opened read-only.
+     */
+    truncate(after) {
+        this.assertWritable();
+        if (this.lastNumber <= after) {
+            return;
+        }
+        // All documents up to the old checkpoint were indexed, so this stays true for the remaining ones
+        const lastNumber = Math.min(this.lastNumber, after);
+        this.replaceFile(() => this.copy(this.fileName + '.tmp', number => number <= after));
+        this.checkpoint(lastNumber);
+        this.flush();
+    }
+
+    /**
+     * @private
+     * @throws {Error} if the index is opened read-only.
+     */
+    assertWritable() {
+        if (this.readOnly) {
+            throw new Error(`Key index ${this.name} is opened read-only.`);
+        }
+    }
+
+}
+
+module.exports = KeyIndex;
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mkdirpSync = require('mkdirp').sync;
+
+const KEY_SIZE = 32;
+
+/**
+ * A key store keeps a secret key per subject, e.g. per user, in a local directory separate from the event data.
+ * Every key is stored in a file of its own, named after the SHA-256 hash of the subject, so deleting a single key
+ * never needs to rewrite any other file. Once the key of a subject is deleted, all data encrypted with it is lost.
+ *
+ * Keys are cached in memory after the first access, so a key store of another process will only notice a deleted
+ * key after it is reopened.
+ */
+class KeyStore {
+
+    /**
+     * @param {Object} [options] An object with additional key store options.
+     * @param {string} [options.dataDirectory] The directory to store the key files in. Default '.'.
+     */
+    constructor(options = {}) {
+        let defaults = {
+            dataDirectory: '.'
+        };
+        options = Object.assign(defaults, options);
+        this.dataDirectory = path.resolve(options.dataDirectory);
+        this.keys = new Map();
+    }
+
+    /**
+     * @private
+     * @param {string} subject The subject to get the key file for.
+     * @returns {string} The full path of the key file for the subject.
+     */
+    fileName(subject) {
+        const hash = crypto.createHash('sha256');
+        hash.update(String(subject));
+        return path.join(this.dataDirectory, hash.digest('hex') + '.key');
+    }
+
+    /**
+     * Get the key of the given subject.
+     *
+     * @api
+     * @param {string} subject The subject to get the key for.
+     * @returns {Buffer|boolean} The key or false if the subject has no key.
+     */
+    getKey(subject) {
+        subject = String(subject);
+        if (this.keys.has(subject)) {
+            return this.keys.get(subject);
+        }
+        let key;
+        try {
+            key = fs.readFileSync(this.fileName(subject));
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                return false;
+            }
+            /* istanbul ignore next */
+            throw e;
+        }
+        if (key.byteLength !== KEY_SIZE) {
+            throw new Error(`Key file for subject "${subject}" is corrupt.`);
+        }
+        this.keys.set(subject, key);
+        return key;
+    }
+
+    /**
+     * Get the key of the given subject and create a new random key if the subject has none yet.
+     * The key file is written atomically and only readable by the current user.
+     *
+     * @api
+     * @param {string} subject The subject to get the key for.
+     * @returns {Buffer} The key of the subject.
+     */
+    ensureKey(subject) {
+        const existingKey = this.getKey(subject);
+        if (existingKey) {
+            return existingKey;
+        }
+        if (!fs.existsSync(this.dataDirectory)) {
+            mkdirpSync(this.dataDirectory);
+        }
+        const key = crypto.randomBytes(KEY_SIZE);
+        const fileName = this.fileName(subject);
+        fs.writeFileSync(fileName + '.tmp', key, { mode: 0o600 });
+        fs.renameSync(fileName + '.tmp', fileName);
+        this.keys.set(String(subject), key);
+        return key;
+    }
+
+    /**
+     * Delete the key of the given subject, which makes all data that was encrypted with it unreadable.
+     * A later write for the same subject will create a new key.
+     *
+     * @api
+     * @param {string} subject The subject to delete the key for.
+     * @returns {boolean} True if a key was deleted or false if the subject had no key.
+     */
+    forget(subject) {
+        this.keys.delete(String(subject));
+        const fileName = this.fileName(subject);
+        if (!fs.existsSync(fileName)) {
+            return false;
+        }
+        fs.unlinkSync(fileName);
+        return true;
+    }
+
+}
+
+module.exports = KeyStore;
@@ -0,0 +1,285 @@
+/**
+ * A declarative matcher language for selecting documents, which can be stored as JSON and is evaluated without `eval`.
+ *
+ * A matcher is an object of document paths and the conditions the values at those paths need to fulfill. A path can be
+ * a single property name or a dotted path into nested objects like `'payload.type'`. A condition is either
+ *
+ *  - a plain value, which needs to be strictly equal,
+ *  - a regular expression, which needs to match a string value,
+ *  - an object of operators, e.g. `{ $gte: 5, $lt: 10 }`, which all need to be fulfilled or
+ *  - a nested matcher object, which needs to match the nested object at that path.
+ *
+ * Supported value operators are `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`, `$exists`, `$regex` (with
+ * optional `$options` flags) and `$not`. Matchers can be combined with `$and`, `$or` and `$not` on any level.
+ *
+ * Example: `{ stream: { $regex: '^order-' }, $or: [{ 'payload.type': 'OrderPlaced' }, { 'payload.amount': { $gt: 100 } }] }`
+ */
+
+class InvalidMatcherError extends Error {}
+
+const VALUE_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$regex', '$options', '$not'];
+const LOGICAL_OPERATORS = ['$and', '$or', '$not'];
+
+const regexCache = new Map();
+
+/**
+ * @param {*} value
+ * @returns {boolean} True if the value is a plain object, i.e. not null, an array or a regular expression.
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !(value instanceof Array) && !(value instanceof RegExp);
+}
+
+/**
+ * @param {Object} condition
+ * @returns {boolean} True if the condition is an object of value operators.
+ */
+function isOperatorCondition(condition) {
+    const keys = Object.keys(condition);
+    return keys.length > 0 && keys.every(key => key[0] === '$');
+}
+
+/**
+ * @param {string} pattern
+ * @param {string} [flags]
+ * @returns {RegExp}
+ */
+function toRegExp(pattern, flags = '') {
+    const key = flags + '/' + pattern;
+    if (!regexCache.has(key)) {
+        regexCache.set(key, new RegExp(pattern, flags));
+    }
+    return regexCache.get(key);
+}
+
+/**
+ * @param {RegExp} regex
+ * @param {*} value
+ * @returns {boolean} True if the value is a string that matches the regular expression.
+ */
+function testRegExp(regex, value) {
+    // Global and sticky expressions would continue searching from the last match otherwise
+    regex.lastIndex = 0;
+    return typeof value === 'string' && regex.test(value);
+}
+
+/**
+ * @param {Object} document
+ * @param {string} path A property name or dotted path.
+ * @returns {*} The value at the path or undefined if it does not exist.
+ */
+function resolve(document, path) {
+    if (path in Object(document)) {
+        return document[path];
+    }
+    let value = document;
+    for (let property of path.split('.')) {
+        if (value === null || typeof value !== 'object' || !(property in value)) {
+            return undefined;
+        }
+        value = value[property];
+    }
+    return value;
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean} True if both values are numbers or both are strings and can be ordered.
+ */
+function comparable(a, b) {
+    return (typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string');
+}
+
+/**
+ * @param {*} value The value to check.
+ * @param {Object} operators An object of value operators.
+ * @returns {boolean} True if the value fulfills all operators.
+ */
+function matchesOperators(value, operators) {
+    for (let operator of Object.keys(operators)) {
+        const operand = operators[operator];
+        switch (operator) {
+            case '$eq': if (value !== operand) return false; break;
+            case '$ne': if (value === operand) return false; break;
+            case '$gt': if (!comparable(value, operand) || !(value > operand)) return false; break;
+            case '$gte': if (!comparable(value, operand) || !(value >= operand)) return false; break;
+            case '$lt': if (!comparable(value, operand) || !(value < operand)) return false; break;
+            case '$lte': if (!comparable(value, operand) || !(value <= operand)) return false; break;
+            case '$in': if (operand.indexOf(value) < 0) return false; break;
+            case '$nin': if (operand.indexOf(value) >= 0) return false; break;
+            case '$exists': if ((value !== undefined) !== operand) return false; break;
+            case '$regex': {
+                const regex = operand instanceof RegExp ? operand : toRegExp(operand, operators.$options);
+                if (!testRegExp(regex, value)) return false;
+                break;
+            }
+            case '$not': if (matchesCondition(value, operand)) return false; break;
+        }
+    }
+    return true;
+}
+
+/**
+ * @param {*} value The value to check.
+ * @param {*} condition The condition for the value.
+ * @returns {boolean} True if the value fulfills the condition.
+ */
+function matchesCondition(value, condition) {
+    if (condition instanceof RegExp) {
+        return testRegExp(condition, value);
+    }
+    if (condition !== null && typeof condition === 'object') {
+        if (isPlainObject(condition) && isOperatorCondition(condition)) {
+            return matchesOperators(value, condition);
+        }
+        return value !== undefined && value !== null && matches(value, condition);
+    }
+    return value === condition;
+}
+
+/**
+ * Check if the given document matches the matcher.
+ *
+ * @api
+ * @param {Object} document The document to check.
+ * @param {Object} matcher The matcher object.
+ * @returns {boolean} True if the document matches the matcher or false otherwise.
+ */
+function matches(document, matcher) {
+    for (let key of Object.keys(matcher)) {
+        const condition = matcher[key];
+        switch (key) {
+            case '$and': if (!condition.every(subMatcher => matches(document, subMatcher))) return false; break;
+            case '$or': if (!condition.some(subMatcher => matches(document, subMatcher))) return false; break;
+            case '$not': if (matches(document, condition)) return false; break;
+            default: if (!matchesCondition(resolve(document, key), condition)) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * @param {string} path The path of the condition, for error messages.
+ * @param {Object} operators An object of value operators.
+ * @throws {InvalidMatcherError}
+ */
+function validateOperators(path, operators) {
+    for (let operator of Object.keys(operators)) {
+        const operand = operators[operator];
+        if (VALUE_OPERATORS.indexOf(operator) < 0) {
+            throw new InvalidMatcherError(`Unknown matcher operator "${operator}" for "${path}".`);
+        }
+        if ((operator === '$in' || operator === '$nin') && !(operand instanceof Array)) {
+            throw new InvalidMatcherError(`Operator "${operator}" for "${path}" needs an array.`);
+        }
+        if (operator === '$exists' && typeof operand !== 'boolean') {
+            throw new InvalidMatcherError(`Operator "$exists" for "${path}" needs a boolean.`);
+        }
+        if (operator === '$regex') {
+            if (typeof operand !== 'string' && !(operand instanceof RegExp)) {
+                throw new InvalidMatcherError(`Operator "$regex" for "${path}" needs a string or regular expression.`);
+            }
+            try {
+                if (typeof operand === 'string') toRegExp(operand, operators.$options);
+            } catch (e) {
+                throw new InvalidMatcherError(`Invalid regular expression for "${path}": ${e.message}`);
+            }
+        }
+        if (operator === '$options' && (typeof operand !== 'string' || !('$regex' in operators))) {
+            throw new InvalidMatcherError(`Operator "$options" for "${path}" needs a string and a "$regex".`);
+        }
+        if (operator === '$not') {
+            validateCondition(path, operand);
+        }
+    }
+}
+
+/**
+ * @param {string} path The path of the condition, for error messages.
+ * @param {*} condition The condition to validate.
+ * @throws {InvalidMatcherError}
+ */
+function validateCondition(path, condition) {
+    if (typeof condition === 'function' || typeof condition === 'symbol') {
+        throw new InvalidMatcherError(`Invalid condition for "${path}".`);
+    }
+    if (isPlainObject(condition) && Object.keys(condition).some(key => key[0] === '$')) {
+        if (!isOperatorCondition(condition)) {
+            throw new InvalidMatcherError(`Can not mix operators and properties in the condition for "${path}".`);
+        }
+        return validateOperators(path, condition);
+    }
+    if (condition !== null && typeof condition === 'object' && !(condition instanceof RegExp)) {
+        validate(condition);
+    }
+}
+
+/**
+ * Validate the given matcher.
+ *
+ * @api
+ * @param {Object} matcher The matcher object.
+ * @throws {InvalidMatcherError} if the matcher is not an object or contains invalid conditions or unknown operators.
+ */
+function validate(matcher) {
+    if (matcher === null || typeof matcher !== 'object' || matcher instanceof RegExp) {
+        throw new InvalidMatcherError('Matcher must be an object.');
+    }
+    for (let key of Object.keys(matcher)) {
+        const condition = matcher[key];
+        if (key[0] === '$' && LOGICAL_OPERATORS.indexOf(key) < 0) {
+            throw new InvalidMatcherError(`Unknown matcher operator "${key}".`);
+        }
+        if (key === '$and' || key === '$or') {
+            if (!(condition instanceof Array) || condition.length === 0) {
+                throw new InvalidMatcherError(`Operator "${key}" needs a non-empty array of matchers.`);
+            }
+            condition.forEach(validate);
+        } else if (key === '$not') {
+            validate(condition);
+        } else {
+            validateCondition(key, condition);
+        }
+    }
+}
+
+/**
+ * Validate the given matcher and convert it into a form that can be serialized to JSON without loss, i.e. with all
+ * regular expressions replaced by `$regex` conditions.
+ *
+ * @api
+ * @param {Object} matcher The matcher object.
+ * @returns {Object} The normalized matcher.
+ * @throws {InvalidMatcherError} if the matcher is invalid.
+ */
+function normalize(matcher) {
+    validate(matcher);
+    const normalizeValue = value => {
+        if (value instanceof RegExp) {
+            return value.flags ? { $regex: value.source, $options: value.flags } : { $regex: value.source };
+        }
+        if (value instanceof Array) {
+            return value.map(normalizeValue);
+        }
+        if (value !== null && typeof value === 'object') {
+            const normalized = {};
+            for (let key of Object.keys(value)) {
+                if (key === '$regex' && value[key] instanceof RegExp) {
+                    normalized.$regex = value[key].source;
+                    if (value[key].flags && !('$options' in value)) normalized.$options = value[key].flags;
+                } else {
+                    normalized[key] = normalizeValue(value[key]);
+                }
+            }
+            return normalized;
+        }
+        return value;
+    };
+    return normalizeValue(matcher);
+}
+
+module.exports.matches = matches;
+module.exports.validate = validate;
+module.exports.normalize = normalize;
+module.exports.InvalidMatcherError = InvalidMatcherError;
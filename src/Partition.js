@@ -1,12 +1,59 @@
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const mkdirpSync = require('mkdirp').sync;
 const path = require('path');
 
 const DEFAULT_READ_BUFFER_SIZE = 4 * 1024;
 const DEFAULT_WRITE_BUFFER_SIZE = 16 * 1024;
 
-// node-event-store partition V01
-const HEADER_MAGIC = "nesprt01";
+// node-event-store partition V02, which stores a checksum with every document
+const HEADER_MAGIC = "nesprt02";
+// Partitions of V01 stay readable and writable, but their documents have no checksum
+const HEADER_MAGIC_V01 = "nesprt01";
+// Encrypted partitions store every document authenticated with AES-256-GCM instead of a checksum
+const HEADER_MAGIC_ENCRYPTED = "nesprt03";
+// Compressed partitions store the checksummed documents in blocks compressed with deflate or brotli
+const HEADER_MAGIC_DEFLATE = "nesprt04";
+const HEADER_MAGIC_BROTLI = "nesprt05";
+const COMPRESSION_HEADER_MAGIC = { deflate: HEADER_MAGIC_DEFLATE, brotli: HEADER_MAGIC_BROTLI };
+// Sequenced partitions of V06 to V09 store the same documents as V02 to V05, but with the global sequence number of
+// every document, so the primary index can be restored from the partitions alone
+const SEQUENCED_HEADER_MAGIC = {
+    [HEADER_MAGIC]: "nesprt06",
+    [HEADER_MAGIC_ENCRYPTED]: "nesprt07",
+    [HEADER_MAGIC_DEFLATE]: "nesprt08",
+    [HEADER_MAGIC_BROTLI]: "nesprt09"
+};
+const UNSEQUENCED_HEADER_MAGIC = {};
+for (let headerMagic of Object.keys(SEQUENCED_HEADER_MAGIC)) {
+    UNSEQUENCED_HEADER_MAGIC[SEQUENCED_HEADER_MAGIC[headerMagic]] = headerMagic;
+}
+
+// Every document is prefixed by its 10 character padded length and a 8 character hex CRC32 checksum (since V02)
+const DOCUMENT_LENGTH_SIZE = 10;
+const DOCUMENT_CHECKSUM_SIZE = 8;
+// Sequenced documents store their 16 character padded sequence number after the length, which is covered by the checksum
+const DOCUMENT_SEQUENCE_SIZE = 16;
+// Encrypted documents are prefixed by their length, a random IV and the authentication tag instead
+const DOCUMENT_IV_SIZE = 12;
+const DOCUMENT_TAG_SIZE = 16;
+const ENCRYPTION_CIPHER = 'aes-256-gcm';
+const ENCRYPTION_KEY_SIZE = 32;
+
+// Every block is prefixed by its 10 character padded compressed and uncompressed length and a CRC32 of the compressed data
+const BLOCK_LENGTH_SIZE = 10;
+const BLOCK_HEADER_SIZE = 2 * BLOCK_LENGTH_SIZE + DOCUMENT_CHECKSUM_SIZE;
+const DEFAULT_BLOCK_SIZE = 64 * 1024;
+// Flushed documents are collected uncompressed in a `.tail` file until they fill a block. The tail file starts with the
+// 16 character padded position of its first document.
+const TAIL_POSITION_SIZE = 16;
+const TAIL_HEADER_SIZE = TAIL_POSITION_SIZE + 1;
+
+const BLOCK_CODECS = {
+    [HEADER_MAGIC_DEFLATE]: { compress: zlib.deflateRawSync, decompress: zlib.inflateRawSync },
+    [HEADER_MAGIC_BROTLI]: { compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync }
+};
 
 class CorruptFileError extends Error {}
 class InvalidDataSizeError extends Error {}
@@ -21,6 +68,46 @@ function pad(str, len, char = ' ') {
     return len > str.length ? char.repeat(len - str.length) + str : str;
 }
 
+const CRC32_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    CRC32_TABLE[n] = c;
+}
+
+/**
+ * Calculate the CRC32 checksum of the given buffer range.
+ *
+ * @param {Buffer} buffer
+ * @param {number} [start] The position inside the buffer to start from. Default 0.
+ * @param {number} [end] The position inside the buffer to calculate the checksum until (exclusive). Default buffer.byteLength.
+ * @param {number} [previous] The checksum of the data preceding the buffer range, to continue from. Default 0.
+ * @returns {number} The checksum as 32-bit unsigned integer.
+ */
+function crc32(buffer, start = 0, end = buffer.byteLength, previous = 0) {
+    let crc = previous ^ -1;
+    for (let i = start; i < end; i++) {
+        crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Read from the file into the whole buffer without blocking.
+ *
+ * @param {number} fd The file descriptor to read from.
+ * @param {Buffer} buffer The buffer to read into.
+ * @param {number} position The file position to read from.
+ * @returns {Promise<number>} A promise that resolves with the amount of bytes read.
+ */
+function readAsync(fd, buffer, position) {
+    return new Promise((resolve, reject) => {
+        fs.read(fd, buffer, 0, buffer.byteLength, position, (err, bytesRead) => err ? reject(err) : resolve(bytesRead));
+    });
+}
+
 /**
  * Method for hashing a string (partition name) to a 32-bit unsigned integer.
  *
@@ -58,6 +145,33 @@ class Partition {
         return hash(name);
     }
 
+    /**
+     * Check that the given key can be used for encrypting partitions.
+     *
+     * @param {Buffer} key
+     * @throws {Error} if the key is not a Buffer of 32 bytes.
+     */
+    static assertValidEncryptionKey(key) {
+        if (!Buffer.isBuffer(key) || key.byteLength !== ENCRYPTION_KEY_SIZE) {
+            throw new Error(`Encryption key must be a Buffer of ${ENCRYPTION_KEY_SIZE} bytes.`);
+        }
+    }
+
+    /**
+     * Check that the given compression is supported.
+     *
+     * @param {string} compression
+     * @throws {Error} if the compression is unknown or not supported by the node version.
+     */
+    static assertValidCompression(compression) {
+        if (!COMPRESSION_HEADER_MAGIC.hasOwnProperty(compression)) {
+            throw new Error(`Unknown compression "${compression}", use one of ${Object.keys(COMPRESSION_HEADER_MAGIC).join(', ')}.`);
+        }
+        if (typeof BLOCK_CODECS[COMPRESSION_HEADER_MAGIC[compression]].compress !== 'function') {
+            throw new Error(`Compression "${compression}" is not supported by this node version.`);
+        }
+    }
+
     /**
      * @param {string} name The name of the partition.
      * @param {Object} [config] An object with storage parameters.
@@ -67,6 +181,11 @@ class Partition {
      * @param {number} [config.maxWriteBufferDocuments] How many documents to have in the write buffer at max. 0 means as much as possible. Default 0.
      * @param {boolean} [config.syncOnFlush] If fsync should be called on write buffer flush. Set this if you need strict durability. Defaults to false.
      * @param {boolean} [config.dirtyReads] If dirty reads should be allowed. This means that writes that are in write buffer but not yet flushed can be read. Defaults to true.
+     * @param {boolean} [config.readOnly] If the partition should be opened read-only. It will never write to the file and can read documents written by another process. Defaults to false.
+     * @param {Buffer} [config.encryptionKey] A 32 byte key to encrypt all documents with. The partition file must have been created with the same key.
+     * @param {string} [config.compression] Either 'deflate' or 'brotli' to store new partition files in compressed blocks. Existing files keep their format. Can not be combined with encryption.
+     * @param {number} [config.blockSize] The uncompressed size in bytes that flushed documents of a compressed partition are collected up to before they are compressed into a block. Default 65536.
+     * @param {boolean} [config.sequenceNumbers] If new partition files should store the sequence number given to `write()` with every document. Existing files keep their format. Defaults to false, but a `Storage` enables it unless its config sets it to false.
      */
     constructor(name, config = {}) {
         if (!name || typeof name !== 'string') {
@@ -79,11 +198,14 @@ class Partition {
             writeBufferSize: DEFAULT_WRITE_BUFFER_SIZE,
             maxWriteBufferDocuments: 0,
             syncOnFlush: false,
-            dirtyReads: true
+            dirtyReads: true,
+            readOnly: false,
+            blockSize: DEFAULT_BLOCK_SIZE
         };
         config = Object.assign(defaults, config);
+        this.readOnly = !!config.readOnly;
         this.dataDirectory = path.resolve(config.dataDirectory);
-        if (!fs.existsSync(this.dataDirectory)) {
+        if (!this.readOnly && !fs.existsSync(this.dataDirectory)) {
             mkdirpSync(this.dataDirectory);
         }
 
@@ -96,6 +218,20 @@ class Partition {
         this.maxWriteBufferDocuments = config.maxWriteBufferDocuments >>> 0;
         this.syncOnFlush = !!config.syncOnFlush;
         this.dirtyReads = !!config.dirtyReads;
+        if (config.encryptionKey) {
+            Partition.assertValidEncryptionKey(config.encryptionKey);
+            this.encryptionKey = config.encryptionKey;
+        }
+        if (config.compression) {
+            Partition.assertValidCompression(config.compression);
+            if (this.encryptionKey) {
+                throw new Error('Compression can not be combined with encryption.');
+            }
+            this.compression = config.compression;
+        }
+        this.blockSize = config.blockSize >>> 0;
+        this.tailFileName = this.fileName + '.tail';
+        this.sequenceNumbers = !!config.sequenceNumbers;
     }
 
     /**
@@ -118,10 +254,11 @@ class Partition {
             return true;
         }
 
-        this.fd = fs.openSync(this.fileName, 'a+');
+        this.fd = fs.openSync(this.fileName, this.readOnly ? 'r' : 'a+');
 
         // allocUnsafeSlow because we don't need buffer pooling for these relatively long-lived buffers
-        this.readBuffer = Buffer.allocUnsafeSlow(10 + this.readBufferSize);
+        const maxDocumentHeaderSize = DOCUMENT_LENGTH_SIZE + DOCUMENT_SEQUENCE_SIZE + (this.encryptionKey ? DOCUMENT_IV_SIZE + DOCUMENT_TAG_SIZE : DOCUMENT_CHECKSUM_SIZE);
+        this.readBuffer = Buffer.allocUnsafeSlow(maxDocumentHeaderSize + this.readBufferSize);
         // Where inside the file the read buffer starts
         this.readBufferPos = -1;
         this.readBufferLength = 0;
@@ -135,26 +272,133 @@ class Partition {
 
         const stat = fs.statSync(this.fileName);
         this.headerSize = HEADER_MAGIC.length + 1;
-        if (stat.size === 0) {
-            fs.writeSync(this.fd, HEADER_MAGIC + "\n");
+        if (stat.size === 0 || (this.readOnly && stat.size < this.headerSize)) {
+            let headerMagic = HEADER_MAGIC;
+            if (this.encryptionKey) {
+                headerMagic = HEADER_MAGIC_ENCRYPTED;
+            } else if (this.compression) {
+                headerMagic = COMPRESSION_HEADER_MAGIC[this.compression];
+            }
+            if (this.sequenceNumbers) {
+                headerMagic = SEQUENCED_HEADER_MAGIC[headerMagic];
+            }
+            // A read-only partition waits for the writer to create the header
+            if (!this.readOnly) {
+                fs.writeSync(this.fd, headerMagic + "\n");
+            }
+            this.useFormat(headerMagic);
             this.size = 0;
+            if (this.compressed) {
+                this.openTail();
+            }
             return true;
         }
 
         const headerBuffer = Buffer.allocUnsafe(HEADER_MAGIC.length);
         fs.readSync(this.fd, headerBuffer, 0, HEADER_MAGIC.length, 0);
-        if (headerBuffer.toString() !== HEADER_MAGIC) {
+        const headerMagic = headerBuffer.toString();
+        const baseHeaderMagic = UNSEQUENCED_HEADER_MAGIC[headerMagic] || headerMagic;
+        if ([HEADER_MAGIC, HEADER_MAGIC_V01, HEADER_MAGIC_ENCRYPTED, HEADER_MAGIC_DEFLATE, HEADER_MAGIC_BROTLI].indexOf(baseHeaderMagic) < 0) {
             this.close();
-            if (headerBuffer.toString().substr(0, 6) === HEADER_MAGIC.substr(0, 6)) {
+            if (headerMagic.substr(0, 6) === HEADER_MAGIC.substr(0, 6)) {
                 throw new Error(`Invalid file version. The partition ${this.name} was created with a different library version.`);
             }
             throw new Error(`Invalid file header in partition ${this.name}.`);
         }
-        this.size = stat.size - this.headerSize;
+        if ((baseHeaderMagic === HEADER_MAGIC_ENCRYPTED) !== !!this.encryptionKey) {
+            this.close();
+            if (this.encryptionKey) {
+                throw new Error(`Partition ${this.name} is not encrypted.`);
+            }
+            throw new Error(`Partition ${this.name} is encrypted, but no encryption key was specified.`);
+        }
+        try {
+            this.useFormat(headerMagic);
+        } catch (e) {
+            this.close();
+            throw e;
+        }
+        try {
+            this.size = this.compressed ? this.scanBlocks() : stat.size - this.headerSize;
+            if (this.compressed) {
+                this.openTail();
+            }
+        } catch (e) {
+            this.close();
+            throw e;
+        }
 
         return true;
     }
 
+    /**
+     * Update the size of a read-only partition to include documents that were written by another process.
+     *
+     * @api
+     * @returns {number} The size of the partition after the refresh.
+     */
+    refresh() {
+        if (!this.fd || !this.readOnly) {
+            return this.size;
+        }
+        if (this.compressed) {
+            this.size = this.scanBlocks();
+            this.openTail();
+            return this.size;
+        }
+        const stat = fs.fstatSync(this.fd);
+        this.size = Math.max(0, stat.size - this.headerSize);
+        return this.size;
+    }
+
+    /**
+     * Set if documents in this partition are stored with a checksum or encrypted and with their sequence number, which
+     * depends on the file version.
+     *
+     * @private
+     * @param {string} headerMagic The header magic value of the file version.
+     */
+    useFormat(headerMagic) {
+        this.sequenced = UNSEQUENCED_HEADER_MAGIC.hasOwnProperty(headerMagic);
+        if (this.sequenced) {
+            headerMagic = UNSEQUENCED_HEADER_MAGIC[headerMagic];
+        }
+        this.compressed = BLOCK_CODECS.hasOwnProperty(headerMagic);
+        this.checksums = headerMagic === HEADER_MAGIC || this.compressed;
+        this.encrypted = headerMagic === HEADER_MAGIC_ENCRYPTED;
+        if (this.compressed) {
+            this.codec = BLOCK_CODECS[headerMagic];
+            if (typeof this.codec.decompress !== 'function') {
+                throw new Error(`Partition ${this.name} is compressed with brotli, which is not supported by this node version.`);
+            }
+            // The block index with the document position, file offset and sizes of all blocks, which is built from the
+            // block headers when opening the file
+            this.blocks = [];
+            this.compressedSize = 0;
+        }
+        this.documentHeaderSize = DOCUMENT_LENGTH_SIZE;
+        if (this.sequenced) {
+            this.documentHeaderSize += DOCUMENT_SEQUENCE_SIZE;
+        }
+        if (this.checksums) {
+            this.documentHeaderSize += DOCUMENT_CHECKSUM_SIZE;
+        }
+        if (this.encrypted) {
+            this.documentHeaderSize += DOCUMENT_IV_SIZE + DOCUMENT_TAG_SIZE;
+        }
+    }
+
+    /**
+     * Get the amount of bytes a document of the given data size occupies in the partition file.
+     *
+     * @api
+     * @param {number} dataSize The byte size of the document data.
+     * @returns {number}
+     */
+    documentWriteSize(dataSize) {
+        return this.documentHeaderSize + dataSize + 1;
+    }
+
     /**
      * Close the partition and frees up all resources.
      *
@@ -164,9 +408,16 @@ class Partition {
     close() {
         if (this.fd) {
             this.flush();
+            if (this.compressed && !this.readOnly) {
+                this.compressTail();
+            }
             fs.closeSync(this.fd);
             this.fd = undefined;
         }
+        if (this.tailFd) {
+            fs.closeSync(this.tailFd);
+            this.tailFd = undefined;
+        }
         if (this.readBuffer) {
             this.readBuffer = undefined;
             this.readBufferPos = -1;
@@ -193,15 +444,21 @@ class Partition {
             return false;
         }
 
-        fs.writeSync(this.fd, this.writeBuffer, 0, this.writeBufferCursor);
+        const fd = this.compressed ? this.tailFd : this.fd;
+        fs.writeSync(fd, this.writeBuffer, 0, this.writeBufferCursor);
         if (this.syncOnFlush) {
-            fs.fsyncSync(this.fd);
+            fs.fsyncSync(fd);
         }
 
         this.writeBufferCursor = 0;
         this.writeBufferDocuments = 0;
-        this.flushCallbacks.forEach(callback => callback());
+        if (this.compressed && this.size - this.tailPosition >= this.blockSize) {
+            this.compressTail();
+        }
+        // Callbacks may write again, which registers new callbacks for the next flush
+        const flushCallbacks = this.flushCallbacks;
         this.flushCallbacks = [];
+        flushCallbacks.forEach(callback => callback());
 
         return true;
     }
@@ -219,27 +476,73 @@ class Partition {
         }
     }
 
+    /**
+     * Write the framed document to the given buffer.
+     *
+     * @private
+     * @param {Buffer} buffer The buffer to write the document to.
+     * @param {number} offset The position inside the buffer to write to.
+     * @param {Buffer} dataBuffer The document data.
+     * @param {number} position The file position of the document.
+     * @param {number} sequenceNumber The sequence number of the document, if the partition is sequenced.
+     * @returns {number} The amount of bytes written.
+     */
+    writeDocument(buffer, offset, dataBuffer, position, sequenceNumber) {
+        let cursor = offset;
+        cursor += buffer.write(pad(dataBuffer.byteLength.toString(), DOCUMENT_LENGTH_SIZE), cursor, DOCUMENT_LENGTH_SIZE, 'utf8');
+        if (this.sequenced) {
+            cursor += buffer.write(pad(sequenceNumber.toString(), DOCUMENT_SEQUENCE_SIZE), cursor, DOCUMENT_SEQUENCE_SIZE, 'utf8');
+        }
+        if (this.checksums) {
+            const checksum = this.documentChecksum(buffer, offset, dataBuffer, 0, dataBuffer.byteLength);
+            cursor += buffer.write(pad(checksum.toString(16), DOCUMENT_CHECKSUM_SIZE, '0'), cursor, DOCUMENT_CHECKSUM_SIZE, 'utf8');
+        }
+        if (this.encrypted) {
+            const iv = crypto.randomBytes(DOCUMENT_IV_SIZE);
+            const cipher = crypto.createCipheriv(ENCRYPTION_CIPHER, this.encryptionKey, iv);
+            cipher.setAAD(this.documentAAD(position, dataBuffer.byteLength, sequenceNumber));
+            dataBuffer = Buffer.concat([cipher.update(dataBuffer), cipher.final()]);
+            cursor += iv.copy(buffer, cursor);
+            cursor += cipher.getAuthTag().copy(buffer, cursor);
+        }
+        cursor += dataBuffer.copy(buffer, cursor);
+        buffer[cursor++] = 10; // "\n"
+        return cursor - offset;
+    }
+
     /**
      * @api
      * @param {string} data The data to write to storage.
+     * @param {number} [sequenceNumber] The global sequence number of the document, which is stored with it if the partition is sequenced. Default 0.
      * @param {function} [callback] A function that will be called when the document is written to disk.
      * @returns {number|boolean} The file position at which the data was written or false on error.
+     * @throws {Error} if the partition is opened read-only.
+     * @throws {Error} if the sequence number is not a non-negative integer.
      */
-    write(data, callback) {
+    write(data, sequenceNumber = 0, callback) {
+        if (typeof sequenceNumber === 'function') {
+            callback = sequenceNumber;
+            sequenceNumber = 0;
+        }
+        this.assertWritable();
         if (!this.fd) {
             return false;
         }
-        let dataSize = Buffer.byteLength(data, 'utf8');
-        const dataToWrite = pad(dataSize.toString(), 10) + data.toString() + "\n";
-        dataSize += 11;
+        if (!Number.isSafeInteger(sequenceNumber) || sequenceNumber < 0) {
+            throw new Error(`Invalid sequence number ${sequenceNumber}.`);
+        }
+        const dataBuffer = Buffer.from(data.toString(), 'utf8');
+        const dataSize = this.documentWriteSize(dataBuffer.byteLength);
 
         this.flushIfWriteBufferTooSmall(dataSize);
         if (dataSize > this.writeBuffer.byteLength) {
             //console.log('unbuffered write!');
-            fs.writeSync(this.fd, dataToWrite);
+            const documentBuffer = Buffer.allocUnsafe(dataSize);
+            this.writeDocument(documentBuffer, 0, dataBuffer, this.size, sequenceNumber);
+            fs.writeSync(this.compressed ? this.tailFd : this.fd, documentBuffer);
             if (typeof callback === 'function') process.nextTick(callback);
         } else {
-            this.writeBufferCursor += this.writeBuffer.write(dataToWrite, this.writeBufferCursor, dataSize, 'utf8');
+            this.writeBufferCursor += this.writeDocument(this.writeBuffer, this.writeBufferCursor, dataBuffer, this.size, sequenceNumber);
             this.writeBufferDocuments++;
             if (typeof callback === 'function') this.flushCallbacks.push(callback);
             if (this.maxWriteBufferDocuments > 0 && this.writeBufferDocuments >= this.maxWriteBufferDocuments) {
@@ -248,11 +551,206 @@ class Partition {
         }
         const dataPosition = this.size;
         this.size += dataSize;
+        if (this.compressed && this.writeBufferCursor === 0 && this.size - this.tailPosition >= this.blockSize) {
+            this.compressTail();
+        }
         return dataPosition;
     }
 
+    /**
+     * Open the tail file of a compressed partition, which contains the flushed documents after the last block, and add
+     * its documents to the partition size. A tail that starts before the end of the blocks was already compressed into
+     * the last block before the tail could be discarded, e.g. because the process crashed, so it is discarded now.
+     *
+     * @private
+     * @throws {CorruptFileError} if the tail file header is invalid.
+     * @throws {CorruptFileError} if the tail starts after the end of the blocks.
+     */
+    openTail() {
+        const blocksEnd = this.size;
+        this.tailPosition = blocksEnd;
+        if (!this.tailFd) {
+            if (this.readOnly && !fs.existsSync(this.tailFileName)) {
+                return;
+            }
+            this.tailFd = fs.openSync(this.tailFileName, this.readOnly ? 'r' : 'a+');
+        }
+        const tailSize = fs.fstatSync(this.tailFd).size;
+        const position = tailSize < TAIL_HEADER_SIZE ? -1 : this.readTailPosition();
+        if (position < 0 || position < blocksEnd) {
+            if (!this.readOnly) {
+                this.resetTail(blocksEnd);
+            }
+            return;
+        }
+        if (position > blocksEnd) {
+            // A reader sees the new tail before the block that the writer compressed the old tail into
+            if (this.readOnly) {
+                return;
+            }
+            throw new CorruptFileError(`The tail of partition ${this.name} starts at position ${position}, but the blocks end at ${blocksEnd}.`);
+        }
+        this.size = blocksEnd + tailSize - TAIL_HEADER_SIZE;
+    }
+
+    /**
+     * Read the position of the first document in the tail file from its header.
+     *
+     * @private
+     * @returns {number} The position or -1 if the tail file is empty.
+     * @throws {CorruptFileError} if the tail file header is invalid.
+     */
+    readTailPosition() {
+        const headerBuffer = Buffer.allocUnsafe(TAIL_HEADER_SIZE);
+        if (fs.readSync(this.tailFd, headerBuffer, 0, TAIL_HEADER_SIZE, 0) < TAIL_HEADER_SIZE) {
+            return -1;
+        }
+        const header = headerBuffer.toString('utf8', 0, TAIL_POSITION_SIZE);
+        if (!/^ *[0-9]+$/.test(header)) {
+            throw new CorruptFileError(`Invalid tail header in partition ${this.name}.`);
+        }
+        return parseInt(header, 10);
+    }
+
+    /**
+     * Discard all documents in the tail file and let it start at the given position.
+     *
+     * @private
+     * @param {number} position The position of the next document that will be written to the tail.
+     * @param {Buffer} [documents] The framed documents to start the tail with.
+     */
+    resetTail(position, documents) {
+        fs.ftruncateSync(this.tailFd, 0);
+        const header = Buffer.from(pad(position.toString(), TAIL_POSITION_SIZE) + "\n", 'utf8');
+        fs.writeSync(this.tailFd, documents ? Buffer.concat([header, documents]) : header);
+        this.tailPosition = position;
+    }
+
+    /**
+     * Compress all flushed documents in the tail file into a new block and start an empty tail after it.
+     * The block is synced to disk before the tail is discarded, so a crash in between leaves the documents in the block.
+     *
+     * @private
+     */
+    compressTail() {
+        const length = this.size - this.writeBufferCursor - this.tailPosition;
+        if (length <= 0) {
+            return;
+        }
+        const buffer = Buffer.allocUnsafe(length);
+        fs.readSync(this.tailFd, buffer, 0, length, TAIL_HEADER_SIZE);
+        this.writeBlock(buffer, length, this.tailPosition);
+        fs.fsyncSync(this.fd);
+        this.resetTail(this.tailPosition + length);
+        this.readBufferPos = -1;
+        this.readBufferLength = 0;
+    }
+
+    /**
+     * Compress the given documents into a new block and append it to the file.
+     *
+     * @private
+     * @param {Buffer} buffer The buffer containing the framed documents.
+     * @param {number} length The amount of bytes of the buffer to write.
+     * @param {number} position The document position of the first document in the buffer.
+     */
+    writeBlock(buffer, length, position) {
+        const compressed = this.codec.compress(buffer.slice(0, length));
+        const header = pad(compressed.byteLength.toString(), BLOCK_LENGTH_SIZE) + pad(length.toString(), BLOCK_LENGTH_SIZE) +
+            pad(crc32(compressed).toString(16), DOCUMENT_CHECKSUM_SIZE, '0');
+        fs.writeSync(this.fd, Buffer.concat([Buffer.from(header, 'utf8'), compressed]));
+        this.blocks.push({ position, size: length, offset: this.compressedSize, compressedSize: compressed.byteLength });
+        this.compressedSize += BLOCK_HEADER_SIZE + compressed.byteLength;
+    }
+
+    /**
+     * Add all complete blocks after the last known block to the block index. An incomplete block at the end of the file,
+     * e.g. from a write that was interrupted by a crash, is cut off unless the partition is opened read-only.
+     *
+     * @private
+     * @returns {number} The document size of all blocks.
+     * @throws {CorruptFileError} if a block header is invalid.
+     */
+    scanBlocks() {
+        const fileSize = fs.fstatSync(this.fd).size - this.headerSize;
+        const headerBuffer = Buffer.allocUnsafe(BLOCK_HEADER_SIZE);
+        const lastBlock = this.blocks[this.blocks.length - 1];
+        let position = lastBlock ? lastBlock.position + lastBlock.size : 0;
+        while (this.compressedSize + BLOCK_HEADER_SIZE <= fileSize) {
+            fs.readSync(this.fd, headerBuffer, 0, BLOCK_HEADER_SIZE, this.headerSize + this.compressedSize);
+            const header = headerBuffer.toString('utf8');
+            if (!/^ *[0-9]+ *[0-9]+[0-9a-f]+$/.test(header)) {
+                throw new CorruptFileError(`Invalid block header at offset ${this.compressedSize} in partition ${this.name}.`);
+            }
+            const compressedSize = parseInt(header.substr(0, BLOCK_LENGTH_SIZE), 10);
+            const size = parseInt(header.substr(BLOCK_LENGTH_SIZE, BLOCK_LENGTH_SIZE), 10);
+            if (this.compressedSize + BLOCK_HEADER_SIZE + compressedSize > fileSize) {
+                break;
+            }
+            this.blocks.push({ position, size, offset: this.compressedSize, compressedSize });
+            this.compressedSize += BLOCK_HEADER_SIZE + compressedSize;
+            position += size;
+        }
+        if (!this.readOnly && fileSize > this.compressedSize) {
+            fs.truncateSync(this.fileName, this.headerSize + this.compressedSize);
+        }
+        return position;
+    }
+
+    /**
+     * Find the block that contains the document at the given position with a binary search in the block index.
+     *
+     * @private
+     * @param {number} position The document position.
+     * @returns {number} The index of the block in the block index or -1 if no block contains the position.
+     */
+    findBlock(position) {
+        let low = 0, high = this.blocks.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const block = this.blocks[mid];
+            if (position < block.position) {
+                high = mid - 1;
+            } else if (position >= block.position + block.size) {
+                low = mid + 1;
+            } else {
+                return mid;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Read and decompress the given block.
+     *
+     * @private
+     * @param {{position: number, size: number, offset: number, compressedSize: number}} block The block from the block index.
+     * @returns {Buffer} The uncompressed documents of the block.
+     * @throws {CorruptFileError} if the block checksum does not match or the block can not be decompressed.
+     */
+    readBlock(block) {
+        const buffer = Buffer.allocUnsafe(BLOCK_HEADER_SIZE + block.compressedSize);
+        fs.readSync(this.fd, buffer, 0, buffer.byteLength, this.headerSize + block.offset);
+        const checksumStr = buffer.toString('utf8', 2 * BLOCK_LENGTH_SIZE, BLOCK_HEADER_SIZE);
+        if (parseInt(checksumStr, 16) !== crc32(buffer, BLOCK_HEADER_SIZE)) {
+            throw new CorruptFileError(`Invalid checksum for block at position ${block.position}.`);
+        }
+        let data;
+        try {
+            data = this.codec.decompress(buffer.slice(BLOCK_HEADER_SIZE));
+        } catch (e) {
+            throw new CorruptFileError(`Block at position ${block.position} can not be decompressed.`);
+        }
+        if (data.byteLength !== block.size) {
+            throw new CorruptFileError(`Invalid size of block at position ${block.position}.`);
+        }
+        return data;
+    }
+
     /**
      * Fill the internal read buffer starting from the given position.
+     * For compressed partitions, the read buffer contains the whole decompressed block with the given position instead,
+     * so it is only decompressed once for sequential reads.
      *
      * @private
      * @param {number} [from] The file position to start filling the read buffer from. Default 0.
@@ -261,10 +759,53 @@ class Partition {
         if (!this.fd) {
             return;
         }
+        if (this.compressed) {
+            if (from >= this.tailPosition) {
+                this.fillTailBuffer(from);
+                return;
+            }
+            const blockIndex = this.findBlock(from);
+            if (blockIndex < 0) {
+                this.readBufferPos = -1;
+                this.readBufferLength = 0;
+                return;
+            }
+            const block = this.blocks[blockIndex];
+            if (this.readBufferPos !== block.position || this.readBufferLength !== block.size) {
+                this.readBuffer = this.readBlock(block);
+                this.readBufferPos = block.position;
+                this.readBufferLength = block.size;
+            }
+            return;
+        }
         this.readBufferLength = fs.readSync(this.fd, this.readBuffer, 0, this.readBuffer.byteLength, this.headerSize + from);
         this.readBufferPos = from;
     }
 
+    /**
+     * Fill the internal read buffer with all flushed documents in the tail file starting from the given position.
+     *
+     * @private
+     * @param {number} from The file position to start filling the read buffer from.
+     */
+    fillTailBuffer(from) {
+        const length = this.size - this.writeBufferCursor - from;
+        if (!this.tailFd || length <= 0) {
+            this.readBufferPos = -1;
+            this.readBufferLength = 0;
+            return;
+        }
+        this.readBuffer = Buffer.allocUnsafe(length);
+        this.readBufferLength = fs.readSync(this.tailFd, this.readBuffer, 0, length, TAIL_HEADER_SIZE + from - this.tailPosition);
+        this.readBufferPos = from;
+        if (this.readOnly && this.readTailPosition() !== this.tailPosition) {
+            // The writer compressed the tail into a block while it was read
+            this.refresh();
+            this.readBufferPos = -1;
+            this.fillBuffer(from);
+        }
+    }
+
     /**
      * @private
      * @param {Buffer} buffer The buffer to read the data length from.
@@ -272,27 +813,138 @@ class Partition {
      * @param {number} position The file position to start reading from.
      * @param {number} [size] The expected byte size of the document at the given position.
      * @returns {number} The length of the document at the given position.
-     * @throws {Error} if the storage entry at the given position is corrupted.
+     * @throws {CorruptFileError} if the storage entry at the given position is corrupted.
      * @throws {InvalidDataSizeError} if the document size at the given position does not match the provided size.
      * @throws {CorruptFileError} if the document at the given position can not be read completely.
      */
     readDataLength(buffer, offset, position, size) {
-        const dataLengthStr = buffer.toString('utf8', offset, offset + 10);
+        const dataLengthStr = buffer.toString('utf8', offset, offset + DOCUMENT_LENGTH_SIZE);
         const dataLength = parseInt(dataLengthStr, 10);
         if (!dataLength || isNaN(dataLength) || !/^\s+[0-9]+$/.test(dataLengthStr)) {
-            throw new Error(`Error reading document size from ${position}, got ${dataLength}.`);
+            throw new CorruptFileError(`Error reading document size from ${position}, got ${dataLength}.`);
         }
         if (size && dataLength !== size) {
             throw new InvalidDataSizeError(`Invalid document size ${dataLength} at position ${position}, expected ${size}.`);
         }
 
-        if (position + dataLength + 11 > this.size) {
+        if (position + this.documentWriteSize(dataLength) > this.size) {
             throw new CorruptFileError(`Invalid document at position ${position}. This may be caused by an unfinished write.`);
         }
 
         return dataLength;
     }
 
+    /**
+     * Read the sequence number from the given document header.
+     *
+     * @private
+     * @param {Buffer} buffer The buffer containing the document header.
+     * @param {number} offset The position of the document header inside the buffer.
+     * @param {number} position The file position of the document.
+     * @returns {number} The sequence number of the document.
+     * @throws {CorruptFileError} if the header does not contain a valid sequence number.
+     */
+    readSequenceField(buffer, offset, position) {
+        const sequenceOffset = offset + DOCUMENT_LENGTH_SIZE;
+        const sequenceStr = buffer.toString('utf8', sequenceOffset, sequenceOffset + DOCUMENT_SEQUENCE_SIZE);
+        if (!/^\s*[0-9]+$/.test(sequenceStr)) {
+            throw new CorruptFileError(`Error reading sequence number from ${position}.`);
+        }
+        return parseInt(sequenceStr, 10);
+    }
+
+    /**
+     * Calculate the checksum of the document data, including the sequence number of sequenced documents.
+     *
+     * @private
+     * @param {Buffer} buffer The buffer containing the document header.
+     * @param {number} offset The position of the document header inside the buffer.
+     * @param {Buffer} dataBuffer The buffer containing the document data.
+     * @param {number} dataOffset The position of the document data inside the data buffer.
+     * @param {number} dataLength The length of the document data.
+     * @returns {number}
+     */
+    documentChecksum(buffer, offset, dataBuffer, dataOffset, dataLength) {
+        let previous = 0;
+        if (this.sequenced) {
+            const sequenceOffset = offset + DOCUMENT_LENGTH_SIZE;
+            previous = crc32(buffer, sequenceOffset, sequenceOffset + DOCUMENT_SEQUENCE_SIZE);
+        }
+        return crc32(dataBuffer, dataOffset, dataOffset + dataLength, previous);
+    }
+
+    /**
+     * Verify the checksum of the document data, if this partition stores checksums.
+     *
+     * @private
+     * @param {Buffer} buffer The buffer containing the document header.
+     * @param {number} offset The position of the document header inside the buffer.
+     * @param {Buffer} dataBuffer The buffer containing the document data.
+     * @param {number} dataOffset The position of the document data inside the data buffer.
+     * @param {number} dataLength The length of the document data.
+     * @param {number} position The file position of the document.
+     * @throws {CorruptFileError} if the checksum does not match the document data.
+     */
+    verifyChecksum(buffer, offset, dataBuffer, dataOffset, dataLength, position) {
+        if (!this.checksums) {
+            return;
+        }
+        const checksumOffset = offset + DOCUMENT_LENGTH_SIZE + (this.sequenced ? DOCUMENT_SEQUENCE_SIZE : 0);
+        const checksumStr = buffer.toString('utf8', checksumOffset, checksumOffset + DOCUMENT_CHECKSUM_SIZE);
+        if (!/^[0-9a-f]+$/.test(checksumStr) || parseInt(checksumStr, 16) !== this.documentChecksum(buffer, offset, dataBuffer, dataOffset, dataLength)) {
+            throw new CorruptFileError(`Invalid checksum for document at position ${position}.`);
+        }
+    }
+
+    /**
+     * Get the additional authenticated data of an encrypted document, which binds it to its position and length, as
+     * well as its sequence number if the partition is sequenced.
+     *
+     * @private
+     * @param {number} position The file position of the document.
+     * @param {number} dataLength The length of the document data.
+     * @param {number} sequenceNumber The sequence number of the document.
+     * @returns {Buffer}
+     */
+    documentAAD(position, dataLength, sequenceNumber) {
+        if (this.sequenced) {
+            return Buffer.from(position + ':' + dataLength + ':' + sequenceNumber, 'utf8');
+        }
+        return Buffer.from(position + ':' + dataLength, 'utf8');
+    }
+
+    /**
+     * Verify and decode the document data, by checking the checksum or decrypting it, depending on the file version.
+     *
+     * @private
+     * @param {Buffer} buffer The buffer containing the document header.
+     * @param {number} offset The position of the document header inside the buffer.
+     * @param {Buffer} dataBuffer The buffer containing the document data.
+     * @param {number} dataOffset The position of the document data inside the data buffer.
+     * @param {number} dataLength The length of the document data.
+     * @param {number} position The file position of the document.
+     * @returns {string} The document data.
+     * @throws {CorruptFileError} if the checksum does not match or the encrypted document can not be authenticated.
+     */
+    decodeData(buffer, offset, dataBuffer, dataOffset, dataLength, position) {
+        if (!this.encrypted) {
+            this.verifyChecksum(buffer, offset, dataBuffer, dataOffset, dataLength, position);
+            return dataBuffer.toString('utf8', dataOffset, dataOffset + dataLength);
+        }
+        const ivOffset = offset + DOCUMENT_LENGTH_SIZE + (this.sequenced ? DOCUMENT_SEQUENCE_SIZE : 0);
+        const tagOffset = ivOffset + DOCUMENT_IV_SIZE;
+        const sequenceNumber = this.sequenced ? this.readSequenceField(buffer, offset, position) : 0;
+        const decipher = crypto.createDecipheriv(ENCRYPTION_CIPHER, this.encryptionKey, buffer.slice(ivOffset, tagOffset));
+        decipher.setAAD(this.documentAAD(position, dataLength, sequenceNumber));
+        decipher.setAuthTag(buffer.slice(tagOffset, tagOffset + DOCUMENT_TAG_SIZE));
+        try {
+            const data = decipher.update(dataBuffer.slice(dataOffset, dataOffset + dataLength));
+            return Buffer.concat([data, decipher.final()]).toString('utf8');
+        } catch (e) {
+            throw new CorruptFileError(`Document at position ${position} can not be authenticated. It was modified or the encryption key is wrong.`);
+        }
+    }
+
     /**
      * Prepare the read buffer for reading from the specified position.
      *
@@ -313,9 +965,9 @@ class Partition {
         }
 
         let bufferCursor = position - bufferPos;
-        if (bufferPos < 0 || bufferCursor < 0 || bufferCursor + 10 > bufferLength) {
+        if (bufferPos < 0 || bufferCursor < 0 || bufferCursor + this.documentHeaderSize > bufferLength) {
             this.fillBuffer(position);
-            bufferCursor = 0;
+            bufferCursor = position - this.readBufferPos;
             buffer = this.readBuffer;
             bufferLength = this.readBufferLength;
         }
@@ -329,7 +981,7 @@ class Partition {
      * @param {number} position The file position to read from.
      * @param {number} [size] The expected byte size of the document at the given position.
      * @returns {string|boolean} The data stored at the given position or false if no data could be read.
-     * @throws {Error} if the storage entry at the given position is corrupted.
+     * @throws {CorruptFileError} if the storage entry at the given position is corrupted.
      * @throws {InvalidDataSizeError} if the document size at the given position does not match the provided size.
      * @throws {CorruptFileError} if the document at the given position can not be read completely.
      */
@@ -337,31 +989,122 @@ class Partition {
         if (!this.fd) {
             return false;
         }
-        if (position + 10 >= this.size) {
+        if (this.readOnly && position + this.documentWriteSize(size) > this.size) {
+            // The document may have been written by another process since the size was last checked
+            this.refresh();
+        }
+        if (position + this.documentHeaderSize >= this.size) {
             return false;
         }
         const reader = this.prepareReadBuffer(position);
 
-        if (reader.length < size + 10) {
+        if (reader.length < size + this.documentHeaderSize) {
             return false;
         }
 
-        let dataPosition = reader.cursor + 10;
+        let dataPosition = reader.cursor + this.documentHeaderSize;
         const dataLength = this.readDataLength(reader.buffer, reader.cursor, position, size);
 
-        if (dataLength + 10 > reader.buffer.byteLength) {
+        if (!this.compressed && dataLength + this.documentHeaderSize > reader.buffer.byteLength) {
             //console.log('sync read for large document size', dataLength, 'at position', position);
             const tempReadBuffer = Buffer.allocUnsafe(dataLength);
-            fs.readSync(this.fd, tempReadBuffer, 0, dataLength, this.headerSize + position + 10);
-            return tempReadBuffer.toString('utf8');
+            fs.readSync(this.fd, tempReadBuffer, 0, dataLength, this.headerSize + position + this.documentHeaderSize);
+            return this.decodeData(reader.buffer, reader.cursor, tempReadBuffer, 0, dataLength, position);
         }
 
-        if (reader.cursor > 0 && dataPosition + dataLength > reader.length) {
+        if (dataPosition + dataLength > reader.length) {
             this.fillBuffer(position);
-            dataPosition = 10;
+            reader.buffer = this.readBuffer;
+            reader.cursor = position - this.readBufferPos;
+            dataPosition = reader.cursor + this.documentHeaderSize;
+            if (dataPosition + dataLength > this.readBufferLength) {
+                // The document is not completely flushed to disk yet
+                return false;
+            }
+        }
+
+        return this.decodeData(reader.buffer, reader.cursor, reader.buffer, dataPosition, dataLength, position);
+    }
+
+    /**
+     * Read the sequence number that was written with the document at the given position.
+     * This does not verify the document itself, so it should only be trusted after the document was read.
+     *
+     * @api
+     * @param {number} position The file position of the document.
+     * @returns {number|boolean} The sequence number, 0 if the partition is not sequenced or false if no document could be read.
+     * @throws {CorruptFileError} if the document header at the given position is corrupted.
+     */
+    readSequenceNumber(position) {
+        if (!this.fd) {
+            return false;
+        }
+        if (this.readOnly && position + this.documentHeaderSize >= this.size) {
+            this.refresh();
+        }
+        if (position + this.documentHeaderSize >= this.size) {
+            return false;
+        }
+        if (!this.sequenced) {
+            return 0;
+        }
+        const reader = this.prepareReadBuffer(position);
+        if (reader.cursor + this.documentHeaderSize > reader.length) {
+            return false;
+        }
+        return this.readSequenceField(reader.buffer, reader.cursor, position);
+    }
+
+    /**
+     * Read the data from the given position without blocking the event loop.
+     * Documents that are still in the write buffer are read from memory.
+     *
+     * @api
+     * @param {number} position The file position to read from.
+     * @param {number} [size] The expected byte size of the document at the given position.
+     * @returns {Promise<string|boolean>} A promise that resolves with the data stored at the given position or false if no data could be read.
+     * Rejects with the same errors as `readFrom()`.
+     */
+    readFromAsync(position, size = 0) {
+        if (!this.fd) {
+            return Promise.resolve(false);
+        }
+        if (this.readOnly && position + this.documentWriteSize(size) > this.size) {
+            this.refresh();
+        }
+        if (position + this.documentHeaderSize >= this.size) {
+            return Promise.resolve(false);
+        }
+        if (this.compressed || position >= this.size - this.writeBufferCursor) {
+            // Compressed blocks are decompressed synchronously anyway
+            return new Promise(resolve => resolve(this.readFrom(position, size)));
         }
 
-        return reader.buffer.toString('utf8', dataPosition, dataPosition + dataLength);
+        // If the size is known, the document header and data can be read at once
+        const buffer = Buffer.allocUnsafe(this.documentHeaderSize + size);
+        return readAsync(this.fd, buffer, this.headerSize + position).then(bytesRead => {
+            if (bytesRead < this.documentHeaderSize) {
+                return false;
+            }
+            const dataLength = this.readDataLength(buffer, 0, position, size);
+            if (bytesRead >= this.documentHeaderSize + dataLength) {
+                return buffer;
+            }
+            const dataBuffer = Buffer.allocUnsafe(dataLength);
+            return readAsync(this.fd, dataBuffer, this.headerSize + position + this.documentHeaderSize).then(dataBytesRead => {
+                if (dataBytesRead < dataLength) {
+                    throw new CorruptFileError(`Invalid document at position ${position}. This may be caused by an unfinished write.`);
+                }
+                return dataBuffer;
+            });
+        }).then(dataBuffer => {
+            if (dataBuffer === false) {
+                return false;
+            }
+            const dataOffset = dataBuffer === buffer ? this.documentHeaderSize : 0;
+            const dataLength = dataBuffer.byteLength - dataOffset;
+            return this.decodeData(buffer, 0, dataBuffer, dataOffset, dataLength, position);
+        });
     }
 
     /**
@@ -373,18 +1116,21 @@ class Partition {
         let data;
         while ((data = this.readFrom(position)) !== false) {
             yield data;
-            position += Buffer.byteLength(data, 'utf8') + 11;
+            position += this.documentWriteSize(Buffer.byteLength(data, 'utf8'));
         }
     }
 
     /**
      * Truncate the partition storage at the given position.
+     * All truncated documents are copied to a `.branch` file next to the partition.
      *
      * @param {number} after The file position after which to truncate the partition.
+     * @returns {number} The amount of documents that were truncated.
      */
     truncate(after) {
+        this.assertWritable();
         if (after > this.size) {
-            return;
+            return 0;
         }
         if (after < 0) {
             after = 0;
@@ -398,17 +1144,94 @@ class Partition {
             throw new Error('Can only truncate on valid document boundaries.');
         }
         // copy all truncated documents to some delete log
-        const deletedBranch = new Partition(this.name + '-' + after + '.branch', { dataDirectory: this.dataDirectory });
+        const deletedBranch = new Partition(this.name + '-' + after + '.branch', {
+            dataDirectory: this.dataDirectory,
+            encryptionKey: this.encryptionKey,
+            sequenceNumbers: this.sequenced
+        });
         deletedBranch.open();
+        let truncated = 0;
         while (data) {
-            deletedBranch.write(data);
-            position += Buffer.byteLength(data, 'utf8') + 11;
+            deletedBranch.write(data, this.readSequenceNumber(position));
+            truncated++;
+            position += this.documentWriteSize(Buffer.byteLength(data, 'utf8'));
             data = this.readFrom(position);
         }
         deletedBranch.close();
 
-        fs.truncateSync(this.fileName, this.headerSize + after);
+        this.truncateFile(after);
+        return truncated;
+    }
+
+    /**
+     * Check all documents starting from the given position and cut off an incomplete or corrupt document at the end of
+     * the partition, e.g. from a write that was interrupted by a crash. Everything after the last valid document is
+     * considered torn and removed, so only use this for recovery.
+     *
+     * @api
+     * @param {number} [from] The file position of a valid document to start checking from. Default 0.
+     * @returns {number} The amount of bytes that were cut off.
+     */
+    repairTail(from = 0) {
+        this.assertWritable();
+        this.flush();
+
+        let position = from, data;
+        for (;;) {
+            try {
+                data = this.readFrom(position);
+            } catch (e) {
+                break;
+            }
+            if (data === false) {
+                break;
+            }
+            position += this.documentWriteSize(Buffer.byteLength(data, 'utf8'));
+        }
+
+        const tornBytes = this.size - position;
+        if (tornBytes > 0) {
+            this.truncateFile(position);
+        }
+        return tornBytes;
+    }
+
+    /**
+     * @private
+     * @throws {Error} if the partition is opened read-only.
+     */
+    assertWritable() {
+        if (this.readOnly) {
+            throw new Error(`Partition ${this.name} is opened read-only.`);
+        }
+    }
+
+    /**
+     * Truncate the partition file at the given position and invalidate the read buffer.
+     * For compressed partitions, the documents before the position in the block containing it are moved to the tail.
+     * The tail is synced before the block is cut off and is discarded on open as long as the blocks end after its start,
+     * so a crash in between never loses documents before the position.
+     *
+     * @private
+     * @param {number} after The file position after which to truncate the file.
+     */
+    truncateFile(after) {
+        if (this.compressed && after >= this.tailPosition) {
+            fs.ftruncateSync(this.tailFd, TAIL_HEADER_SIZE + after - this.tailPosition);
+        } else if (this.compressed) {
+            const blockIndex = this.findBlock(after);
+            const block = this.blocks[blockIndex];
+            this.resetTail(block.position, this.readBlock(block).slice(0, after - block.position));
+            fs.fsyncSync(this.tailFd);
+            fs.truncateSync(this.fileName, this.headerSize + block.offset);
+            this.blocks.length = blockIndex;
+            this.compressedSize = block.offset;
+        } else {
+            fs.truncateSync(this.fileName, this.headerSize + after);
+        }
         this.size = after;
+        this.readBufferPos = -1;
+        this.readBufferLength = 0;
     }
 }
 
@@ -0,0 +1,336 @@
+/**
+ * A small validator for a subset of JSON Schema, which is sufficient to describe the structure of event payloads
+ * without depending on any external library or fetching remote schemas.
+ *
+ * Supported keywords are
+ *
+ *  - `type` with one or an array of `'object'`, `'array'`, `'string'`, `'number'`, `'integer'`, `'boolean'` and `'null'`,
+ *  - `enum` and `const`,
+ *  - `properties`, `required`, `additionalProperties`, `minProperties` and `maxProperties` for objects,
+ *  - `items`, `minItems`, `maxItems` and `uniqueItems` for arrays,
+ *  - `minLength`, `maxLength` and `pattern` for strings,
+ *  - `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum` and `multipleOf` for numbers and
+ *  - `allOf`, `anyOf`, `oneOf` and `not` to combine schemas.
+ *
+ * Annotations like `title` or `description` are ignored, while any other keyword is rejected, so a schema never
+ * silently checks less than it seems to. References with `$ref` are not supported.
+ *
+ * Example: `{ type: 'object', properties: { type: { const: 'OrderPlaced' }, amount: { type: 'number', minimum: 0 } }, required: ['amount'] }`
+ */
+
+class InvalidSchemaError extends Error {}
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+const ANNOTATIONS = ['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples', 'format'];
+const NON_NEGATIVE_INTEGER_KEYWORDS = ['minProperties', 'maxProperties', 'minItems', 'maxItems', 'minLength', 'maxLength'];
+const NUMBER_KEYWORDS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'];
+const SCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf'];
+const KEYWORDS = ['type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items', 'uniqueItems', 'pattern', 'not']
+    .concat(NON_NEGATIVE_INTEGER_KEYWORDS, NUMBER_KEYWORDS, SCHEMA_LIST_KEYWORDS);
+
+const patternCache = new Map();
+
+/**
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function toRegExp(pattern) {
+    if (!patternCache.has(pattern)) {
+        patternCache.set(pattern, new RegExp(pattern, 'u'));
+    }
+    return patternCache.get(pattern);
+}
+
+/**
+ * @param {*} value
+ * @returns {string} The JSON Schema type name of the value.
+ */
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (value instanceof Array) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+/**
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean} True if both values are deeply equal JSON values.
+ */
+function equal(a, b) {
+    if (a === b) {
+        return true;
+    }
+    const type = typeOf(a);
+    if (type !== typeOf(b) || (type !== 'array' && type !== 'object')) {
+        return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && equal(a[key], b[key]));
+}
+
+/**
+ * @param {string} path
+ * @param {string} property
+ * @returns {string} The path of the property.
+ */
+function propertyPath(path, property) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(property) ? `${path}.${property}` : `${path}[${JSON.stringify(property)}]`;
+}
+
+/**
+ * @param {*} value The value to check.
+ * @param {Object|boolean} schema The schema the value needs to fulfill.
+ * @param {string} path The path of the value, for error messages.
+ * @param {Array<string>} errors The list to add the errors to.
+ */
+function checkValue(value, schema, path, errors) {
+    if (schema === true) {
+        return;
+    }
+    if (schema === false) {
+        errors.push(`${path} is not allowed.`);
+        return;
+    }
+    const type = typeOf(value);
+    if ('type' in schema) {
+        const types = schema.type instanceof Array ? schema.type : [schema.type];
+        if (!types.some(expected => expected === type || (expected === 'number' && type === 'integer'))) {
+            errors.push(`${path} must be of type ${types.join(' or ')}.`);
+            return;
+        }
+    }
+    if ('const' in schema && !equal(value, schema.const)) {
+        errors.push(`${path} must be ${JSON.stringify(schema.const)}.`);
+    }
+    if ('enum' in schema && !schema.enum.some(allowed => equal(value, allowed))) {
+        errors.push(`${path} must be one of ${schema.enum.map(allowed => JSON.stringify(allowed)).join(', ')}.`);
+    }
+
+    if (type === 'object') {
+        checkObject(value, schema, path, errors);
+    } else if (type === 'array') {
+        checkArray(value, schema, path, errors);
+    } else if (type === 'string') {
+        checkString(value, schema, path, errors);
+    } else if (type === 'number' || type === 'integer') {
+        checkNumber(value, schema, path, errors);
+    }
+
+    if ('allOf' in schema) {
+        schema.allOf.forEach(subSchema => checkValue(value, subSchema, path, errors));
+    }
+    if ('anyOf' in schema && !schema.anyOf.some(subSchema => check(value, subSchema, path).length === 0)) {
+        errors.push(`${path} must match any of the schemas.`);
+    }
+    if ('oneOf' in schema && schema.oneOf.filter(subSchema => check(value, subSchema, path).length === 0).length !== 1) {
+        errors.push(`${path} must match exactly one of the schemas.`);
+    }
+    if ('not' in schema && check(value, schema.not, path).length === 0) {
+        errors.push(`${path} must not match the schema.`);
+    }
+}
+
+/**
+ * @param {Object} value
+ * @param {Object} schema
+ * @param {string} path
+ * @param {Array<string>} errors
+ */
+function checkObject(value, schema, path, errors) {
+    const keys = Object.keys(value);
+    for (let property of schema.required || []) {
+        if (!Object.prototype.hasOwnProperty.call(value, property) || value[property] === undefined) {
+            errors.push(`${propertyPath(path, property)} is required.`);
+        }
+    }
+    const properties = schema.properties || {};
+    for (let property of keys) {
+        if (value[property] === undefined) continue;
+        if (Object.prototype.hasOwnProperty.call(properties, property)) {
+            checkValue(value[property], properties[property], propertyPath(path, property), errors);
+        } else if ('additionalProperties' in schema) {
+            checkValue(value[property], schema.additionalProperties, propertyPath(path, property), errors);
+        }
+    }
+    if ('minProperties' in schema && keys.length < schema.minProperties) {
+        errors.push(`${path} must have at least ${schema.minProperties} properties.`);
+    }
+    if ('maxProperties' in schema && keys.length > schema.maxProperties) {
+        errors.push(`${path} must have at most ${schema.maxProperties} properties.`);
+    }
+}
+
+/**
+ * @param {Array} value
+ * @param {Object} schema
+ * @param {string} path
+ * @param {Array<string>} errors
+ */
+function checkArray(value, schema, path, errors) {
+    if ('items' in schema) {
+        value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, errors));
+    }
+    if ('minItems' in schema && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} items.`);
+    }
+    if ('maxItems' in schema && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items.`);
+    }
+    if (schema.uniqueItems === true && value.some((item, index) => value.findIndex(other => equal(item, other)) !== index)) {
+        errors.push(`${path} must have unique items.`);
+    }
+}
+
+/**
+ * @param {string} value
+ * @param {Object} schema
+ * @param {string} path
+ * @param {Array<string>} errors
+ */
+function checkString(value, schema, path, errors) {
+    // The length is measured in unicode code points, not in UTF-16 code units
+    const length = Array.from(value).length;
+    if ('minLength' in schema && length < schema.minLength) {
+        errors.push(`${path} must have at least ${schema.minLength} characters.`);
+    }
+    if ('maxLength' in schema && length > schema.maxLength) {
+        errors.push(`${path} must have at most ${schema.maxLength} characters.`);
+    }
+    if ('pattern' in schema && !toRegExp(schema.pattern).test(value)) {
+        errors.push(`${path} must match the pattern ${JSON.stringify(schema.pattern)}.`);
+    }
+}
+
+/**
+ * @param {number} value
+ * @param {Object} schema
+ * @param {string} path
+ * @param {Array<string>} errors
+ */
+function checkNumber(value, schema, path, errors) {
+    if ('minimum' in schema && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}.`);
+    }
+    if ('maximum' in schema && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}.`);
+    }
+    if ('exclusiveMinimum' in schema && value <= schema.exclusiveMinimum) {
+        errors.push(`${path} must be greater than ${schema.exclusiveMinimum}.`);
+    }
+    if ('exclusiveMaximum' in schema && value >= schema.exclusiveMaximum) {
+        errors.push(`${path} must be less than ${schema.exclusiveMaximum}.`);
+    }
+    if ('multipleOf' in schema) {
+        // Allow for rounding errors of decimal fractions like 0.3 / 0.1
+        const quotient = value / schema.multipleOf;
+        if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+            errors.push(`${path} must be a multiple of ${schema.multipleOf}.`);
+        }
+    }
+}
+
+/**
+ * Check the given value against the schema.
+ *
+ * @api
+ * @param {*} value The value to check.
+ * @param {Object|boolean} schema The JSON schema, which should have been validated with `validate()` before.
+ * @param {string} [path] The name of the value in error messages. Default 'value'.
+ * @returns {Array<string>} The list of errors, which is empty if the value is valid.
+ */
+function check(value, schema, path = 'value') {
+    const errors = [];
+    checkValue(value, schema, path, errors);
+    return errors;
+}
+
+/**
+ * @param {string} path The path of the schema, for error messages.
+ * @param {*} schema The schema to validate.
+ * @throws {InvalidSchemaError}
+ */
+function validateSchema(path, schema) {
+    if (typeof schema === 'boolean') {
+        return;
+    }
+    if (schema === null || typeof schema !== 'object' || schema instanceof Array) {
+        throw new InvalidSchemaError(`Schema at "${path}" must be an object or boolean.`);
+    }
+    for (let keyword of Object.keys(schema)) {
+        const value = schema[keyword];
+        if (ANNOTATIONS.indexOf(keyword) >= 0) {
+            continue;
+        }
+        if (KEYWORDS.indexOf(keyword) < 0) {
+            throw new InvalidSchemaError(`Unsupported schema keyword "${keyword}" at "${path}".`);
+        }
+        if (keyword === 'type') {
+            const types = value instanceof Array ? value : [value];
+            if (types.length === 0 || types.some(type => TYPES.indexOf(type) < 0)) {
+                throw new InvalidSchemaError(`Invalid type at "${path}", use one of ${TYPES.join(', ')}.`);
+            }
+        }
+        if (keyword === 'enum' && (!(value instanceof Array) || value.length === 0)) {
+            throw new InvalidSchemaError(`Keyword "enum" at "${path}" needs a non-empty array.`);
+        }
+        if (keyword === 'required' && (!(value instanceof Array) || value.some(property => typeof property !== 'string'))) {
+            throw new InvalidSchemaError(`Keyword "required" at "${path}" needs an array of property names.`);
+        }
+        if (keyword === 'properties') {
+            if (value === null || typeof value !== 'object' || value instanceof Array) {
+                throw new InvalidSchemaError(`Keyword "properties" at "${path}" needs an object of schemas.`);
+            }
+            Object.keys(value).forEach(property => validateSchema(`${path}.properties.${property}`, value[property]));
+        }
+        if (keyword === 'additionalProperties' || keyword === 'items' || keyword === 'not') {
+            validateSchema(`${path}.${keyword}`, value);
+        }
+        if (SCHEMA_LIST_KEYWORDS.indexOf(keyword) >= 0) {
+            if (!(value instanceof Array) || value.length === 0) {
+                throw new InvalidSchemaError(`Keyword "${keyword}" at "${path}" needs a non-empty array of schemas.`);
+            }
+            value.forEach((subSchema, index) => validateSchema(`${path}.${keyword}[${index}]`, subSchema));
+        }
+        if (NON_NEGATIVE_INTEGER_KEYWORDS.indexOf(keyword) >= 0 && !(Number.isInteger(value) && value >= 0)) {
+            throw new InvalidSchemaError(`Keyword "${keyword}" at "${path}" needs a non-negative integer.`);
+        }
+        if (NUMBER_KEYWORDS.indexOf(keyword) >= 0 && (typeof value !== 'number' || !isFinite(value) || (keyword === 'multipleOf' && value <= 0))) {
+            throw new InvalidSchemaError(`Keyword "${keyword}" at "${path}" needs a ${keyword === 'multipleOf' ? 'positive ' : ''}number.`);
+        }
+        if (keyword === 'uniqueItems' && typeof value !== 'boolean') {
+            throw new InvalidSchemaError(`Keyword "uniqueItems" at "${path}" needs a boolean.`);
+        }
+        if (keyword === 'pattern') {
+            if (typeof value !== 'string') {
+                throw new InvalidSchemaError(`Keyword "pattern" at "${path}" needs a string.`);
+            }
+            try {
+                toRegExp(value);
+            } catch (e) {
+                throw new InvalidSchemaError(`Invalid pattern at "${path}": ${e.message}`);
+            }
+        }
+    }
+}
+
+/**
+ * Validate the given schema.
+ *
+ * @api
+ * @param {Object|boolean} schema The JSON schema.
+ * @throws {InvalidSchemaError} if the schema is invalid or uses unsupported keywords.
+ */
+function validate(schema) {
+    validateSchema('#', schema);
+}
+
+module.exports.check = check;
+module.exports.validate = validate;
+module.exports.InvalidSchemaError = InvalidSchemaError;
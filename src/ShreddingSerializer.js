@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const KeyStore = require('./KeyStore');
+
+const CIPHER = 'aes-256-gcm';
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+// The value that is returned for encrypted fields of a subject whose key was deleted
+const SHREDDED = '[shredded]';
+
+/**
+ * @param {Object} document
+ * @param {Array<string>} path
+ * @returns {*} The value at the path or undefined if it does not exist.
+ */
+function getPath(document, path) {
+    let value = document;
+    for (let property of path) {
+        if (value === null || typeof value !== 'object' || !(property in value)) {
+            return undefined;
+        }
+        value = value[property];
+    }
+    return value;
+}
+
+/**
+ * Set the value at the path in a copy of the document. Only the objects along the path are copied.
+ *
+ * @param {Object} document
+ * @param {Array<string>} path
+ * @param {*} value
+ * @returns {Object} The copy of the document.
+ */
+function setPath(document, path, value) {
+    const copy = Object.assign({}, document);
+    const property = path[0];
+    copy[property] = path.length > 1 ? setPath(document[property], path.slice(1), value) : value;
+    return copy;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True if the value is an encrypted field value.
+ */
+function isEncrypted(value) {
+    return value !== null && typeof value === 'object' && typeof value.$encrypted === 'string' && typeof value.subject === 'string';
+}
+
+/**
+ * A serializer for crypto-shredding, which encrypts selected fields of every document with a key of the subject the
+ * document belongs to, e.g. the user whose personal data is contained. The key is kept in a separate `KeyStore`, so
+ * deleting the key of a subject with `forget()` makes all its encrypted fields unreadable without rewriting any
+ * document. Those fields are then deserialized as the `placeholder` value.
+ *
+ * Encrypted fields are stored as `{ $encrypted: <base64 of IV, auth tag and ciphertext>, subject: <subject> }` using
+ * AES-256-GCM with the subject as additional authenticated data. Since the fields are replaced before the wrapped
+ * serializer is called, it can still apply compression or any other transformation on top.
+ *
+ * Use it as the `serializer` option of the `Storage`, e.g. with `storageConfig` of the `EventStore`.
+ */
+class ShreddingSerializer {
+
+    /**
+     * @param {KeyStore} keyStore The key store that keeps the keys of all subjects.
+     * @param {Object} options An object with the serializer options.
+     * @param {function(Object): string} options.subject A function that receives a document and returns the subject it belongs to, or undefined if nothing should be encrypted.
+     * @param {Array<string>} options.fields The dotted paths of the document fields to encrypt, e.g. `'payload.email'`. Only append to this list, since fields are only decrypted at the configured paths.
+     * @param {Object} [options.serializer] The serializer to wrap. Default is JSON.
+     * @param {*} [options.placeholder] The value for encrypted fields whose key was deleted. Default '[shredded]'.
+     */
+    constructor(keyStore, options = {}) {
+        if (!(keyStore instanceof KeyStore)) {
+            throw new Error('Must provide a key store for the serializer.');
+        }
+        if (typeof options.subject !== 'function') {
+            throw new Error('Must specify a subject function for the serializer.');
+        }
+        if (!(options.fields instanceof Array) || options.fields.length === 0) {
+            throw new Error('Must specify the fields to encrypt.');
+        }
+        let defaults = {
+            serializer: { serialize: JSON.stringify, deserialize: JSON.parse },
+            placeholder: SHREDDED
+        };
+        options = Object.assign(defaults, options);
+        this.keyStore = keyStore;
+        this.subject = options.subject;
+        this.fields = options.fields.map(field => field.split('.'));
+        this.serializer = options.serializer;
+        this.placeholder = options.placeholder;
+    }
+
+    /**
+     * Encrypt the configured fields of the document and serialize it with the wrapped serializer.
+     * The document itself is not modified.
+     *
+     * @api
+     * @param {Object} document The document to serialize.
+     * @returns {string} The serialized document.
+     */
+    serialize(document) {
+        const subject = this.subject(document);
+        if (subject === undefined || subject === null) {
+            return this.serializer.serialize(document);
+        }
+        let key;
+        for (let field of this.fields) {
+            const value = getPath(document, field);
+            if (value === undefined) continue;
+            key = key || this.keyStore.ensureKey(subject);
+            document = setPath(document, field, this.encrypt(key, String(subject), value));
+        }
+        return this.serializer.serialize(document);
+    }
+
+    /**
+     * Deserialize the data with the wrapped serializer and decrypt the configured fields. Fields of subjects whose key
+     * was deleted are replaced by the placeholder.
+     *
+     * @api
+     * @param {string} data The serialized document.
+     * @returns {Object} The deserialized document.
+     * @throws {Error} if an encrypted field was tampered with.
+     */
+    deserialize(data) {
+        let document = this.serializer.deserialize(data);
+        for (let field of this.fields) {
+            const value = getPath(document, field);
+            if (!isEncrypted(value)) continue;
+            const key = this.keyStore.getKey(value.subject);
+            document = setPath(document, field, key ? this.decrypt(key, value) : this.placeholder);
+        }
+        return document;
+    }
+
+    /**
+     * @private
+     * @param {Buffer} key The key of the subject.
+     * @param {string} subject The subject the value belongs to.
+     * @param {*} value The value to encrypt. Must be serializable to JSON.
+     * @returns {{$encrypted: string, subject: string}} The encrypted field value.
+     */
+    encrypt(key, subject, value) {
+        const iv = crypto.randomBytes(IV_SIZE);
+        const cipher = crypto.createCipheriv(CIPHER, key, iv);
+        cipher.setAAD(Buffer.from(subject, 'utf8'));
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+        return { $encrypted: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64'), subject };
+    }
+
+    /**
+     * @private
+     * @param {Buffer} key The key of the subject.
+     * @param {{$encrypted: string, subject: string}} value The encrypted field value.
+     * @returns {*} The decrypted value.
+     * @throws {Error} if the value was tampered with.
+     */
+    decrypt(key, value) {
+        const encrypted = Buffer.from(value.$encrypted, 'base64');
+        const decipher = crypto.createDecipheriv(CIPHER, key, encrypted.slice(0, IV_SIZE));
+        decipher.setAAD(Buffer.from(value.subject, 'utf8'));
+        decipher.setAuthTag(encrypted.slice(IV_SIZE, IV_SIZE + TAG_SIZE));
+        let plaintext;
+        try {
+            plaintext = Buffer.concat([decipher.update(encrypted.slice(IV_SIZE + TAG_SIZE)), decipher.final()]);
+        } catch (e) {
+            throw new Error(`Encrypted field of subject "${value.subject}" can not be authenticated.`);
+        }
+        return JSON.parse(plaintext.toString('utf8'));
+    }
+
+}
+
+module.exports = ShreddingSerializer;
+module.exports.SHREDDED = SHREDDED;
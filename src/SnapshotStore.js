@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const mkdirpSync = require('mkdirp').sync;
+const Encryption = require('./Encryption');
+
+/**
+ * A snapshot store keeps the latest snapshot of the state built from an event stream, so the state can be restored
+ * without replaying the whole stream.
+ * Every snapshot is stored as a JSON file of its own next to, but separated from the event data. Since snapshots can
+ * always be rebuilt from the events, they can be deleted at any time.
+ * With an encryption key, every snapshot is encrypted and bound to its stream, so it can not be restored for another
+ * stream.
+ */
+class SnapshotStore {
+
+    /**
+     * @param {string} [name] The name of the store which will be used as file prefix. Default 'snapshots'.
+     * @param {Object} [options] An object with additional snapshot store options.
+     * @param {string} [options.dataDirectory] The directory to store the snapshot files in. Default '.'.
+     * @param {Buffer} [options.encryptionKey] A 32 byte key to encrypt the snapshots with AES-256-GCM.
+     */
+    constructor(name = 'snapshots', options = {}) {
+        if (typeof name !== 'string') {
+            options = name;
+            name = 'snapshots';
+        }
+        let defaults = {
+            dataDirectory: '.'
+        };
+        options = Object.assign(defaults, options);
+        this.name = name;
+        this.dataDirectory = path.resolve(options.dataDirectory);
+        this.snapshotKey = null;
+        if (options.encryptionKey) {
+            Encryption.assertValidKey(options.encryptionKey);
+            this.snapshotKey = Encryption.deriveKey(options.encryptionKey, 'snapshots');
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} streamName The name of the stream.
+     * @returns {string} The full path of the snapshot file for the stream.
+     */
+    fileName(streamName) {
+        return path.join(this.dataDirectory, this.name + '.' + streamName + '.snapshot');
+    }
+
+    /**
+     * Save a snapshot of the state for the given stream, replacing the previous snapshot of that stream.
+     * The file is replaced atomically, so a crash while saving never leaves a broken snapshot behind.
+     *
+     * @api
+     * @param {string} streamName The name of the stream the state was built from.
+     * @param {number} version The 0-based version of the last event that is contained in the state.
+     * @param {*} state The state to save. Must be serializable to JSON.
+     * @returns {boolean} True if the snapshot was saved or false if a snapshot of a later version already exists.
+     */
+    save(streamName, version, state) {
+        const latest = this.getLatest(streamName);
+        if (latest && latest.version > version) {
+            return false;
+        }
+        if (!fs.existsSync(this.dataDirectory)) {
+            mkdirpSync(this.dataDirectory);
+        }
+        const snapshot = { streamName, version, createdAt: Date.now(), state };
+        const fileName = this.fileName(streamName);
+        const data = JSON.stringify(snapshot);
+        fs.writeFileSync(fileName + '.tmp', this.snapshotKey ? Encryption.seal(this.snapshotKey, data, streamName) : data);
+        fs.renameSync(fileName + '.tmp', fileName);
+        return true;
+    }
+
+    /**
+     * Get the latest snapshot for the given stream.
+     *
+     * @api
+     * @param {string} streamName The name of the stream to get the snapshot for.
+     * @returns {{streamName: string, version: number, createdAt: number, state: *}|boolean} The snapshot or false if there is none.
+     * @throws {Error} if the snapshot file can not be parsed or decrypted.
+     */
+    getLatest(streamName) {
+        let data;
+        try {
+            data = fs.readFileSync(this.fileName(streamName));
+        } catch (e) {
+            if (e.code === 'ENOENT') {
+                return false;
+            }
+            /* istanbul ignore next */
+            throw e;
+        }
+        if (this.snapshotKey) {
+            try {
+                data = Encryption.unseal(this.snapshotKey, data, streamName);
+            } catch (e) {
+                throw new Error(`Snapshot file "${this.fileName(streamName)}" can not be decrypted. It was modified or the encryption key is wrong.`);
+            }
+        }
+        try {
+            return JSON.parse(data.toString('utf8'));
+        } catch (e) {
+            throw new Error(`Snapshot file "${this.fileName(streamName)}" is corrupt.`);
+        }
+    }
+
+    /**
+     * Delete the snapshot of the given stream. Will do nothing if there is no snapshot for the stream.
+     *
+     * @api
+     * @param {string} streamName The name of the stream to delete the snapshot for.
+     * @returns {boolean} True if a snapshot was deleted.
+     */
+    delete(streamName) {
+        const fileName = this.fileName(streamName);
+        if (!fs.existsSync(fileName)) {
+            return false;
+        }
+        fs.unlinkSync(fileName);
+        return true;
+    }
+
+    /**
+     * Delete the snapshots of all streams.
+     *
+     * @api
+     * @returns {number} The amount of deleted snapshots.
+     */
+    deleteAll() {
+        if (!fs.existsSync(this.dataDirectory)) {
+            return 0;
+        }
+        const prefix = this.name + '.';
+        let deleted = 0;
+        for (let file of fs.readdirSync(this.dataDirectory)) {
+            if (file.substr(0, prefix.length) !== prefix || file.substr(-9) !== '.snapshot') continue;
+            fs.unlinkSync(path.join(this.dataDirectory, file));
+            deleted++;
+        }
+        return deleted;
+    }
+
+}
+
+module.exports = SnapshotStore;
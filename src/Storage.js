@@ -5,13 +5,142 @@ const path = require('path');
 const EventEmitter = require('events');
 const Partition = require('./Partition');
 const Index = require('./Index');
+const KeyIndex = require('./KeyIndex');
+const TimeIndex = require('./TimeIndex');
+const Matcher = require('./Matcher');
 
 const DEFAULT_READ_BUFFER_SIZE = 4 * 1024;
 const DEFAULT_WRITE_BUFFER_SIZE = 16 * 1024;
+// How many documents lie between two entries of the time index by default
+const DEFAULT_TIME_INDEX_INTERVAL = 64;
+// After how many documents the progress of indexing existing documents is flushed, so a crash does not start over
+const CATCH_UP_FLUSH_INTERVAL = 1000;
+
+class StorageLockedError extends Error {}
+
+// Lock files held by storages of this process, since the PID in the lock file can not tell them apart
+const lockedFiles = new Set();
+
+/**
+ * Check if a process with the given PID is currently running.
+ *
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        // EPERM means the process exists, but belongs to another user
+        return e.code === 'EPERM';
+    }
+}
+
+/**
+ * @param {string} fileName
+ * @returns {number} The inode of the file or -1 if it does not exist.
+ */
+function inodeOf(fileName) {
+    try {
+        return fs.statSync(fileName).ino;
+    } catch (e) {
+        return -1;
+    }
+}
+
+/**
+ * Check if the given index entry is a tombstone of a document that was removed by a compaction.
+ *
+ * @param {Index.Entry} entry
+ * @returns {boolean}
+ */
+function isTombstone(entry) {
+    return entry.size === 0;
+}
+
+/**
+ * @param {Object} document
+ * @param {string} keyPath A property name or dotted path.
+ * @returns {*} The value at the path or undefined if it does not exist.
+ */
+function resolveKey(document, keyPath) {
+    let value = document;
+    for (let property of keyPath.split('.')) {
+        if (value === null || typeof value !== 'object' || !(property in value)) {
+            return undefined;
+        }
+        value = value[property];
+    }
+    return value;
+}
+
+/**
+ * Make sure that the contents of the given file are written to disk.
+ *
+ * @param {string} fileName
+ */
+function fsyncFile(fileName) {
+    const fd = fs.openSync(fileName, 'r');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+}
+
+/**
+ * Move the item at the given heap position down until both of its children have a higher number.
+ *
+ * @param {Array<{value: Object, iterator: Iterator}>} heap A binary min-heap ordered by the number of the values.
+ * @param {number} index
+ */
+function siftDown(heap, index) {
+    const item = heap[index];
+    for (let child = 2 * index + 1; child < heap.length; child = 2 * index + 1) {
+        if (child + 1 < heap.length && heap[child + 1].value.number < heap[child].value.number) {
+            child++;
+        }
+        if (item.value.number <= heap[child].value.number) break;
+        heap[index] = heap[child];
+        index = child;
+    }
+    heap[index] = item;
+}
+
+/**
+ * Merge iterators that each yield values ordered by their number into one iterator ordered by number. Only the current
+ * value of every iterator is kept in memory.
+ *
+ * @param {Array<Iterator<{number: number}>>} iterators
+ * @returns {Iterable<{number: number}>}
+ */
+function* mergeByNumber(iterators) {
+    const heap = [];
+    for (let iterator of iterators) {
+        const next = iterator.next();
+        if (!next.done) {
+            heap.push({ value: next.value, iterator });
+        }
+    }
+    for (let index = (heap.length >> 1) - 1; index >= 0; index--) {
+        siftDown(heap, index);
+    }
+    while (heap.length > 0) {
+        yield heap[0].value;
+        const next = heap[0].iterator.next();
+        if (next.done) {
+            const last = heap.pop();
+            if (heap.length === 0) break;
+            heap[0] = last;
+        } else {
+            heap[0] = { value: next.value, iterator: heap[0].iterator };
+        }
+        siftDown(heap, 0);
+    }
+}
 
 /**
  * An append-only storage with highly performant positional range scans.
- * It's highly optimized for an event-store and hence does not support compaction or data-rewrite, nor any querying
+ * It's highly optimized for an event-store and hence does not support data-rewrite, nor any querying. Documents can only
+ * be physically removed by an explicit `compact()`, which leaves tombstones in the indexes to keep all sequence numbers.
  */
 class Storage extends EventEmitter {
 
@@ -32,6 +161,12 @@ class Storage extends EventEmitter {
      * @param {function(Object, number): string} [config.partitioner] A function that takes a document and sequence number and returns a partition name that the document should be stored in. Defaults to write all documents to the primary partition.
      * @param {Object} [config.indexOptions] An options object that should be passed to all indexes on construction.
      * @param {string} [config.hmacSecret] A private key that is used to verify matchers retrieved from indexes.
+     * @param {boolean} [config.readOnly] If the storage should be opened read-only. It will never write any files and follows the writes of another process. Default false.
+     * @param {Buffer} [config.encryptionKey] A 32 byte key to encrypt all documents in the partitions with AES-256-GCM and the entries and metadata of all indexes. All partitions and indexes must have been created with the same key.
+     * @param {string} [config.compression] Either 'deflate' or 'brotli' to store new partitions in compressed blocks. Can not be combined with `encryptionKey`.
+     * @param {number} [config.blockSize] The uncompressed size in bytes of the blocks that documents of compressed partitions are collected into. Default 65536.
+     * @param {boolean} [config.sequenceNumbers] If new partitions should store the sequence number of every document, so the primary index can be rebuilt from them. Existing partitions keep their format. Default true.
+     * @param {boolean} [config.rebuildIndex] If the primary index should be rebuilt from the partitions on `open()` when its file is missing or corrupt, see `rebuildIndex()`. A corrupt index file is kept as `{indexFile}.corrupt`. Other errors, like a wrong encryption key, are still thrown. Default false.
      */
     constructor(storageName = 'storage', config = {}) {
         super();
@@ -47,9 +182,21 @@ class Storage extends EventEmitter {
             dataDirectory: '.',
             indexFile: this.storageFile + '.index',
             indexOptions: {},
-            hmacSecret: ''
+            hmacSecret: '',
+            readOnly: false
         };
         config = Object.assign(defaults, config);
+        if (config.encryptionKey) {
+            Partition.assertValidEncryptionKey(config.encryptionKey);
+        }
+        if (config.compression) {
+            Partition.assertValidCompression(config.compression);
+            if (config.encryptionKey) {
+                throw new Error('Compression can not be combined with encryption.');
+            }
+        }
+        this.readOnly = !!config.readOnly;
+        this.encryptionKey = config.encryptionKey || null;
         this.serializer = config.serializer;
         this.partitioner = config.partitioner;
 
@@ -60,7 +207,7 @@ class Storage extends EventEmitter {
         };
 
         this.dataDirectory = path.resolve(config.dataDirectory);
-        if (!fs.existsSync(this.dataDirectory)) {
+        if (!this.readOnly && !fs.existsSync(this.dataDirectory)) {
             mkdirpSync(this.dataDirectory);
         }
 
@@ -68,10 +215,45 @@ class Storage extends EventEmitter {
 
         this.indexOptions = config.indexOptions;
         this.indexOptions.dataDirectory = this.indexDirectory;
+        this.indexOptions.readOnly = this.readOnly;
+        if (this.encryptionKey) {
+            this.indexOptions.encryptionKey = this.encryptionKey;
+        }
         // Safety precaution to prevent accidentially restricting main index
         delete this.indexOptions.matcher;
-        this.index = new Index(config.indexFile, this.indexOptions);
+        // Documents and secondary indexes are flushed before the primary index, so after a crash or for a read-only
+        // storage of another process, the primary index never points to data that is not on disk yet
+        const primaryIndexOptions = Object.assign({}, this.indexOptions, {
+            beforeFlush: () => {
+                this.forEachPartition(partition => partition.flush());
+                this.forEachSecondaryIndex(index => index.flush());
+                this.forEachKeyIndex(index => index.flush());
+                if (this.timeIndex) this.timeIndex.flush();
+            },
+            open: false
+        });
+        const indexFileName = path.join(this.indexDirectory, config.indexFile);
+        const rebuildIndex = !!config.rebuildIndex && !this.readOnly;
+        this.indexLost = rebuildIndex && !fs.existsSync(indexFileName);
+        this.indexCorrupt = false;
+        this.index = new Index(config.indexFile, primaryIndexOptions);
+        try {
+            this.index.open();
+        } catch (e) {
+            if (!rebuildIndex || !(e instanceof Index.CorruptFileError)) {
+                throw e;
+            }
+            // Another process may still be writing the file, so it is only replaced after open() took the lock
+            this.indexCorrupt = true;
+        }
+        // Secondary indexes need to store the same entries as the primary index, which may use a detected entry class
+        this.indexOptions.EntryClass = this.index.EntryClass;
         this.secondaryIndexes = {};
+        this.keyIndexes = {};
+        this.timeIndex = null;
+        this.lockFile = path.join(this.dataDirectory, this.storageFile + '.lock');
+        this.compactionJournal = path.join(this.dataDirectory, this.storageFile + '.journal');
+        this.locked = false;
 
         this.scanPartitions(config);
     }
@@ -98,16 +280,34 @@ class Storage extends EventEmitter {
             writeBufferSize: DEFAULT_WRITE_BUFFER_SIZE,
             maxWriteBufferDocuments: 0,
             syncOnFlush: false,
-            dirtyReads: true
+            dirtyReads: true,
+            sequenceNumbers: true
         };
         this.partitionConfig = Object.assign(defaults, config);
         this.partitions = {};
+        this.findPartitions();
+    }
 
+    /**
+     * Add all partitions in the data directory that are not known yet.
+     *
+     * @private
+     * @returns void
+     */
+    findPartitions() {
         const files = fs.readdirSync(this.dataDirectory);
         for (let file of files) {
             if (file.substr(-6) === '.index') continue;
             if (file.substr(-7) === '.branch') continue;
-            if (file.substr(0, this.storageFile.length) === this.storageFile) {
+            if (file.substr(-5) === '.lock') continue;
+            if (file.substr(-8) === '.compact') continue;
+            if (file.substr(-8) === '.journal') continue;
+            if (file.substr(-5) === '.keys') continue;
+            if (file.substr(-11) === '.timestamps') continue;
+            if (file.substr(-8) === '.rebuild') continue;
+            if (file.substr(-8) === '.corrupt') continue;
+            if (file.substr(-5) === '.tail') continue;
+            if (file.substr(0, this.storageFile.length) === this.storageFile && !(Partition.id(file) in this.partitions)) {
                 //console.log('Found existing partition', file);
                 const partition = new Partition(file, this.partitionConfig);
                 this.partitions[partition.id] = partition;
@@ -117,20 +317,81 @@ class Storage extends EventEmitter {
 
     /**
      * Open the storage and indexes and create read and write buffers eagerly.
+     * Only a single storage instance can open the storage at a time.
+     * If the storage was not closed cleanly before, it will be recovered, see `recover()`. A compaction that was
+     * interrupted will be completed or rolled back, see `compact()`.
+     * A read-only storage is not locked, but watches the index directory and calls `refresh()` on every change.
+     * With the `rebuildIndex` option, a primary index that was missing or corrupt is rebuilt from the
+     * partitions first and an 'index-rebuilt' event is emitted.
      * Will emit an 'opened' event if finished.
      *
      * @api
      * @returns {boolean}
+     * @throws {StorageLockedError} if the storage is already opened by another storage instance or process.
      */
     open() {
-        this.index.open();
+        const unclean = !this.readOnly && this.lock();
+        try {
+            if (!this.readOnly) {
+                this.completeCompaction();
+            }
+            if (this.indexCorrupt) {
+                this.replaceCorruptIndex();
+            }
+            if (this.indexLost) {
+                this.indexLost = false;
+                this.emit('index-rebuilt', this.rebuildPrimaryIndex());
+            }
+            this.index.open();
 
-        this.forEachSecondaryIndex(index => index.open());
+            this.forEachSecondaryIndex(index => index.open());
+            if (this.timeIndex) {
+                this.timeIndex.open();
+            }
+
+            if (unclean) {
+                this.recover();
+            }
+            this.forEachKeyIndex((index, name) => {
+                index.open();
+                this.catchUpKeyIndex(name);
+            });
+            if (this.timeIndex) {
+                this.catchUpTimeIndex();
+            }
+            if (this.readOnly && !this.watcher) {
+                this.watcher = fs.watch(this.indexDirectory, () => this.refresh());
+            }
+        } catch (e) {
+            this.releaseLock();
+            throw e;
+        }
 
         this.emit('opened');
         return true;
     }
 
+    /**
+     * Keep the file of a primary index that was corrupt when the storage was created as `{indexFile}.corrupt`, so it will
+     * be rebuilt. The file is checked again first, since it may have been completed by the process that held the lock.
+     *
+     * @private
+     * @throws {Error} if the index file can not be opened for another reason than being corrupt.
+     */
+    replaceCorruptIndex() {
+        this.indexCorrupt = false;
+        try {
+            this.index.open();
+            return;
+        } catch (e) {
+            if (!(e instanceof Index.CorruptFileError)) {
+                throw e;
+            }
+        }
+        fs.renameSync(this.index.fileName, this.index.fileName + '.corrupt');
+        this.indexLost = true;
+    }
+
     /**
      * Close the storage and frees up all resources.
      * Will emit a 'closed' event when finished.
@@ -139,12 +400,269 @@ class Storage extends EventEmitter {
      * @returns void
      */
     close() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        const length = this.index.length;
+        this.forEachKeyIndex(index => {
+            if (index.isOpen()) {
+                index.checkpoint(length);
+                index.close();
+            }
+        });
+        if (this.timeIndex) {
+            this.timeIndex.close();
+        }
         this.index.close();
         this.forEachSecondaryIndex(index => index.close());
         this.forEachPartition(partition => partition.close());
+        this.unlock();
         this.emit('closed');
     }
 
+    /**
+     * Exclusively create the lock file containing the PID of this process, which marks the storage as opened for writing.
+     * A lock file of a process that is no longer running is stale and will be taken over, see `takeOverLock()`.
+     *
+     * @private
+     * @returns {boolean} True if a stale lock file existed, which means that the storage was not closed cleanly.
+     * @throws {StorageLockedError} if the storage is already opened by another storage instance or process.
+     */
+    lock() {
+        if (this.locked) {
+            return false;
+        }
+        for (;;) {
+            // Checked on every attempt, since another storage of this process may take over a stale lock meanwhile
+            if (lockedFiles.has(this.lockFile)) {
+                throw new StorageLockedError(`Storage ${this.storageFile} is already opened for writing in this process.`);
+            }
+            try {
+                const fd = fs.openSync(this.lockFile, 'wx');
+                fs.writeSync(fd, process.pid.toString());
+                fs.closeSync(fd);
+                break;
+            } catch (e) {
+                /* istanbul ignore if  */
+                if (e.code !== 'EEXIST') {
+                    throw e;
+                }
+            }
+            let fd;
+            try {
+                fd = fs.openSync(this.lockFile, 'r');
+            } catch (e) {
+                /* istanbul ignore if  */
+                if (e.code !== 'ENOENT') {
+                    throw e;
+                }
+                continue;
+            }
+            const staleLock = fs.fstatSync(fd).ino;
+            const pid = parseInt(fs.readFileSync(fd, 'utf8'), 10);
+            fs.closeSync(fd);
+            if (pid > 0 && pid !== process.pid && isProcessAlive(pid)) {
+                throw new StorageLockedError(`Storage ${this.storageFile} is already opened for writing by process ${pid}.`);
+            }
+            if (this.takeOverLock(staleLock)) {
+                lockedFiles.add(this.lockFile);
+                this.locked = true;
+                return true;
+            }
+        }
+        lockedFiles.add(this.lockFile);
+        this.locked = true;
+        return false;
+    }
+
+    /**
+     * Replace a stale lock file with a lock file of this process. The new lock file is written next to it and renamed
+     * over it, so the lock file never goes missing, and the lock is only taken over if the stale lock file was still in
+     * place before the rename and the own lock file afterwards. Otherwise another process took over the lock first.
+     *
+     * @private
+     * @param {number} staleLock The inode of the stale lock file.
+     * @returns {boolean} True if the lock was taken over.
+     */
+    takeOverLock(staleLock) {
+        // Ends with .lock like the lock file, so it is never taken for a partition if a crash leaves it behind
+        const ownLockFile = path.join(this.dataDirectory, `${this.storageFile}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.lock`);
+        fs.writeFileSync(ownLockFile, process.pid.toString());
+        const ownLock = fs.statSync(ownLockFile).ino;
+        try {
+            if (inodeOf(this.lockFile) !== staleLock) {
+                return false;
+            }
+            fs.renameSync(ownLockFile, this.lockFile);
+        } finally {
+            if (fs.existsSync(ownLockFile)) {
+                fs.unlinkSync(ownLockFile);
+            }
+        }
+        return inodeOf(this.lockFile) === ownLock;
+    }
+
+    /**
+     * Release the lock of this process after opening failed, but leave the lock file in place so that the next open
+     * checks the storage for consistency.
+     *
+     * @private
+     */
+    releaseLock() {
+        if (!this.locked) {
+            return;
+        }
+        lockedFiles.delete(this.lockFile);
+        this.locked = false;
+    }
+
+    /**
+     * Remove the lock file to mark the storage as cleanly closed.
+     *
+     * @private
+     */
+    unlock() {
+        if (!this.locked) {
+            return;
+        }
+        if (fs.existsSync(this.lockFile)) {
+            fs.unlinkSync(this.lockFile);
+        }
+        lockedFiles.delete(this.lockFile);
+        this.locked = false;
+    }
+
+    /**
+     * Repair the storage after it was not closed cleanly, e.g. because the process crashed.
+     * This will cut off torn writes at the end of all partitions, truncate index entries that point to missing documents
+     * and move documents that were not indexed to the `.branch` file of the partition. Secondary indexes are truncated
+     * to match the primary index.
+     * Will emit a 'recovered' event with the report when finished.
+     *
+     * @api
+     * @returns {{partitions: Object, index: number, secondaryIndexes: Object}} A report of all repairs, with the torn bytes and dangling documents per partition name and the amount of truncated entries per index.
+     */
+    recover() {
+        this.assertWritable();
+        const report = { partitions: {}, index: 0, secondaryIndexes: {} };
+        this.forEachPartition(partition => partition.open());
+        const numPartitions = Object.keys(this.partitions).length;
+
+        const isValidEntry = entry => {
+            const partition = this.partitions[entry.partition];
+            try {
+                return !!partition && partition.readFrom(entry.position, entry.size) !== false;
+            } catch (e) {
+                return false;
+            }
+        };
+
+        // Find the last indexed document of every partition and cut off torn writes after it
+        const lastEntries = {};
+        let found = 0;
+        for (let number = this.index.length; number > 0 && found < numPartitions; number--) {
+            const entry = this.index.get(number);
+            if (!isTombstone(entry) && !(entry.partition in lastEntries)) {
+                lastEntries[entry.partition] = entry;
+                found++;
+            }
+        }
+        this.forEachPartition(partition => {
+            const lastEntry = lastEntries[partition.id];
+            const tornBytes = partition.repairTail(lastEntry && isValidEntry(lastEntry) ? lastEntry.position : 0);
+            report.partitions[partition.name] = { tornBytes, danglingDocuments: 0 };
+        });
+
+        // Find the last index entry after which all entries point to existing documents
+        let truncateAfter = this.index.length;
+        let validEntries = {};
+        found = 0;
+        for (let number = this.index.length; number > 0 && found < numPartitions; number--) {
+            const entry = this.index.get(number);
+            if (isTombstone(entry) || entry.partition in validEntries) continue;
+            if (!isValidEntry(entry)) {
+                truncateAfter = number - 1;
+                validEntries = {};
+                found = 0;
+                continue;
+            }
+            validEntries[entry.partition] = entry;
+            found++;
+        }
+        report.index = this.index.length - truncateAfter;
+        this.index.truncate(truncateAfter);
+
+        // Documents after the last valid index entry of a partition were never indexed
+        this.forEachPartition(partition => {
+            const lastEntry = validEntries[partition.id];
+            const indexedSize = lastEntry ? lastEntry.position + partition.documentWriteSize(lastEntry.size) : 0;
+            if (partition.size > indexedSize) {
+                report.partitions[partition.name].danglingDocuments = partition.truncate(indexedSize);
+            }
+        });
+
+        report.secondaryIndexes = this.truncateSecondaryIndexes(truncateAfter);
+        this.truncateKeyIndexes(truncateAfter);
+        this.truncateTimeIndex(truncateAfter);
+
+        this.emit('recovered', report);
+        return report;
+    }
+
+    /**
+     * Pick up all documents and indexes that were written by another process since the last refresh.
+     * Will emit an 'index-created' event for every new secondary index, an 'index-add' event for every new secondary
+     * index entry and a 'wrote' event for every new document, like the writing storage does.
+     *
+     * @api
+     * @returns {number} The amount of new documents.
+     */
+    refresh() {
+        if (!this.index.isOpen()) {
+            return 0;
+        }
+        for (let name of this.findIndexNames()) {
+            if (name in this.secondaryIndexes) continue;
+            try {
+                this.openIndex(name);
+            } catch (e) {
+                // The index is not completely created yet
+                continue;
+            }
+            this.emit('index-created', name);
+        }
+
+        const length = this.index.length;
+        this.index.refresh();
+        this.refreshTimeIndex();
+        this.forEachSecondaryIndex((index, name) => {
+            const indexLength = index.length;
+            index.refresh();
+            for (let position = indexLength + 1; position <= index.length; position++) {
+                this.emit('index-add', name, position, this.read(position, index));
+            }
+        });
+        for (let number = length + 1; number <= this.index.length; number++) {
+            const entry = this.index.get(number);
+            if (isTombstone(entry)) continue;
+            const document = this.readFrom(entry.partition, entry.position, entry.size);
+            this.addKeys(document, number);
+            this.emit('wrote', document, entry, number);
+        }
+        return this.index.length - length;
+    }
+
+    /**
+     * @private
+     * @throws {Error} if the storage is opened read-only.
+     */
+    assertWritable() {
+        if (this.readOnly) {
+            throw new Error(`Storage ${this.storageFile} is opened read-only.`);
+        }
+    }
+
     /**
      * Add an index entry for the given document at the position and size.
      *
@@ -153,7 +671,7 @@ class Storage extends EventEmitter {
      * @param {number} position The file offset where the document is stored.
      * @param {number} size The size of the stored document.
      * @param {Object} document The document to add to the index.
-     * @param {function} [callback] The callback to call when the index is written to disk.
+     * @param {function} [callback] The callback to call when the index is written to disk. Partitions and secondary indexes are flushed before.
      * @returns {Index.Entry} The index entry item.
      */
     addIndex(partitionId, position, size, document, callback) {
@@ -166,11 +684,10 @@ class Storage extends EventEmitter {
          throw new Error('Corrupted index, needs to be rebuilt!');
          }*/
 
-        const entry = new Index.Entry(this.index.length + 1, position, size, partitionId);
+        const entry = new this.index.EntryClass(this.index.length + 1, position, size, partitionId);
         this.index.add(entry, (indexPosition) => {
             this.emit('wrote', document, entry, indexPosition);
-            /* istanbul ignore if  */
-            if (typeof callback === 'function') return callback(indexPosition);
+            if (typeof callback === 'function') return callback();
         });
         return entry;
     }
@@ -192,8 +709,15 @@ class Storage extends EventEmitter {
             if (!this.partitions[partitionIdentifier]) {
                 this.partitions[partitionIdentifier] = new Partition(partitionName, this.partitionConfig);
             }
-        } else /* istanbul ignore next  */ if (!this.partitions[partitionIdentifier]) {
-            throw new Error(`Partition #${partitionIdentifier} does not exist.`);
+        } else if (!this.partitions[partitionIdentifier]) {
+            // The partition may have been created by another process
+            if (this.readOnly) {
+                this.findPartitions();
+            }
+            /* istanbul ignore if  */
+            if (!this.partitions[partitionIdentifier]) {
+                throw new Error(`Partition #${partitionIdentifier} does not exist.`);
+            }
         }
 
         this.partitions[partitionIdentifier].open();
@@ -203,22 +727,26 @@ class Storage extends EventEmitter {
     /**
      * @api
      * @param {Object} document The document to write to storage.
-     * @param {function} [callback] A function that will be called when the document is written to disk.
+     * @param {function} [callback] A function that will be called when the document and its index entries are written to disk.
      * @returns {number} The 1-based document sequence number in the storage.
+     * @throws {Error} if the storage is opened read-only.
      */
     write(document, callback) {
+        this.assertWritable();
         const data = this.serializer.serialize(document).toString();
         const dataSize = Buffer.byteLength(data, 'utf8');
 
         const partitionName = this.partitioner(document, this.index.length + 1);
         const partition = this.getPartition(partitionName);
-        const position = partition.write(data, callback);
+        const position = partition.write(data, this.index.length + 1);
 
         /* istanbul ignore next  */
         if (position === false) {
             throw new Error('Error writing document.');
         }
-        const indexEntry = this.addIndex(partition.id, position, dataSize, document);
+        const indexEntry = this.addIndex(partition.id, position, dataSize, document, callback);
+        this.addKeys(document, indexEntry.number);
+        this.addTimestamp(document, indexEntry.number);
         this.forEachSecondaryIndex((index, name) => {
             if (!index.isOpen()) {
                 index.open();
@@ -240,17 +768,29 @@ class Storage extends EventEmitter {
      */
     readFrom(partitionId, position, size) {
         const partition = this.getPartition(partitionId);
-        const data = partition.readFrom(position);
+        const data = partition.readFrom(position, size);
         return this.serializer.deserialize(data);
     }
 
+    /**
+     * @private
+     * @param {number} partitionId The partition to read from.
+     * @param {number} position The file position to read from.
+     * @param {number} [size] The expected byte size of the document at the given position.
+     * @returns {Promise<Object>} A promise that resolves with the document stored at the given position.
+     */
+    readFromAsync(partitionId, position, size) {
+        return new Promise(resolve => resolve(this.getPartition(partitionId).readFromAsync(position, size)))
+            .then(data => this.serializer.deserialize(data));
+    }
+
     /**
      * Read a single document from the given position, in the full index or in the provided index.
      *
      * @api
      * @param {number} number The 1-based document number (inside the given index) to read.
      * @param {Index} [index] The index to use for finding the document position.
-     * @returns {Object} The document at the given position inside the index.
+     * @returns {Object|boolean} The document at the given position inside the index or false if there is none or it was removed by a compaction.
      */
     read(number, index) {
         index = index || this.index;
@@ -260,7 +800,7 @@ class Storage extends EventEmitter {
         }
 
         const entry = index.get(number);
-        if (entry === false) return false;
+        if (entry === false || isTombstone(entry)) return false;
 
         return this.readFrom(entry.partition, entry.position, entry.size);
     }
@@ -268,34 +808,136 @@ class Storage extends EventEmitter {
     /**
      * Read a range of documents from the given position range, in the full index or in the provided index.
      * Returns a generator in order to reduce memory usage and be able to read lots of documents with little latency.
+     * Documents that were removed by a compaction are skipped.
      *
      * @api
      * @param {number} from The 1-based document number (inclusive) to start reading from.
      * @param {number} [until] The 1-based document number (inclusive) to read until. Defaults to index.length.
      * @param {Index} [index] The index to use for finding the documents in the range.
+     * @param {boolean} [reverse] If the documents should be read backwards, from `until` down to `from`. Default false.
      * @returns {Generator} A generator that will read each document in the range one by one.
      */
-    *readRange(from, until, index) {
+    *readRange(from, until, index, reverse = false) {
+        for (let entry of this.rangeEntries(from, until, index, reverse)) {
+            if (isTombstone(entry)) continue;
+            const document = this.readFrom(entry.partition, entry.position, entry.size);
+            yield document;
+        }
+    }
+
+    /**
+     * Iterate the index entries of the given position range.
+     * The index is read in chunks in both directions, so the full range never needs to be held in memory.
+     *
+     * @private
+     * @param {number} from The 1-based document number (inclusive) to start reading from.
+     * @param {number} [until] The 1-based document number (inclusive) to read until. Defaults to index.length.
+     * @param {Index} [index] The index to use for finding the documents in the range.
+     * @param {boolean} [reverse] If the entries should be iterated backwards.
+     * @returns {Generator<Index.Entry>}
+     * @throws {Error} if the range is invalid.
+     */
+    *rangeEntries(from, until = -1, index, reverse = false) {
         index = index || this.index;
 
         if (!index.isOpen()) {
             index.open();
         }
 
-        const entries = index.range(from, until);
-        if (entries === false) {
+        const length = index.length;
+        const first = from < 0 ? from + length + 1 : from;
+        const last = until < 0 ? until + length + 1 : until;
+        if (typeof first !== 'number' || !index.validRange(first, last)) {
             throw new Error(`Range scan error for range ${from} - ${until}.`);
         }
-        for (let entry of entries) {
-            const document = this.readFrom(entry.partition, entry.position, entry.size);
+        yield* index.entries(first, last, reverse);
+    }
+
+    /**
+     * Read a range of documents from the given position range, in the full index or in the provided index, without
+     * blocking the event loop for reading the documents.
+     * Returns an async iterator, whose `next()` method returns a promise for the next iterator result.
+     * Documents that were removed by a compaction are skipped.
+     *
+     * @api
+     * @param {number} from The 1-based document number (inclusive) to start reading from.
+     * @param {number} [until] The 1-based document number (inclusive) to read until. Defaults to index.length.
+     * @param {Index} [index] The index to use for finding the documents in the range.
+     * @param {boolean} [reverse] If the documents should be read backwards, from `until` down to `from`. Default false.
+     * @returns {{next: function(): Promise<{value: Object, done: boolean}>}} An async iterator that will read each document in the range one by one.
+     */
+    readRangeAsync(from, until, index, reverse = false) {
+        const entries = this.rangeEntries(from, until, index, reverse);
+
+        const iterator = {
+            next: () => new Promise(resolve => {
+                let next = entries.next();
+                while (!next.done && isTombstone(next.value)) {
+                    next = entries.next();
+                }
+                if (next.done) {
+                    return resolve({ value: undefined, done: true });
+                }
+                const entry = next.value;
+                resolve(this.readFromAsync(entry.partition, entry.position, entry.size).then(value => ({ value, done: false })));
+            })
+        };
+        /* istanbul ignore else  */
+        if (typeof Symbol.asyncIterator === 'symbol') {
+            iterator[Symbol.asyncIterator] = () => iterator;
+        }
+        return iterator;
+    }
+
+    /**
+     * Read the documents with the given sequence numbers, e.g. from a key index.
+     * Documents that were removed by a compaction or do not exist are skipped.
+     *
+     * @api
+     * @param {Array<number>} numbers The 1-based sequence numbers of the documents to read, in the order they should be read.
+     * @returns {Generator} A generator that will read each document one by one.
+     */
+    *readNumbers(numbers) {
+        for (let number of numbers) {
+            const document = this.read(number);
+            if (document === false) continue;
             yield document;
         }
     }
 
+    /**
+     * Read the documents with the given sequence numbers without blocking the event loop for reading the documents.
+     * Documents that were removed by a compaction or do not exist are skipped.
+     *
+     * @api
+     * @param {Array<number>} numbers The 1-based sequence numbers of the documents to read, in the order they should be read.
+     * @returns {{next: function(): Promise<{value: Object, done: boolean}>}} An async iterator that will read each document one by one.
+     */
+    readNumbersAsync(numbers) {
+        let i = 0;
+        const iterator = {
+            next: () => new Promise(resolve => {
+                let entry = false;
+                while (i < numbers.length && (entry === false || isTombstone(entry))) {
+                    entry = this.index.get(numbers[i++]);
+                }
+                if (entry === false || isTombstone(entry)) {
+                    return resolve({ value: undefined, done: true });
+                }
+                resolve(this.readFromAsync(entry.partition, entry.position, entry.size).then(value => ({ value, done: false })));
+            })
+        };
+        /* istanbul ignore else  */
+        if (typeof Symbol.asyncIterator === 'symbol') {
+            iterator[Symbol.asyncIterator] = () => iterator;
+        }
+        return iterator;
+    }
+
     /**
      * @private
      * @param {Object} document The document to check against the matcher.
-     * @param {Object|function} matcher An object of properties and their values that need to match in the object.
+     * @param {Object|function} matcher A declarative matcher object (see `Matcher`) or a function that returns true if the document matches.
      * @returns {boolean} True if the document matches the matcher or false otherwise.
      */
     matches(document, matcher) {
@@ -303,33 +945,42 @@ class Storage extends EventEmitter {
         if (typeof matcher === 'undefined') return true;
 
         if (typeof matcher === 'function') return matcher(document);
-        for (let prop of Object.getOwnPropertyNames(matcher)) {
-            if (typeof matcher[prop] === 'object') {
-                if (!this.matches(document[prop], matcher[prop])) {
-                    return false;
-                }
-            } else {
-                if (document[prop] !== matcher[prop]) {
-                    return false;
-                }
-            }
-        }
-        return true;
+        return Matcher.matches(document, matcher);
     }
 
     /**
      * @private
      * @param {Object|function} matcher The matcher object or function that the index needs to have been defined with. If not given it will not be validated.
-     * @returns {{metadata: {matcher: string, hmac: string}}}
+     * @returns {{metadata: {matcher: Object|string, hmac: string}}}
+     * @throws {Matcher.InvalidMatcherError} if the matcher object is invalid.
      */
     buildMetadataForMatcher(matcher) {
         if (typeof matcher === 'object') {
-            return { metadata: { matcher } };
+            // Matcher objects are stored as JSON and never evaluated, so they need no HMAC
+            return { metadata: { matcher: Matcher.normalize(matcher) } };
         }
         const matcherString = matcher.toString();
         return { metadata: { matcher: matcherString, hmac: this.hmac(matcherString) } };
     }
 
+    /**
+     * Get the matcher of an index from the index metadata. Matcher functions are only evaluated if their HMAC is valid.
+     *
+     * @private
+     * @param {{matcher: Object|string, hmac: string}} metadata The index metadata.
+     * @returns {Object|function} The matcher object or function.
+     * @throws {Error} if the HMAC for the matcher does not match.
+     */
+    restoreMatcher(metadata) {
+        if (typeof metadata.matcher === 'object') {
+            return metadata.matcher;
+        }
+        if (metadata.hmac !== this.hmac(metadata.matcher)) {
+            throw new Error('Invalid HMAC for matcher.');
+        }
+        return eval('(' + metadata.matcher + ')').bind({}); // jshint ignore:line
+    }
+
     /**
      * Open an existing index.
      *
@@ -355,14 +1006,15 @@ class Storage extends EventEmitter {
         }
 
         const index = new Index(indexName, Object.assign({}, this.indexOptions, metadata));
-        if (typeof index.metadata.matcher === 'object') {
-            matcher = index.metadata.matcher;
-        } else {
-            if (index.metadata.hmac !== this.hmac(index.metadata.matcher)) {
+        try {
+            matcher = this.restoreMatcher(index.metadata);
+        } catch (e) {
+            if (this.readOnly) {
+                index.close();
+            } else {
                 index.destroy();
-                throw new Error('Invalid HMAC for matcher.');
             }
-            matcher = eval('(' + index.metadata.matcher + ')').bind({}); // jshint ignore:line
+            throw e;
         }
         this.secondaryIndexes[name] = { index, matcher };
         index.open();
@@ -375,9 +1027,11 @@ class Storage extends EventEmitter {
      *
      * @api
      * @param {string} name The index name.
-     * @param {Object|function} [matcher] An object that describes the document properties that need to match to add it this index or a function that receives a document and returns true if the document should be indexed.
+     * @param {Object|function} [matcher] A declarative matcher object (see `Matcher`) that describes the documents to add to this index or a function that receives a document and returns true if the document should be indexed.
      * @returns {Index} The index containing all documents that match the query.
      * @throws {Error} if the index doesn't exist yet and no matcher was specified.
+     * @throws {Matcher.InvalidMatcherError} if the matcher object is invalid.
+     * @throws {Error} if the index doesn't exist yet and the storage is opened read-only.
      */
     ensureIndex(name, matcher) {
         if (name in this.secondaryIndexes) {
@@ -388,13 +1042,17 @@ class Storage extends EventEmitter {
         if (fs.existsSync(path.join(this.indexDirectory, indexName))) {
             return this.openIndex(name, matcher);
         }
+        this.assertWritable();
 
         if (!matcher) {
             throw new Error('Need to specify a matcher.');
         }
 
         const metadata = this.buildMetadataForMatcher(matcher);
-        const newIndex = new Index(indexName, Object.assign({}, this.indexOptions, metadata));
+        if (typeof matcher === 'object') {
+            matcher = metadata.metadata.matcher;
+        }
+        const newIndex = new Index(indexName, Object.assign({}, this.indexOptions, metadata));
         try {
             this.forEachDocument((document, indexEntry) => {
                 if (this.matches(document, matcher)) {
@@ -411,12 +1069,628 @@ class Storage extends EventEmitter {
         return newIndex;
     }
 
+    /**
+     * Ensure that a key index with the given name exists, which maps the key of every document to the sequence numbers
+     * of all documents with that key, e.g. to find all documents with the same `metadata.correlationId`.
+     * Existing documents are indexed when the key index is created. Only key indexes that were ensured after opening
+     * the storage are maintained on writes, so they need to be ensured again every time the storage is opened. Missed
+     * documents are indexed then.
+     * Documents whose key is not a string or number are not indexed. The mapping is a hash table on disk, see `KeyIndex`.
+     *
+     * @api
+     * @param {string} name The key index name.
+     * @param {string|function(Object): (string|number)} key A property name or dotted path of the key in the document, or a function that receives a document and returns its key.
+     * @returns {KeyIndex} The key index.
+     * @throws {Error} if no key was specified.
+     */
+    ensureKeyIndex(name, key) {
+        if (name in this.keyIndexes) {
+            return this.keyIndexes[name].index;
+        }
+        if (typeof key !== 'function' && (typeof key !== 'string' || key === '')) {
+            throw new Error('Need to specify a key path or function.');
+        }
+
+        const index = new KeyIndex(this.storageFile + '.' + name + '.keys', { dataDirectory: this.indexDirectory, readOnly: this.readOnly, encryptionKey: this.encryptionKey });
+        const keyOf = typeof key === 'function' ? key : document => resolveKey(document, key);
+        this.keyIndexes[name] = { index, key: keyOf };
+        try {
+            this.catchUpKeyIndex(name);
+        } catch (e) {
+            delete this.keyIndexes[name];
+            index.close();
+            throw e;
+        }
+        return index;
+    }
+
+    /**
+     * Add the keys of all documents that are not yet indexed in the key index.
+     *
+     * @private
+     * @param {string} name The key index name.
+     */
+    catchUpKeyIndex(name) {
+        const { index, key } = this.keyIndexes[name];
+        const length = this.index.length;
+        // The key index is flushed before the primary index, so it may be ahead after a crash
+        if (index.lastNumber > length && !this.readOnly) {
+            index.truncate(length);
+        }
+        for (let number = index.lastNumber + 1; number <= length; number++) {
+            const entry = this.index.get(number);
+            if (isTombstone(entry)) continue;
+            this.addKey(index, key(this.readFrom(entry.partition, entry.position, entry.size)), number);
+            if (number % CATCH_UP_FLUSH_INTERVAL === 0) {
+                index.checkpoint(number);
+                index.flush();
+            }
+        }
+        index.checkpoint(length);
+        index.flush();
+    }
+
+    /**
+     * Add the keys of the given document to all key indexes.
+     *
+     * @private
+     * @param {Object} document The document.
+     * @param {number} number The sequence number of the document.
+     */
+    addKeys(document, number) {
+        this.forEachKeyIndex((index, name) => this.addKey(index, this.keyIndexes[name].key(document), number));
+    }
+
+    /**
+     * @private
+     * @param {KeyIndex} index The key index to add the key to.
+     * @param {*} key The key of the document.
+     * @param {number} number The sequence number of the document.
+     */
+    addKey(index, key, number) {
+        // Documents of a read-only storage may already be contained in the key index file
+        if (number <= index.lastNumber || (typeof key !== 'string' && typeof key !== 'number')) {
+            return;
+        }
+        index.add(key, number);
+    }
+
+    /**
+     * Ensure that the time index of this storage is maintained, which allows to find the documents that were written
+     * within a time range with `findByTimestamp()`, e.g. by the `metadata.committedAt` timestamp of events.
+     * Only every `interval` documents an entry with the highest timestamp so far is stored, so a lookup needs to read
+     * at most that many documents. Timestamps that are lower than one of an earlier document, e.g. because the clock
+     * was turned back, count as the earlier timestamp.
+     * Like key indexes, the time index needs to be ensured again every time the storage is opened and will then index
+     * all missed documents. A read-only storage uses the time index of the writing process.
+     *
+     * @api
+     * @param {string|function(Object): number} timestamp A property name or dotted path of the timestamp in the document, or a function that receives a document and returns its timestamp.
+     * @param {number} [interval] How many documents lie between two entries of the time index. Default 64.
+     * @returns {TimeIndex} The time index.
+     * @throws {Error} if no timestamp was specified or the interval is not a positive integer.
+     */
+    ensureTimeIndex(timestamp, interval = DEFAULT_TIME_INDEX_INTERVAL) {
+        if (this.timeIndex) {
+            return this.timeIndex;
+        }
+        if (typeof timestamp !== 'function' && (typeof timestamp !== 'string' || timestamp === '')) {
+            throw new Error('Need to specify a timestamp path or function.');
+        }
+        if (!Number.isInteger(interval) || interval < 1) {
+            throw new Error('The time index interval must be a positive integer.');
+        }
+
+        this.timestampOf = typeof timestamp === 'function' ? timestamp : document => resolveKey(document, timestamp);
+        this.timeIndexInterval = interval;
+        this.timeIndex = new TimeIndex(this.storageFile + '.timestamps', { dataDirectory: this.indexDirectory, readOnly: this.readOnly, encryptionKey: this.encryptionKey });
+        this.catchUpTimeIndex();
+        return this.timeIndex;
+    }
+
+    /**
+     * Add entries for all documents that are not yet covered by the time index.
+     *
+     * @private
+     */
+    catchUpTimeIndex() {
+        if (this.readOnly) {
+            return;
+        }
+        const index = this.timeIndex;
+        const length = this.index.length;
+        // The time index is flushed before the primary index, so it may be ahead after a crash
+        if (index.length > 0 && index.lastEntry.number > length) {
+            index.truncate(index.find(length));
+        }
+        const lastEntry = index.lastEntry;
+        this.lastTimestamp = lastEntry ? lastEntry.timestamp : -Infinity;
+        for (let number = (lastEntry ? lastEntry.number : 0) + 1; number <= length; number++) {
+            const entry = this.index.get(number);
+            if (isTombstone(entry)) continue;
+            this.addTimestamp(this.readFrom(entry.partition, entry.position, entry.size), number);
+            if (number % CATCH_UP_FLUSH_INTERVAL === 0) {
+                index.flush();
+            }
+        }
+        index.flush();
+    }
+
+    /**
+     * Add an entry to the time index if the given document is the first after the interval.
+     *
+     * @private
+     * @param {Object} document The document.
+     * @param {number} number The sequence number of the document.
+     */
+    addTimestamp(document, number) {
+        if (!this.timeIndex || this.readOnly) {
+            return;
+        }
+        const timestamp = this.timestampOf(document);
+        if (typeof timestamp === 'number' && timestamp > this.lastTimestamp) {
+            this.lastTimestamp = timestamp;
+        }
+        const lastEntry = this.timeIndex.lastEntry;
+        if (this.lastTimestamp > -Infinity && number - (lastEntry ? lastEntry.number : 0) >= this.timeIndexInterval) {
+            this.timeIndex.add(new TimeIndex.TimeEntry(number, this.lastTimestamp));
+        }
+    }
+
+    /**
+     * Pick up the time index entries that were written by another process.
+     *
+     * @private
+     */
+    refreshTimeIndex() {
+        if (!this.timeIndex) {
+            return;
+        }
+        if (this.timeIndex.isOpen()) {
+            this.timeIndex.refresh();
+            return;
+        }
+        try {
+            this.timeIndex.open();
+        } catch (e) {
+            // The time index is not completely created yet
+        }
+    }
+
+    /**
+     * Truncate the time index after the given document sequence number, even if it is not ensured yet.
+     *
+     * @private
+     * @param {number} after The document sequence number to truncate after.
+     */
+    truncateTimeIndex(after) {
+        const fileName = path.join(this.indexDirectory, this.storageFile + '.timestamps');
+        if (!this.timeIndex && !fs.existsSync(fileName)) {
+            return;
+        }
+        const index = this.timeIndex || new TimeIndex(this.storageFile + '.timestamps', { dataDirectory: this.indexDirectory, encryptionKey: this.encryptionKey });
+        if (index.length > 0 && index.lastEntry.number > after) {
+            index.truncate(index.find(after));
+        }
+        if (!this.timeIndex) {
+            index.close();
+        }
+    }
+
+    /**
+     * Find the first document with a timestamp at or after the given one, using the time index.
+     * All documents before the returned sequence number have lower timestamps, so the documents written within a time
+     * range `[from, to)` are those from `findByTimestamp(from)` until before `findByTimestamp(to)`.
+     *
+     * @api
+     * @param {number} timestamp The timestamp to search for.
+     * @returns {number} The 1-based sequence number of the document or the storage length + 1 if all documents are older.
+     * @throws {Error} if the time index was not ensured.
+     */
+    findByTimestamp(timestamp) {
+        if (!this.timeIndex) {
+            throw new Error('Need to ensure the time index first.');
+        }
+        const length = this.index.length;
+        let number = 0;
+        let lastTimestamp = -Infinity;
+        const position = this.timeIndex.isOpen() ? this.timeIndex.findTimestamp(timestamp) : 0;
+        if (position > 0) {
+            const timeEntry = this.timeIndex.get(position);
+            number = timeEntry.number;
+            lastTimestamp = timeEntry.timestamp;
+        }
+        while (++number <= length) {
+            const entry = this.index.get(number);
+            if (isTombstone(entry)) continue;
+            const documentTimestamp = this.timestampOf(this.readFrom(entry.partition, entry.position, entry.size));
+            if (typeof documentTimestamp === 'number' && documentTimestamp > lastTimestamp) {
+                lastTimestamp = documentTimestamp;
+            }
+            if (lastTimestamp >= timestamp) {
+                return number;
+            }
+        }
+        return length + 1;
+    }
+
+    /**
+     * Migrate the primary index and all secondary indexes of this storage to the given entry class.
+     * Use this to convert existing indexes to `Index.Entry64` when partitions need to grow beyond 4GB.
+     *
+     * All converted indexes are written next to the original files with a `.compact` suffix and only replace them after
+     * a journal of the replacements was written, like with `compact()`. If the process crashes in between, the
+     * migration is either completed or rolled back on the next `open()`, so the indexes never use different entry classes.
+     *
+     * @api
+     * @param {EntryInterface} EntryClass The entry class to convert all indexes to.
+     */
+    migrateIndexes(EntryClass) {
+        this.assertWritable();
+        this.index.open();
+        const indexes = [this.index].concat(this.findIndexNames().map(name => this.openIndex(name)));
+        const migrations = [];
+        for (let index of indexes) {
+            const migrated = index.writeMigration(EntryClass, index.fileName + '.compact');
+            if (migrated !== false) {
+                fsyncFile(migrated.fileName);
+                migrations.push([index, migrated]);
+            }
+        }
+        if (migrations.length === 0) {
+            return;
+        }
+
+        const journal = this.compactionJournal + '.compact';
+        fs.writeFileSync(journal, JSON.stringify(migrations.map(([index, migrated]) => [migrated.fileName, index.fileName])));
+        fsyncFile(journal);
+        fs.renameSync(journal, this.compactionJournal);
+
+        this.completeCompaction();
+        for (let [index, migrated] of migrations) {
+            index.completeMigration(migrated);
+        }
+        this.indexOptions.EntryClass = this.index.EntryClass;
+    }
+
+    /**
+     * Find the names of all secondary indexes of this storage that exist in the index directory.
+     *
+     * @private
+     * @returns {Array<string>}
+     */
+    findIndexNames() {
+        const prefix = this.storageFile + '.';
+        const names = [];
+        const files = fs.readdirSync(this.indexDirectory);
+        for (let file of files) {
+            if (file === this.index.name || file.substr(-6) !== '.index' || file.substr(0, prefix.length) !== prefix) continue;
+            names.push(file.substring(prefix.length, file.length - 6));
+        }
+        return names;
+    }
+
+    /**
+     * Check every entry of an index against the partitions. For the primary index, the sequence numbers need to be
+     * consecutive and every entry needs to point to a readable document of the stored size, which has the same sequence
+     * number if its partition stores sequence numbers. For a secondary index, every entry needs to equal the primary
+     * index entry of its sequence number, the document needs to still match the stored matcher and no matching document
+     * may be missing. Index files that can not be opened are reported as well.
+     *
+     * @api
+     * @param {string} [name] The secondary index name. Omit it to verify the primary index.
+     * @returns {{entries: number, errors: Array<string>}} The amount of checked entries and a description of every error found.
+     */
+    verifyIndex(name) {
+        const errors = [];
+        const readDocument = entry => {
+            try {
+                const document = this.readFrom(entry.partition, entry.position, entry.size);
+                if (document === false) {
+                    errors.push(`Entry ${entry.number} points to a missing document.`);
+                }
+                return document;
+            } catch (e) {
+                errors.push(`Entry ${entry.number} points to an invalid document: ${e.message}`);
+                return false;
+            }
+        };
+
+        if (name === undefined) {
+            this.index.open();
+            for (let position = 1; position <= this.index.length; position++) {
+                const entry = this.index.get(position);
+                if (entry.number !== position) {
+                    errors.push(`Entry ${position} has the sequence number ${entry.number}.`);
+                } else if (!isTombstone(entry) && readDocument(entry) !== false) {
+                    const sequenceNumber = this.partitions[entry.partition].readSequenceNumber(entry.position);
+                    if (sequenceNumber && sequenceNumber !== entry.number) {
+                        errors.push(`Entry ${entry.number} points to the document with the sequence number ${sequenceNumber}.`);
+                    }
+                }
+            }
+            return { entries: this.index.length, errors };
+        }
+
+        let index, matcher;
+        try {
+            index = this.openIndexFile(name);
+            matcher = this.restoreMatcher(index.metadata);
+        } catch (e) {
+            if (index) index.close();
+            return { entries: 0, errors: [e.message] };
+        }
+        const trailingBytes = fs.statSync(index.fileName).size - index.headerSize - index.length * index.EntryClass.size;
+        if (trailingBytes > 0) {
+            errors.push(`Index file ends with ${trailingBytes} bytes of an incomplete entry.`);
+        }
+
+        // All sequence numbers in the index and those of the valid entries
+        const numbers = new Set();
+        const valid = new Set();
+        let lastNumber = 0;
+        for (let entry of index.entries()) {
+            numbers.add(entry.number);
+            const primaryEntry = this.index.get(entry.number);
+            if (entry.number <= lastNumber) {
+                errors.push(`Entry ${entry.number} is not in sequence order.`);
+            } else if (!primaryEntry) {
+                errors.push(`Entry ${entry.number} points to a document that does not exist.`);
+            } else if (isTombstone(entry) !== isTombstone(primaryEntry)) {
+                errors.push(isTombstone(entry) ? `Entry ${entry.number} is a tombstone of an existing document.` : `Entry ${entry.number} points to a removed document.`);
+            } else if (entry.position !== primaryEntry.position || entry.size !== primaryEntry.size || entry.partition !== primaryEntry.partition) {
+                errors.push(`Entry ${entry.number} does not match the primary index entry.`);
+            } else {
+                valid.add(entry.number);
+            }
+            lastNumber = Math.max(lastNumber, entry.number);
+        }
+
+        for (let primaryEntry of this.index.entries()) {
+            if (isTombstone(primaryEntry)) continue;
+            const document = readDocument(primaryEntry);
+            if (document === false) continue;
+            const matches = this.matches(document, matcher);
+            if (!matches && valid.has(primaryEntry.number)) {
+                errors.push(`Entry ${primaryEntry.number} points to a document that does not match.`);
+            } else if (matches && !numbers.has(primaryEntry.number)) {
+                errors.push(`Document ${primaryEntry.number} matches, but is missing in the index.`);
+            }
+        }
+        const entries = index.length;
+        if (!(name in this.secondaryIndexes)) {
+            index.close();
+        }
+        return { entries, errors };
+    }
+
+    /**
+     * Rebuild an index from the partition files, e.g. after the index file was lost or corrupted.
+     * A secondary index is rebuilt from all documents that match the matcher stored in the index file, so it does not need
+     * the code that created the index. Documents that were removed by a compaction can not be matched any more, so the
+     * rebuilt index contains no tombstones for them.
+     * The primary index is rebuilt by scanning all partitions and merging their documents in sequence order. Partitions
+     * store the sequence number with every document since file version 06. For documents of older partitions, the
+     * sequence numbers are taken from the secondary indexes instead, so with multiple partitions every such document
+     * needs to be contained in one of them, like the events in the stream indexes of an `EventStore`. Documents of a
+     * single partition are numbered in file order otherwise.
+     * The new index is written to a temporary file that only replaces the existing file when it is complete. Only use this
+     * while no other process has the storage opened.
+     *
+     * @api
+     * @param {string} [name] The secondary index name. Omit it to rebuild the primary index.
+     * @returns {number} The amount of entries in the rebuilt index.
+     * @throws {Error} if the storage is opened read-only.
+     * @throws {Error} if the secondary index does not exist or its matcher can not be restored.
+     * @throws {Error} if the order of the documents across partitions can not be determined.
+     */
+    rebuildIndex(name) {
+        this.assertWritable();
+        if (name === undefined) {
+            return this.rebuildPrimaryIndex();
+        }
+
+        let index, matcher;
+        try {
+            index = this.openIndexFile(name);
+            matcher = this.restoreMatcher(index.metadata);
+        } catch (e) {
+            if (index && !(name in this.secondaryIndexes)) {
+                index.close();
+            }
+            throw new Error(`Can not rebuild index "${name}": ${e.message}`);
+        }
+        const length = this.replaceIndexFile(index, this.matchingEntries(matcher));
+        if (name in this.secondaryIndexes) {
+            index.open();
+        }
+        return length;
+    }
+
+    /**
+     * Iterate the primary index entries of all documents that match the given matcher.
+     *
+     * @private
+     * @param {Object|function} matcher The matcher of a secondary index.
+     * @returns {Iterable<Index.Entry>}
+     */
+    *matchingEntries(matcher) {
+        for (let entry of this.index.entries()) {
+            if (isTombstone(entry)) continue;
+            if (this.matches(this.readFrom(entry.partition, entry.position, entry.size), matcher)) {
+                yield entry;
+            }
+        }
+    }
+
+    /**
+     * @private
+     * @returns {number} The amount of entries in the rebuilt primary index.
+     * @throws {Error} if the order of the documents across partitions can not be determined.
+     */
+    rebuildPrimaryIndex() {
+        const partitions = [];
+        this.forEachPartition(partition => {
+            partition.open();
+            partition.flush();
+            if (partition.size > 0) {
+                partitions.push(partition);
+            }
+        });
+
+        // The sequence numbers of all documents in partitions without sequence numbers that are contained in a secondary
+        // index, by partition and position
+        const unsequenced = new Set(partitions.filter(partition => !partition.sequenced).map(partition => partition.id));
+        const numbers = new Map();
+        let length = 0;
+        for (let name of this.findIndexNames()) {
+            let index;
+            try {
+                index = this.openIndexFile(name);
+            } catch (e) {
+                continue;
+            }
+            for (let entry of index.entries()) {
+                if (!isTombstone(entry) && unsequenced.has(entry.partition)) {
+                    numbers.set(entry.partition + ':' + entry.position, entry.number);
+                }
+                length = Math.max(length, entry.number);
+            }
+            if (!(name in this.secondaryIndexes)) {
+                index.close();
+            }
+        }
+
+        const documents = mergeByNumber(partitions.map(partition => this.numberedDocuments(partition, numbers, partitions.length === 1)));
+        const EntryClass = this.index.EntryClass;
+        const entries = function* () {
+            let number = 0;
+            for (let document of documents) {
+                if (document.number <= number) {
+                    throw new Error(`Multiple documents have the sequence number ${document.number}.`);
+                }
+                // Documents that were removed by a compaction leave a tombstone
+                while (++number < document.number) {
+                    yield new EntryClass(number, 0, 0, 0);
+                }
+                yield new EntryClass(document.number, document.position, document.size, document.partition.id);
+            }
+            while (++number <= length) {
+                yield new EntryClass(number, 0, 0, 0);
+            }
+        };
+
+        const rebuilt = this.replaceIndexFile(this.index, entries());
+        this.index.open();
+        return rebuilt;
+    }
+
+    /**
+     * Iterate the documents of a partition in file order together with their sequence numbers.
+     *
+     * @private
+     * @param {Partition} partition The opened partition.
+     * @param {Map<string, number>} numbers The sequence numbers of documents in partitions without sequence numbers, by partition and position.
+     * @param {boolean} numberInFileOrder If documents without a known sequence number are numbered after the previous document.
+     * @returns {Iterable<{number: number, position: number, size: number, partition: Partition}>}
+     * @throws {Error} if the sequence number of a document is unknown and can not be derived from the file order.
+     * @throws {Error} if the sequence numbers do not increase in file order.
+     */
+    *numberedDocuments(partition, numbers, numberInFileOrder) {
+        let number = 0;
+        for (let position = 0; ;) {
+            let data;
+            try {
+                data = partition.readFrom(position);
+            } catch (e) {
+                break;
+            }
+            if (data === false) break;
+            const size = Buffer.byteLength(data, 'utf8');
+            const documentNumber = partition.readSequenceNumber(position) || numbers.get(partition.id + ':' + position);
+            if (documentNumber === undefined) {
+                if (!numberInFileOrder) {
+                    throw new Error(`Can not determine the order of the documents across partitions, because the document at position ${position} of partition ${partition.name} is not contained in any secondary index.`);
+                }
+                number++;
+            } else if (documentNumber <= number) {
+                throw new Error(`The sequence numbers in the secondary indexes do not match the order of partition ${partition.name}.`);
+            } else {
+                number = documentNumber;
+            }
+            yield { number, position, size, partition };
+            position += partition.documentWriteSize(size);
+        }
+    }
+
+    /**
+     * Open the file of a secondary index for reading without maintaining it, so that an incomplete last entry does not
+     * prevent opening it. An index that is already maintained is returned instead.
+     *
+     * @private
+     * @param {string} name The secondary index name.
+     * @returns {Index} The opened index.
+     * @throws {Error} if the index does not exist or can not be opened.
+     */
+    openIndexFile(name) {
+        if (name in this.secondaryIndexes) {
+            const index = this.secondaryIndexes[name].index;
+            index.open();
+            return index;
+        }
+        const indexName = this.storageFile + '.' + name + '.index';
+        if (!fs.existsSync(path.join(this.indexDirectory, indexName))) {
+            throw new Error(`Index "${name}" does not exist.`);
+        }
+        return new Index(indexName, Object.assign({}, this.indexOptions, { readOnly: true }));
+    }
+
+    /**
+     * Write the given entries to a new file that replaces the file of the index. The index is closed afterwards.
+     * If iterating the entries throws, the new file is removed and the index is left unchanged.
+     *
+     * @private
+     * @param {Index} index The index to replace the file of.
+     * @param {Iterable<Index.Entry>} entries The entries of the new index file.
+     * @returns {number} The amount of entries in the new index file.
+     */
+    replaceIndexFile(index, entries) {
+        const metadata = Object.assign({}, index.metadata);
+        delete metadata.entryClass;
+        delete metadata.entrySize;
+        const fileName = index.fileName + '.rebuild';
+        if (fs.existsSync(fileName)) {
+            fs.unlinkSync(fileName);
+        }
+        const EntryClass = this.index.EntryClass;
+        const rebuilt = new Index(path.basename(fileName), Object.assign({}, this.indexOptions, { EntryClass, metadata, readOnly: false }));
+        try {
+            for (let entry of entries) {
+                rebuilt.add(entry);
+            }
+        } catch (e) {
+            rebuilt.close();
+            fs.unlinkSync(fileName);
+            throw e;
+        }
+        const length = rebuilt.length;
+        rebuilt.close();
+        fsyncFile(fileName);
+        index.close();
+        fs.renameSync(fileName, index.fileName);
+        index.useEntryClass(EntryClass);
+        index.metadata = rebuilt.metadata;
+        return length;
+    }
+
     /**
      * Truncate the storage after the given sequence number.
      *
      * @param {number} after The document sequence number to truncate after.
+     * @throws {Error} if the storage is opened read-only.
      */
     truncate(after) {
+        this.assertWritable();
         /*
          To truncate the store following steps need to be done:
 
@@ -427,10 +1701,10 @@ class Storage extends EventEmitter {
         if (!this.index.isOpen()) {
             this.index.open();
         }
-        const entries = this.index.range(after + 1);  // We need the first entry that is cut off
-        if (entries === false || entries.length === 0) {
+        if (after < 0 || after >= this.index.length) {
             return;
         }
+        const entries = this.index.entries(after + 1);  // We need the first entry that is cut off
 
         if (after === 0) {
             this.forEachPartition(partition => partition.truncate(0));
@@ -438,7 +1712,7 @@ class Storage extends EventEmitter {
             const partitions = [];
             const numPartitions = Object.keys(this.partitions).length;
             for (let entry of entries) {
-                if (partitions.indexOf(entry.partition) >= 0) continue;
+                if (isTombstone(entry) || partitions.indexOf(entry.partition) >= 0) continue;
                 partitions.push(entry.partition);
                 this.getPartition(entry.partition).truncate(entry.position);
 
@@ -449,17 +1723,292 @@ class Storage extends EventEmitter {
         }
 
         this.index.truncate(after);
-        this.forEachSecondaryIndex(index => {
-            let closeIndex = false;
-            if (!index.isOpen()) {
-                index.open();
-                closeIndex = true;
+        this.truncateSecondaryIndexes(after);
+        this.truncateKeyIndexes(after);
+        this.truncateTimeIndex(after);
+        if (this.timeIndex) {
+            this.catchUpTimeIndex();
+        }
+    }
+
+    /**
+     * Find the names of all key indexes of this storage that exist in the index directory.
+     *
+     * @private
+     * @returns {Array<string>}
+     */
+    findKeyIndexNames() {
+        const prefix = this.storageFile + '.';
+        return fs.readdirSync(this.indexDirectory)
+            .filter(file => file.substr(-5) === '.keys' && file.substr(0, prefix.length) === prefix)
+            .map(file => file.substring(prefix.length, file.length - 5));
+    }
+
+    /**
+     * Truncate all key indexes in the index directory after the given document sequence number, including those that
+     * are not ensured yet.
+     *
+     * @private
+     * @param {number} after The document sequence number to truncate after.
+     */
+    truncateKeyIndexes(after) {
+        for (let name of this.findKeyIndexNames()) {
+            if (name in this.keyIndexes) {
+                this.keyIndexes[name].index.truncate(after);
+                continue;
             }
-            index.truncate(index.find(after));
+            const index = new KeyIndex(this.storageFile + '.' + name + '.keys', { dataDirectory: this.indexDirectory, encryptionKey: this.encryptionKey });
+            index.truncate(after);
+            index.close();
+        }
+    }
+
+    /**
+     * Truncate all secondary indexes in the index directory after the given document sequence number, including
+     * those that are not opened yet.
+     *
+     * @private
+     * @param {number} after The document sequence number to truncate after.
+     * @returns {Object} The amount of truncated entries per index name.
+     */
+    truncateSecondaryIndexes(after) {
+        const truncated = {};
+        for (let name of this.findIndexNames()) {
+            const closeIndex = !(name in this.secondaryIndexes) || !this.secondaryIndexes[name].index.isOpen();
+            const index = name in this.secondaryIndexes ? this.secondaryIndexes[name].index : new Index(this.storageFile + '.' + name + '.index', this.indexOptions);
+            index.open();
+            const length = index.length;
+            if (length > 0 && index.lastEntry.number > after) {
+                index.truncate(index.find(after));
+            }
+            truncated[name] = length - index.length;
             if (closeIndex) {
                 index.close();
             }
+        }
+        return truncated;
+    }
+
+    /**
+     * Physically remove all documents for which the given function returns true, e.g. to erase personal data or
+     * reclaim the space of expired documents.
+     * Every partition that contains removed documents is rewritten into a new file and the primary index and all
+     * secondary indexes are rewritten to match. Removed documents leave a tombstone entry in all indexes, so the sequence
+     * numbers of all documents and their positions inside the secondary indexes stay the same.
+     *
+     * All new files are written next to the original files with a `.compact` suffix and only replace them after a
+     * journal of the replacements was written. If the process crashes in between, the compaction is either completed
+     * or rolled back on the next `open()`.
+     * Read-only storages of other processes need to be reopened after a compaction.
+     * Will emit a 'compacted' event with the report when finished.
+     *
+     * @api
+     * @param {function(Object, number): boolean} shouldRemove A function that receives a document and its sequence number and returns true if the document should be removed.
+     * @returns {{documents: number, partitions: Object}} A report with the amount of removed documents and the amount of reclaimed bytes per partition name.
+     * @throws {Error} if the storage is opened read-only.
+     */
+    compact(shouldRemove) {
+        this.assertWritable();
+        if (typeof shouldRemove !== 'function') {
+            throw new Error('Need to specify a function that selects the documents to remove.');
+        }
+        const report = { documents: 0, partitions: {} };
+        this.index.open();
+        this.forEachPartition(partition => partition.flush());
+        this.forEachSecondaryIndex(index => index.flush());
+        this.forEachKeyIndex(index => index.flush());
+        this.index.flush();
+
+        const removed = new Set();
+        this.forEachDocument((document, entry) => {
+            if (shouldRemove(document, entry.number)) {
+                removed.add(entry.number);
+            }
         });
+        report.documents = removed.size;
+        if (removed.size === 0) {
+            this.emit('compacted', report);
+            return report;
+        }
+
+        const renames = [];
+        const positions = this.compactPartitions(removed, renames, report);
+        const entries = this.compactIndexes(removed, positions, renames);
+        this.compactKeyIndexes(removed, renames);
+
+        const journal = this.compactionJournal + '.compact';
+        fs.writeFileSync(journal, JSON.stringify(renames));
+        fsyncFile(journal);
+        fs.renameSync(journal, this.compactionJournal);
+
+        this.completeCompaction();
+        this.index.open();
+        this.forEachSecondaryIndex(index => index.open());
+        this.forEachKeyIndex(index => index.open());
+        /* istanbul ignore if  */
+        if (this.index.length !== entries) {
+            throw new Error('Compacted index has a different length.');
+        }
+
+        this.emit('compacted', report);
+        return report;
+    }
+
+    /**
+     * Write all documents that are not removed of every partition containing removed documents to a new partition file.
+     *
+     * @private
+     * @param {Set<number>} removed The sequence numbers of all removed documents.
+     * @param {Array<Array<string>>} renames The list of file renames, which the new partition files are added to.
+     * @param {Object} report The compaction report, which the reclaimed bytes are stored in.
+     * @returns {Map<number, number>} The new file positions of the kept documents in the rewritten partitions by sequence number.
+     */
+    compactPartitions(removed, renames, report) {
+        const compacted = {};
+        for (let number of removed) {
+            const partitionId = this.index.get(number).partition;
+            if (partitionId in compacted) continue;
+            const partition = this.getPartition(partitionId);
+            const fileName = partition.fileName + '.compact';
+            for (let file of [fileName, fileName + '.tail']) {
+                if (fs.existsSync(file)) {
+                    fs.unlinkSync(file);
+                }
+            }
+            compacted[partitionId] = new Partition(partition.name + '.compact', this.partitionConfig);
+            compacted[partitionId].open();
+        }
+
+        const positions = new Map();
+        for (let entry of this.index.entries()) {
+            if (!(entry.partition in compacted) || isTombstone(entry) || removed.has(entry.number)) continue;
+            const data = this.partitions[entry.partition].readFrom(entry.position, entry.size);
+            positions.set(entry.number, compacted[entry.partition].write(data, entry.number));
+        }
+
+        for (let partitionId of Object.keys(compacted)) {
+            const partition = this.partitions[partitionId];
+            compacted[partitionId].close();
+            fsyncFile(compacted[partitionId].fileName);
+            renames.push([compacted[partitionId].fileName, partition.fileName]);
+            report.partitions[partition.name] = partition.size - compacted[partitionId].size;
+        }
+        return positions;
+    }
+
+    /**
+     * Write new files for the primary index and all secondary indexes, which point to the new document positions and
+     * contain tombstones for the removed documents. Secondary index entries are copies of the primary index entries, so
+     * they are mapped the same way entry by entry.
+     *
+     * @private
+     * @param {Set<number>} removed The sequence numbers of all removed documents.
+     * @param {Map<number, number>} positions The new file positions of all documents in rewritten partitions.
+     * @param {Array<Array<string>>} renames The list of file renames, which the new index files are added to.
+     * @returns {number} The amount of entries in the primary index.
+     */
+    compactIndexes(removed, positions, renames) {
+        const EntryClass = this.index.EntryClass;
+        const mapEntry = entry => {
+            if (removed.has(entry.number)) {
+                return new EntryClass(entry.number, 0, 0, entry.partition);
+            }
+            if (positions.has(entry.number)) {
+                return new EntryClass(entry.number, positions.get(entry.number), entry.size, entry.partition);
+            }
+            return entry;
+        };
+        const compactIndex = index => {
+            const metadata = Object.assign({}, index.metadata);
+            delete metadata.entryClass;
+            delete metadata.entrySize;
+            const fileName = index.fileName + '.compact';
+            if (fs.existsSync(fileName)) {
+                fs.unlinkSync(fileName);
+            }
+            const compacted = new Index(path.basename(fileName), Object.assign({}, this.indexOptions, { EntryClass, metadata }));
+            for (let entry of index.entries()) {
+                compacted.add(mapEntry(entry));
+            }
+            const length = compacted.length;
+            compacted.close();
+            fsyncFile(fileName);
+            renames.push([fileName, index.fileName]);
+            index.metadata = compacted.metadata;
+            return length;
+        };
+
+        const length = compactIndex(this.index);
+
+        for (let name of this.findIndexNames()) {
+            const closeIndex = !(name in this.secondaryIndexes) || !this.secondaryIndexes[name].index.isOpen();
+            const index = name in this.secondaryIndexes ? this.secondaryIndexes[name].index : new Index(this.storageFile + '.' + name + '.index', this.indexOptions);
+            index.open();
+            compactIndex(index);
+            if (closeIndex) {
+                index.close();
+            }
+        }
+        return length;
+    }
+
+    /**
+     * Write new files for all key indexes without the entries of the removed documents.
+     *
+     * @private
+     * @param {Set<number>} removed The sequence numbers of all removed documents.
+     * @param {Array<Array<string>>} renames The list of file renames, which the new key index files are added to.
+     */
+    compactKeyIndexes(removed, renames) {
+        for (let name of this.findKeyIndexNames()) {
+            const closeIndex = !(name in this.keyIndexes);
+            const index = closeIndex ? new KeyIndex(this.storageFile + '.' + name + '.keys', { dataDirectory: this.indexDirectory, encryptionKey: this.encryptionKey }) : this.keyIndexes[name].index;
+            const fileName = index.fileName + '.compact';
+            index.copy(fileName, number => !removed.has(number));
+            fsyncFile(fileName);
+            renames.push([fileName, index.fileName]);
+            if (closeIndex) {
+                index.close();
+            }
+        }
+    }
+
+    /**
+     * Complete a compaction by replacing all files listed in the compaction journal. Since files that were already
+     * replaced are skipped, this can be repeated after a crash until the journal is removed.
+     * Without a journal, all files of an unfinished compaction are removed instead.
+     *
+     * @private
+     */
+    completeCompaction() {
+        if (!fs.existsSync(this.compactionJournal)) {
+            for (let directory of new Set([this.dataDirectory, this.indexDirectory])) {
+                for (let file of fs.readdirSync(directory)) {
+                    if (file.substr(0, this.storageFile.length) !== this.storageFile) continue;
+                    if (file.substr(-8) !== '.compact' && file.substr(-13) !== '.compact.tail') continue;
+                    fs.unlinkSync(path.join(directory, file));
+                }
+            }
+            return;
+        }
+
+        this.index.close();
+        this.forEachSecondaryIndex(index => index.close());
+        this.forEachKeyIndex(index => index.close());
+        this.forEachPartition(partition => partition.close());
+        const renames = JSON.parse(fs.readFileSync(this.compactionJournal, 'utf8'));
+        for (let [from, to] of renames) {
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, to);
+            }
+            // Compacted partitions are closed with all documents compressed into blocks, so the tail files are empty or stale
+            for (let tailFile of [from + '.tail', to + '.tail']) {
+                if (fs.existsSync(tailFile)) {
+                    fs.unlinkSync(tailFile);
+                }
+            }
+        }
+        fs.unlinkSync(this.compactionJournal);
     }
 
     /**
@@ -472,9 +2021,8 @@ class Storage extends EventEmitter {
         /* istanbul ignore if  */
         if (typeof iterationHandler !== 'function') return;
 
-        const entries = this.index.all();
-
-        for (let entry of entries) {
+        for (let entry of this.index.entries()) {
+            if (isTombstone(entry)) continue;
             const document = this.readFrom(entry.partition, entry.position, entry.size);
             iterationHandler(document, entry);
         }
@@ -498,6 +2046,18 @@ class Storage extends EventEmitter {
         }
     }
 
+    /**
+     * Helper method to iterate over all key indexes.
+     *
+     * @private
+     * @param {function(KeyIndex, string)} iterationHandler
+     */
+    forEachKeyIndex(iterationHandler) {
+        for (let name of Object.keys(this.keyIndexes)) {
+            iterationHandler(this.keyIndexes[name].index, name);
+        }
+    }
+
     /**
      * Helper method to iterate over all partitions.
      *
@@ -515,4 +2075,5 @@ class Storage extends EventEmitter {
 
 }
 
-module.exports = Storage;
\ No newline at end of file
+module.exports = Storage;
+module.exports.StorageLockedError = StorageLockedError;
\ No newline at end of file
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const Index = require('./Index');
+
+/**
+ * A time index entry maps a document sequence number to the highest timestamp of all documents up to that number.
+ * Both values are stored as doubles, so they can hold any timestamp in milliseconds exactly.
+ */
+class TimeEntry extends Array {
+
+    /**
+     * @param {number} number The sequence number of the document.
+     * @param {number} timestamp The highest timestamp of all documents up to and including this one.
+     */
+    constructor(number, timestamp) {
+        super(2);
+        this[0] = number;
+        this[1] = timestamp;
+    }
+
+    static get size() {
+        return 8 + 8;
+    }
+
+    static fromBuffer(buffer, offset = 0) {
+        const number    = buffer.readDoubleLE(offset, true);
+        const timestamp = buffer.readDoubleLE(offset + 8, true);
+        return new this(number, timestamp);
+    }
+
+    toBuffer(buffer, offset) {
+        buffer.writeDoubleLE(this[0], offset, true);
+        buffer.writeDoubleLE(this[1], offset + 8, true);
+        return TimeEntry.size;
+    }
+
+    get number() {
+        return this[0];
+    }
+
+    get timestamp() {
+        return this[1];
+    }
+
+}
+
+/**
+ * A time index is a sparse index that only stores an entry for every few documents, which contains the highest
+ * timestamp of all documents so far. Since these timestamps never decrease, the range of documents that was written
+ * at a given time can be found with a binary search, followed by a short scan of the documents after the found entry.
+ * A read-only time index whose file does not exist yet stays closed until it is opened again.
+ */
+class TimeIndex extends Index {
+
+    /**
+     * @param {string} name The name of the file to use for storing the index.
+     * @param {Object} [options] An object with additional index options, see `Index`.
+     */
+    constructor(name, options = {}) {
+        super(name, Object.assign({}, options, { EntryClass: TimeEntry }));
+    }
+
+    /**
+     * @api
+     * @returns {boolean} True if the index was opened or false if it was already open or does not exist yet.
+     */
+    open() {
+        if (this.readOnly && !fs.existsSync(this.fileName)) {
+            return false;
+        }
+        return super.open();
+    }
+
+    /**
+     * Find the last entry position with a timestamp lower than the given one.
+     * All documents up to the sequence number of that entry were written before the given time.
+     *
+     * @api
+     * @param {number} timestamp The timestamp to search for.
+     * @returns {number} The 1-based entry position or 0 if no entry has a lower timestamp.
+     */
+    findTimestamp(timestamp) {
+        let low = 1;
+        let high = this.length;
+        while (low <= high) {
+            const mid = low + ((high - low) >> 1);
+            if (this.get(mid).timestamp < timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return high;
+    }
+
+}
+
+module.exports = TimeIndex;
+module.exports.TimeEntry = TimeEntry;
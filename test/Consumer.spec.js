@@ -17,6 +17,7 @@ describe('Consumer', function() {
     });
 
     afterEach(function () {
+        if (consumer) consumer.stop();
         if (storage) storage.close();
         storage = undefined;
         consumer = undefined;
@@ -50,6 +51,23 @@ describe('Consumer', function() {
         consumer.start();
     });
 
+    it('skips documents that were removed by a compaction when catching up', function(done){
+        consumer = new Consumer(storage, 'foobar', 'consumer1');
+        consumer.stop();
+        storage.write({ type: 'Foobar', id: 1 });
+        storage.write({ type: 'Foobar', id: 2 });
+        storage.write({ type: 'Foobar', id: 3 });
+        storage.compact(doc => doc.id === 2);
+        const documents = [];
+        consumer.on('data', document => documents.push(document.id));
+        consumer.on('caught-up', () => {
+            expect(documents).to.eql([1, 3]);
+            expect(consumer.position).to.be(3);
+            done();
+        });
+        consumer.start();
+    });
+
     it('continues emitting data after catching up', function(done){
         consumer = new Consumer(storage, 'foobar', 'consumer1');
         consumer.stop();
@@ -1,6 +1,10 @@
 const expect = require('expect.js');
 const fs = require('fs-extra');
 const EventStore = require('../src/EventStore');
+const Storage = require('../src/Storage');
+const Index = require('../src/Index');
+const KeyStore = require('../src/KeyStore');
+const ShreddingSerializer = require('../src/ShreddingSerializer');
 
 describe('EventStore', function() {
 
@@ -11,8 +15,9 @@ describe('EventStore', function() {
     });
 
     afterEach(function () {
-        if (eventstore) eventstore.close();
+        const opened = eventstore;
         eventstore = undefined;
+        if (opened) opened.close();
     });
 
     it('basically works', function(done) {
@@ -33,6 +38,89 @@ describe('EventStore', function() {
         });
     });
 
+    it('emits recovered after an unclean shutdown', function(done) {
+        eventstore = new EventStore({
+            storageDirectory: 'test/data'
+        });
+        eventstore.commit('foo-bar', [{foo: 'bar'}], () => {
+            eventstore.close();
+            fs.writeFileSync('test/data/eventstore.lock', '');
+            fs.appendFileSync('test/data/eventstore.foo-bar', '0000000');
+
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+            eventstore.on('recovered', (report) => {
+                expect(report.partitions['eventstore.foo-bar'].tornBytes).to.be(7);
+                expect(eventstore.length).to.be(1);
+                done();
+            });
+        });
+    });
+
+    it('throws when the store is already opened', function() {
+        eventstore = new EventStore({
+            storageDirectory: 'test/data'
+        });
+        expect(() => new EventStore({ storageDirectory: 'test/data' })).to.throwError(e => expect(e).to.be.a(Storage.StorageLockedError));
+    });
+
+    describe('readOnly', function() {
+
+        let reader;
+
+        afterEach(function() {
+            const opened = reader;
+            reader = undefined;
+            if (opened) opened.close();
+        });
+
+        it('does not allow modifications', function() {
+            eventstore = new EventStore({ storageDirectory: 'test/data' });
+            reader = new EventStore({ storageDirectory: 'test/data', readOnly: true });
+            expect(() => reader.commit('foo-bar', [{ foo: 'bar' }])).to.throwError(/read-only/);
+            expect(() => reader.createEventStream('foo-bar', { stream: 'foo-bar' })).to.throwError(/read-only/);
+            expect(() => reader.deleteEventStream('foo-bar')).to.throwError(/read-only/);
+            expect(() => reader.scavenge()).to.throwError(/read-only/);
+        });
+
+        it('emits commits of the writer', function(done) {
+            eventstore = new EventStore({ storageDirectory: 'test/data' });
+            eventstore.commit('foo-bar', [{ foo: 'bar' }], () => {
+                reader = new EventStore({ storageDirectory: 'test/data', readOnly: true });
+                reader.on('ready', () => {
+                    expect(reader.length).to.be(1);
+                    reader.on('commit', (commit) => {
+                        expect(commit.streamName).to.be('foo-bar');
+                        expect(commit.streamVersion).to.be(1);
+                        expect(commit.events).to.eql([{ foo: 'baz' }, { foo: 'quux' }]);
+                        expect(reader.length).to.be(3);
+                        const events = Array.from(reader.getEventStream('foo-bar'));
+                        expect(events).to.eql([{ foo: 'bar' }, { foo: 'baz' }, { foo: 'quux' }]);
+                        done();
+                    });
+                    eventstore.commit('foo-bar', [{ foo: 'baz' }, { foo: 'quux' }]);
+                });
+            });
+        });
+
+        it('makes new streams of the writer available', function(done) {
+            eventstore = new EventStore({ storageDirectory: 'test/data' });
+            reader = new EventStore({ storageDirectory: 'test/data', readOnly: true });
+            reader.on('ready', () => {
+                reader.on('stream-available', (streamName) => {
+                    expect(streamName).to.be('foo-bar');
+                    reader.on('commit', () => {
+                        expect(Array.from(reader.getEventStream('foo-bar'))).to.eql([{ foo: 'bar' }]);
+                        done();
+                    });
+                });
+                eventstore.commit('foo-bar', [{ foo: 'bar' }]);
+            });
+        });
+
+    });
+
     describe('commit', function() {
 
         it('throws when no stream name specified', function() {
@@ -181,6 +269,408 @@ describe('EventStore', function() {
 
     });
 
+    describe('commitAsync', function() {
+
+        it('resolves with the commit when written to disk', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            return eventstore.commitAsync('foo-bar', [{ foo: 'bar' }, { foo: 'baz' }]).then(commit => {
+                expect(commit.streamName).to.be('foo-bar');
+                expect(commit.events).to.eql([{ foo: 'bar' }, { foo: 'baz' }]);
+                const index = new Index('eventstore.index', { dataDirectory: 'test/data/streams', readOnly: true });
+                expect(index.length).to.be(2);
+                index.close();
+            });
+        });
+
+        it('accepts metadata without an expected version', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            return eventstore.commitAsync('foo-bar', { foo: 'bar' }, { quux: 'quux' }).then(commit => {
+                expect(commit.quux).to.be('quux');
+            });
+        });
+
+        it('rejects with an optimistic concurrency error if stream version does not match', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            return eventstore.commitAsync('foo-bar', { foo: 'bar' }, 1).then(
+                () => expect().fail('Expected commit to be rejected'),
+                e => expect(e).to.be.a(EventStore.OptimisticConcurrencyError)
+            );
+        });
+
+    });
+
+    describe('commitTransaction', function() {
+
+        it('removes the written events again if writing the transaction fails', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+            const circular = { bar: 1 };
+            circular.self = circular;
+
+            eventstore.commit('foo', [{ foo: 1 }], () => {
+                expect(() => eventstore.commitTransaction([
+                    { streamName: 'foo', events: [{ foo: 2 }, { foo: 3 }] },
+                    { streamName: 'bar', events: [circular] }
+                ])).to.throwError(/circular/);
+                expect(eventstore.length).to.be(1);
+                expect(eventstore.getEventStream('foo').events).to.eql([{ foo: 1 }]);
+                expect(eventstore.getEventStream('bar').events).to.eql([]);
+
+                eventstore.commit('foo', [{ foo: 4 }], () => {
+                    expect(eventstore.getEventStream('foo').events).to.eql([{ foo: 1 }, { foo: 4 }]);
+                    done();
+                });
+            });
+        });
+
+        it('throws when no operations specified', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            expect(() => eventstore.commitTransaction()).to.throwError();
+            expect(() => eventstore.commitTransaction([])).to.throwError();
+        });
+
+        it('commits events to all streams at once', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('bar', { bar: 1 }, () => {
+                eventstore.commitTransaction([
+                    { streamName: 'foo', events: [{ foo: 1 }, { foo: 2 }], expectedVersion: EventStore.ExpectedVersion.EmptyStream },
+                    { streamName: 'bar', events: { bar: 2 }, expectedVersion: 1 }
+                ], (commits) => {
+                    expect(commits.length).to.be(2);
+                    expect(commits[0].commitId).to.be(1);
+                    expect(commits[1].commitId).to.be(1);
+                    expect(commits[0].streamName).to.be('foo');
+                    expect(commits[0].streamVersion).to.be(0);
+                    expect(commits[1].streamName).to.be('bar');
+                    expect(commits[1].streamVersion).to.be(1);
+
+                    const events = eventstore.getAllEvents();
+                    expect(events.next().metadata.commitId).to.be(0);
+                    for (let commitVersion = 0; commitVersion < 3; commitVersion++) {
+                        const { metadata } = events.next();
+                        expect(metadata.commitId).to.be(1);
+                        expect(metadata.commitVersion).to.be(commitVersion);
+                        expect(metadata.commitSize).to.be(3);
+                    }
+                    expect(eventstore.getEventStream('bar').events).to.eql([{ bar: 1 }, { bar: 2 }]);
+                    done();
+                });
+            });
+        });
+
+        it('emits a "commit" event for every stream', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            const streamNames = [];
+            eventstore.on('commit', commit => streamNames.push(commit.streamName));
+            eventstore.commitTransaction([
+                { streamName: 'foo', events: [{ foo: 1 }] },
+                { streamName: 'bar', events: [{ bar: 1 }] }
+            ], () => {
+                expect(streamNames).to.eql(['foo', 'bar']);
+                done();
+            });
+        });
+
+        it('does not write anything if any stream version does not match', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('bar', { bar: 1 }, () => {
+                expect(() => eventstore.commitTransaction([
+                    { streamName: 'foo', events: [{ foo: 1 }], expectedVersion: EventStore.ExpectedVersion.EmptyStream },
+                    { streamName: 'bar', events: [{ bar: 2 }], expectedVersion: EventStore.ExpectedVersion.EmptyStream }
+                ])).to.throwError(e => expect(e).to.be.a(EventStore.OptimisticConcurrencyError));
+                expect(eventstore.length).to.be(1);
+                done();
+            });
+        });
+
+        it('rolls back a partially written transaction on open', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('bar', { bar: 1 }, () => {
+                eventstore.commitTransaction([
+                    { streamName: 'foo', events: [{ foo: 1 }, { foo: 2 }] },
+                    { streamName: 'bar', events: [{ bar: 2 }] }
+                ], () => {
+                    eventstore.close();
+                    // Simulate a crash after the first two events of the transaction were written
+                    const storage = new Storage('eventstore', { dataDirectory: 'test/data', indexDirectory: 'test/data/streams' });
+                    storage.open();
+                    try {
+                        storage.truncate(3);
+                    } finally {
+                        storage.close();
+                    }
+
+                    eventstore = new EventStore({
+                        storageDirectory: 'test/data'
+                    });
+                    expect(eventstore.length).to.be(1);
+                    eventstore.on('ready', () => {
+                        expect(eventstore.getEventStream('foo').events).to.eql([]);
+                        expect(eventstore.getEventStream('bar').events).to.eql([{ bar: 1 }]);
+                        done();
+                    });
+                });
+            });
+        });
+
+    });
+
+    describe('idempotent commits', function() {
+
+        it('does not index event ids by default', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('foo-bar', [{ eventId: 'a' }], () => {
+                eventstore.commit('foo-bar', [{ eventId: 'a' }], () => {
+                    expect(eventstore.length).to.be(2);
+                    expect(fs.existsSync('test/data/streams/eventstore.eventIds.keys')).to.be(false);
+                    done();
+                });
+            });
+        });
+
+        it('does not append a replayed commit again', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                idempotentCommits: true
+            });
+
+            const events = [{ eventId: 'a', foo: 1 }, { eventId: 'b', foo: 2 }];
+            eventstore.commit('foo-bar', events, EventStore.ExpectedVersion.EmptyStream, (commit) => {
+                let emitted = false;
+                eventstore.on('commit', () => emitted = true);
+                eventstore.commit('foo-bar', events, EventStore.ExpectedVersion.EmptyStream, (replayed) => {
+                    expect(replayed.commitId).to.be(commit.commitId);
+                    expect(replayed.streamName).to.be('foo-bar');
+                    expect(replayed.events).to.eql(events);
+                    expect(eventstore.length).to.be(2);
+                    expect(emitted).to.be(false);
+                    done();
+                });
+            });
+        });
+
+        it('detects a replayed transaction', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                idempotentCommits: true
+            });
+
+            const operations = [
+                { streamName: 'foo', events: [{ eventId: 1 }] },
+                { streamName: 'bar', events: [{ eventId: 2 }] }
+            ];
+            return eventstore.commitTransactionAsync(operations)
+                .then(() => eventstore.commitTransactionAsync(operations))
+                .then(commits => {
+                    expect(commits.map(commit => commit.streamName)).to.eql(['foo', 'bar']);
+                    expect(eventstore.length).to.be(2);
+                });
+        });
+
+        it('detects replays after a restart', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                idempotentCommits: true
+            });
+
+            eventstore.commit('foo-bar', [{ eventId: 'a' }], () => {
+                eventstore.close();
+                eventstore = new EventStore({
+                    storageDirectory: 'test/data',
+                    idempotentCommits: true
+                });
+                eventstore.commit('foo-bar', [{ eventId: 'a' }], () => {
+                    expect(eventstore.length).to.be(1);
+                    done();
+                });
+            });
+        });
+
+        it('rebuilds the event ids of events that were not indexed', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                idempotentCommits: true
+            });
+
+            eventstore.commit('foo-bar', [{ eventId: 'a' }, { eventId: 'b' }], () => {
+                eventstore.close();
+                fs.unlinkSync('test/data/streams/eventstore.eventIds.keys');
+                eventstore = new EventStore({
+                    storageDirectory: 'test/data',
+                    idempotentCommits: true
+                });
+                eventstore.commit('foo-bar', [{ eventId: 'a' }, { eventId: 'b' }], () => {
+                    expect(eventstore.length).to.be(2);
+                    done();
+                });
+            });
+        });
+
+        it('commits events again that were rolled back', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                idempotentCommits: true
+            });
+
+            eventstore.commit('foo-bar', [{ eventId: 'a' }], () => {
+                eventstore.storage.truncate(0);
+                eventstore.commit('foo-bar', [{ eventId: 'a' }], () => {
+                    expect(eventstore.length).to.be(1);
+                    done();
+                });
+            });
+        });
+
+        it('throws when only some events were committed before', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                idempotentCommits: true
+            });
+
+            eventstore.commit('foo-bar', [{ eventId: 'a' }, { eventId: 'b' }], () => {
+                expect(() => eventstore.commit('foo-bar', [{ eventId: 'a' }, { eventId: 'c' }])).to.throwError(
+                    e => expect(e).to.be.a(EventStore.DuplicateEventError)
+                );
+                expect(() => eventstore.commit('foo-bar', [{ eventId: 'a' }])).to.throwError(
+                    e => expect(e).to.be.a(EventStore.DuplicateEventError)
+                );
+                expect(eventstore.length).to.be(2);
+                done();
+            });
+        });
+
+        it('throws when a commit contains the same event id twice', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                idempotentCommits: true
+            });
+
+            expect(() => eventstore.commit('foo-bar', [{ eventId: 'a' }, { eventId: 'a' }])).to.throwError(
+                e => expect(e).to.be.a(EventStore.DuplicateEventError)
+            );
+        });
+
+    });
+
+    describe('commitTransactionAsync', function() {
+
+        it('resolves with the commits when written to disk', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            return eventstore.commitTransactionAsync([
+                { streamName: 'foo', events: [{ foo: 1 }] },
+                { streamName: 'bar', events: [{ bar: 1 }] }
+            ]).then(commits => {
+                expect(commits.map(commit => commit.streamName)).to.eql(['foo', 'bar']);
+                expect(eventstore.length).to.be(2);
+            });
+        });
+
+        it('rejects with an optimistic concurrency error if any stream version does not match', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            return eventstore.commitTransactionAsync([
+                { streamName: 'foo', events: [{ foo: 1 }] },
+                { streamName: 'bar', events: [{ bar: 1 }], expectedVersion: 1 }
+            ]).then(
+                () => expect().fail('Expected transaction to be rejected'),
+                e => expect(e).to.be.a(EventStore.OptimisticConcurrencyError)
+            );
+        });
+
+    });
+
+    describe('ready', function() {
+
+        it('resolves when the event store is ready', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            return eventstore.ready().then(() => {
+                expect(eventstore.isReady).to.be(true);
+                return eventstore.ready();
+            });
+        });
+
+    });
+
+    describe('closeAsync', function() {
+
+        it('resolves when the event store is closed', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            return eventstore.closeAsync().then(() => {
+                expect(eventstore.storage.index.isOpen()).to.be(false);
+            });
+        });
+
+    });
+
+    describe('createEventStreamAsync', function() {
+
+        it('resolves with the created event stream', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            return eventstore.commitAsync('foo-bar', [{ foo: 'bar' }, { foo: 'baz' }])
+                .then(() => eventstore.createEventStreamAsync('bars', event => event.payload.foo === 'bar'))
+                .then(stream => {
+                    expect(stream.name).to.be('bars');
+                    expect(Array.from(stream)).to.eql([{ foo: 'bar' }]);
+                });
+        });
+
+        it('rejects when trying to recreate existing stream', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            return eventstore.createEventStreamAsync('foo-bar', { stream: 'foo-bar' })
+                .then(() => eventstore.createEventStreamAsync('foo-bar', { stream: 'foo-bar' }))
+                .then(
+                    () => expect().fail('Expected stream creation to be rejected'),
+                    e => expect(e.message).to.contain('recreate')
+                );
+        });
+
+    });
+
     describe('createEventStream', function() {
 
         it('throws when trying to recreate existing stream', function(done) {
@@ -229,6 +719,33 @@ describe('EventStore', function() {
             });
         });
 
+        it('can read the latest events backwards', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('foo-bar', [{ foo: 1 }, { foo: 2 }, { foo: 3 }, { foo: 4 }], () => {
+                expect(eventstore.getEventStream('foo-bar', -2, -1, true).events).to.eql([{ foo: 4 }, { foo: 3 }]);
+                expect(eventstore.getEventStream('foo-bar', 0, 2, true).events).to.eql([{ foo: 3 }, { foo: 2 }, { foo: 1 }]);
+                expect(eventstore.getEventStream('foo-bar', 0, -1, true).events).to.eql([{ foo: 4 }, { foo: 3 }, { foo: 2 }, { foo: 1 }]);
+                done();
+            });
+        });
+
+        it('returns no events if the min revision is greater than the max revision', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('foo-bar', [{ foo: 1 }, { foo: 2 }, { foo: 3 }, { foo: 4 }], () => {
+                expect(eventstore.getEventStream('foo-bar', 2, 1).events).to.eql([]);
+                expect(eventstore.getEventStream('foo-bar', -1, -2).events).to.eql([]);
+                expect(eventstore.getEventStream('foo-bar', 2, 1, true).events).to.eql([]);
+                expect(eventstore.getAllEvents(3, 0).events).to.eql([]);
+                done();
+            });
+        });
+
         it('needs to be tested.');
     });
 
@@ -258,6 +775,21 @@ describe('EventStore', function() {
             expect(() => eventstore.fromStreams('join-foo-bar', ['foo-bar', 'baz'])).to.throwError(/does not exist/);
         });
 
+        it('orders the events of a transaction by their commit version', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commitTransaction([
+                { streamName: 'foo', events: [{ foo: 1 }, { foo: 2 }] },
+                { streamName: 'bar', events: [{ bar: 1 }] }
+            ], () => {
+                expect(eventstore.fromStreams('join-bar-foo', ['bar', 'foo']).events).to.eql([{ foo: 1 }, { foo: 2 }, { bar: 1 }]);
+                expect(eventstore.fromStreams('join-bar-foo', ['bar', 'foo'], 0, -1, true).events).to.eql([{ bar: 1 }, { foo: 2 }, { foo: 1 }]);
+                done();
+            });
+        });
+
         it('needs to be tested.');
     });
 
@@ -380,6 +912,804 @@ describe('EventStore', function() {
             });
         });
 
+        it('returns one commit per stream of a transaction', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+            eventstore.commitTransaction([
+                { streamName: 'foo', events: [{ foo: 1 }, { foo: 2 }] },
+                { streamName: 'bar', events: [{ bar: 1 }] }
+            ], () => {
+                const commits = Array.from(eventstore.getCommits(2));
+                expect(commits.length).to.be(2);
+                expect(commits[0].streamName).to.be('foo');
+                expect(commits[0].events).to.eql([{ foo: 1 }, { foo: 2 }]);
+                expect(commits[1].streamName).to.be('bar');
+                expect(commits[1].commitId).to.be(commits[0].commitId);
+                expect(commits[1].events).to.eql([{ bar: 1 }]);
+                done();
+            });
+        });
+
+    });
+
+    describe('system streams', function() {
+
+        it('are not created by default', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('order-1', [{ type: 'OrderPlaced' }], () => {
+                expect(Object.keys(eventstore.streams).sort()).to.eql(['_all', 'order-1']);
+                done();
+            });
+        });
+
+        it('maintains a stream per category', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                categoryStreams: true
+            });
+
+            eventstore.commit('order-1', [{ id: 1 }], () => {
+            eventstore.commit('order-2', [{ id: 2 }], () => {
+            eventstore.commit('customer-1', [{ id: 3 }], () => {
+            eventstore.commit('orders', [{ id: 4 }], () => {
+                expect(eventstore.getEventStream('$ce-order').events).to.eql([{ id: 1 }, { id: 2 }]);
+                expect(eventstore.getEventStream('$ce-customer').events).to.eql([{ id: 3 }]);
+                expect(eventstore.getEventStream('$ce-orders')).to.be(false);
+                done();
+            });
+            });
+            });
+            });
+        });
+
+        it('maintains a stream per event type', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                eventTypeStreams: true
+            });
+
+            eventstore.commit('order-1', [{ type: 'OrderPlaced', id: 1 }, { type: 'OrderShipped', id: 1 }], () => {
+            eventstore.commit('order-2', [{ type: 'OrderPlaced', id: 2 }, { id: 2 }], () => {
+                expect(eventstore.getEventStream('$et-OrderPlaced').events).to.eql([{ type: 'OrderPlaced', id: 1 }, { type: 'OrderPlaced', id: 2 }]);
+                expect(eventstore.getEventStream('$et-OrderShipped').events).to.eql([{ type: 'OrderShipped', id: 1 }]);
+                done();
+            });
+            });
+        });
+
+        it('escapes special characters of categories', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                categoryStreams: true
+            });
+
+            eventstore.commit('a.b-1', [{ id: 1 }], () => {
+            eventstore.commit('axb-1', [{ id: 2 }], () => {
+                expect(eventstore.getEventStream('$ce-a.b').events).to.eql([{ id: 1 }]);
+                done();
+            });
+            });
+        });
+
+        it('are rebuilt when first enabled', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('order-1', [{ type: 'OrderPlaced' }], () => {
+                eventstore.close();
+                eventstore = new EventStore({
+                    storageDirectory: 'test/data',
+                    categoryStreams: true,
+                    eventTypeStreams: true
+                });
+                eventstore.on('ready', () => {
+                    expect(eventstore.getEventStream('$ce-order').events).to.eql([{ type: 'OrderPlaced' }]);
+                    expect(eventstore.getEventStream('$et-OrderPlaced').events).to.eql([{ type: 'OrderPlaced' }]);
+                    done();
+                });
+            });
+        });
+
+        it('can not be committed to', function() {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                categoryStreams: true,
+                eventTypeStreams: true
+            });
+
+            expect(() => eventstore.commit('$ce-order', [{ id: 1 }])).to.throwError(/system stream/);
+            expect(() => eventstore.commit('$et-OrderPlaced', [{ id: 1 }])).to.throwError(/system stream/);
+        });
+
+        it('only reserves the stream names of enabled system streams', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                categoryStreams: true
+            });
+
+            expect(() => eventstore.commit('$ce-order', [{ id: 1 }])).to.throwError(/system stream/);
+            eventstore.commit('$et-OrderPlaced', [{ id: 1 }], () => {
+                expect(eventstore.getEventStream('$et-OrderPlaced').events).to.eql([{ id: 1 }]);
+                eventstore.close();
+                eventstore = new EventStore({
+                    storageDirectory: 'test/data'
+                });
+                eventstore.commit('$ce-order', [{ id: 2 }], () => {
+                    expect(eventstore.getEventStream('$ce-order').events).to.eql([{ id: 2 }]);
+                    done();
+                });
+            });
+        });
+
+        it('does not reserve other stream names starting with $', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                categoryStreams: true
+            });
+
+            eventstore.commit('$users', [{ id: 1 }], () => {
+                expect(eventstore.getEventStream('$users').events).to.eql([{ id: 1 }]);
+                done();
+            });
+        });
+
+    });
+
+    describe('stream metadata', function() {
+
+        function commitNumbers(streamName, count, callback) {
+            const events = [];
+            for (let i = 0; i < count; i++) {
+                events.push({ i });
+            }
+            eventstore.commit(streamName, events, callback);
+        }
+
+        it('is encrypted in an encrypted store', function(done) {
+            const encryptionKey = Buffer.alloc(32, 1);
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                storageConfig: { encryptionKey }
+            });
+
+            eventstore.commit('foo', [{ foo: 1 }], () => {
+                eventstore.setStreamMetadata('foo', { maxCount: 5, owner: 'secret-owner' });
+                const fileName = 'test/data/streams/eventstore.stream-foo.meta';
+                expect(fs.readFileSync(fileName, 'utf8')).to.not.contain('secret-owner');
+                eventstore.close();
+
+                eventstore = new EventStore({
+                    storageDirectory: 'test/data',
+                    storageConfig: { encryptionKey }
+                });
+                eventstore.on('ready', () => {
+                    expect(eventstore.getStreamMetadata('foo')).to.eql({ maxCount: 5, owner: 'secret-owner' });
+                    eventstore.close();
+
+                    fs.writeFileSync(fileName, JSON.stringify({}));
+                    eventstore = new EventStore({
+                        storageDirectory: 'test/data',
+                        storageConfig: { encryptionKey }
+                    });
+                    eventstore.on('ready', () => {
+                        expect(() => eventstore.getStreamMetadata('foo')).to.throwError(/can not be decrypted/);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('can be set and read back', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('foo', [{ foo: 1 }], () => {
+                expect(eventstore.getStreamMetadata('foo')).to.eql({});
+                expect(eventstore.getStreamMetadata('bar')).to.be(false);
+                eventstore.setStreamMetadata('foo', { maxCount: 5, owner: 'me' });
+                expect(eventstore.getStreamMetadata('foo')).to.eql({ maxCount: 5, owner: 'me' });
+                eventstore.close();
+
+                eventstore = new EventStore({
+                    storageDirectory: 'test/data'
+                });
+                eventstore.on('ready', () => {
+                    expect(eventstore.getStreamMetadata('foo')).to.eql({ maxCount: 5, owner: 'me' });
+                    done();
+                });
+            });
+        });
+
+        it('throws on invalid metadata', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            expect(() => eventstore.setStreamMetadata('foo', { maxCount: 5 })).to.throwError(/does not exist/);
+            eventstore.commit('foo', [{ foo: 1 }], () => {
+                expect(() => eventstore.setStreamMetadata('foo', null)).to.throwError(/must be an object/);
+                expect(() => eventstore.setStreamMetadata('foo', { maxCount: -1 })).to.throwError(/maxCount/);
+                expect(() => eventstore.setStreamMetadata('foo', { maxAge: '1d' })).to.throwError(/maxAge/);
+                expect(() => eventstore.setStreamMetadata('foo', { truncateBefore: 1.5 })).to.throwError(/truncateBefore/);
+                expect(() => eventstore.setStreamMetadata('_all', { maxCount: 1 })).to.throwError(/does not exist/);
+                done();
+            });
+        });
+
+        it('hides all but the last maxCount events', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            commitNumbers('foo', 5, () => {
+                eventstore.setStreamMetadata('foo', { maxCount: 2 });
+                expect(eventstore.getEventStream('foo').events).to.eql([{ i: 3 }, { i: 4 }]);
+                expect(eventstore.getEventStream('foo', 1, 3).events).to.eql([{ i: 3 }]);
+                expect(eventstore.getEventStream('foo', 0, 2).events).to.eql([]);
+                expect(eventstore.getEventStream('foo', 0, -1, true).events).to.eql([{ i: 4 }, { i: 3 }]);
+                expect(eventstore.getEventStream('foo', 0, 1, true).events).to.eql([]);
+                done();
+            });
+        });
+
+        it('hides events before truncateBefore', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            commitNumbers('foo', 5, () => {
+                eventstore.setStreamMetadata('foo', { truncateBefore: 3 });
+                expect(eventstore.getEventStream('foo').events).to.eql([{ i: 3 }, { i: 4 }]);
+                expect(eventstore.getAllEvents().events.length).to.be(5);
+                done();
+            });
+        });
+
+        it('hides events older than maxAge', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            commitNumbers('foo', 3, () => {
+                setTimeout(() => {
+                    commitNumbers('foo', 2);
+                    eventstore.setStreamMetadata('foo', { maxAge: 50 });
+                    expect(eventstore.getEventStream('foo').events).to.eql([{ i: 0 }, { i: 1 }]);
+                    eventstore.setStreamMetadata('foo', { maxAge: 0 });
+                    setTimeout(() => {
+                        expect(eventstore.getEventStream('foo').events).to.eql([]);
+                        done();
+                    }, 5);
+                }, 100);
+            });
+        });
+
+        it('hides events in joined streams', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            commitNumbers('foo', 3, () => {
+            eventstore.commit('bar', [{ bar: 1 }], () => {
+                eventstore.setStreamMetadata('foo', { maxCount: 1 });
+                expect(eventstore.fromStreams('foo-bar', ['foo', 'bar']).events).to.eql([{ i: 2 }, { bar: 1 }]);
+                eventstore.setStreamMetadata('foo', { maxCount: 0 });
+                expect(eventstore.fromStreams('foo-bar', ['foo', 'bar']).events).to.eql([{ bar: 1 }]);
+                done();
+            });
+            });
+        });
+
+        it('hides events from consumers', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            commitNumbers('foo', 3, () => {
+                eventstore.setStreamMetadata('foo', { maxCount: 1 });
+                const consumer = eventstore.getConsumer('foo', 'consumer1');
+                consumer.once('data', event => {
+                    expect(event).to.eql({ i: 2 });
+                    consumer.pause();
+                    done();
+                });
+            });
+        });
+
+        it('is deleted with the stream', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('foo', [{ foo: 1 }], () => {
+                eventstore.setStreamMetadata('foo', { maxCount: 5 });
+                eventstore.deleteEventStream('foo');
+                expect(fs.existsSync('test/data/streams/eventstore.stream-foo.meta')).to.be(false);
+                done();
+            });
+        });
+
+    });
+
+    describe('scavenge', function() {
+
+        function commitNumbers(streamName, count, callback) {
+            const events = [];
+            for (let i = 0; i < count; i++) {
+                events.push({ i });
+            }
+            eventstore.commit(streamName, events, callback);
+        }
+
+        it('removes events hidden by the stream metadata', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            commitNumbers('foo', 5, () => {
+            eventstore.commit('bar', [{ bar: 1 }], () => {
+                eventstore.setStreamMetadata('foo', { maxCount: 2 });
+                const report = eventstore.scavenge();
+                expect(report.documents).to.be(3);
+                expect(eventstore.length).to.be(6);
+                expect(eventstore.getEventStream('foo').events).to.eql([{ i: 3 }, { i: 4 }]);
+                expect(eventstore.getAllEvents().events).to.eql([{ i: 3 }, { i: 4 }, { bar: 1 }]);
+                expect(fs.readFileSync('test/data/eventstore.foo', 'utf8')).to.not.contain('{"i":0}');
+                done();
+            });
+            });
+        });
+
+        it('keeps the stream versions', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            commitNumbers('foo', 3, () => {
+                eventstore.setStreamMetadata('foo', { truncateBefore: 2 });
+                eventstore.scavenge();
+                eventstore.commit('foo', [{ i: 3 }], 3, (commit) => {
+                    expect(commit.streamVersion).to.be(3);
+                    expect(eventstore.getEventStream('foo').events).to.eql([{ i: 2 }, { i: 3 }]);
+                    done();
+                });
+            });
+        });
+
+        it('does not remove events hidden in other streams', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            commitNumbers('foo', 3, () => {
+                eventstore.createEventStream('numbers', { 'payload.i': { $exists: true } });
+                eventstore.setStreamMetadata('numbers', { maxCount: 0 });
+                expect(eventstore.scavenge().documents).to.be(0);
+                expect(eventstore.getEventStream('foo').events).to.eql([{ i: 0 }, { i: 1 }, { i: 2 }]);
+                done();
+            });
+        });
+
+        it('removes events selected by the given function', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('user-1', [{ name: 'Alice' }, { email: 'alice@example.com' }, { name: 'Bob' }], () => {
+                eventstore.scavenge(event => event.stream === 'user-1' && 'email' in event.payload);
+                expect(eventstore.getEventStream('user-1').events).to.eql([{ name: 'Alice' }, { name: 'Bob' }]);
+                expect(fs.readFileSync('test/data/eventstore.user-1', 'utf8')).to.not.contain('alice@example.com');
+                done();
+            });
+        });
+
+    });
+
+    describe('crypto-shredding', function() {
+
+        it('decrypts personal data transparently until the subject is forgotten', function(done) {
+            const keyStore = new KeyStore({ dataDirectory: 'test/data/keys' });
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                storageConfig: {
+                    serializer: new ShreddingSerializer(keyStore, {
+                        subject: storedEvent => storedEvent.payload.userId,
+                        fields: ['payload.email']
+                    })
+                }
+            });
+
+            eventstore.commit('user-1', [{ userId: 'user-1', email: 'alice@example.com' }], () => {
+                expect(fs.readFileSync('test/data/eventstore.user-1', 'utf8')).to.not.contain('alice@example.com');
+                expect(eventstore.getEventStream('user-1').events).to.eql([{ userId: 'user-1', email: 'alice@example.com' }]);
+                keyStore.forget('user-1');
+                expect(eventstore.getEventStream('user-1').events).to.eql([{ userId: 'user-1', email: '[shredded]' }]);
+                done();
+            });
+        });
+
+    });
+
+    describe('schema validation', function() {
+
+        const schemas = {
+            OrderPlaced: {
+                type: 'object',
+                properties: { type: { const: 'OrderPlaced' }, amount: { type: 'number', minimum: 0 } },
+                required: ['amount']
+            }
+        };
+
+        it('throws on invalid schemas', function() {
+            expect(() => new EventStore({ storageDirectory: 'test/data', schemas: { OrderPlaced: { type: 'foo' } } })).to.throwError(/Invalid type/);
+        });
+
+        it('commits valid events and events without schema', function(done) {
+            eventstore = new EventStore({ storageDirectory: 'test/data', schemas });
+            eventstore.commit('order-1', [{ type: 'OrderPlaced', amount: 5 }, { type: 'OrderShipped' }, 'foo'], () => {
+                expect(eventstore.getEventStream('order-1').events.length).to.be(3);
+                done();
+            });
+        });
+
+        it('rejects the whole commit before writing anything', function() {
+            eventstore = new EventStore({ storageDirectory: 'test/data', schemas });
+            let written = 0;
+            const write = eventstore.storage.write;
+            eventstore.storage.write = function() {
+                written++;
+                return write.apply(this, arguments);
+            };
+            expect(() => eventstore.commit('order-1', [{ type: 'OrderPlaced', amount: 5 }, { type: 'OrderPlaced', amount: -1 }])).to.throwError(e => {
+                expect(e).to.be.a(EventStore.ValidationError);
+                expect(e.errors).to.eql(['event.amount must be at least 0.']);
+                expect(e.message).to.contain('"order-1"');
+            });
+            expect(written).to.be(0);
+            expect(eventstore.length).to.be(0);
+            expect('order-1' in eventstore.streams).to.be(false);
+        });
+
+        it('rejects transactions with an invalid event', function() {
+            eventstore = new EventStore({ storageDirectory: 'test/data', schemas });
+            expect(() => eventstore.commitTransaction([
+                { streamName: 'order-1', events: [{ type: 'OrderPlaced', amount: 5 }] },
+                { streamName: 'order-2', events: [{ type: 'OrderPlaced' }] }
+            ])).to.throwError(e => expect(e.errors).to.eql(['event.amount is required.']));
+            expect(eventstore.length).to.be(0);
+        });
+
+    });
+
+    describe('upcasting', function() {
+
+        const splitName = payload => {
+            const [firstName, lastName] = payload.name.split(' ');
+            return { type: payload.type, firstName, lastName };
+        };
+
+        beforeEach(function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+            eventstore.commit('user-1', [{ type: 'UserRegistered', name: 'Alice Smith' }, { type: 'UserDeleted' }], () => {
+                eventstore.close();
+                eventstore = new EventStore({
+                    storageDirectory: 'test/data'
+                });
+                eventstore.on('ready', done);
+            });
+        });
+
+        it('throws when registering invalid upcasters', function() {
+            expect(() => eventstore.registerUpcaster('', 1, splitName)).to.throwError(/event type/);
+            expect(() => eventstore.registerUpcaster('UserRegistered', 1, 'foo')).to.throwError(/must be a function/);
+            expect(() => eventstore.registerUpcaster('UserRegistered', 2, splitName)).to.throwError(/in order/);
+            eventstore.registerUpcaster('UserRegistered', 1, splitName);
+            expect(() => eventstore.registerUpcaster('UserRegistered', 1, splitName)).to.throwError(/in order/);
+        });
+
+        it('returns the current schema version of an event type', function() {
+            expect(eventstore.getSchemaVersion('UserRegistered')).to.be(1);
+            eventstore.registerUpcaster('UserRegistered', 1, splitName);
+            eventstore.registerUpcaster('UserRegistered', 2, payload => Object.assign({ country: 'unknown' }, payload));
+            expect(eventstore.getSchemaVersion('UserRegistered')).to.be(3);
+            expect(eventstore.getSchemaVersion('UserDeleted')).to.be(1);
+        });
+
+        it('converts old events when reading them without rewriting the files', function() {
+            const before = fs.readFileSync('test/data/eventstore.user-1', 'utf8');
+            eventstore.registerUpcaster('UserRegistered', 1, splitName);
+            eventstore.registerUpcaster('UserRegistered', 2, (payload, metadata) => Object.assign({ registeredAt: metadata.committedAt }, payload));
+
+            const events = eventstore.getEventStream('user-1').events;
+            expect(events[0]).to.eql({ type: 'UserRegistered', firstName: 'Alice', lastName: 'Smith', registeredAt: events[0].registeredAt });
+            expect(events[0].registeredAt).to.be.a('number');
+            expect(events[1]).to.eql({ type: 'UserDeleted' });
+            eventstore.getEventStream('user-1').forEach((event, metadata) => {
+                if (event.type === 'UserRegistered') expect(metadata.schemaVersion).to.be(3);
+            });
+            expect(fs.readFileSync('test/data/eventstore.user-1', 'utf8')).to.be(before);
+        });
+
+        it('commits new events with the current schema version', function(done) {
+            eventstore.registerUpcaster('UserRegistered', 1, splitName);
+            eventstore.commit('user-2', [{ type: 'UserRegistered', firstName: 'Bob', lastName: 'Jones' }, { type: 'UserDeleted' }], () => {
+                const metadata = [];
+                eventstore.getEventStream('user-2').forEach((event, eventMetadata) => metadata.push(eventMetadata.schemaVersion));
+                expect(metadata).to.eql([2, undefined]);
+                expect(eventstore.getEventStream('user-2').events[0]).to.eql({ type: 'UserRegistered', firstName: 'Bob', lastName: 'Jones' });
+                done();
+            });
+        });
+
+        it('converts events of joined streams and commits', function(done) {
+            eventstore.registerUpcaster('UserRegistered', 1, splitName);
+            eventstore.commit('user-2', [{ type: 'UserRegistered', name: 'Bob Jones' }], () => {
+                // Committed with the current schema version, so the payload is not converted
+                const joined = eventstore.fromStreams('users', ['user-1', 'user-2']).events;
+                expect(joined[0]).to.eql({ type: 'UserRegistered', firstName: 'Alice', lastName: 'Smith' });
+                expect(joined[2]).to.eql({ type: 'UserRegistered', name: 'Bob Jones' });
+                const commits = Array.from(eventstore.getCommits());
+                expect(commits[0].events[0]).to.eql({ type: 'UserRegistered', firstName: 'Alice', lastName: 'Smith' });
+                done();
+            });
+        });
+
+        it('converts events asynchronously', function() {
+            eventstore.registerUpcaster('UserRegistered', 1, splitName);
+            return eventstore.getEventStream('user-1').nextAsync().then(storedEvent => {
+                expect(storedEvent.payload).to.eql({ type: 'UserRegistered', firstName: 'Alice', lastName: 'Smith' });
+                expect(storedEvent.metadata.schemaVersion).to.be(2);
+            });
+        });
+
+        it('converts events for consumers', function(done) {
+            eventstore.registerUpcaster('UserRegistered', 1, splitName);
+            const consumer = eventstore.getConsumer('user-1', 'consumer1');
+            consumer.once('data', event => {
+                expect(event).to.eql({ type: 'UserRegistered', firstName: 'Alice', lastName: 'Smith' });
+                done();
+            });
+        });
+
+    });
+
+    describe('key indexes', function() {
+
+        beforeEach(function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+            eventstore.commit('order-1', [{ type: 'OrderPlaced' }], EventStore.ExpectedVersion.Any, { correlationId: 'c1' }, () => {
+                eventstore.commit('payment-1', [{ type: 'PaymentReceived' }, { type: 'PaymentBooked' }], EventStore.ExpectedVersion.Any, { correlationId: 'c1' }, () => {
+                    eventstore.commit('order-2', [{ type: 'OrderPlaced' }], EventStore.ExpectedVersion.Any, { correlationId: 'c2' }, () => {
+                        eventstore.close();
+                        eventstore = new EventStore({
+                            storageDirectory: 'test/data'
+                        });
+                        eventstore.on('ready', done);
+                    });
+                });
+            });
+        });
+
+        it('throws when reading from a key index that was not ensured', function() {
+            expect(() => eventstore.getEventStreamByKey('correlation', 'c1')).to.throwError(/Key index "correlation" does not exist/);
+        });
+
+        it('returns all events with the key across streams', function() {
+            eventstore.ensureKeyIndex('correlation', 'metadata.correlationId');
+            const stream = eventstore.getEventStreamByKey('correlation', 'c1');
+            expect(stream.name).to.be('correlation:c1');
+            expect(stream.events).to.eql([{ type: 'OrderPlaced' }, { type: 'PaymentReceived' }, { type: 'PaymentBooked' }]);
+            expect(eventstore.getEventStreamByKey('correlation', 'c3').events).to.eql([]);
+        });
+
+        it('returns a range of events with the key', function() {
+            eventstore.ensureKeyIndex('correlation', 'metadata.correlationId');
+            expect(eventstore.getEventStreamByKey('correlation', 'c1', 1, 2).events.map(event => event.type)).to.eql(['PaymentReceived', 'PaymentBooked']);
+            expect(eventstore.getEventStreamByKey('correlation', 'c1', 0, -1, true).events.map(event => event.type)).to.eql(['PaymentBooked', 'PaymentReceived', 'OrderPlaced']);
+            expect(eventstore.getEventStreamByKey('correlation', 'c1', -2).events.map(event => event.type)).to.eql(['PaymentReceived', 'PaymentBooked']);
+        });
+
+        it('indexes new commits', function(done) {
+            eventstore.ensureKeyIndex('correlation', 'metadata.correlationId');
+            eventstore.commit('order-2', [{ type: 'OrderShipped' }], EventStore.ExpectedVersion.Any, { correlationId: 'c2' }, () => {
+                expect(eventstore.getEventStreamByKey('correlation', 'c2').events.map(event => event.type)).to.eql(['OrderPlaced', 'OrderShipped']);
+                done();
+            });
+        });
+
+        it('returns upcast events asynchronously', function() {
+            eventstore.registerUpcaster('OrderPlaced', 1, payload => Object.assign({ total: 0 }, payload));
+            eventstore.ensureKeyIndex('correlation', 'metadata.correlationId');
+            return eventstore.getEventStreamByKey('correlation', 'c2').nextAsync().then(storedEvent => {
+                expect(storedEvent.payload).to.eql({ type: 'OrderPlaced', total: 0 });
+            });
+        });
+
+    });
+
+    describe('getEventsBetween', function() {
+
+        const hour = 60 * 60 * 1000;
+        const start = Date.UTC(2024, 0, 1);
+
+        beforeEach(function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                timeIndex: true
+            });
+            let hours = 0;
+            const commitNext = () => {
+                if (hours === 6) return done();
+                const streamName = hours % 2 === 0 ? 'order-1' : 'order-2';
+                eventstore.commit(streamName, [{ hour: hours }], EventStore.ExpectedVersion.Any, { committedAt: start + hours++ * hour }, commitNext);
+            };
+            commitNext();
+        });
+
+        it('throws if the time index is not enabled', function() {
+            eventstore.close();
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+            expect(() => eventstore.getEventsBetween(start, start + hour)).to.throwError(/time index is not enabled/);
+            expect(() => eventstore.getConsumer('order-2', 'consumer1', new Date(start))).to.throwError(/time index is not enabled/);
+        });
+
+        it('throws on invalid times', function() {
+            expect(() => eventstore.getEventsBetween('yesterday', new Date())).to.throwError(/Invalid time/);
+            expect(() => eventstore.getEventsBetween(new Date('foo'), new Date())).to.throwError(/Invalid time/);
+        });
+
+        it('returns all events committed within the time range', function() {
+            expect(eventstore.getEventsBetween(new Date(start + hour), new Date(start + 3 * hour)).events).to.eql([{ hour: 1 }, { hour: 2 }]);
+            expect(eventstore.getEventsBetween(start + hour + 1, start + 3 * hour + 1).events).to.eql([{ hour: 2 }, { hour: 3 }]);
+            expect(eventstore.getEventsBetween(0, start + 10 * hour).events.length).to.be(6);
+        });
+
+        it('returns an empty stream if no event was committed within the time range', function() {
+            expect(eventstore.getEventsBetween(start + 10 * hour, start + 11 * hour).events).to.eql([]);
+            expect(eventstore.getEventsBetween(start + hour + 1, start + 2 * hour).events).to.eql([]);
+            expect(eventstore.getEventsBetween(start + 3 * hour, start + hour).events).to.eql([]);
+            expect(eventstore.getEventsBetween(start - 10 * hour, start).events).to.eql([]);
+            expect(eventstore.getEventsBetween(start - 10 * hour, start - hour).events).to.eql([]);
+            expect(eventstore.getEventsBetween(start - 10 * hour, start + 1).events).to.eql([{ hour: 0 }]);
+        });
+
+        it('finds events after the store was reopened', function(done) {
+            eventstore.close();
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                timeIndex: true
+            });
+            eventstore.on('ready', () => {
+                expect(eventstore.getEventsBetween(start + 4 * hour, start + 5 * hour).events).to.eql([{ hour: 4 }]);
+                done();
+            });
+        });
+
+        it('starts consumers at the given date', function(done) {
+            expect(eventstore.getRevisionAt('order-2', new Date(start + 2 * hour))).to.be(1);
+            expect(eventstore.getRevisionAt('order-2', new Date(start + 10 * hour))).to.be(3);
+            expect(eventstore.getRevisionAt('unknown', new Date(start))).to.be(0);
+
+            const consumer = eventstore.getConsumer('order-2', 'consumer1', new Date(start + 2 * hour));
+            consumer.once('data', event => {
+                expect(event).to.eql({ hour: 3 });
+                done();
+            });
+        });
+
+    });
+
+    describe('snapshots', function() {
+
+        it('can save and load the latest snapshot of a stream', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('foo-bar', [{ foo: 1 }, { foo: 2 }], () => {
+                expect(eventstore.getLatestSnapshot('foo-bar')).to.be(false);
+                expect(eventstore.saveSnapshot('foo-bar', 1, { sum: 3 })).to.be(true);
+                const snapshot = eventstore.getLatestSnapshot('foo-bar');
+                expect(snapshot.version).to.be(1);
+                expect(snapshot.state).to.eql({ sum: 3 });
+                expect(fs.existsSync('test/data/snapshots/eventstore.foo-bar.snapshot')).to.be(true);
+                done();
+            });
+        });
+
+        it('encrypts snapshots in an encrypted store', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data',
+                storageConfig: { encryptionKey: Buffer.alloc(32, 1) }
+            });
+
+            eventstore.commit('foo-bar', [{ foo: 1 }], () => {
+                eventstore.saveSnapshot('foo-bar', 0, { secret: 'secret-state' });
+                expect(fs.readFileSync('test/data/snapshots/eventstore.foo-bar.snapshot', 'utf8')).to.not.contain('secret-state');
+                expect(eventstore.getLatestSnapshot('foo-bar').state).to.eql({ secret: 'secret-state' });
+                done();
+            });
+        });
+
+        it('throws when saving a snapshot for an invalid version', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            expect(() => eventstore.saveSnapshot('foo-bar', 0, {})).to.throwError(/does not exist/);
+            eventstore.commit('foo-bar', [{ foo: 1 }], () => {
+                expect(() => eventstore.saveSnapshot('foo-bar', 1, {})).to.throwError(/Invalid snapshot version/);
+                expect(() => eventstore.saveSnapshot('foo-bar', -1, {})).to.throwError(/Invalid snapshot version/);
+                done();
+            });
+        });
+
+        it('returns the events after the latest snapshot', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('foo-bar', [{ foo: 1 }, { foo: 2 }, { foo: 3 }], () => {
+                let { snapshot, stream } = eventstore.getEventStreamFromSnapshot('foo-bar');
+                expect(snapshot).to.be(false);
+                expect(stream.events).to.eql([{ foo: 1 }, { foo: 2 }, { foo: 3 }]);
+
+                eventstore.saveSnapshot('foo-bar', 1, { sum: 3 });
+                ({ snapshot, stream } = eventstore.getEventStreamFromSnapshot('foo-bar'));
+                expect(snapshot.state).to.eql({ sum: 3 });
+                expect(stream.events).to.eql([{ foo: 3 }]);
+
+                eventstore.saveSnapshot('foo-bar', 2, { sum: 6 });
+                expect(eventstore.getEventStreamFromSnapshot('foo-bar').stream.events).to.eql([]);
+                expect(eventstore.getEventStreamFromSnapshot('baz')).to.be(false);
+                done();
+            });
+        });
+
+        it('can delete snapshots without touching the events', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('foo', [{ foo: 1 }], () => {
+            eventstore.commit('bar', [{ bar: 1 }], () => {
+                eventstore.saveSnapshot('foo', 0, 'foo');
+                eventstore.saveSnapshot('bar', 0, 'bar');
+                expect(eventstore.deleteSnapshots('foo')).to.be(1);
+                expect(eventstore.getLatestSnapshot('foo')).to.be(false);
+                expect(eventstore.deleteSnapshots()).to.be(1);
+                expect(eventstore.getLatestSnapshot('bar')).to.be(false);
+                expect(eventstore.getEventStream('foo').events).to.eql([{ foo: 1 }]);
+                done();
+            });
+            });
+        });
+
+        it('deletes the snapshot when deleting the stream', function(done) {
+            eventstore = new EventStore({
+                storageDirectory: 'test/data'
+            });
+
+            eventstore.commit('foo-bar', [{ foo: 1 }], () => {
+                eventstore.saveSnapshot('foo-bar', 0, 'foo');
+                eventstore.deleteEventStream('foo-bar');
+                expect(eventstore.getLatestSnapshot('foo-bar')).to.be(false);
+                done();
+            });
+        });
+
     });
 
     describe('getConsumer', function() {
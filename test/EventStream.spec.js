@@ -15,12 +15,24 @@ describe('EventStream', function() {
                 }
             },
             storage: {
-                *readRange(from, until = -1) {
+                *readRange(from, until = -1, index, reverse = false) {
                     mockEventStore.storage.from = from;
                     mockEventStore.storage.until = until;
+                    mockEventStore.storage.reverse = reverse;
                     for (let event of events) {
                         yield { stream: 'foo', payload: event, metadata: { occuredAt: 12345 } };
                     }
+                },
+                readRangeAsync(from, until = -1) {
+                    let position = 0;
+                    return {
+                        next() {
+                            if (position >= events.length) {
+                                return Promise.resolve({ done: true });
+                            }
+                            return Promise.resolve({ value: { stream: 'foo', payload: events[position++], metadata: { occuredAt: 12345 } }, done: false });
+                        }
+                    };
                 }
             }
         };
@@ -77,11 +89,70 @@ describe('EventStream', function() {
         expect(mockEventStore.storage.until).to.be(-1);
     });
 
+    it('reads backwards if requested', function(){
+        stream = new EventStream('foo', mockEventStore, 1, 4, true);
+        stream.events;
+        expect(mockEventStore.storage.from).to.be(2);
+        expect(mockEventStore.storage.until).to.be(5);
+        expect(mockEventStore.storage.reverse).to.be(true);
+
+        stream = new EventStream('foo', mockEventStore, -5, -1, true);
+        stream.events;
+        expect(mockEventStore.storage.from).to.be(-5);
+        expect(mockEventStore.storage.until).to.be(-1);
+        expect(mockEventStore.storage.reverse).to.be(true);
+    });
+
+    it('does not read backwards if min revision is greater than max revision', function(){
+        stream = new EventStream('foo', mockEventStore, 4, 1);
+        stream.events;
+        expect(mockEventStore.storage.from).to.be(5);
+        expect(mockEventStore.storage.until).to.be(2);
+        expect(mockEventStore.storage.reverse).to.be(false);
+    });
+
     it('is empty when stream does not exist', function(){
         stream = new EventStream('bar', mockEventStore);
         expect(stream.events).to.be.eql([]);
     });
 
+    describe('nextAsync', function(){
+
+        it('resolves with the next event', function(){
+            return stream.nextAsync().then(next => {
+                expect(next.payload).to.be('foo');
+                expect(next.metadata).to.eql({ occuredAt: 12345 });
+                return stream.nextAsync();
+            }).then(next => {
+                expect(next.payload).to.be('bar');
+            });
+        });
+
+        it('resolves with false at the end of the stream', function(){
+            stream = new EventStream('bar', mockEventStore);
+            return stream.nextAsync().then(next => {
+                expect(next).to.be(false);
+            });
+        });
+
+        it('can be iterated with the async iterator protocol', function(){
+            if (typeof Symbol.asyncIterator !== 'symbol') {
+                return this.skip();
+            }
+            const iterator = stream[Symbol.asyncIterator]();
+            const result = [];
+            const iterate = () => iterator.next().then(next => {
+                if (next.done) {
+                    return result;
+                }
+                result.push(next.value);
+                return iterate();
+            });
+            return iterate().then(result => expect(result).to.eql(events));
+        });
+
+    });
+
     describe('forEach', function(){
 
         it('invokes a callback with payload, metadata and stream name', function(){
@@ -96,6 +96,53 @@ describe('Index', function() {
         expect(() => index = new Index('test/data/test.index')).to.throwError(/Index file is corrupt/);
     });
 
+    it('throws CorruptFileError only for corrupt files', function() {
+        fs.writeFileSync('test/data/.index', 'foo');
+        expect(() => new Index('test/data/.index')).to.throwError(e => expect(e).to.be.a(Index.CorruptFileError));
+        fs.writeFileSync('test/data/.index', 'nesidx00');
+        expect(() => new Index('test/data/.index')).to.throwError(e => expect(e).to.not.be.a(Index.CorruptFileError));
+        fs.unlinkSync('test/data/.index');
+        index = new Index('test/data/.index', { metadata: { test: 'valueStays' } });
+        index.close();
+        expect(() => new Index('test/data/.index', { metadata: { test: 'anotherValue' } })).to.throwError(e => expect(e).to.not.be.a(Index.CorruptFileError));
+    });
+
+    it('is not opened on instanciation with the open option set to false', function() {
+        fs.writeFileSync('test/data/.index', 'foo');
+        index = new Index('test/data/.index', { open: false });
+        expect(index.isOpen()).to.be(false);
+        expect(() => index.open()).to.throwError(/Invalid file header/);
+    });
+
+    it('detects the entry class of an existing index file', function() {
+        index = new Index('test/data/.index', { EntryClass: Index.Entry64 });
+        index.add(new Index.Entry64(1, 5 * 0x100000000));
+        index.close();
+
+        index = new Index('test/data/.index');
+        expect(index.EntryClass).to.be(Index.Entry64);
+        expect(index.get(1).position).to.be(5 * 0x100000000);
+    });
+
+    it('detects the entry class of an existing index file with metadata', function() {
+        index = new Index('test/data/.index', { metadata: { test: 'valueStays' } });
+        index.add(new Index.Entry(1, 2));
+        index.close();
+
+        index = new Index('test/data/.index', { EntryClass: Index.Entry64, metadata: { test: 'valueStays' } });
+        expect(index.EntryClass).to.be(Index.Entry);
+        expect(index.get(1).position).to.be(2);
+    });
+
+    it('throws on opening an index file with unknown entry class', function() {
+        index = new Index('test/data/.index', { metadata: { test: 'valueStays' } });
+        index.close();
+        const content = fs.readFileSync('test/data/.index', 'utf8');
+        fs.writeFileSync('test/data/.index', content.replace('"Entry"', '"Fntry"'));
+
+        expect(() => index = new Index('test/data/.index')).to.throwError(/Unknown entry class/);
+    });
+
     describe('Entry', function() {
 
         it('stores data correctly', function() {
@@ -108,6 +155,28 @@ describe('Index', function() {
 
     });
 
+    describe('Entry64', function() {
+
+        it('stores data correctly', function() {
+            let entry = new Index.Entry64(1, 2, 3, 4);
+            expect(entry.number).to.be(1);
+            expect(entry.position).to.be(2);
+            expect(entry.size).to.be(3);
+            expect(entry.partition).to.be(4);
+        });
+
+        it('serializes numbers beyond 32-bit', function() {
+            const buffer = Buffer.alloc(Index.Entry64.size);
+            new Index.Entry64(0x100000001, 3 * 0x100000000 + 7, 3, 4).toBuffer(buffer, 0);
+            const entry = Index.Entry64.fromBuffer(buffer);
+            expect(entry.number).to.be(0x100000001);
+            expect(entry.position).to.be(3 * 0x100000000 + 7);
+            expect(entry.size).to.be(3);
+            expect(entry.partition).to.be(4);
+        });
+
+    });
+
     describe('add', function() {
 
         it('appends entries sequentially', function() {
@@ -129,6 +198,16 @@ describe('Index', function() {
             });
         });
 
+        it('calls callbacks of entries added inside a callback', function(done) {
+            index = new Index('test/data/.index', { flushDelay: 1 });
+            index.add(new Index.Entry(1, 0), () => {
+                index.add(new Index.Entry(2, 0), (number) => {
+                    expect(number).to.be(2);
+                    done();
+                });
+            });
+        });
+
         it('throws with invalid entry object', function() {
             index = new Index('test/data/.index');
             expect(() => index.add([1,2,3,4])).to.throwError(/Wrong entry object/);
@@ -259,6 +338,109 @@ describe('Index', function() {
 
     });
 
+    describe('entries', function() {
+
+        it('iterates all entries in chunks', function() {
+            index = setupIndexWithEntries(3000);
+            index.flush();
+            let number = 0;
+            for (let entry of index.entries()) {
+                expect(entry.number).to.be(++number);
+            }
+            expect(number).to.be(3000);
+        });
+
+        it('iterates a range of entries', function() {
+            index = setupIndexWithEntries(50);
+            expect(Array.from(index.entries(21, 25)).map(entry => entry.number)).to.eql([21, 22, 23, 24, 25]);
+            expect(Array.from(index.entries(-3)).map(entry => entry.number)).to.eql([48, 49, 50]);
+            expect(Array.from(index.entries(48, 60)).map(entry => entry.number)).to.eql([48, 49, 50]);
+            expect(Array.from(index.entries(30, 20))).to.eql([]);
+        });
+
+        it('iterates a range of entries backwards', function() {
+            index = setupIndexWithEntries(3000);
+            index.flush();
+            let number = 2501;
+            for (let entry of index.entries(10, 2500, true)) {
+                expect(entry.number).to.be(--number);
+            }
+            expect(number).to.be(10);
+            expect(Array.from(index.entries(-3, -1, true)).map(entry => entry.number)).to.eql([3000, 2999, 2998]);
+            expect(Array.from(index.entries(30, 20, true))).to.eql([]);
+        });
+
+        it('includes entries that are not flushed yet', function() {
+            index = setupIndexWithEntries(5);
+            index.flush();
+            index.add(new Index.Entry(6, 6));
+            expect(Array.from(index.entries(4)).map(entry => entry.number)).to.eql([4, 5, 6]);
+        });
+
+        it('returns nothing for an empty or closed index', function() {
+            index = setupIndexWithEntries(0);
+            expect(Array.from(index.entries())).to.eql([]);
+            index = setupIndexWithEntries(5);
+            const entries = index.entries();
+            index.close();
+            expect(Array.from(entries)).to.eql([]);
+        });
+
+    });
+
+    describe('cache', function() {
+
+        it('keeps at most cacheSize entries in memory', function() {
+            index = setupIndexWithEntries(50, { cacheSize: 10 });
+            index.close();
+            index.open();
+            for (let i = 1; i <= 50; i++) {
+                expect(index.get(i).number).to.be(i);
+            }
+            expect(index.cache.size).to.be(10);
+            expect(index.range(1, 50).length).to.be(50);
+            expect(index.cache.size).to.be(10);
+        });
+
+        it('evicts the least recently used entries first', function() {
+            index = setupIndexWithEntries(5, { cacheSize: 3 });
+            index.close();
+            index.open();
+            index.get(1);
+            index.get(2);
+            index.get(1);
+            index.get(3);
+            expect(Array.from(index.cache.entries.keys())).to.eql([2, 1, 3]);
+        });
+
+        it('reads evicted entries that are not flushed yet', function() {
+            index = setupIndexWithEntries(10, { cacheSize: 2 });
+            expect(index.get(1).number).to.be(1);
+            expect(index.range(1, 10).map(entry => entry.number)).to.eql([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+            index.flush();
+            expect(index.get(2).number).to.be(2);
+        });
+
+        it('is unbounded with a cacheSize of 0', function() {
+            index = setupIndexWithEntries(50, { cacheSize: 0 });
+            index.close();
+            index.open();
+            for (let i = 1; i <= 50; i++) {
+                index.get(i);
+            }
+            expect(index.cache.size).to.be(50);
+        });
+
+        it('drops truncated entries', function() {
+            index = setupIndexWithEntries(10);
+            index.truncate(5);
+            expect(index.cache.size).to.be(5);
+            index.add(new Index.Entry(6, 6));
+            expect(index.get(6).number).to.be(6);
+        });
+
+    });
+
     describe('lastEntry', function() {
 
         it('returns the last entry', function() {
@@ -393,6 +575,202 @@ describe('Index', function() {
 
     });
 
+    describe('migrate', function(){
+
+        it('converts all entries to the new entry class', function(){
+            index = setupIndexWithEntries(25, { metadata: { test: 'valueStays' } });
+            expect(index.migrate(Index.Entry64)).to.be(true);
+            expect(index.EntryClass).to.be(Index.Entry64);
+            expect(index.length).to.be(25);
+            index.close();
+
+            index = new Index('test.index', { dataDirectory: 'test/data' });
+            expect(index.EntryClass).to.be(Index.Entry64);
+            expect(index.metadata.test).to.be('valueStays');
+            const entries = index.all();
+            expect(entries.length).to.be(25);
+            for (let i = 1; i <= entries.length; i++) {
+                expect(entries[i - 1]).to.be.an(Index.Entry64);
+                expect(entries[i - 1].number).to.be(i);
+            }
+            expect(fs.existsSync('test/data/test.index.migrate')).to.be(false);
+        });
+
+        it('does nothing if the entry class is already used', function(){
+            index = setupIndexWithEntries(5);
+            expect(index.migrate(Index.Entry)).to.be(false);
+        });
+
+        it('allows adding entries of the new class afterwards', function(){
+            index = setupIndexWithEntries(5);
+            index.migrate(Index.Entry64);
+            index.add(new Index.Entry64(6, 6));
+            expect(() => index.add(new Index.Entry(7, 7))).to.throwError(/Wrong entry object/);
+            expect(index.length).to.be(6);
+        });
+
+    });
+
+    describe('readOnly', function() {
+
+        let reader;
+
+        afterEach(function() {
+            if (reader) reader.close();
+            reader = undefined;
+        });
+
+        it('throws if the index file does not exist', function() {
+            expect(() => new Index('test.index', { dataDirectory: 'test/data', readOnly: true })).to.throwError();
+            expect(fs.existsSync('test/data/test.index')).to.be(false);
+        });
+
+        it('can read entries written by a writer', function() {
+            setupIndexWithEntries(5);
+            index.flush();
+            reader = new Index('test.index', { dataDirectory: 'test/data', readOnly: true });
+            expect(reader.length).to.be(5);
+            expect(reader.get(3).number).to.be(3);
+        });
+
+        it('does not allow modifications', function() {
+            setupIndexWithEntries(5);
+            index.flush();
+            reader = new Index('test.index', { dataDirectory: 'test/data', readOnly: true });
+            expect(() => reader.add(new Index.Entry(6, 6))).to.throwError(/read-only/);
+            expect(() => reader.truncate(2)).to.throwError(/read-only/);
+            expect(() => reader.destroy()).to.throwError(/read-only/);
+        });
+
+        it('tolerates an incompletely written entry', function() {
+            setupIndexWithEntries(5);
+            index.close();
+            fs.appendFileSync('test/data/test.index', 'foo');
+            reader = new Index('test.index', { dataDirectory: 'test/data', readOnly: true });
+            expect(reader.length).to.be(5);
+        });
+
+        it('picks up new entries on refresh', function() {
+            setupIndexWithEntries(5);
+            index.flush();
+            reader = new Index('test.index', { dataDirectory: 'test/data', readOnly: true });
+            reader.all();
+            for (let i = 6; i <= 10; i++) {
+                index.add(new Index.Entry(i, i));
+            }
+            expect(reader.refresh()).to.be(5);
+            index.flush();
+            expect(reader.refresh()).to.be(10);
+            expect(reader.get(8).number).to.be(8);
+            expect(reader.range(4, 10).map(entry => entry.number)).to.eql([4, 5, 6, 7, 8, 9, 10]);
+        });
+
+        it('drops truncated entries on refresh', function() {
+            setupIndexWithEntries(5);
+            index.flush();
+            reader = new Index('test.index', { dataDirectory: 'test/data', readOnly: true });
+            reader.all();
+            index.truncate(3);
+            expect(reader.refresh()).to.be(3);
+            expect(reader.get(4)).to.be(false);
+        });
+
+    });
+
+    describe('encryption', function() {
+
+        const encryptionKey = Buffer.alloc(32, 1);
+
+        it('encrypts the entries and the metadata', function() {
+            setupIndexWithEntries(50, { encryptionKey, metadata: { matcher: 'secret-stream' } });
+            index.close();
+            const content = fs.readFileSync('test/data/test.index');
+            expect(content.toString('utf8')).to.not.contain('secret-stream');
+            const plain = Buffer.alloc(Index.Entry.size);
+            new Index.Entry(42, 42).toBuffer(plain, 0);
+            expect(content.indexOf(plain)).to.be(-1);
+
+            index.open();
+            expect(index.metadata.matcher).to.be('secret-stream');
+            expect(index.get(42).number).to.be(42);
+            expect(index.range(10, 12).map(entry => entry.number)).to.eql([10, 11, 12]);
+            expect(Array.from(index.entries(40, 45, true)).map(entry => entry.number)).to.eql([45, 44, 43, 42, 41, 40]);
+        });
+
+        it('encrypts entries added after reopening', function() {
+            setupIndexWithEntries(5, { encryptionKey });
+            index.close();
+            index.open();
+            index.add(new Index.Entry(6, 6));
+            index.close();
+            index.open();
+            expect(index.all().map(entry => entry.number)).to.eql([1, 2, 3, 4, 5, 6]);
+        });
+
+        it('throws if the encryption key does not match', function() {
+            setupIndexWithEntries(5, { encryptionKey });
+            index.close();
+            expect(() => new Index('test.index', { dataDirectory: 'test/data' })).to.throwError(/is encrypted/);
+            expect(() => new Index('test.index', { dataDirectory: 'test/data', encryptionKey: Buffer.alloc(32, 2) })).to.throwError(/can not be decrypted/);
+            fs.unlinkSync('test/data/test.index');
+            setupIndexWithEntries(5);
+            index.close();
+            expect(() => new Index('test.index', { dataDirectory: 'test/data', encryptionKey })).to.throwError(/not encrypted/);
+        });
+
+        it('does not reuse the key stream for entries that are added again after a truncate', function() {
+            setupIndexWithEntries(5, { encryptionKey });
+            index.flush();
+            const before = fs.readFileSync('test/data/test.index');
+            index.truncate(3);
+            index.add(new Index.Entry(4, 4));
+            index.add(new Index.Entry(5, 5));
+            index.flush();
+            const after = fs.readFileSync('test/data/test.index');
+            expect(after.byteLength).to.be(before.byteLength);
+            const headerSize = index.headerSize;
+            const recordSize = (after.byteLength - headerSize) / 5;
+            expect(after.slice(0, headerSize + 3 * recordSize).equals(before.slice(0, headerSize + 3 * recordSize))).to.be(true);
+            for (let offset = headerSize + 3 * recordSize; offset < after.byteLength; offset += recordSize) {
+                expect(after.slice(offset, offset + recordSize).equals(before.slice(offset, offset + recordSize))).to.be(false);
+            }
+            index.close();
+            index.open();
+            expect(index.all().map(entry => entry.number)).to.eql([1, 2, 3, 4, 5]);
+        });
+
+        it('throws CorruptFileError when an entry was modified or moved', function() {
+            setupIndexWithEntries(5, { encryptionKey });
+            index.close();
+            const content = fs.readFileSync('test/data/test.index');
+            const headerSize = index.headerSize;
+            const recordSize = (content.byteLength - headerSize) / 5;
+
+            const modified = Buffer.from(content);
+            modified[headerSize + recordSize + 20] ^= 1;
+            fs.writeFileSync('test/data/test.index', modified);
+            index.open();
+            expect(index.get(1).number).to.be(1);
+            expect(() => index.get(2)).to.throwError(e => expect(e).to.be.a(Index.CorruptFileError));
+            index.close();
+
+            const moved = Buffer.from(content);
+            content.copy(moved, headerSize, headerSize + recordSize, headerSize + 2 * recordSize);
+            fs.writeFileSync('test/data/test.index', moved);
+            index.open();
+            expect(() => index.range(1, 2)).to.throwError(e => expect(e).to.be.a(Index.CorruptFileError));
+        });
+
+        it('can be read by a read-only index', function() {
+            setupIndexWithEntries(5, { encryptionKey });
+            index.flush();
+            const reader = new Index('test.index', { dataDirectory: 'test/data', readOnly: true, encryptionKey });
+            expect(reader.all().map(entry => entry.number)).to.eql([1, 2, 3, 4, 5]);
+            reader.close();
+        });
+
+    });
+
     describe('destroy', function(){
 
         it('completely deletes the file', function(){
@@ -92,11 +92,64 @@ describe('JoinEventStream', function() {
         expect(fetchedEvents[1]).to.eql(events[2]);
     });
 
+    it('can be read backwards', function(){
+        stream = new JoinEventStream('foo-bar', ['foo', 'bar'], eventstore, 0, -1, true);
+        expect(stream.events).to.eql([events[2], events[1], events[0]]);
+
+        stream = new JoinEventStream('foo-bar', ['foo', 'bar'], eventstore, 0, 1, true);
+        expect(stream.events).to.eql([events[1], events[0]]);
+
+        stream = new JoinEventStream('foo-bar', ['foo', 'bar'], eventstore, 1, 0);
+        expect(stream.events).to.eql([]);
+    });
+
     it('is empty when stream does not exist', function(){
         stream = new JoinEventStream('foo-bar', ['baz'], eventstore);
         expect(stream.events).to.be.eql([]);
     });
 
+    describe('nextAsync', function(){
+
+        function readAllAsync(stream) {
+            const result = [];
+            const read = () => stream.nextAsync().then(next => {
+                if (next === false) {
+                    return result;
+                }
+                result.push(next.payload);
+                return read();
+            });
+            return read();
+        }
+
+        it('resolves with the joined events in order', function(){
+            stream = new JoinEventStream('foo-bar', ['foo', 'bar'], eventstore);
+            return readAllAsync(stream).then(result => expect(result).to.eql(events));
+        });
+
+        it('can limit events fetched with min and max revision', function(){
+            stream = new JoinEventStream('foo-bar', ['foo', 'bar'], eventstore, 0, 1);
+            return readAllAsync(stream).then(result => expect(result).to.eql([events[0], events[1]]));
+        });
+
+        it('resolves with false when stream does not exist', function(){
+            stream = new JoinEventStream('foo-bar', ['baz'], eventstore);
+            return stream.nextAsync().then(next => expect(next).to.be(false));
+        });
+
+        it('can be iterated with the async iterator protocol', function(){
+            if (typeof Symbol.asyncIterator !== 'symbol') {
+                return this.skip();
+            }
+            stream = new JoinEventStream('foo-bar', ['foo', 'bar'], eventstore);
+            const iterator = stream[Symbol.asyncIterator]();
+            return iterator.next().then(next => {
+                expect(next).to.eql({ value: events[0], done: false });
+            });
+        });
+
+    });
+
     describe('forEach', function(){
 
         it('invokes a callback with payload, metadata and stream name', function(){
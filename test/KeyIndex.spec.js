@@ -0,0 +1,291 @@
+const expect = require('expect.js');
+const fs = require('fs-extra');
+const KeyIndex = require('../src/KeyIndex');
+
+describe('KeyIndex', function() {
+
+    let index;
+
+    beforeEach(function() {
+        fs.emptyDirSync('test/data');
+    });
+
+    afterEach(function() {
+        if (index) index.close();
+        index = undefined;
+    });
+
+    it('is opened on instanciation', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        expect(index.isOpen()).to.be(true);
+    });
+
+    it('throws when no name specified', function() {
+        expect(() => new KeyIndex()).to.throwError();
+    });
+
+    it('returns all numbers for a key in order', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        index.add('foo', 1);
+        index.add('bar', 2);
+        index.add('foo', 3);
+        index.add(4, 4);
+        expect(index.get('foo')).to.eql([1, 3]);
+        expect(index.get('bar')).to.eql([2]);
+        expect(index.get(4)).to.eql([4]);
+        expect(index.get('4')).to.eql([]);
+        expect(index.length).to.be(3);
+    });
+
+    it('throws when adding an invalid key', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        expect(() => index.add({ foo: 'bar' }, 1)).to.throwError();
+        expect(() => index.add(null, 1)).to.throwError();
+    });
+
+    it('persists entries on flush', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        index.add('foo', 1);
+        index.add('bar', 2);
+        index.flush();
+
+        const reopened = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        expect(reopened.get('foo')).to.eql([1]);
+        expect(reopened.get('bar')).to.eql([2]);
+        expect(reopened.lastNumber).to.be(2);
+        reopened.close();
+    });
+
+    it('flushes on close', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        index.add('foo', 1);
+        index.close();
+        index.open();
+        expect(index.get('foo')).to.eql([1]);
+    });
+
+    it('keeps track of checkpoints', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        index.add('foo', 1);
+        index.checkpoint(5);
+        index.checkpoint(3);
+        expect(index.lastNumber).to.be(5);
+        index.close();
+        index.open();
+        expect(index.lastNumber).to.be(5);
+    });
+
+    it('does not grow the file on checkpoints', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        index.add('foo', 1);
+        index.flush();
+        const size = fs.statSync('test/data/test.keys').size;
+        for (let number = 2; number <= 10; number++) {
+            index.checkpoint(number);
+            index.flush();
+        }
+        expect(fs.statSync('test/data/test.keys').size).to.be(size);
+    });
+
+    it('ignores a torn write after the last flush', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        index.add('foo', 1);
+        index.close();
+        fs.appendFileSync('test/data/test.keys', Buffer.from([1, 2, 3, 4, 5]));
+        index.open();
+        expect(index.get('foo')).to.eql([1]);
+        index.add('bar', 2);
+        index.add('foo', 3);
+        index.close();
+        index.open();
+        expect(index.get('foo')).to.eql([1, 3]);
+        expect(index.get('bar')).to.eql([2]);
+    });
+
+    it('returns entries that were added again only once', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        index.add('foo', 1);
+        index.add('foo', 3);
+        index.add('foo', 3);
+        index.add('foo', 2);
+        expect(index.get('foo')).to.eql([1, 2, 3]);
+    });
+
+    it('rebuilds the hash table when it gets full', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data', buckets: 4, writeBufferSize: 256 });
+        for (let number = 1; number <= 100; number++) {
+            index.add('key-' + (number % 50), number);
+        }
+        expect(index.bucketCount).to.be(32);
+        expect(index.length).to.be(50);
+        expect(index.get('key-7')).to.eql([7, 57]);
+        index.close();
+        index.open();
+        expect(index.bucketCount).to.be(32);
+        expect(index.length).to.be(50);
+        expect(index.lastNumber).to.be(100);
+        expect(index.get('key-0')).to.eql([50, 100]);
+        expect(fs.existsSync('test/data/test.keys.tmp')).to.be(false);
+    });
+
+    it('only reads the header on open', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        for (let number = 1; number <= 1000; number++) {
+            index.add('key-' + number, number);
+        }
+        index.close();
+        const nodeFs = require('fs');
+        const readSync = nodeFs.readSync;
+        let bytesRead = 0;
+        nodeFs.readSync = function(fd, buffer, offset, length) {
+            bytesRead += length;
+            return readSync.apply(nodeFs, arguments);
+        };
+        try {
+            index.open();
+        } finally {
+            nodeFs.readSync = readSync;
+        }
+        expect(bytesRead).to.be(40);
+        expect(index.length).to.be(1000);
+        expect(index.get('key-500')).to.eql([500]);
+    });
+
+    it('throws on an invalid file', function() {
+        fs.writeFileSync('test/data/test.keys', '["foo",1]\n');
+        expect(() => new KeyIndex('test.keys', { dataDirectory: 'test/data' })).to.throwError(/Invalid key index file/);
+    });
+
+    it('can truncate entries after a sequence number', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        index.add('foo', 1);
+        index.add('bar', 2);
+        index.add('foo', 3);
+        index.checkpoint(5);
+        index.truncate(2);
+        expect(index.get('foo')).to.eql([1]);
+        expect(index.get('bar')).to.eql([2]);
+        expect(index.lastNumber).to.be(2);
+        index.close();
+        index.open();
+        expect(index.get('foo')).to.eql([1]);
+        expect(index.lastNumber).to.be(2);
+        expect(fs.existsSync('test/data/test.keys.tmp')).to.be(false);
+    });
+
+    it('can copy the entries that pass a filter', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        index.add('foo', 1);
+        index.add('bar', 2);
+        index.add('foo', 3);
+        expect(index.copy('test/data/copy.keys', number => number !== 3)).to.be(2);
+        const copy = new KeyIndex('copy.keys', { dataDirectory: 'test/data' });
+        expect(copy.get('foo')).to.eql([1]);
+        expect(copy.get('bar')).to.eql([2]);
+        expect(copy.lastNumber).to.be(2);
+        copy.close();
+    });
+
+    describe('encryption', function() {
+
+        const encryptionKey = Buffer.alloc(32, 1);
+
+        it('does not store plain digests or sequence numbers', function() {
+            index = new KeyIndex('test.keys', { dataDirectory: 'test/data', encryptionKey });
+            index.add('foo', 1234);
+            index.add('foo', 5678);
+            index.close();
+            const content = fs.readFileSync('test/data/test.keys');
+            const digest = require('crypto').createHash('sha256').update(JSON.stringify('foo')).digest().slice(0, 16);
+            expect(content.indexOf(digest)).to.be(-1);
+            const number = Buffer.alloc(8);
+            number.writeDoubleBE(1234, 0);
+            expect(content.indexOf(number)).to.be(-1);
+
+            index.open();
+            expect(index.get('foo')).to.eql([1234, 5678]);
+            expect(index.get('bar')).to.eql([]);
+        });
+
+        it('keeps entries encrypted when rebuilding the file', function() {
+            index = new KeyIndex('test.keys', { dataDirectory: 'test/data', encryptionKey, buckets: 1 });
+            index.add('foo', 1);
+            index.add('bar', 2);
+            index.add('baz', 3);
+            index.truncate(2);
+            index.close();
+            index.open();
+            expect(index.bucketCount).to.be(2);
+            expect(index.get('foo')).to.eql([1]);
+            expect(index.get('bar')).to.eql([2]);
+            expect(index.get('baz')).to.eql([]);
+        });
+
+        it('throws if the encryption key does not match', function() {
+            index = new KeyIndex('test.keys', { dataDirectory: 'test/data', encryptionKey });
+            index.close();
+            index = undefined;
+            expect(() => new KeyIndex('test.keys', { dataDirectory: 'test/data' })).to.throwError(/is encrypted/);
+            fs.unlinkSync('test/data/test.keys');
+            new KeyIndex('test.keys', { dataDirectory: 'test/data' }).close();
+            expect(() => new KeyIndex('test.keys', { dataDirectory: 'test/data', encryptionKey })).to.throwError(/not encrypted/);
+        });
+
+    });
+
+    describe('read-only', function() {
+
+        it('reads existing entries without writing', function() {
+            const writer = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+            writer.add('foo', 1);
+            writer.close();
+            const content = fs.readFileSync('test/data/test.keys');
+            index = new KeyIndex('test.keys', { dataDirectory: 'test/data', readOnly: true });
+            expect(index.isOpen()).to.be(true);
+            expect(index.get('foo')).to.eql([1]);
+            index.add('baz', 2);
+            index.add('foo', 2);
+            index.checkpoint(3);
+            expect(index.get('baz')).to.eql([2]);
+            expect(index.get('foo')).to.eql([1, 2]);
+            expect(index.length).to.be(2);
+            index.close();
+            expect(fs.readFileSync('test/data/test.keys').equals(content)).to.be(true);
+        });
+
+        it('sees entries flushed by the writer', function() {
+            const writer = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+            writer.add('foo', 1);
+            writer.flush();
+            index = new KeyIndex('test.keys', { dataDirectory: 'test/data', readOnly: true });
+            writer.add('foo', 2);
+            writer.flush();
+            index.add('foo', 2);
+            expect(index.get('foo')).to.eql([1, 2]);
+            writer.close();
+        });
+
+        it('does not create the file', function() {
+            index = new KeyIndex('test.keys', { dataDirectory: 'test/data/keys', readOnly: true });
+            expect(index.length).to.be(0);
+            index.add('foo', 1);
+            expect(index.get('foo')).to.eql([1]);
+            expect(fs.existsSync('test/data/keys')).to.be(false);
+        });
+
+        it('throws on truncate and copy', function() {
+            index = new KeyIndex('test.keys', { dataDirectory: 'test/data', readOnly: true });
+            expect(() => index.truncate(0)).to.throwError(/read-only/);
+            expect(() => index.copy('test/data/copy.keys', () => true)).to.throwError(/read-only/);
+        });
+
+    });
+
+    it('can be destroyed', function() {
+        index = new KeyIndex('test.keys', { dataDirectory: 'test/data' });
+        index.destroy();
+        expect(fs.existsSync('test/data/test.keys')).to.be(false);
+        index = undefined;
+    });
+
+});
@@ -0,0 +1,55 @@
+const expect = require('expect.js');
+const fs = require('fs-extra');
+const KeyStore = require('../src/KeyStore');
+
+describe('KeyStore', function() {
+
+    let keyStore;
+
+    beforeEach(function() {
+        fs.emptyDirSync('test/data');
+        keyStore = new KeyStore({ dataDirectory: 'test/data/keys' });
+    });
+
+    it('returns false if the subject has no key', function() {
+        expect(keyStore.getKey('foo')).to.be(false);
+        expect(fs.existsSync('test/data/keys')).to.be(false);
+    });
+
+    it('creates a random key per subject', function() {
+        const key = keyStore.ensureKey('foo');
+        expect(key).to.be.a(Buffer);
+        expect(key.byteLength).to.be(32);
+        expect(keyStore.ensureKey('foo')).to.be(key);
+        expect(keyStore.ensureKey('bar').equals(key)).to.be(false);
+    });
+
+    it('persists keys without revealing the subject', function() {
+        const key = keyStore.ensureKey('user-1');
+        const files = fs.readdirSync('test/data/keys');
+        expect(files.length).to.be(1);
+        expect(files[0]).to.match(/^[0-9a-f]{64}\.key$/);
+
+        const reopened = new KeyStore({ dataDirectory: 'test/data/keys' });
+        expect(reopened.getKey('user-1').equals(key)).to.be(true);
+    });
+
+    it('can forget the key of a subject', function() {
+        const key = keyStore.ensureKey('foo');
+        keyStore.ensureKey('bar');
+        expect(keyStore.forget('foo')).to.be(true);
+        expect(keyStore.forget('foo')).to.be(false);
+        expect(keyStore.getKey('foo')).to.be(false);
+        expect(keyStore.getKey('bar')).to.not.be(false);
+        expect(new KeyStore({ dataDirectory: 'test/data/keys' }).getKey('foo')).to.be(false);
+        expect(keyStore.ensureKey('foo').equals(key)).to.be(false);
+    });
+
+    it('throws on corrupt key files', function() {
+        keyStore.ensureKey('foo');
+        const file = fs.readdirSync('test/data/keys')[0];
+        fs.writeFileSync('test/data/keys/' + file, 'foo');
+        expect(() => new KeyStore({ dataDirectory: 'test/data/keys' }).getKey('foo')).to.throwError(/corrupt/);
+    });
+
+});
@@ -0,0 +1,139 @@
+const expect = require('expect.js');
+const Matcher = require('../src/Matcher');
+
+describe('Matcher', function() {
+
+    const document = {
+        stream: 'order-1',
+        payload: { type: 'OrderPlaced', amount: 150, tags: ['new'], customer: { name: 'Alice' } },
+        metadata: { commitId: 5, correlationId: null }
+    };
+
+    describe('matches', function() {
+
+        it('matches everything with an empty matcher', function() {
+            expect(Matcher.matches(document, {})).to.be(true);
+        });
+
+        it('compares plain values strictly', function() {
+            expect(Matcher.matches(document, { stream: 'order-1' })).to.be(true);
+            expect(Matcher.matches(document, { stream: 'order-2' })).to.be(false);
+            expect(Matcher.matches(document, { 'metadata.commitId': '5' })).to.be(false);
+            expect(Matcher.matches(document, { 'metadata.correlationId': null })).to.be(true);
+        });
+
+        it('matches nested matcher objects', function() {
+            expect(Matcher.matches(document, { payload: { type: 'OrderPlaced', customer: { name: 'Alice' } } })).to.be(true);
+            expect(Matcher.matches(document, { payload: { type: 'OrderShipped' } })).to.be(false);
+            expect(Matcher.matches(document, { foo: { bar: 'baz' } })).to.be(false);
+        });
+
+        it('resolves dotted paths', function() {
+            expect(Matcher.matches(document, { 'payload.customer.name': 'Alice' })).to.be(true);
+            expect(Matcher.matches(document, { 'payload.foo.name': 'Alice' })).to.be(false);
+            expect(Matcher.matches({ 'payload.type': 'foo' }, { 'payload.type': 'foo' })).to.be(true);
+        });
+
+        it('supports comparison operators', function() {
+            expect(Matcher.matches(document, { 'payload.amount': { $gt: 100, $lte: 150 } })).to.be(true);
+            expect(Matcher.matches(document, { 'payload.amount': { $gte: 151 } })).to.be(false);
+            expect(Matcher.matches(document, { 'payload.amount': { $lt: 150 } })).to.be(false);
+            expect(Matcher.matches(document, { 'payload.amount': { $eq: 150 } })).to.be(true);
+            expect(Matcher.matches(document, { 'payload.amount': { $ne: 150 } })).to.be(false);
+            expect(Matcher.matches(document, { 'payload.type': { $gt: 'Order' } })).to.be(true);
+            expect(Matcher.matches(document, { 'payload.amount': { $gt: '100' } })).to.be(false);
+        });
+
+        it('supports $in and $nin', function() {
+            expect(Matcher.matches(document, { 'payload.type': { $in: ['OrderPlaced', 'OrderShipped'] } })).to.be(true);
+            expect(Matcher.matches(document, { 'payload.type': { $in: ['OrderShipped'] } })).to.be(false);
+            expect(Matcher.matches(document, { 'payload.type': { $nin: ['OrderShipped'] } })).to.be(true);
+            expect(Matcher.matches(document, { 'payload.type': { $nin: ['OrderPlaced'] } })).to.be(false);
+        });
+
+        it('supports $exists', function() {
+            expect(Matcher.matches(document, { 'metadata.correlationId': { $exists: true } })).to.be(true);
+            expect(Matcher.matches(document, { 'metadata.causationId': { $exists: true } })).to.be(false);
+            expect(Matcher.matches(document, { 'metadata.causationId': { $exists: false } })).to.be(true);
+        });
+
+        it('supports regular expressions', function() {
+            expect(Matcher.matches(document, { stream: /^order-/ })).to.be(true);
+            expect(Matcher.matches(document, { stream: { $regex: '^ORDER-', $options: 'i' } })).to.be(true);
+            expect(Matcher.matches(document, { stream: { $regex: '^customer-' } })).to.be(false);
+            expect(Matcher.matches(document, { 'payload.amount': { $regex: '150' } })).to.be(false);
+        });
+
+        it('does not keep state of global regular expressions', function() {
+            const matcher = { stream: /order/g };
+            expect(Matcher.matches(document, matcher)).to.be(true);
+            expect(Matcher.matches(document, matcher)).to.be(true);
+        });
+
+        it('supports $and, $or and $not', function() {
+            expect(Matcher.matches(document, { $or: [{ stream: 'foo' }, { 'payload.amount': { $gt: 100 } }] })).to.be(true);
+            expect(Matcher.matches(document, { $or: [{ stream: 'foo' }, { stream: 'bar' }] })).to.be(false);
+            expect(Matcher.matches(document, { $and: [{ stream: 'order-1' }, { 'payload.type': 'OrderPlaced' }] })).to.be(true);
+            expect(Matcher.matches(document, { $and: [{ stream: 'order-1' }, { 'payload.type': 'Foo' }] })).to.be(false);
+            expect(Matcher.matches(document, { $not: { stream: 'order-1' } })).to.be(false);
+            expect(Matcher.matches(document, { 'payload.type': { $not: { $in: ['Foo', 'Bar'] } } })).to.be(true);
+            expect(Matcher.matches(document, { stream: { $not: /^order-/ } })).to.be(false);
+        });
+
+    });
+
+    describe('validate', function() {
+
+        it('throws if the matcher is not an object', function() {
+            expect(() => Matcher.validate('foo')).to.throwError(e => expect(e).to.be.a(Matcher.InvalidMatcherError));
+            expect(() => Matcher.validate(null)).to.throwError(/must be an object/);
+        });
+
+        it('throws on unknown operators', function() {
+            expect(() => Matcher.validate({ $foo: [] })).to.throwError(/Unknown matcher operator "\$foo"/);
+            expect(() => Matcher.validate({ type: { $foo: 1 } })).to.throwError(/Unknown matcher operator "\$foo" for "type"/);
+        });
+
+        it('throws on invalid operands', function() {
+            expect(() => Matcher.validate({ type: { $in: 'foo' } })).to.throwError(/needs an array/);
+            expect(() => Matcher.validate({ type: { $exists: 1 } })).to.throwError(/needs a boolean/);
+            expect(() => Matcher.validate({ type: { $regex: 1 } })).to.throwError(/needs a string/);
+            expect(() => Matcher.validate({ type: { $regex: '(' } })).to.throwError(/Invalid regular expression/);
+            expect(() => Matcher.validate({ type: { $options: 'i' } })).to.throwError(/\$options/);
+            expect(() => Matcher.validate({ $or: [] })).to.throwError(/non-empty array/);
+            expect(() => Matcher.validate({ type: () => true })).to.throwError(/Invalid condition/);
+        });
+
+        it('throws when mixing operators and properties', function() {
+            expect(() => Matcher.validate({ payload: { $exists: true, type: 'foo' } })).to.throwError(/Can not mix/);
+        });
+
+        it('validates nested matchers', function() {
+            expect(() => Matcher.validate({ $or: [{ type: { $foo: 1 } }] })).to.throwError(/Unknown/);
+            expect(() => Matcher.validate({ payload: { type: { $foo: 1 } } })).to.throwError(/Unknown/);
+            expect(() => Matcher.validate({ type: { $not: { $foo: 1 } } })).to.throwError(/Unknown/);
+        });
+
+    });
+
+    describe('normalize', function() {
+
+        it('converts regular expressions into $regex conditions', function() {
+            const normalized = Matcher.normalize({ stream: /^order-/i, $or: [{ type: /foo/ }], name: { $regex: /bar/m } });
+            expect(normalized).to.eql({
+                stream: { $regex: '^order-', $options: 'i' },
+                $or: [{ type: { $regex: 'foo' } }],
+                name: { $regex: 'bar', $options: 'm' }
+            });
+        });
+
+        it('creates a matcher that survives JSON serialization', function() {
+            const matcher = { stream: /^order-/, 'payload.amount': { $gt: 100 } };
+            const restored = JSON.parse(JSON.stringify(Matcher.normalize(matcher)));
+            expect(Matcher.matches(document, restored)).to.be(true);
+            expect(Matcher.matches({ stream: 'customer-1' }, restored)).to.be(false);
+        });
+
+    });
+
+});
@@ -49,6 +49,20 @@ describe('Partition', function() {
         expect(() => partition.open()).to.throwError();
     });
 
+    it('reads and writes partitions of version 01', function() {
+        fs.writeFileSync('test/data/.part', 'nesprt01\n         6foobar\n');
+        partition.open();
+        expect(partition.checksums).to.be(false);
+        expect(partition.readFrom(0)).to.be('foobar');
+
+        const position = partition.write('bazinga');
+        partition.close();
+        expect(fs.readFileSync('test/data/.part', 'utf8')).to.be('nesprt01\n         6foobar\n         7bazinga\n');
+
+        partition.open();
+        expect(partition.readFrom(position)).to.be('bazinga');
+    });
+
     describe('write', function() {
 
         it('returns false when partition is not open', function() {
@@ -192,6 +206,37 @@ describe('Partition', function() {
             });
         });
 
+        it('throws when the document checksum does not match', function() {
+            partition.open();
+            partition.write('foobar');
+            partition.close();
+
+            const content = fs.readFileSync('test/data/.part', 'utf8');
+            fs.writeFileSync('test/data/.part', content.replace('foobar', 'foobaz'));
+
+            partition.open();
+            expect(() => partition.readFrom(0)).to.throwError((e) => {
+                expect(e).to.be.a(Partition.CorruptFileError);
+                expect(e.message).to.match(/checksum/);
+            });
+        });
+
+        it('throws when the checksum of a large document does not match', function() {
+            partition.open();
+            let blob = 'foobar'.repeat(100000);
+            partition.write(blob);
+            partition.close();
+
+            const fd = fs.openSync('test/data/.part', 'r+');
+            fs.writeSync(fd, 'x', 9 + 18 + 50000);
+            fs.closeSync(fd);
+
+            partition.open();
+            expect(() => partition.readFrom(0)).to.throwError((e) => {
+                expect(e).to.be.a(Partition.CorruptFileError);
+            });
+        });
+
         it('can read large documents', function() {
             partition.open();
             let blob = 'foobar'.repeat(100000);
@@ -264,6 +309,776 @@ describe('Partition', function() {
             expect(partition.size).to.be(lastposition);
         });
 
+        it('returns the amount of truncated documents', function() {
+            partition.open();
+            let lastposition = fillPartition(10);
+            partition.close();
+            partition.open();
+
+            expect(partition.truncate(lastposition)).to.be(1);
+            expect(partition.truncate(lastposition)).to.be(0);
+            expect(partition.truncate(0)).to.be(9);
+        });
+
+    });
+
+    describe('readFromAsync', function() {
+
+        it('resolves with the document at the given position', function() {
+            partition.open();
+            fillPartition(5, i => 'foobar' + i);
+            partition.close();
+            partition.open();
+            const position = partition.documentWriteSize(7);
+            return partition.readFromAsync(position).then(data => {
+                expect(data).to.be('foobar2');
+                return partition.readFromAsync(position, 7);
+            }).then(data => {
+                expect(data).to.be('foobar2');
+            });
+        });
+
+        it('reads documents larger than the read buffer', function() {
+            partition = new Partition('.part', { dataDirectory: 'test/data', readBufferSize: 64 });
+            partition.open();
+            const doc = 'x'.repeat(1000);
+            partition.write(doc);
+            partition.close();
+            partition.open();
+            return partition.readFromAsync(0).then(data => expect(data).to.be(doc));
+        });
+
+        it('reads documents from the write buffer', function() {
+            partition.open();
+            const position = partition.write('foobar');
+            return partition.readFromAsync(position).then(data => expect(data).to.be('foobar'));
+        });
+
+        it('resolves with false when reading beyond the end', function() {
+            partition.open();
+            fillPartition(5);
+            partition.flush();
+            return partition.readFromAsync(partition.size).then(data => expect(data).to.be(false));
+        });
+
+        it('rejects on checksum mismatch', function() {
+            partition.open();
+            partition.write('foobar');
+            partition.close();
+            const fd = fs.openSync('test/data/.part', 'r+');
+            fs.writeSync(fd, 'X', partition.headerSize + partition.documentHeaderSize);
+            fs.closeSync(fd);
+            partition.open();
+            return partition.readFromAsync(0).then(
+                () => expect().fail('Expected read to be rejected'),
+                e => expect(e).to.be.a(Partition.CorruptFileError)
+            );
+        });
+
+        it('rejects with invalid data size', function() {
+            partition.open();
+            partition.write('foobar');
+            partition.flush();
+            return partition.readFromAsync(0, 5).then(
+                () => expect().fail('Expected read to be rejected'),
+                e => expect(e).to.be.a(Partition.InvalidDataSizeError)
+            );
+        });
+
+    });
+
+    describe('readOnly', function() {
+
+        let reader;
+
+        beforeEach(function() {
+            reader = new Partition('.part', { dataDirectory: 'test/data', readOnly: true });
+        });
+
+        afterEach(function() {
+            if (reader) reader.close();
+            reader = undefined;
+        });
+
+        it('does not write the file header', function() {
+            fs.writeFileSync('test/data/.part', '');
+            reader.open();
+            expect(reader.size).to.be(0);
+            expect(fs.statSync('test/data/.part').size).to.be(0);
+        });
+
+        it('does not allow writing', function() {
+            partition.open();
+            reader.open();
+            expect(() => reader.write('foobar')).to.throwError(/read-only/);
+            expect(() => reader.truncate(0)).to.throwError(/read-only/);
+        });
+
+        it('reads documents written by a writer after opening', function() {
+            partition.open();
+            reader.open();
+            let position = partition.write('foobar');
+            expect(reader.readFrom(position)).to.be(false);
+            partition.flush();
+            expect(reader.readFrom(position)).to.be('foobar');
+            position = partition.write('bazquux');
+            partition.flush();
+            expect(reader.readFrom(position, 7)).to.be('bazquux');
+        });
+
+        it('does not read incompletely written documents', function() {
+            partition.open();
+            reader.open();
+            let position = partition.write('foobar');
+            partition.flush();
+            fs.appendFileSync('test/data/.part', '        10');
+            expect(reader.readFrom(position + partition.documentWriteSize(6), 10)).to.be(false);
+        });
+
+    });
+
+    describe('encryption', function() {
+
+        const encryptionKey = Buffer.alloc(32, 7);
+
+        beforeEach(function () {
+            partition = new Partition('.part', { dataDirectory: 'test/data', encryptionKey });
+        });
+
+        it('throws on invalid encryption keys', function() {
+            expect(() => new Partition('.part', { dataDirectory: 'test/data', encryptionKey: 'secret' })).to.throwError(/Encryption key/);
+            expect(() => new Partition('.part', { dataDirectory: 'test/data', encryptionKey: Buffer.alloc(16) })).to.throwError(/Encryption key/);
+        });
+
+        it('writes encrypted partitions of version 03', function() {
+            partition.open();
+            fillPartition(3, i => 'foobar-' + i);
+            partition.close();
+            const content = fs.readFileSync('test/data/.part', 'utf8');
+            expect(content.substr(0, 9)).to.be('nesprt03\n');
+            expect(content).to.not.contain('foobar');
+        });
+
+        it('reads encrypted documents', function() {
+            partition.open();
+            const position = fillPartition(10, i => 'foobar-' + i);
+            expect(partition.readFrom(position)).to.be('foobar-10');
+            partition.close();
+            partition.open();
+            expect(partition.readFrom(0)).to.be('foobar-1');
+            expect(partition.readFrom(position, 9)).to.be('foobar-10');
+            expect(Array.from(partition.readAll()).length).to.be(10);
+        });
+
+        it('reads large encrypted documents', function() {
+            partition.open();
+            const blob = 'foobar'.repeat(100000);
+            partition.write(blob);
+            partition.close();
+            partition.open();
+            expect(partition.readFrom(0)).to.be(blob);
+        });
+
+        it('reads encrypted documents asynchronously', function() {
+            partition.open();
+            const position = fillPartition(10, i => 'foobar-' + i);
+            partition.flush();
+            return partition.readFromAsync(position, 9).then(data => expect(data).to.be('foobar-10'));
+        });
+
+        it('throws CorruptFileError when a document was modified', function() {
+            partition.open();
+            fillPartition(1);
+            partition.close();
+
+            const fd = fs.openSync('test/data/.part', 'r+');
+            fs.writeSync(fd, 'X', partition.headerSize + partition.documentHeaderSize + 2);
+            fs.closeSync(fd);
+
+            partition.open();
+            expect(() => partition.readFrom(0)).to.throwError((e) => {
+                expect(e).to.be.a(Partition.CorruptFileError);
+                expect(e.message).to.match(/can not be authenticated/);
+            });
+        });
+
+        it('throws CorruptFileError when a document was moved', function() {
+            partition.open();
+            fillPartition(2);
+            partition.close();
+
+            // Swap both documents, which have the same size
+            const content = fs.readFileSync('test/data/.part');
+            const documentSize = partition.documentWriteSize(6);
+            const first = Buffer.from(content.slice(9, 9 + documentSize));
+            content.copy(content, 9, 9 + documentSize, 9 + 2 * documentSize);
+            first.copy(content, 9 + documentSize);
+            fs.writeFileSync('test/data/.part', content);
+
+            partition.open();
+            expect(() => partition.readFrom(0)).to.throwError(e => expect(e).to.be.a(Partition.CorruptFileError));
+        });
+
+        it('throws CorruptFileError when a document length was modified', function() {
+            partition.open();
+            fillPartition(1, () => 'foobar-1');
+            partition.close();
+
+            const content = fs.readFileSync('test/data/.part');
+            expect(content.toString('utf8', 9, 19).trim()).to.be('8');
+            content.write('7', 18);
+            fs.writeFileSync('test/data/.part', content);
+
+            partition.open();
+            expect(() => partition.readFrom(0)).to.throwError(e => expect(e).to.be.a(Partition.CorruptFileError));
+        });
+
+        it('throws CorruptFileError with a wrong key', function() {
+            partition.open();
+            fillPartition(1);
+            partition.close();
+
+            partition = new Partition('.part', { dataDirectory: 'test/data', encryptionKey: Buffer.alloc(32, 8) });
+            partition.open();
+            expect(() => partition.readFrom(0)).to.throwError(e => expect(e).to.be.a(Partition.CorruptFileError));
+        });
+
+        it('throws when opening an encrypted partition without key', function() {
+            partition.open();
+            partition.close();
+            partition = new Partition('.part', { dataDirectory: 'test/data' });
+            expect(() => partition.open()).to.throwError(/no encryption key/);
+        });
+
+        it('throws when opening an unencrypted partition with a key', function() {
+            fs.writeFileSync('test/data/.part', 'nesprt01\n         6foobar\n');
+            expect(() => partition.open()).to.throwError(/not encrypted/);
+        });
+
+        it('encrypts truncated documents', function() {
+            partition.open();
+            fillPartition(3, i => 'foobar-' + i);
+            partition.truncate(0);
+            partition.close();
+            const branch = new Partition('.part-0.branch', { dataDirectory: 'test/data', encryptionKey });
+            branch.open();
+            expect(Array.from(branch.readAll())).to.eql(['foobar-1', 'foobar-2', 'foobar-3']);
+            branch.close();
+            expect(fs.readFileSync('test/data/.part-0.branch', 'utf8')).to.not.contain('foobar');
+        });
+
+        it('repairs an incomplete document at the end', function() {
+            partition.open();
+            fillPartition(10);
+            partition.close();
+            const size = partition.size;
+            fs.appendFileSync('test/data/.part', '        10abc');
+
+            partition.open();
+            expect(partition.repairTail()).to.be(13);
+            expect(partition.size).to.be(size);
+        });
+
+    });
+
+    describe('compression', function() {
+
+        beforeEach(function () {
+            partition = new Partition('.part', { dataDirectory: 'test/data', compression: 'deflate', writeBufferSize: 1024, blockSize: 1024 });
+        });
+
+        it('throws on invalid compression', function() {
+            expect(() => new Partition('.part', { dataDirectory: 'test/data', compression: 'lz4' })).to.throwError(/Unknown compression/);
+        });
+
+        it('throws when combined with encryption', function() {
+            expect(() => new Partition('.part', { dataDirectory: 'test/data', compression: 'deflate', encryptionKey: Buffer.alloc(32) })).to.throwError(/can not be combined/);
+        });
+
+        it('writes compressed partitions of version 04', function() {
+            partition.open();
+            fillPartition(100, i => 'foobar-' + i);
+            partition.close();
+            const content = fs.readFileSync('test/data/.part');
+            expect(content.toString('utf8', 0, 9)).to.be('nesprt04\n');
+            expect(content.toString('utf8')).to.not.contain('foobar-1');
+            expect(content.byteLength).to.be.lessThan(partition.size);
+        });
+
+        it('keeps the document positions of uncompressed partitions', function() {
+            const uncompressed = new Partition('.plain', { dataDirectory: 'test/data' });
+            uncompressed.open();
+            partition.open();
+            for (let i = 1; i <= 100; i++) {
+                expect(partition.write('foobar-' + i)).to.be(uncompressed.write('foobar-' + i));
+            }
+            uncompressed.close();
+        });
+
+        it('reads compressed documents', function() {
+            partition.open();
+            const position = fillPartition(100, i => 'foobar-' + i);
+            expect(partition.readFrom(position)).to.be('foobar-100');
+            partition.close();
+            partition.open();
+            expect(partition.blocks.length).to.be.greaterThan(1);
+            expect(partition.readFrom(0)).to.be('foobar-1');
+            expect(partition.readFrom(position, 10)).to.be('foobar-100');
+            expect(Array.from(partition.readAll())).to.eql(Array.from({ length: 100 }, (v, i) => 'foobar-' + (i + 1)));
+        });
+
+        it('decompresses every block only once when reading sequentially', function() {
+            partition.open();
+            fillPartition(100, i => 'foobar-' + i);
+            partition.close();
+            partition.open();
+            let decompressed = 0;
+            const readBlock = partition.readBlock;
+            partition.readBlock = function(block) {
+                decompressed++;
+                return readBlock.call(this, block);
+            };
+            expect(Array.from(partition.readAll()).length).to.be(100);
+            expect(decompressed).to.be(partition.blocks.length);
+        });
+
+        it('reads large compressed documents', function() {
+            partition.open();
+            partition.write('foo');
+            const blob = 'foobar'.repeat(10000);
+            const position = partition.write(blob);
+            partition.write('bar');
+            partition.close();
+            partition.open();
+            expect(partition.readFrom(position)).to.be(blob);
+            expect(Array.from(partition.readAll())).to.eql(['foo', blob, 'bar']);
+        });
+
+        it('reads documents from the write buffer', function() {
+            partition.open();
+            const position = partition.write('foobar');
+            expect(partition.readFrom(position)).to.be('foobar');
+        });
+
+        it('reads compressed documents asynchronously', function() {
+            partition.open();
+            const position = fillPartition(100, i => 'foobar-' + i);
+            partition.flush();
+            return partition.readFromAsync(position, 10).then(data => expect(data).to.be('foobar-100'));
+        });
+
+        it('can truncate inside a block', function() {
+            partition.open();
+            fillPartition(100, i => 'foobar-' + i);
+            partition.close();
+            partition.open();
+            const position = partition.documentWriteSize(8) * 9 + partition.documentWriteSize(9) * 40;
+            expect(partition.truncate(position)).to.be(51);
+            expect(partition.size).to.be(position);
+            partition.write('foobar-50');
+            partition.close();
+            partition.open();
+            const documents = Array.from(partition.readAll());
+            expect(documents.length).to.be(50);
+            expect(documents[48]).to.be('foobar-49');
+            expect(documents[49]).to.be('foobar-50');
+        });
+
+        it('keeps the documents before the position when a truncate inside a block is interrupted', function() {
+            const options = { dataDirectory: 'test/data', compression: 'deflate', writeBufferSize: 1024, blockSize: 1024 };
+            const nodeFs = require('fs');
+            const truncateSync = nodeFs.truncateSync;
+            for (let crashAfterTruncate of [false, true]) {
+                fs.emptyDirSync('test/data');
+                partition = new Partition('.part', options);
+                partition.open();
+                fillPartition(100, i => 'foobar-' + i);
+                partition.close();
+                partition.open();
+                const position = partition.documentWriteSize(8) * 9 + partition.documentWriteSize(9) * 40;
+                nodeFs.truncateSync = function() {
+                    if (crashAfterTruncate) {
+                        truncateSync.apply(nodeFs, arguments);
+                    }
+                    throw new Error('Crash');
+                };
+                try {
+                    expect(() => partition.truncate(position)).to.throwError(/Crash/);
+                } finally {
+                    nodeFs.truncateSync = truncateSync;
+                }
+                // The process crashed, so the partition is not closed cleanly
+                fs.closeSync(partition.fd);
+                fs.closeSync(partition.tailFd);
+                partition = new Partition('.part', options);
+
+                partition.open();
+                const documents = Array.from(partition.readAll());
+                expect(documents.length).to.be(crashAfterTruncate ? 49 : 100);
+                for (let i = 1; i <= 49; i++) {
+                    expect(documents[i - 1]).to.be('foobar-' + i);
+                }
+                partition.truncate(position);
+                partition.close();
+                partition.open();
+                expect(Array.from(partition.readAll()).length).to.be(49);
+                partition.close();
+            }
+        });
+
+        it('cuts off an incomplete block at the end', function() {
+            partition.open();
+            fillPartition(100, i => 'foobar-' + i);
+            partition.close();
+            const size = partition.size;
+            const fileSize = fs.statSync('test/data/.part').size;
+            fs.appendFileSync('test/data/.part', '       100       200abcd0123xyz');
+
+            partition.open();
+            expect(partition.size).to.be(size);
+            expect(fs.statSync('test/data/.part').size).to.be(fileSize);
+            expect(partition.readFrom(0)).to.be('foobar-1');
+        });
+
+        it('does not cut off an incomplete block when opened read-only', function() {
+            partition.open();
+            fillPartition(10);
+            partition.close();
+            fs.appendFileSync('test/data/.part', '       100');
+            const fileSize = fs.statSync('test/data/.part').size;
+
+            partition = new Partition('.part', { dataDirectory: 'test/data', readOnly: true });
+            partition.open();
+            expect(partition.size).to.be(partition.documentWriteSize(6) * 10);
+            expect(fs.statSync('test/data/.part').size).to.be(fileSize);
+        });
+
+        it('throws CorruptFileError when a block was modified', function() {
+            partition.open();
+            fillPartition(10);
+            partition.close();
+
+            const fd = fs.openSync('test/data/.part', 'r+');
+            fs.writeSync(fd, 'X', partition.headerSize + 30);
+            fs.closeSync(fd);
+
+            partition.open();
+            expect(() => partition.readFrom(0)).to.throwError(e => expect(e).to.be.a(Partition.CorruptFileError));
+        });
+
+        it('throws CorruptFileError on an invalid block header', function() {
+            partition.open();
+            fillPartition(10);
+            partition.close();
+
+            const fd = fs.openSync('test/data/.part', 'r+');
+            fs.writeSync(fd, 'X', partition.headerSize + 2);
+            fs.closeSync(fd);
+
+            expect(() => partition.open()).to.throwError(e => expect(e).to.be.a(Partition.CorruptFileError));
+            expect(partition.isOpen()).to.be(false);
+        });
+
+        it('follows the writes of another process', function() {
+            partition.open();
+            fillPartition(10);
+            partition.flush();
+
+            const reader = new Partition('.part', { dataDirectory: 'test/data', readOnly: true });
+            reader.open();
+            expect(reader.size).to.be(partition.size);
+            const position = partition.write('foobar-11');
+            partition.flush();
+            expect(reader.readFrom(position)).to.be('foobar-11');
+            reader.close();
+        });
+
+        it('keeps the format of existing partitions', function() {
+            partition.close();
+            partition = new Partition('.part', { dataDirectory: 'test/data' });
+            partition.open();
+            fillPartition(10);
+            partition.close();
+
+            partition = new Partition('.part', { dataDirectory: 'test/data', compression: 'deflate' });
+            partition.open();
+            fillPartition(10);
+            partition.close();
+            expect(fs.readFileSync('test/data/.part', 'utf8').substr(0, 9)).to.be('nesprt02\n');
+            partition.open();
+            expect(Array.from(partition.readAll()).length).to.be(20);
+        });
+
+        it('collects many small flushes into blocks of the block size', function(done) {
+            partition = new Partition('.part', { dataDirectory: 'test/data', compression: 'deflate' });
+            partition.open();
+            let i = 0;
+            const writeNext = () => {
+                if (++i > 2000) {
+                    partition.close();
+                    expect(partition.blocks.length).to.be.lessThan(4);
+                    expect(fs.statSync('test/data/.part').size).to.be.lessThan(partition.size / 5);
+                    return done();
+                }
+                // Every document is flushed on its own, like with one commit per tick
+                partition.write(JSON.stringify({ type: 'SomethingHappened', id: i, payload: { foo: 'bar', baz: i % 7 } }));
+                setImmediate(writeNext);
+            };
+            writeNext();
+        });
+
+        it('keeps flushed documents uncompressed in the tail file until a block is full', function() {
+            partition.open();
+            const position = fillPartition(5, i => 'foobar-' + i);
+            partition.flush();
+            expect(partition.blocks.length).to.be(0);
+            expect(fs.readFileSync('test/data/.part.tail', 'utf8')).to.contain('foobar-5');
+
+            // Simulate a crash by opening a copy of the files
+            fs.copySync('test/data/.part', 'test/data/.crashed');
+            fs.copySync('test/data/.part.tail', 'test/data/.crashed.tail');
+            const crashed = new Partition('.crashed', { dataDirectory: 'test/data', compression: 'deflate' });
+            crashed.open();
+            expect(crashed.size).to.be(partition.size);
+            expect(crashed.readFrom(position)).to.be('foobar-5');
+            crashed.close();
+            expect(crashed.blocks.length).to.be(1);
+            expect(fs.statSync('test/data/.crashed.tail').size).to.be(17);
+        });
+
+        it('discards a tail that was already compressed into a block', function() {
+            partition.open();
+            fillPartition(5, i => 'foobar-' + i);
+            partition.flush();
+            const staleTail = fs.readFileSync('test/data/.part.tail');
+            partition.close();
+            const size = partition.size;
+            fs.writeFileSync('test/data/.part.tail', staleTail);
+
+            partition.open();
+            expect(partition.size).to.be(size);
+            expect(Array.from(partition.readAll()).length).to.be(5);
+            partition.write('foobar-6');
+            partition.close();
+            partition.open();
+            expect(Array.from(partition.readAll())).to.eql(['foobar-1', 'foobar-2', 'foobar-3', 'foobar-4', 'foobar-5', 'foobar-6']);
+        });
+
+        it('throws CorruptFileError if the tail starts after the blocks', function() {
+            partition.open();
+            fillPartition(5);
+            partition.close();
+            fs.writeFileSync('test/data/.part.tail', '            1000\n');
+            expect(() => partition.open()).to.throwError(e => expect(e).to.be.a(Partition.CorruptFileError));
+            expect(partition.isOpen()).to.be(false);
+        });
+
+        it('can truncate inside the tail', function() {
+            partition.open();
+            fillPartition(5, i => 'foobar-' + i);
+            partition.flush();
+            expect(partition.truncate(partition.documentWriteSize(8) * 3)).to.be(2);
+            partition.write('foobar-4');
+            partition.close();
+            partition.open();
+            expect(Array.from(partition.readAll())).to.eql(['foobar-1', 'foobar-2', 'foobar-3', 'foobar-4']);
+        });
+
+        it('follows the writes of another process across blocks', function() {
+            partition.open();
+            const reader = new Partition('.part', { dataDirectory: 'test/data', readOnly: true });
+            reader.open();
+            let position;
+            for (let i = 1; i <= 100; i++) {
+                position = partition.write('foobar-' + i);
+                partition.flush();
+                expect(reader.readFrom(position)).to.be('foobar-' + i);
+            }
+            expect(partition.blocks.length).to.be.greaterThan(1);
+            expect(Array.from(reader.readAll()).length).to.be(100);
+            reader.close();
+        });
+
+        it('supports brotli if available', function() {
+            let brotli;
+            try {
+                brotli = new Partition('.brotli', { dataDirectory: 'test/data', compression: 'brotli' });
+            } catch (e) {
+                expect(e.message).to.match(/not supported/);
+                return this.skip();
+            }
+            brotli.open();
+            const position = brotli.write('foobar'.repeat(100));
+            brotli.close();
+            expect(fs.readFileSync('test/data/.brotli', 'utf8').substr(0, 9)).to.be('nesprt05\n');
+            brotli.open();
+            expect(brotli.readFrom(position)).to.be('foobar'.repeat(100));
+            brotli.close();
+        });
+
+    });
+
+    describe('sequence numbers', function() {
+
+        beforeEach(function() {
+            partition = new Partition('.part', { dataDirectory: 'test/data', sequenceNumbers: true });
+        });
+
+        it('stores the sequence number with every document', function(done) {
+            partition.open();
+            const first = partition.write('foo', 1);
+            const second = partition.write('bar', 5, () => {
+                partition.close();
+                expect(fs.readFileSync('test/data/.part', 'utf8').substr(0, 9)).to.be('nesprt06\n');
+                partition.open();
+                expect(partition.readSequenceNumber(first)).to.be(1);
+                expect(partition.readSequenceNumber(second)).to.be(5);
+                expect(partition.readFrom(second)).to.be('bar');
+                expect(partition.readSequenceNumber(partition.size)).to.be(false);
+                done();
+            });
+            expect(partition.readSequenceNumber(second)).to.be(5);
+        });
+
+        it('returns 0 for partitions without sequence numbers', function() {
+            partition.close();
+            partition = new Partition('.part', { dataDirectory: 'test/data' });
+            partition.open();
+            const position = partition.write('foo', 1);
+            expect(partition.readFrom(position)).to.be('foo');
+            expect(partition.readSequenceNumber(position)).to.be(0);
+        });
+
+        it('keeps the format of existing partitions', function() {
+            partition.close();
+            partition = new Partition('.part', { dataDirectory: 'test/data' });
+            partition.open();
+            fillPartition(5);
+            partition.close();
+
+            partition = new Partition('.part', { dataDirectory: 'test/data', sequenceNumbers: true });
+            partition.open();
+            const position = partition.write('foo', 6);
+            expect(partition.readSequenceNumber(position)).to.be(0);
+            partition.close();
+            expect(fs.readFileSync('test/data/.part', 'utf8').substr(0, 9)).to.be('nesprt02\n');
+        });
+
+        it('throws on invalid sequence numbers', function() {
+            partition.open();
+            expect(() => partition.write('foo', -1)).to.throwError(/Invalid sequence number/);
+            expect(() => partition.write('foo', 1.5)).to.throwError(/Invalid sequence number/);
+        });
+
+        it('covers the sequence number with the checksum', function() {
+            partition.open();
+            fillPartition(3);
+            partition.write('foo', 4);
+            partition.close();
+
+            const position = 3 * partition.documentWriteSize(6);
+            const fd = fs.openSync('test/data/.part', 'r+');
+            fs.writeSync(fd, '5', partition.headerSize + position + 25);
+            fs.closeSync(fd);
+
+            partition.open();
+            expect(partition.readSequenceNumber(position)).to.be(5);
+            expect(() => partition.readFrom(position)).to.throwError(e => expect(e).to.be.a(Partition.CorruptFileError));
+        });
+
+        it('authenticates the sequence number of encrypted documents', function() {
+            const encryptionKey = Buffer.alloc(32, 1);
+            partition = new Partition('.encrypted', { dataDirectory: 'test/data', sequenceNumbers: true, encryptionKey });
+            partition.open();
+            partition.write('foo', 1);
+            const position = partition.write('bar', 2);
+            partition.close();
+            expect(fs.readFileSync('test/data/.encrypted', 'utf8').substr(0, 9)).to.be('nesprt07\n');
+
+            const fd = fs.openSync('test/data/.encrypted', 'r+');
+            fs.writeSync(fd, '3', partition.headerSize + position + 25);
+            fs.closeSync(fd);
+
+            partition.open();
+            expect(partition.readFrom(0)).to.be('foo');
+            expect(() => partition.readFrom(position)).to.throwError(/can not be authenticated/);
+        });
+
+        it('stores the sequence numbers in compressed blocks', function() {
+            partition = new Partition('.compressed', { dataDirectory: 'test/data', sequenceNumbers: true, compression: 'deflate' });
+            partition.open();
+            const positions = [];
+            for (let i = 1; i <= 10; i++) {
+                positions.push(partition.write('foobar-' + i, 2 * i));
+            }
+            partition.close();
+            expect(fs.readFileSync('test/data/.compressed', 'utf8').substr(0, 9)).to.be('nesprt08\n');
+
+            partition.open();
+            expect(positions.map(position => partition.readSequenceNumber(position))).to.eql([2, 4, 6, 8, 10, 12, 14, 16, 18, 20]);
+            expect(partition.readFrom(positions[9])).to.be('foobar-10');
+        });
+
+        it('keeps the sequence numbers of truncated documents in the branch', function() {
+            partition.open();
+            for (let i = 1; i <= 5; i++) {
+                partition.write('foobar', i);
+            }
+            const after = 2 * partition.documentWriteSize(6);
+            partition.truncate(after);
+            partition.close();
+
+            const branch = new Partition('.part-' + after + '.branch', { dataDirectory: 'test/data' });
+            branch.open();
+            expect(branch.readSequenceNumber(0)).to.be(3);
+            expect(branch.readSequenceNumber(2 * branch.documentWriteSize(6))).to.be(5);
+            branch.close();
+        });
+
+    });
+
+    describe('repairTail', function() {
+
+        it('does nothing on a valid partition', function() {
+            partition.open();
+            fillPartition(10);
+            partition.close();
+            partition.open();
+            let size = partition.size;
+
+            expect(partition.repairTail()).to.be(0);
+            expect(partition.size).to.be(size);
+        });
+
+        it('cuts off an incomplete document at the end', function() {
+            partition.open();
+            fillPartition(10);
+            partition.close();
+            let size = partition.size;
+            fs.appendFileSync('test/data/.part', '0000000100');
+
+            partition.open();
+            expect(partition.repairTail()).to.be(10);
+            expect(partition.size).to.be(size);
+            partition.close();
+            partition.open();
+            expect(partition.size).to.be(size);
+            expect(partition.readFrom(partition.size - partition.documentWriteSize(6))).to.be('foobar');
+        });
+
+        it('cuts off a corrupted document at the end', function() {
+            partition.open();
+            let lastposition = fillPartition(10);
+            partition.close();
+            const fd = fs.openSync('test/data/.part', 'r+');
+            fs.writeSync(fd, 'X', partition.headerSize + lastposition + partition.documentHeaderSize);
+            fs.closeSync(fd);
+
+            partition.open();
+            expect(partition.repairTail(lastposition)).to.be(partition.documentWriteSize(6));
+            expect(partition.size).to.be(lastposition);
+        });
+
     });
 
 });
@@ -0,0 +1,122 @@
+const expect = require('expect.js');
+const Schema = require('../src/Schema');
+
+describe('Schema', function() {
+
+    describe('check', function() {
+
+        it('accepts everything with an empty schema', function() {
+            expect(Schema.check({ foo: 'bar' }, {})).to.eql([]);
+            expect(Schema.check(null, true)).to.eql([]);
+            expect(Schema.check(null, false)).to.eql(['value is not allowed.']);
+        });
+
+        it('checks types', function() {
+            expect(Schema.check('foo', { type: 'string' })).to.eql([]);
+            expect(Schema.check(5, { type: 'number' })).to.eql([]);
+            expect(Schema.check(5.5, { type: 'integer' })).to.eql(['value must be of type integer.']);
+            expect(Schema.check(null, { type: ['string', 'null'] })).to.eql([]);
+            expect(Schema.check([], { type: 'object' })).to.eql(['value must be of type object.']);
+            expect(Schema.check({}, { type: 'array' })).to.eql(['value must be of type array.']);
+            expect(Schema.check(true, { type: 'boolean' })).to.eql([]);
+        });
+
+        it('checks enum and const with deep equality', function() {
+            expect(Schema.check('b', { enum: ['a', 'b'] })).to.eql([]);
+            expect(Schema.check('c', { enum: ['a', 'b'] })).to.eql(['value must be one of "a", "b".']);
+            expect(Schema.check({ a: [1] }, { const: { a: [1] } })).to.eql([]);
+            expect(Schema.check({ a: [2] }, { const: { a: [1] } })).to.eql(['value must be {"a":[1]}.']);
+        });
+
+        it('checks object properties with their paths', function() {
+            const schema = {
+                type: 'object',
+                properties: { name: { type: 'string' }, address: { type: 'object', properties: { zip: { type: 'string' } }, required: ['zip'] } },
+                required: ['name', 'address'],
+                additionalProperties: false
+            };
+            expect(Schema.check({ name: 'Alice', address: { zip: '12345', city: 'Berlin' } }, schema)).to.eql([]);
+            expect(Schema.check({ name: 5, address: {}, 'foo-bar': 1 }, schema, 'event')).to.eql([
+                'event.name must be of type string.',
+                'event.address.zip is required.',
+                'event["foo-bar"] is not allowed.'
+            ]);
+            expect(Schema.check({ a: 1 }, { minProperties: 2 })).to.eql(['value must have at least 2 properties.']);
+            expect(Schema.check({ a: 1, b: 2 }, { maxProperties: 1 })).to.eql(['value must have at most 1 properties.']);
+        });
+
+        it('checks array items', function() {
+            const schema = { type: 'array', items: { type: 'integer' }, minItems: 1, maxItems: 3, uniqueItems: true };
+            expect(Schema.check([1, 2, 3], schema)).to.eql([]);
+            expect(Schema.check([1, 'a'], schema)).to.eql(['value[1] must be of type integer.']);
+            expect(Schema.check([], schema)).to.eql(['value must have at least 1 items.']);
+            expect(Schema.check([1, 2, 3, 4], schema)).to.eql(['value must have at most 3 items.']);
+            expect(Schema.check([1, 1], schema)).to.eql(['value must have unique items.']);
+        });
+
+        it('checks strings', function() {
+            const schema = { type: 'string', minLength: 2, maxLength: 3, pattern: '^[a-z]+$' };
+            expect(Schema.check('abc', schema)).to.eql([]);
+            expect(Schema.check('a', schema)).to.eql(['value must have at least 2 characters.']);
+            expect(Schema.check('abcd', schema)).to.eql(['value must have at most 3 characters.']);
+            expect(Schema.check('AB', schema)).to.eql(['value must match the pattern "^[a-z]+$".']);
+            expect(Schema.check('😀😀', { maxLength: 2 })).to.eql([]);
+        });
+
+        it('checks numbers', function() {
+            expect(Schema.check(5, { minimum: 5, maximum: 5 })).to.eql([]);
+            expect(Schema.check(5, { exclusiveMinimum: 5 })).to.eql(['value must be greater than 5.']);
+            expect(Schema.check(5, { exclusiveMaximum: 5 })).to.eql(['value must be less than 5.']);
+            expect(Schema.check(4, { minimum: 5 })).to.eql(['value must be at least 5.']);
+            expect(Schema.check(6, { maximum: 5 })).to.eql(['value must be at most 5.']);
+            expect(Schema.check(0.3, { multipleOf: 0.1 })).to.eql([]);
+            expect(Schema.check(5, { multipleOf: 2 })).to.eql(['value must be a multiple of 2.']);
+        });
+
+        it('combines schemas', function() {
+            expect(Schema.check(5, { allOf: [{ type: 'integer' }, { minimum: 6 }] })).to.eql(['value must be at least 6.']);
+            expect(Schema.check(5, { anyOf: [{ type: 'string' }, { minimum: 5 }] })).to.eql([]);
+            expect(Schema.check(4, { anyOf: [{ type: 'string' }, { minimum: 5 }] })).to.eql(['value must match any of the schemas.']);
+            expect(Schema.check(5, { oneOf: [{ type: 'integer' }, { minimum: 5 }] })).to.eql(['value must match exactly one of the schemas.']);
+            expect(Schema.check('5', { not: { type: 'string' } })).to.eql(['value must not match the schema.']);
+        });
+
+    });
+
+    describe('validate', function() {
+
+        it('accepts valid schemas with annotations', function() {
+            expect(() => Schema.validate({
+                $schema: 'http://json-schema.org/draft-07/schema#', title: 'Foo', description: 'A foo',
+                type: 'object', properties: { foo: { type: ['string', 'null'], format: 'email' } }, required: ['foo']
+            })).to.not.throwError();
+            expect(() => Schema.validate(true)).to.not.throwError();
+        });
+
+        it('throws if the schema is not an object', function() {
+            expect(() => Schema.validate('foo')).to.throwError(e => expect(e).to.be.a(Schema.InvalidSchemaError));
+            expect(() => Schema.validate([])).to.throwError(/must be an object or boolean/);
+        });
+
+        it('throws on unsupported keywords', function() {
+            expect(() => Schema.validate({ $ref: '#/definitions/foo' })).to.throwError(/Unsupported schema keyword "\$ref"/);
+            expect(() => Schema.validate({ properties: { foo: { minimun: 5 } } })).to.throwError(/"minimun" at "#.properties.foo"/);
+        });
+
+        it('throws on invalid keyword values', function() {
+            expect(() => Schema.validate({ type: 'foo' })).to.throwError(/Invalid type/);
+            expect(() => Schema.validate({ enum: [] })).to.throwError(/non-empty array/);
+            expect(() => Schema.validate({ required: [1] })).to.throwError(/array of property names/);
+            expect(() => Schema.validate({ properties: [] })).to.throwError(/object of schemas/);
+            expect(() => Schema.validate({ minLength: -1 })).to.throwError(/non-negative integer/);
+            expect(() => Schema.validate({ minimum: '5' })).to.throwError(/needs a number/);
+            expect(() => Schema.validate({ multipleOf: 0 })).to.throwError(/positive number/);
+            expect(() => Schema.validate({ uniqueItems: 1 })).to.throwError(/boolean/);
+            expect(() => Schema.validate({ pattern: '(' })).to.throwError(/Invalid pattern/);
+            expect(() => Schema.validate({ anyOf: [] })).to.throwError(/non-empty array of schemas/);
+            expect(() => Schema.validate({ items: { not: { type: 'foo' } } })).to.throwError(/"#.items.not"/);
+        });
+
+    });
+
+});
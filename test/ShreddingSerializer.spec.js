@@ -0,0 +1,86 @@
+const expect = require('expect.js');
+const fs = require('fs-extra');
+const KeyStore = require('../src/KeyStore');
+const ShreddingSerializer = require('../src/ShreddingSerializer');
+
+describe('ShreddingSerializer', function() {
+
+    let keyStore, serializer;
+
+    beforeEach(function() {
+        fs.emptyDirSync('test/data');
+        keyStore = new KeyStore({ dataDirectory: 'test/data/keys' });
+        serializer = new ShreddingSerializer(keyStore, {
+            subject: doc => doc.payload.userId,
+            fields: ['payload.email', 'payload.address.street']
+        });
+    });
+
+    const document = { stream: 'user-1', payload: { userId: 'user-1', email: 'alice@example.com', address: { street: 'Main St', city: 'Berlin' } } };
+
+    it('throws on missing options', function() {
+        expect(() => new ShreddingSerializer({}, { subject: () => 1, fields: ['foo'] })).to.throwError(/key store/);
+        expect(() => new ShreddingSerializer(keyStore, { fields: ['foo'] })).to.throwError(/subject/);
+        expect(() => new ShreddingSerializer(keyStore, { subject: () => 1, fields: [] })).to.throwError(/fields/);
+    });
+
+    it('encrypts the configured fields', function() {
+        const data = serializer.serialize(document);
+        expect(data).to.not.contain('alice@example.com');
+        expect(data).to.not.contain('Main St');
+        expect(data).to.contain('Berlin');
+        const stored = JSON.parse(data);
+        expect(stored.payload.email.$encrypted).to.be.a('string');
+        expect(stored.payload.email.subject).to.be('user-1');
+    });
+
+    it('does not modify the document', function() {
+        serializer.serialize(document);
+        expect(document.payload.email).to.be('alice@example.com');
+        expect(document.payload.address.street).to.be('Main St');
+    });
+
+    it('decrypts the configured fields', function() {
+        expect(serializer.deserialize(serializer.serialize(document))).to.eql(document);
+    });
+
+    it('does not encrypt documents without a subject', function() {
+        const anonymous = { payload: { email: 'bob@example.com' } };
+        expect(serializer.serialize(anonymous)).to.be(JSON.stringify(anonymous));
+        expect(fs.existsSync('test/data/keys')).to.be(false);
+    });
+
+    it('returns the placeholder for fields of forgotten subjects', function() {
+        const data = serializer.serialize(document);
+        keyStore.forget('user-1');
+        const shredded = serializer.deserialize(data);
+        expect(shredded.payload.email).to.be(ShreddingSerializer.SHREDDED);
+        expect(shredded.payload.address).to.eql({ street: '[shredded]', city: 'Berlin' });
+    });
+
+    it('allows to configure the placeholder', function() {
+        serializer = new ShreddingSerializer(keyStore, { subject: doc => doc.payload.userId, fields: ['payload.email'], placeholder: null });
+        const data = serializer.serialize(document);
+        keyStore.forget('user-1');
+        expect(serializer.deserialize(data).payload.email).to.be(null);
+    });
+
+    it('wraps another serializer', function() {
+        serializer = new ShreddingSerializer(keyStore, {
+            subject: doc => doc.payload.userId,
+            fields: ['payload.email'],
+            serializer: { serialize: doc => Buffer.from(JSON.stringify(doc)).toString('base64'), deserialize: data => JSON.parse(Buffer.from(data, 'base64').toString()) }
+        });
+        const data = serializer.serialize(document);
+        expect(() => JSON.parse(data)).to.throwError();
+        expect(serializer.deserialize(data)).to.eql(document);
+    });
+
+    it('throws if an encrypted field was moved to another subject', function() {
+        const stored = JSON.parse(serializer.serialize(document));
+        keyStore.ensureKey('user-2');
+        stored.payload.email.subject = 'user-2';
+        expect(() => serializer.deserialize(JSON.stringify(stored))).to.throwError(/can not be authenticated/);
+    });
+
+});
@@ -0,0 +1,86 @@
+const expect = require('expect.js');
+const fs = require('fs-extra');
+const SnapshotStore = require('../src/SnapshotStore');
+
+describe('SnapshotStore', function() {
+
+    let snapshots;
+
+    beforeEach(function() {
+        fs.emptyDirSync('test/data');
+        snapshots = new SnapshotStore('test', { dataDirectory: 'test/data/snapshots' });
+    });
+
+    it('defaults name to "snapshots"', function() {
+        snapshots = new SnapshotStore({ dataDirectory: 'test/data' });
+        expect(snapshots.name).to.be('snapshots');
+    });
+
+    it('returns false if there is no snapshot', function() {
+        expect(snapshots.getLatest('foo')).to.be(false);
+    });
+
+    it('returns the latest saved snapshot', function() {
+        expect(snapshots.save('foo', 1, { count: 2 })).to.be(true);
+        expect(snapshots.save('foo', 3, { count: 4 })).to.be(true);
+        const snapshot = snapshots.getLatest('foo');
+        expect(snapshot.streamName).to.be('foo');
+        expect(snapshot.version).to.be(3);
+        expect(snapshot.state).to.eql({ count: 4 });
+        expect(snapshot.createdAt).to.be.a('number');
+    });
+
+    it('does not replace a snapshot of a later version', function() {
+        snapshots.save('foo', 3, { count: 4 });
+        expect(snapshots.save('foo', 1, { count: 2 })).to.be(false);
+        expect(snapshots.getLatest('foo').version).to.be(3);
+    });
+
+    it('keeps snapshots of different streams separate', function() {
+        snapshots.save('foo', 1, 'foo');
+        snapshots.save('bar', 2, 'bar');
+        expect(snapshots.getLatest('foo').state).to.be('foo');
+        expect(snapshots.getLatest('bar').state).to.be('bar');
+    });
+
+    it('does not leave temporary files behind', function() {
+        snapshots.save('foo', 1, 'foo');
+        expect(fs.readdirSync('test/data/snapshots')).to.eql(['test.foo.snapshot']);
+    });
+
+    it('throws on corrupt snapshot files', function() {
+        fs.outputFileSync('test/data/snapshots/test.foo.snapshot', '{"streamName":');
+        expect(() => snapshots.getLatest('foo')).to.throwError(/corrupt/);
+    });
+
+    it('encrypts snapshots with an encryption key', function() {
+        snapshots = new SnapshotStore('test', { dataDirectory: 'test/data/snapshots', encryptionKey: Buffer.alloc(32, 1) });
+        snapshots.save('foo', 1, { secret: 'secret-state' });
+        expect(fs.readFileSync('test/data/snapshots/test.foo.snapshot', 'utf8')).to.not.contain('secret-state');
+        expect(snapshots.getLatest('foo').state).to.eql({ secret: 'secret-state' });
+
+        fs.copySync('test/data/snapshots/test.foo.snapshot', 'test/data/snapshots/test.bar.snapshot');
+        expect(() => snapshots.getLatest('bar')).to.throwError(/can not be decrypted/);
+        const wrongKey = new SnapshotStore('test', { dataDirectory: 'test/data/snapshots', encryptionKey: Buffer.alloc(32, 2) });
+        expect(() => wrongKey.getLatest('foo')).to.throwError(/can not be decrypted/);
+    });
+
+    it('can delete the snapshot of a stream', function() {
+        snapshots.save('foo', 1, 'foo');
+        snapshots.save('bar', 2, 'bar');
+        expect(snapshots.delete('foo')).to.be(true);
+        expect(snapshots.delete('foo')).to.be(false);
+        expect(snapshots.getLatest('foo')).to.be(false);
+        expect(snapshots.getLatest('bar')).to.not.be(false);
+    });
+
+    it('can delete all snapshots', function() {
+        expect(snapshots.deleteAll()).to.be(0);
+        snapshots.save('foo', 1, 'foo');
+        snapshots.save('bar', 2, 'bar');
+        fs.writeFileSync('test/data/snapshots/other.foo.snapshot', '{}');
+        expect(snapshots.deleteAll()).to.be(2);
+        expect(fs.readdirSync('test/data/snapshots')).to.eql(['other.foo.snapshot']);
+    });
+
+});
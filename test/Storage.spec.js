@@ -1,7 +1,10 @@
 const expect = require('expect.js');
 const fs = require('fs-extra');
 const Storage = require('../src/Storage');
+const Index = require('../src/Index');
+const KeyIndex = require('../src/KeyIndex');
 const zlib = require('zlib');
+const childProcess = require('child_process');
 //const lz4 = require('lz4');
 
 const dataDir = __dirname + '/data';
@@ -15,8 +18,9 @@ describe('Storage', function() {
     });
 
     afterEach(function () {
-        if (storage) storage.close();
+        const opened = storage;
         storage = undefined;
+        if (opened) opened.close();
     });
 
     it('creates the storage directory if it does not exist', function() {
@@ -45,6 +49,21 @@ describe('Storage', function() {
             expect(storage.index.length).to.be(10);
         });
 
+        it('stores sequence numbers in new partitions unless disabled', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.write({ foo: 'bar' });
+            storage.close();
+            expect(fs.readFileSync(dataDir + '/storage', 'utf8').substr(0, 9)).to.be('nesprt06\n');
+
+            fs.emptyDirSync(dataDir);
+            storage = new Storage({ dataDirectory: dataDir, sequenceNumbers: false });
+            storage.open();
+            storage.write({ foo: 'bar' });
+            storage.close();
+            expect(fs.readFileSync(dataDir + '/storage', 'utf8').substr(0, 9)).to.be('nesprt02\n');
+        });
+
         it('can write durable', function(done) {
             storage = new Storage({ dataDirectory: dataDir, maxWriteBufferDocuments: 1, syncOnFlush: true });
             storage.open();
@@ -307,6 +326,41 @@ describe('Storage', function() {
             expect(i).to.be(7);
         });
 
+        it('reads large ranges in chunks without growing the cache', function() {
+            storage = new Storage({ dataDirectory: dataDir, indexOptions: { cacheSize: 100 } });
+            storage.open();
+
+            for (let i = 1; i <= 2500; i++) {
+                storage.write({ foo: i });
+            }
+            storage.close();
+            storage.open();
+
+            const readRange = Index.prototype.readRange;
+            let largestChunk = 0;
+            Index.prototype.readRange = function() {
+                const entries = readRange.apply(this, arguments);
+                largestChunk = Math.max(largestChunk, entries.length);
+                return entries;
+            };
+            try {
+                let i = 1;
+                for (let doc of storage.readRange(1)) {
+                    expect(doc.foo).to.be(i++);
+                    expect(storage.index.cache.size).to.be.lessThan(101);
+                }
+                expect(i).to.be(2501);
+                for (let doc of storage.readRange(1, -1, undefined, true)) {
+                    expect(doc.foo).to.be(--i);
+                    expect(storage.index.cache.size).to.be.lessThan(101);
+                }
+                expect(i).to.be(1);
+            } finally {
+                Index.prototype.readRange = readRange;
+            }
+            expect(largestChunk).to.be(1024);
+        });
+
         it('throws on invalid range', function() {
             storage = new Storage({ dataDirectory: dataDir });
             storage.open();
@@ -321,6 +375,42 @@ describe('Storage', function() {
             expect(() => storage.readRange(11).next()).to.throwError();
             expect(() => storage.readRange(1, 14).next()).to.throwError();
             expect(() => storage.readRange(8, 4).next()).to.throwError();
+            expect(() => storage.readRange(8, 4, undefined, true).next()).to.throwError();
+            expect(() => storage.readRange(0, 4, undefined, true).next()).to.throwError();
+        });
+
+        it('can read a range backwards', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+
+            for (let i = 1; i <= 150; i++) {
+                storage.write({ foo: i });
+            }
+            storage.close();
+            storage.open();
+
+            let documents = Array.from(storage.readRange(1, undefined, undefined, true));
+            expect(documents.length).to.be(150);
+            expect(documents[0]).to.eql({ foo: 150 });
+            expect(documents[149]).to.eql({ foo: 1 });
+
+            documents = Array.from(storage.readRange(4, 6, undefined, true));
+            expect(documents).to.eql([{ foo: 6 }, { foo: 5 }, { foo: 4 }]);
+        });
+
+        it('can read the last documents backwards', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+
+            for (let i = 1; i <= 100; i++) {
+                storage.write({ foo: i });
+            }
+
+            const documents = storage.readRange(-3, -1, undefined, true);
+            expect(documents.next().value).to.eql({ foo: 100 });
+            expect(documents.next().value).to.eql({ foo: 99 });
+            expect(documents.next().value).to.eql({ foo: 98 });
+            expect(documents.next().done).to.be(true);
         });
 
         it('can open secondary indexes lazily', function() {
@@ -338,6 +428,89 @@ describe('Storage', function() {
 
     });
 
+    describe('readRangeAsync', function() {
+
+        function readAll(iterator) {
+            const documents = [];
+            const read = () => iterator.next().then(next => {
+                if (next.done) {
+                    return documents;
+                }
+                documents.push(next.value);
+                return read();
+            });
+            return read();
+        }
+
+        it('can read full range', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i });
+            }
+            storage.close();
+            storage.open();
+
+            return readAll(storage.readRangeAsync(1)).then(documents => {
+                expect(documents.length).to.be(10);
+                expect(documents[9]).to.eql({ foo: 10 });
+            });
+        });
+
+        it('can read a sub range from an index', function() {
+            storage = new Storage({ dataDirectory: dataDir, partitioner: (doc) => 'part-' + (doc.foo % 2) });
+            storage.open();
+            const index = storage.ensureIndex('even', (doc) => doc.foo % 2 === 0);
+
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i });
+            }
+
+            return readAll(storage.readRangeAsync(2, 4, index)).then(documents => {
+                expect(documents).to.eql([{ foo: 4 }, { foo: 6 }, { foo: 8 }]);
+            });
+        });
+
+        it('can read a range backwards', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i });
+            }
+
+            return readAll(storage.readRangeAsync(-3, -1, undefined, true)).then(documents => {
+                expect(documents).to.eql([{ foo: 10 }, { foo: 9 }, { foo: 8 }]);
+            });
+        });
+
+        it('rejects on invalid range', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i });
+            }
+
+            return storage.readRangeAsync(8, 4).next().then(
+                () => expect().fail('Expected read to be rejected'),
+                e => expect(e.message).to.contain('Range scan error')
+            );
+        });
+
+        it('is an async iterable', function() {
+            if (typeof Symbol.asyncIterator !== 'symbol') {
+                return this.skip();
+            }
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            const iterator = storage.readRangeAsync(1);
+            expect(iterator[Symbol.asyncIterator]()).to.be(iterator);
+        });
+
+    });
+
     describe('ensureIndex', function() {
 
         it('creates non-existing indexes', function() {
@@ -384,6 +557,39 @@ describe('Storage', function() {
             expect(index.length).to.be(1);
         });
 
+        it('indexes documents by declarative matcher', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            let index = storage.ensureIndex('foo', { type: /^Foo/, $or: [{ 'meta.size': { $gte: 10 } }, { 'meta.tag': { $in: ['a', 'b'] } }] });
+            storage.write({type: 'Foo', meta: { size: 5, tag: 'a' }});
+            storage.write({type: 'Foobar', meta: { size: 15 }});
+            storage.write({type: 'Foo', meta: { size: 5, tag: 'c' }});
+            storage.write({type: 'Bar', meta: { size: 15 }});
+            expect(index.length).to.be(2);
+        });
+
+        it('restores declarative matcher from existing index', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureIndex('foo', { type: /^foo/i });
+            storage.close();
+
+            storage = new Storage({ dataDirectory: dataDir, hmacSecret: 'other' });
+            storage.open();
+            const index = storage.ensureIndex('foo');
+            storage.write({type: 'FooBar'});
+            storage.write({type: 'Bar'});
+            expect(index.length).to.be(1);
+            expect(index.metadata.matcher).to.eql({ type: { $regex: '^foo', $options: 'i' } });
+        });
+
+        it('throws on invalid declarative matchers', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            expect(() => storage.ensureIndex('foo', { type: { $foo: 'bar' } })).to.throwError(/Unknown matcher operator/);
+            expect(fs.existsSync('test/data/storage.foo.index')).to.be(false);
+        });
+
         it('reopens existing indexes', function() {
             storage = new Storage({ dataDirectory: dataDir });
             storage.open();
@@ -488,6 +694,88 @@ describe('Storage', function() {
 
     });
 
+    describe('migrateIndexes', function() {
+
+        it('converts primary and secondary indexes to the given entry class', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureIndex('odd', (doc) => (doc.foo % 2) === 1);
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i });
+            }
+
+            storage.migrateIndexes(Index.Entry64);
+            storage.write({ foo: 11 });
+            storage.close();
+
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            const odd = storage.openIndex('odd');
+            expect(storage.index.EntryClass).to.be(Index.Entry64);
+            expect(odd.EntryClass).to.be(Index.Entry64);
+            expect(storage.length).to.be(11);
+            expect(odd.length).to.be(6);
+            expect(storage.read(6, odd)).to.eql({ foo: 11 });
+        });
+
+        it('completes an interrupted migration on the next open', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureIndex('odd', (doc) => (doc.foo % 2) === 1);
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i });
+            }
+            storage.completeCompaction = () => { throw new Error('Interrupted.'); };
+            expect(() => storage.migrateIndexes(Index.Entry64)).to.throwError(/Interrupted/);
+            delete storage.completeCompaction;
+            storage.close();
+
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            const odd = storage.openIndex('odd');
+            expect(storage.index.EntryClass).to.be(Index.Entry64);
+            expect(odd.EntryClass).to.be(Index.Entry64);
+            expect(() => storage.write({ foo: 11 })).to.not.throwError();
+            expect(odd.length).to.be(6);
+            expect(storage.read(6, odd)).to.eql({ foo: 11 });
+        });
+
+        it('rolls back a migration that was interrupted before all indexes were converted', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureIndex('odd', (doc) => (doc.foo % 2) === 1);
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i });
+            }
+            storage.openIndex('odd').writeMigration = () => { throw new Error('Interrupted.'); };
+            expect(() => storage.migrateIndexes(Index.Entry64)).to.throwError(/Interrupted/);
+            storage.close();
+
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            expect(storage.index.EntryClass).to.be(Index.Entry);
+            expect(storage.openIndex('odd').EntryClass).to.be(Index.Entry);
+            expect(fs.readdirSync(dataDir).filter(file => file.substr(-8) === '.compact')).to.eql([]);
+            expect(() => storage.write({ foo: 11 })).to.not.throwError();
+            expect(storage.length).to.be(11);
+        });
+
+        it('keeps using the entry class of an existing store', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.write({ foo: 1 });
+            storage.close();
+
+            storage = new Storage({ dataDirectory: dataDir, indexOptions: { EntryClass: Index.Entry64 } });
+            storage.open();
+            storage.ensureIndex('foo', { foo: 2 });
+            storage.write({ foo: 2 });
+            expect(storage.index.EntryClass).to.be(Index.Entry);
+            expect(storage.read(1, storage.openIndex('foo'))).to.eql({ foo: 2 });
+        });
+
+    });
+
     describe('truncate', function() {
 
         it('does nothing if truncating after the current position', function() {
@@ -613,22 +901,1125 @@ describe('Storage', function() {
         });
     });
 
-    describe('matches', function() {
+    describe('lock', function() {
 
-        it('returns true if no matcher specified', function() {
+        it('throws when the storage is opened twice', function() {
             storage = new Storage({ dataDirectory: dataDir });
-            expect(storage.matches({ foo: 'bar' })).to.be(true);
+            storage.open();
+            const secondStorage = new Storage({ dataDirectory: dataDir });
+            expect(() => secondStorage.open()).to.throwError(e => expect(e).to.be.a(Storage.StorageLockedError));
         });
 
-        it('returns false if no document specified', function() {
+        it('releases the lock when opening fails', function() {
             storage = new Storage({ dataDirectory: dataDir });
-            expect(storage.matches()).to.be(false);
+            const open = storage.index.open;
+            storage.index.open = () => { throw new Error('Index can not be opened.'); };
+            expect(() => storage.open()).to.throwError(/Index can not be opened/);
+            storage.index.open = open;
+            expect(() => storage.open()).to.not.throwError();
         });
 
-        it('works with object matchers', function() {
+        it('can be opened again after closing', function() {
             storage = new Storage({ dataDirectory: dataDir });
-            expect(storage.matches({ foo: 'foo', bar: { baz: 'baz', quux: 'quux' } }, { foo: 'foo', bar: { baz: 'baz' } })).to.be(true);
-            expect(storage.matches({ foo: 'foo', bar: { baz: 'baz2', quux: 'quux' } }, { foo: 'foo', bar: { baz: 'baz' } })).to.be(false);
+            storage.open();
+            storage.close();
+            storage = new Storage({ dataDirectory: dataDir });
+            expect(() => storage.open()).to.not.throwError();
+        });
+
+        it('throws when the storage is opened by another running process', function() {
+            const child = childProcess.spawn(process.execPath, ['-e', 'setTimeout(() => {}, 10000)']);
+            fs.writeFileSync(dataDir + '/storage.lock', child.pid.toString());
+            storage = new Storage({ dataDirectory: dataDir });
+            try {
+                expect(() => storage.open()).to.throwError(e => expect(e).to.be.a(Storage.StorageLockedError));
+            } finally {
+                child.kill();
+            }
+            expect(fs.readFileSync(dataDir + '/storage.lock', 'utf8')).to.be(child.pid.toString());
+        });
+
+        it('takes over a stale lock of a process that is no longer running', function() {
+            const child = childProcess.spawnSync(process.execPath, ['-e', '']);
+            fs.writeFileSync(dataDir + '/storage.lock', child.pid.toString());
+            storage = new Storage({ dataDirectory: dataDir });
+            let recovered = false;
+            storage.on('recovered', () => recovered = true);
+            storage.open();
+            expect(recovered).to.be(true);
+            expect(fs.readFileSync(dataDir + '/storage.lock', 'utf8')).to.be(process.pid.toString());
+        });
+
+        it('lets only one of two storages take over a stale lock at the same time', function() {
+            const child = childProcess.spawnSync(process.execPath, ['-e', '']);
+            fs.writeFileSync(dataDir + '/storage.lock', child.pid.toString());
+            storage = new Storage({ dataDirectory: dataDir });
+            const contender = new Storage({ dataDirectory: dataDir });
+            const nodeFs = require('fs');
+            const writeFileSync = nodeFs.writeFileSync;
+            // The contender takes over the lock, after the storage found it stale, but before it replaces it
+            nodeFs.writeFileSync = function() {
+                nodeFs.writeFileSync = writeFileSync;
+                contender.open();
+                return writeFileSync.apply(nodeFs, arguments);
+            };
+            try {
+                expect(() => storage.open()).to.throwError(e => expect(e).to.be.a(Storage.StorageLockedError));
+            } finally {
+                nodeFs.writeFileSync = writeFileSync;
+            }
+            expect(fs.readdirSync(dataDir).filter(file => file.substr(-5) === '.lock')).to.eql(['storage.lock']);
+            contender.close();
+            expect(fs.existsSync(dataDir + '/storage.lock')).to.be(false);
+        });
+
+    });
+
+    describe('readOnly', function() {
+
+        let reader;
+
+        beforeEach(function() {
+            storage = new Storage({ dataDirectory: dataDir, partitioner: (doc) => 'part-' + (doc.foo % 2) });
+            storage.open();
+            storage.ensureIndex('foobar', (doc) => doc.foo % 2 === 0);
+            for (let i = 1; i <= 4; i++) {
+                storage.write({ foo: i });
+            }
+            storage.index.flush();
+            reader = new Storage({ dataDirectory: dataDir, readOnly: true });
+            reader.open();
+        });
+
+        afterEach(function() {
+            const opened = reader;
+            reader = undefined;
+            if (opened) opened.close();
+        });
+
+        it('can be opened while a writer is open', function() {
+            expect(reader.length).to.be(4);
+            expect(reader.read(3)).to.eql({ foo: 3 });
+            expect(reader.openIndex('foobar').length).to.be(2);
+        });
+
+        it('does not allow writing', function() {
+            expect(() => reader.write({ foo: 5 })).to.throwError(/read-only/);
+            expect(() => reader.truncate(2)).to.throwError(/read-only/);
+            expect(() => reader.ensureIndex('baz', (doc) => true)).to.throwError(/read-only/);
+            expect(fs.existsSync(dataDir + '/storage.baz.index')).to.be(false);
+        });
+
+        it('picks up new documents and indexes on refresh', function() {
+            const wrote = [], indexAdds = [], created = [];
+            reader.on('wrote', (doc, entry, number) => wrote.push(number));
+            reader.on('index-add', (name, position, doc) => indexAdds.push([name, position, doc.foo]));
+            reader.on('index-created', (name) => created.push(name));
+            reader.openIndex('foobar');
+
+            storage.ensureIndex('big', (doc) => doc.foo > 4);
+            for (let i = 5; i <= 8; i++) {
+                storage.write({ foo: i });
+            }
+            storage.index.flush();
+
+            expect(reader.refresh()).to.be(4);
+            expect(reader.length).to.be(8);
+            expect(reader.read(7)).to.eql({ foo: 7 });
+            expect(wrote).to.eql([5, 6, 7, 8]);
+            expect(created).to.eql(['big']);
+            expect(indexAdds).to.eql([['foobar', 3, 6], ['foobar', 4, 8]]);
+            expect(reader.openIndex('big').length).to.be(4);
+        });
+
+        it('finds partitions created by the writer', function() {
+            storage.partitioner = (doc) => 'other';
+            storage.write({ foo: 5 });
+            storage.index.flush();
+
+            reader.refresh();
+            expect(reader.read(5)).to.eql({ foo: 5 });
+        });
+
+        it('refreshes when the writer changes the index', function(done) {
+            reader.on('wrote', (doc, entry, number) => {
+                expect(number).to.be(5);
+                expect(doc).to.eql({ foo: 5 });
+                done();
+            });
+            storage.write({ foo: 5 });
+            storage.index.flush();
+        });
+
+    });
+
+    describe('recover', function() {
+
+        function fillStorage(num) {
+            storage = new Storage({ dataDirectory: dataDir, partitioner: (doc) => 'part-' + (doc.foo % 2) });
+            storage.open();
+            storage.ensureIndex('foobar', (doc) => doc.foo % 2 === 0);
+            for (let i = 1; i <= num; i++) {
+                storage.write({ foo: i });
+            }
+            storage.close();
+        }
+
+        function simulateCrash() {
+            fs.writeFileSync(dataDir + '/storage.lock', '');
+        }
+
+        it('creates a lock file while opened', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            expect(fs.existsSync(dataDir + '/storage.lock')).to.be(true);
+            storage.close();
+            expect(fs.existsSync(dataDir + '/storage.lock')).to.be(false);
+        });
+
+        it('does not run when the storage was closed cleanly', function() {
+            fillStorage(10);
+            storage.on('recovered', () => expect(false).to.be(true));
+            storage.open();
+            expect(storage.length).to.be(10);
+        });
+
+        it('runs on open after an unclean shutdown', function(done) {
+            fillStorage(10);
+            simulateCrash();
+            storage.on('recovered', (report) => {
+                expect(report.index).to.be(0);
+                expect(report.partitions['storage.part-0']).to.eql({ tornBytes: 0, danglingDocuments: 0 });
+                done();
+            });
+            storage.open();
+            expect(storage.length).to.be(10);
+        });
+
+        it('cuts off torn writes at the end of partitions', function() {
+            fillStorage(10);
+            simulateCrash();
+            fs.appendFileSync(dataDir + '/storage.part-0', '00000001');
+
+            storage.open();
+            const report = storage.recover();
+            expect(report.partitions['storage.part-0'].tornBytes).to.be(0);
+            storage.close();
+
+            fs.appendFileSync(dataDir + '/storage.part-1', '00000001');
+            simulateCrash();
+            storage.open();
+            storage.write({ foo: 11 });
+            expect(storage.length).to.be(11);
+            expect(storage.read(11)).to.eql({ foo: 11 });
+            expect(storage.read(9)).to.eql({ foo: 9 });
+        });
+
+        it('truncates index entries pointing to missing documents', function() {
+            fillStorage(10);
+            simulateCrash();
+            const partition = dataDir + '/storage.part-1';
+            fs.truncateSync(partition, fs.statSync(partition).size - 5);
+
+            storage.open();
+            expect(storage.length).to.be(8);
+            expect(storage.read(8)).to.eql({ foo: 8 });
+            expect(storage.openIndex('foobar').length).to.be(4);
+            storage.write({ foo: 9 });
+            expect(storage.read(9)).to.eql({ foo: 9 });
+        });
+
+        it('moves documents that were not indexed to the branch file', function() {
+            fillStorage(10);
+            simulateCrash();
+            const index = new Index('storage.index', { dataDirectory: dataDir });
+            index.truncate(7);
+            index.close();
+
+            let report;
+            storage.on('recovered', (r) => report = r);
+            storage.open();
+            expect(storage.length).to.be(7);
+            expect(report.partitions['storage.part-0'].danglingDocuments).to.be(2);
+            expect(report.partitions['storage.part-1'].danglingDocuments).to.be(1);
+            expect(report.secondaryIndexes['foobar']).to.be(2);
+            expect(fs.readdirSync(dataDir).filter(file => file.substr(-7) === '.branch').length).to.be(2);
+            expect(storage.openIndex('foobar').length).to.be(3);
+        });
+
+        it('truncates secondary indexes that are not opened', function() {
+            fillStorage(10);
+            simulateCrash();
+            const index = new Index('storage.index', { dataDirectory: dataDir });
+            index.truncate(5);
+            index.close();
+
+            storage = new Storage({ dataDirectory: dataDir, partitioner: (doc) => 'part-' + (doc.foo % 2) });
+            storage.open();
+            expect(storage.length).to.be(5);
+            expect(storage.openIndex('foobar').length).to.be(2);
+        });
+
+    });
+
+    describe('compact', function() {
+
+        function fillStorage(num) {
+            storage = new Storage({ dataDirectory: dataDir, partitioner: (doc) => 'part-' + (doc.foo % 2) });
+            storage.open();
+            storage.ensureIndex('foobar', (doc) => doc.foo % 2 === 0);
+            for (let i = 1; i <= num; i++) {
+                storage.write({ foo: i });
+            }
+        }
+
+        it('throws if no function is specified', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            expect(() => storage.compact()).to.throwError(/Need to specify a function/);
+        });
+
+        it('throws in read-only mode', function() {
+            fillStorage(2);
+            storage.close();
+            storage = new Storage({ dataDirectory: dataDir, readOnly: true });
+            storage.open();
+            expect(() => storage.compact(() => true)).to.throwError(/read-only/);
+        });
+
+        it('does nothing if no document is removed', function() {
+            fillStorage(10);
+            const report = storage.compact(() => false);
+            expect(report).to.eql({ documents: 0, partitions: {} });
+            expect(fs.readdirSync(dataDir).filter(file => file.substr(-8) === '.compact')).to.eql([]);
+        });
+
+        it('removes the documents from the partitions', function() {
+            fillStorage(10);
+            storage.close();
+            storage.open();
+            const size = fs.statSync(dataDir + '/storage.part-0').size;
+            const report = storage.compact((doc, number) => doc.foo === 4 || number === 6);
+            expect(report.documents).to.be(2);
+            expect(Object.keys(report.partitions)).to.eql(['storage.part-0']);
+            expect(report.partitions['storage.part-0']).to.be(size - fs.statSync(dataDir + '/storage.part-0').size);
+            expect(report.partitions['storage.part-0']).to.be.greaterThan(0);
+            expect(fs.readFileSync(dataDir + '/storage.part-0', 'utf8')).to.not.contain('{"foo":4}');
+        });
+
+        it('keeps the sequence numbers of all documents', function() {
+            fillStorage(10);
+            storage.compact((doc) => doc.foo === 4 || doc.foo === 5);
+            expect(storage.length).to.be(10);
+            expect(storage.read(4)).to.be(false);
+            expect(storage.read(5)).to.be(false);
+            expect(storage.read(6)).to.eql({ foo: 6 });
+            expect(Array.from(storage.readRange(1)).map(doc => doc.foo)).to.eql([1, 2, 3, 6, 7, 8, 9, 10]);
+            expect(Array.from(storage.readRange(1, 10, null, true)).map(doc => doc.foo)).to.eql([10, 9, 8, 7, 6, 3, 2, 1]);
+        });
+
+        it('keeps the positions inside secondary indexes', function() {
+            fillStorage(10);
+            storage.compact((doc) => doc.foo === 4);
+            const index = storage.openIndex('foobar');
+            expect(index.length).to.be(5);
+            expect(storage.read(2, index)).to.be(false);
+            expect(storage.read(3, index)).to.eql({ foo: 6 });
+            expect(Array.from(storage.readRange(1, -1, index)).map(doc => doc.foo)).to.eql([2, 6, 8, 10]);
+        });
+
+        it('skips removed documents when reading asynchronously', function(done) {
+            fillStorage(4);
+            storage.compact((doc) => doc.foo === 2 || doc.foo === 4);
+            const iterator = storage.readRangeAsync(1);
+            const documents = [];
+            const next = () => iterator.next().then(result => {
+                if (result.done) {
+                    expect(documents).to.eql([{ foo: 1 }, { foo: 3 }]);
+                    return done();
+                }
+                documents.push(result.value);
+                return next();
+            }).catch(done);
+            next();
+        });
+
+        it('rewrites secondary indexes that are not opened', function() {
+            fillStorage(10);
+            storage.close();
+            storage = new Storage({ dataDirectory: dataDir, partitioner: (doc) => 'part-' + (doc.foo % 2) });
+            storage.open();
+            storage.compact((doc) => doc.foo === 4);
+            expect(storage.read(3, storage.openIndex('foobar'))).to.eql({ foo: 6 });
+        });
+
+        it('can write and compact again afterwards', function() {
+            fillStorage(10);
+            storage.compact((doc) => doc.foo === 4);
+            storage.write({ foo: 11 });
+            storage.write({ foo: 12 });
+            storage.compact((doc) => doc.foo === 6);
+            expect(storage.length).to.be(12);
+            expect(storage.read(12)).to.eql({ foo: 12 });
+            expect(Array.from(storage.readRange(1, -1, storage.openIndex('foobar'))).map(doc => doc.foo)).to.eql([2, 8, 10, 12]);
+            storage.close();
+            storage.open();
+            expect(storage.read(11)).to.eql({ foo: 11 });
+            expect(storage.openIndex('foobar').length).to.be(6);
+        });
+
+        it('creates new indexes without removed documents', function() {
+            fillStorage(4);
+            storage.compact((doc) => doc.foo === 2);
+            expect(storage.ensureIndex('all-even', (doc) => doc.foo % 2 === 0).length).to.be(1);
+        });
+
+        it('truncates and recovers around removed documents', function() {
+            fillStorage(10);
+            storage.compact((doc) => doc.foo === 8 || doc.foo === 9);
+            storage.truncate(7);
+            expect(storage.length).to.be(7);
+            storage.write({ foo: 11 });
+            expect(storage.read(8)).to.eql({ foo: 11 });
+
+            storage.compact((doc) => doc.foo === 11);
+            storage.close();
+
+            fs.writeFileSync(dataDir + '/storage.lock', '');
+            storage.open();
+            expect(storage.length).to.be(8);
+            expect(storage.read(7)).to.eql({ foo: 7 });
+            storage.write({ foo: 12 });
+            expect(storage.read(9)).to.eql({ foo: 12 });
+        });
+
+        it('removes the files of an interrupted compaction on open', function() {
+            fillStorage(10);
+            storage.close();
+            fs.writeFileSync(dataDir + '/storage.part-0.compact', 'foo');
+            fs.writeFileSync(dataDir + '/storage.index.compact', 'foo');
+            storage.open();
+            expect(fs.existsSync(dataDir + '/storage.part-0.compact')).to.be(false);
+            expect(fs.existsSync(dataDir + '/storage.index.compact')).to.be(false);
+            expect(storage.read(2)).to.eql({ foo: 2 });
+        });
+
+        it('completes a compaction that was interrupted after writing the journal', function() {
+            fillStorage(10);
+            const completeCompaction = storage.completeCompaction;
+            storage.completeCompaction = () => {};
+            storage.compact((doc) => doc.foo === 4);
+            storage.completeCompaction = completeCompaction;
+            expect(fs.existsSync(dataDir + '/storage.journal')).to.be(true);
+            storage.close();
+            // Simulate that the first file was already replaced before the crash
+            const renames = JSON.parse(fs.readFileSync(dataDir + '/storage.journal', 'utf8'));
+            fs.renameSync(renames[0][0], renames[0][1]);
+
+            storage = new Storage({ dataDirectory: dataDir, partitioner: (doc) => 'part-' + (doc.foo % 2) });
+            storage.open();
+            expect(fs.existsSync(dataDir + '/storage.journal')).to.be(false);
+            expect(fs.readdirSync(dataDir).filter(file => file.substr(-8) === '.compact')).to.eql([]);
+            expect(storage.length).to.be(10);
+            expect(storage.read(4)).to.be(false);
+            expect(storage.read(6)).to.eql({ foo: 6 });
+            expect(storage.read(3, storage.openIndex('foobar'))).to.eql({ foo: 6 });
+        });
+
+    });
+
+    describe('encryption', function() {
+
+        const encryptionKey = Buffer.alloc(32, 1);
+
+        it('throws on invalid encryption keys', function() {
+            expect(() => new Storage({ dataDirectory: dataDir, encryptionKey: 'secret' })).to.throwError(/Encryption key/);
+        });
+
+        it('encrypts all documents in all partitions', function() {
+            storage = new Storage({ dataDirectory: dataDir, encryptionKey, partitioner: (doc) => 'part-' + (doc.foo % 2) });
+            storage.open();
+            storage.ensureIndex('foobar', (doc) => doc.foo % 2 === 0);
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i, secret: 'secret-' + i });
+            }
+            storage.close();
+            expect(fs.readFileSync(dataDir + '/storage.part-0', 'utf8')).to.not.contain('secret');
+            expect(fs.readFileSync(dataDir + '/storage.part-1', 'utf8')).to.not.contain('secret');
+
+            storage.open();
+            expect(storage.read(5)).to.eql({ foo: 5, secret: 'secret-5' });
+            expect(Array.from(storage.readRange(1, -1, storage.openIndex('foobar'))).map(doc => doc.foo)).to.eql([2, 4, 6, 8, 10]);
+        });
+
+        it('encrypts the index files', function() {
+            storage = new Storage({ dataDirectory: dataDir, encryptionKey });
+            storage.open();
+            storage.ensureIndex('secrets', { type: 'secret-type' });
+            storage.ensureKeyIndex('correlation', 'correlationId');
+            storage.ensureTimeIndex('time', 1);
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i, type: 'secret-type', correlationId: 'c' + (i % 2), time: 1000 + i });
+            }
+            storage.close();
+            expect(fs.readFileSync(dataDir + '/storage.secrets.index', 'utf8')).to.not.contain('secret-type');
+            const timestamp = Buffer.alloc(8);
+            timestamp.writeDoubleLE(1005, 0);
+            expect(fs.readFileSync(dataDir + '/storage.timestamps').indexOf(timestamp)).to.be(-1);
+            expect(() => new Storage({ dataDirectory: dataDir }).open()).to.throwError(/encrypted/);
+
+            storage = new Storage({ dataDirectory: dataDir, encryptionKey });
+            storage.open();
+            expect(Array.from(storage.readRange(1, -1, storage.openIndex('secrets'))).map(doc => doc.foo)).to.eql([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+            expect(storage.ensureKeyIndex('correlation', 'correlationId').get('c1')).to.eql([1, 3, 5, 7, 9]);
+            storage.ensureTimeIndex('time', 1);
+            expect(storage.findByTimestamp(1005)).to.be(5);
+        });
+
+        it('keeps documents encrypted on compaction', function() {
+            storage = new Storage({ dataDirectory: dataDir, encryptionKey });
+            storage.open();
+            for (let i = 1; i <= 5; i++) {
+                storage.write({ foo: i, secret: 'secret-' + i });
+            }
+            storage.compact(doc => doc.foo === 2);
+            expect(storage.read(3)).to.eql({ foo: 3, secret: 'secret-3' });
+            expect(fs.readFileSync(dataDir + '/storage', 'utf8')).to.not.contain('secret');
+        });
+
+    });
+
+    describe('compression', function() {
+
+        it('throws on invalid compression', function() {
+            expect(() => new Storage({ dataDirectory: dataDir, compression: 'lz4' })).to.throwError(/Unknown compression/);
+            expect(() => new Storage({ dataDirectory: dataDir, compression: 'deflate', encryptionKey: Buffer.alloc(32) })).to.throwError(/can not be combined/);
+        });
+
+        it('compresses all partitions', function() {
+            storage = new Storage({ dataDirectory: dataDir, compression: 'deflate', partitioner: (doc) => 'part-' + (doc.foo % 2) });
+            storage.open();
+            storage.ensureIndex('foobar', (doc) => doc.foo % 2 === 0);
+            for (let i = 1; i <= 100; i++) {
+                storage.write({ foo: i, bar: 'bar'.repeat(10) });
+            }
+            storage.close();
+            expect(fs.readFileSync(dataDir + '/storage.part-0', 'utf8').substr(0, 9)).to.be('nesprt08\n');
+            expect(fs.readFileSync(dataDir + '/storage.part-1', 'utf8')).to.not.contain('barbar');
+
+            storage.open();
+            expect(storage.read(5)).to.eql({ foo: 5, bar: 'bar'.repeat(10) });
+            expect(Array.from(storage.readRange(1, 5, storage.openIndex('foobar'))).map(doc => doc.foo)).to.eql([2, 4, 6, 8, 10]);
+            storage.compact(doc => doc.foo <= 50);
+            expect(storage.read(50)).to.be(false);
+            expect(Array.from(storage.readRange(51)).length).to.be(50);
+        });
+
+        it('compacts partitions with documents that are not compressed yet', function() {
+            storage = new Storage({ dataDirectory: dataDir, compression: 'deflate' });
+            storage.open();
+            for (let i = 1; i <= 100; i++) {
+                storage.write({ foo: i });
+            }
+            storage.compact(doc => doc.foo % 2 === 0);
+            expect(fs.readdirSync(dataDir).filter(file => file.indexOf('.compact') >= 0)).to.eql([]);
+            storage.write({ foo: 101 });
+            storage.close();
+
+            storage.open();
+            expect(Array.from(storage.readRange(1)).map(doc => doc.foo)).to.eql(Array.from({ length: 51 }, (v, i) => 2 * i + 1));
+        });
+
+    });
+
+    describe('key indexes', function() {
+
+        function writeDocuments(from, until) {
+            for (let i = from; i <= until; i++) {
+                storage.write({ foo: i, metadata: { correlationId: 'c' + (i % 3) } });
+            }
+        }
+
+        it('throws when no key is specified', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            expect(() => storage.ensureKeyIndex('foo')).to.throwError(/key path or function/);
+        });
+
+        it('indexes existing and new documents by key', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            writeDocuments(1, 5);
+            const index = storage.ensureKeyIndex('correlation', 'metadata.correlationId');
+            expect(storage.ensureKeyIndex('correlation')).to.be(index);
+            writeDocuments(6, 9);
+            expect(index.get('c1')).to.eql([1, 4, 7]);
+            expect(Array.from(storage.readNumbers(index.get('c0'))).map(doc => doc.foo)).to.eql([3, 6, 9]);
+        });
+
+        it('supports key functions and ignores invalid keys', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            const index = storage.ensureKeyIndex('foo', doc => doc.foo % 2 === 0 ? doc.foo * 10 : { foo: doc.foo });
+            writeDocuments(1, 4);
+            expect(index.get(20)).to.eql([2]);
+            expect(index.length).to.be(2);
+        });
+
+        it('persists key indexes and indexes missed documents when ensured again', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureKeyIndex('correlation', 'metadata.correlationId');
+            writeDocuments(1, 3);
+            storage.close();
+
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            writeDocuments(4, 6);
+            const index = storage.ensureKeyIndex('correlation', 'metadata.correlationId');
+            expect(index.get('c1')).to.eql([1, 4]);
+            storage.close();
+            const size = fs.statSync(dataDir + '/storage.correlation.keys').size;
+
+            storage.open();
+            expect(storage.ensureKeyIndex('correlation', 'metadata.correlationId').get('c1')).to.eql([1, 4]);
+            storage.close();
+            expect(fs.statSync(dataDir + '/storage.correlation.keys').size).to.be(size);
+
+            storage = new Storage({ dataDirectory: dataDir });
+            expect(Object.keys(storage.partitions).map(id => storage.partitions[id].name)).to.eql(['storage']);
+        });
+
+        it('flushes the progress while indexing existing documents', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            writeDocuments(1, 1500);
+            let flushedNumber;
+            storage.ensureKeyIndex('foo', doc => {
+                if (doc.foo === 1200) {
+                    const reader = new KeyIndex('storage.foo.keys', { dataDirectory: dataDir, readOnly: true });
+                    flushedNumber = reader.lastNumber;
+                    reader.close();
+                }
+                return doc.foo;
+            });
+            expect(flushedNumber).to.be(1000);
+        });
+
+        it('removes the keys of truncated documents', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            const index = storage.ensureKeyIndex('correlation', 'metadata.correlationId');
+            storage.ensureKeyIndex('foo', 'foo');
+            writeDocuments(1, 6);
+            storage.keyIndexes.foo.index.close();
+            delete storage.keyIndexes.foo;
+
+            storage.truncate(4);
+            expect(index.get('c1')).to.eql([1, 4]);
+            expect(index.get('c2')).to.eql([2]);
+            writeDocuments(5, 5);
+            expect(index.get('c2')).to.eql([2, 5]);
+            expect(storage.ensureKeyIndex('foo', 'foo').get(5)).to.eql([5]);
+            expect(storage.keyIndexes.foo.index.get(6)).to.eql([]);
+        });
+
+        it('removes the keys of removed documents on compaction', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            const index = storage.ensureKeyIndex('correlation', 'metadata.correlationId');
+            writeDocuments(1, 6);
+            storage.compact(doc => doc.foo === 4);
+            expect(index.get('c1')).to.eql([1]);
+            expect(fs.existsSync(dataDir + '/storage.correlation.keys.compact')).to.be(false);
+            writeDocuments(7, 7);
+            expect(index.get('c1')).to.eql([1, 7]);
+            expect(Array.from(storage.readNumbers([4, 1, 99])).map(doc => doc.foo)).to.eql([1]);
+        });
+
+        it('reads documents by sequence numbers asynchronously', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            writeDocuments(1, 6);
+            storage.compact(doc => doc.foo === 4);
+            const iterator = storage.readNumbersAsync([4, 6, 1]);
+            const foos = [];
+            const next = () => iterator.next().then(result => {
+                if (result.done) return foos;
+                foos.push(result.value.foo);
+                return next();
+            });
+            return next().then(result => expect(result).to.eql([6, 1]));
+        });
+
+        it('follows the writes of another process when opened read-only', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureKeyIndex('correlation', 'metadata.correlationId');
+            writeDocuments(1, 3);
+            storage.index.flush();
+
+            const reader = new Storage({ dataDirectory: dataDir, readOnly: true });
+            reader.open();
+            try {
+                const index = reader.ensureKeyIndex('correlation', 'metadata.correlationId');
+                expect(index.get('c1')).to.eql([1]);
+                writeDocuments(4, 6);
+                storage.index.flush();
+                reader.refresh();
+                expect(index.get('c1')).to.eql([1, 4]);
+            } finally {
+                reader.close();
+            }
+        });
+
+    });
+
+    describe('time index', function() {
+
+        function writeDocuments(from, until, timestamp = number => number * 1000) {
+            for (let i = from; i <= until; i++) {
+                storage.write({ foo: i, time: timestamp(i) });
+            }
+        }
+
+        it('throws on invalid arguments', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            expect(() => storage.findByTimestamp(1000)).to.throwError(/ensure the time index/);
+            expect(() => storage.ensureTimeIndex()).to.throwError(/timestamp path or function/);
+            expect(() => storage.ensureTimeIndex('time', 0)).to.throwError(/positive integer/);
+        });
+
+        it('stores an entry for every interval of documents', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            writeDocuments(1, 5);
+            const index = storage.ensureTimeIndex('time', 4);
+            expect(storage.ensureTimeIndex('time')).to.be(index);
+            writeDocuments(6, 10);
+            expect(index.all().map(entry => [entry.number, entry.timestamp])).to.eql([[4, 4000], [8, 8000]]);
+        });
+
+        it('finds the first document at or after a timestamp', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureTimeIndex('time', 4);
+            writeDocuments(1, 20);
+            expect(storage.findByTimestamp(0)).to.be(1);
+            expect(storage.findByTimestamp(1000)).to.be(1);
+            expect(storage.findByTimestamp(1001)).to.be(2);
+            expect(storage.findByTimestamp(9000)).to.be(9);
+            expect(storage.findByTimestamp(20000)).to.be(20);
+            expect(storage.findByTimestamp(20001)).to.be(21);
+        });
+
+        it('treats decreasing timestamps as the highest earlier timestamp', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureTimeIndex(doc => doc.time, 2);
+            writeDocuments(1, 6, number => number === 3 ? 500 : number * 1000);
+            expect(storage.timeIndex.all().map(entry => entry.timestamp)).to.eql([2000, 4000, 6000]);
+            expect(storage.findByTimestamp(2500)).to.be(4);
+            storage.write({ foo: 7 });
+            expect(storage.findByTimestamp(6500)).to.be(8);
+        });
+
+        it('indexes documents written since it was last ensured', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureTimeIndex('time', 4);
+            writeDocuments(1, 6);
+            storage.close();
+
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            writeDocuments(7, 10);
+            const index = storage.ensureTimeIndex('time', 4);
+            expect(index.all().map(entry => entry.number)).to.eql([4, 8]);
+            storage.close();
+
+            storage = new Storage({ dataDirectory: dataDir });
+            expect(Object.keys(storage.partitions).length).to.be(1);
+        });
+
+        it('removes entries of truncated documents', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureTimeIndex('time', 4);
+            writeDocuments(1, 10);
+            storage.truncate(6);
+            expect(storage.timeIndex.all().map(entry => entry.number)).to.eql([4]);
+            writeDocuments(7, 8, number => number * 100);
+            expect(storage.timeIndex.all().map(entry => [entry.number, entry.timestamp])).to.eql([[4, 4000], [8, 6000]]);
+            expect(storage.findByTimestamp(6000)).to.be(6);
+            expect(storage.findByTimestamp(6001)).to.be(9);
+        });
+
+        it('skips removed documents', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            storage.ensureTimeIndex('time', 4);
+            writeDocuments(1, 10);
+            storage.compact(doc => doc.foo === 6);
+            expect(storage.findByTimestamp(5500)).to.be(7);
+        });
+
+        it('uses the time index of the writer when opened read-only', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            storage.open();
+            const reader = new Storage({ dataDirectory: dataDir, readOnly: true });
+            reader.open();
+            try {
+                reader.ensureTimeIndex('time', 4);
+                expect(reader.findByTimestamp(1000)).to.be(1);
+
+                storage.ensureTimeIndex('time', 4);
+                writeDocuments(1, 10);
+                storage.index.flush();
+                reader.refresh();
+                expect(reader.timeIndex.length).to.be(2);
+                expect(reader.findByTimestamp(9000)).to.be(9);
+            } finally {
+                reader.close();
+            }
+        });
+
+    });
+
+    describe('verifyIndex', function() {
+
+        beforeEach(function() {
+            storage = new Storage({ dataDirectory: dataDir, partitioner: doc => 'part-' + (doc.foo % 2) });
+            storage.open();
+            storage.ensureIndex('foo-even', { foo: { $in: [2, 4, 6, 8, 10, 12] } });
+            storage.ensureIndex('foo-odd', doc => doc.foo % 2 === 1);
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i });
+            }
+            storage.close();
+            storage = new Storage({ dataDirectory: dataDir, partitioner: doc => 'part-' + (doc.foo % 2) });
+        });
+
+        it('reports no errors for intact indexes', function() {
+            expect(storage.verifyIndex()).to.eql({ entries: 10, errors: [] });
+            expect(storage.verifyIndex('foo-even')).to.eql({ entries: 5, errors: [] });
+            expect(storage.verifyIndex('foo-odd')).to.eql({ entries: 5, errors: [] });
+        });
+
+        it('reports indexes that can not be opened', function() {
+            expect(storage.verifyIndex('bar').errors).to.eql(['Index "bar" does not exist.']);
+            fs.writeFileSync(dataDir + '/storage.bar.index', 'foobar');
+            expect(storage.verifyIndex('bar').errors).to.eql(['Invalid file header.']);
+            const other = new Storage({ dataDirectory: dataDir, hmacSecret: 'other' });
+            expect(other.verifyIndex('foo-odd').errors).to.eql(['Invalid HMAC for matcher.']);
+        });
+
+        it('reports incomplete entries', function() {
+            fs.appendFileSync(dataDir + '/storage.foo-even.index', 'foo');
+            expect(storage.verifyIndex('foo-even').errors).to.eql(['Index file ends with 3 bytes of an incomplete entry.']);
+        });
+
+        it('reports entries that do not match the documents', function() {
+            const indexFile = dataDir + '/storage.index';
+            const index = new Index('storage.index', { dataDirectory: dataDir });
+            const entries = index.all();
+            index.close();
+            const content = fs.readFileSync(indexFile);
+            const headerSize = content.byteLength - 10 * Index.Entry.size;
+            // Swap the entries of the documents 2 and 4, which are both in the same partition
+            entries[1].toBuffer(content, headerSize + 3 * Index.Entry.size);
+            entries[3].toBuffer(content, headerSize + Index.Entry.size);
+            content.writeUInt32LE(7, headerSize + 6 * Index.Entry.size + 8);
+            fs.writeFileSync(indexFile, content);
+
+            storage = new Storage({ dataDirectory: dataDir, partitioner: doc => 'part-' + (doc.foo % 2) });
+            expect(storage.verifyIndex().errors).to.eql([
+                'Entry 2 has the sequence number 4.',
+                'Entry 4 has the sequence number 2.',
+                'Entry 7 points to an invalid document: Invalid document size 9 at position 132, expected 7.'
+            ]);
+            expect(storage.verifyIndex('foo-even').errors).to.eql([
+                'Entry 2 does not match the primary index entry.',
+                'Entry 4 does not match the primary index entry.',
+                'Entry 7 points to an invalid document: Invalid document size 9 at position 132, expected 7.'
+            ]);
+        });
+
+        it('reports entries that point to a document with another sequence number', function() {
+            const indexFile = dataDir + '/storage.index';
+            const index = new Index('storage.index', { dataDirectory: dataDir });
+            const entry = index.get(4);
+            index.close();
+            const content = fs.readFileSync(indexFile);
+            const headerSize = content.byteLength - 10 * Index.Entry.size;
+            new Index.Entry(2, entry.position, entry.size, entry.partition).toBuffer(content, headerSize + Index.Entry.size);
+            fs.writeFileSync(indexFile, content);
+
+            storage = new Storage({ dataDirectory: dataDir, partitioner: doc => 'part-' + (doc.foo % 2) });
+            expect(storage.verifyIndex().errors).to.eql(['Entry 2 points to the document with the sequence number 4.']);
+        });
+
+        it('reports documents that are missing or do not match', function() {
+            storage.open();
+            const index = storage.openIndex('foo-even');
+            index.truncate(4);
+            index.add(storage.index.get(9));
+            expect(storage.verifyIndex('foo-even').errors).to.eql([
+                'Entry 9 points to a document that does not match.',
+                'Document 10 matches, but is missing in the index.'
+            ]);
+        });
+
+    });
+
+    describe('rebuildIndex', function() {
+
+        const config = { dataDirectory: dataDir, partitioner: doc => 'part-' + (doc.foo % 2) };
+
+        // Partitions of file version 02 do not store the sequence numbers of their documents
+        function createLegacyPartitions(storageName, partitionNames) {
+            for (let partitionName of partitionNames) {
+                fs.writeFileSync(dataDir + '/' + storageName + partitionName, 'nesprt02\n');
+            }
+        }
+
+        beforeEach(function() {
+            storage = new Storage(config);
+            storage.open();
+            storage.ensureIndex('foo-even', { foo: { $in: [2, 4, 6, 8, 10, 12] } });
+            storage.ensureIndex('foo-odd', doc => doc.foo % 2 === 1);
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i });
+            }
+            storage.close();
+            storage = new Storage(config);
+        });
+
+        it('throws if the storage is opened read-only', function() {
+            const reader = new Storage(Object.assign({ readOnly: true }, config));
+            expect(() => reader.rebuildIndex('foo-even')).to.throwError(/read-only/);
+        });
+
+        it('throws if the matcher of the index can not be restored', function() {
+            expect(() => storage.rebuildIndex('bar')).to.throwError(/Can not rebuild index "bar": Index "bar" does not exist/);
+            const other = new Storage(Object.assign({ hmacSecret: 'other' }, config));
+            expect(() => other.rebuildIndex('foo-odd')).to.throwError(/Invalid HMAC/);
+        });
+
+        it('rebuilds corrupted secondary indexes from their stored matcher', function() {
+            fs.appendFileSync(dataDir + '/storage.foo-even.index', 'foo');
+            fs.truncateSync(dataDir + '/storage.foo-odd.index', fs.statSync(dataDir + '/storage.foo-odd.index').size - 2 * Index.Entry.size);
+            expect(storage.rebuildIndex('foo-even')).to.be(5);
+            expect(storage.rebuildIndex('foo-odd')).to.be(5);
+            expect(fs.existsSync(dataDir + '/storage.foo-even.index.rebuild')).to.be(false);
+
+            storage.open();
+            expect(storage.verifyIndex('foo-even').errors).to.eql([]);
+            expect(Array.from(storage.readRange(1, -1, storage.openIndex('foo-odd'))).map(doc => doc.foo)).to.eql([1, 3, 5, 7, 9]);
+            const index = storage.openIndex('foo-even');
+            storage.write({ foo: 12 });
+            expect(index.length).to.be(6);
+        });
+
+        it('rebuilds an opened secondary index', function() {
+            storage.open();
+            const index = storage.openIndex('foo-even');
+            index.truncate(2);
+            expect(storage.rebuildIndex('foo-even')).to.be(5);
+            expect(index.isOpen()).to.be(true);
+            expect(index.length).to.be(5);
+            storage.write({ foo: 12 });
+            expect(index.length).to.be(6);
+        });
+
+        it('rebuilds a lost primary index from the partitions and secondary indexes', function() {
+            fs.unlinkSync(dataDir + '/storage.index');
+            storage = new Storage(config);
+            expect(storage.length).to.be(0);
+            expect(storage.rebuildIndex()).to.be(10);
+            storage.open();
+            expect(storage.verifyIndex().errors).to.eql([]);
+            expect(Array.from(storage.readRange(1)).map(doc => doc.foo)).to.eql([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        });
+
+        it('rebuilds a lost primary index from the sequence numbers in the partitions alone', function() {
+            fs.unlinkSync(dataDir + '/storage.index');
+            fs.unlinkSync(dataDir + '/storage.foo-even.index');
+            fs.unlinkSync(dataDir + '/storage.foo-odd.index');
+            storage = new Storage(config);
+            expect(storage.rebuildIndex()).to.be(10);
+            storage.open();
+            expect(storage.verifyIndex().errors).to.eql([]);
+            expect(Array.from(storage.readRange(1)).map(doc => doc.foo)).to.eql([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        });
+
+        it('rebuilds a missing primary index on open with the rebuildIndex option', function() {
+            fs.unlinkSync(dataDir + '/storage.index');
+            storage = new Storage(Object.assign({ rebuildIndex: true }, config));
+            let rebuilt;
+            storage.on('index-rebuilt', entries => rebuilt = entries);
+            storage.open();
+            expect(rebuilt).to.be(10);
+            expect(storage.length).to.be(10);
+            expect(storage.write({ foo: 11 })).to.be(11);
+            storage.close();
+
+            storage = new Storage(Object.assign({ rebuildIndex: true }, config));
+            storage.on('index-rebuilt', () => expect(false).to.be(true));
+            storage.open();
+            expect(Array.from(storage.readRange(9)).map(doc => doc.foo)).to.eql([9, 10, 11]);
+        });
+
+        it('keeps a corrupt primary index and rebuilds it on open with the rebuildIndex option', function() {
+            fs.writeFileSync(dataDir + '/storage.index', 'foobar');
+            expect(() => new Storage(config)).to.throwError();
+
+            storage = new Storage(Object.assign({ rebuildIndex: true }, config));
+            expect(fs.existsSync(dataDir + '/storage.index.corrupt')).to.be(false);
+            storage.open();
+            expect(fs.readFileSync(dataDir + '/storage.index.corrupt', 'utf8')).to.be('foobar');
+            expect(storage.length).to.be(10);
+            expect(storage.verifyIndex().errors).to.eql([]);
+            expect(Object.keys(storage.partitions).length).to.be(2);
+        });
+
+        it('does not replace the primary index of a storage that is locked by another writer', function() {
+            storage.open();
+            fs.appendFileSync(dataDir + '/storage.index', 'foo');
+            const other = new Storage(Object.assign({ rebuildIndex: true }, config));
+            expect(() => other.open()).to.throwError(e => expect(e).to.be.a(Storage.StorageLockedError));
+            expect(fs.existsSync(dataDir + '/storage.index.corrupt')).to.be(false);
+            other.close();
+        });
+
+        it('rechecks a corrupt primary index after taking the lock', function() {
+            storage.open();
+            const size = fs.statSync(dataDir + '/storage.index').size;
+            fs.appendFileSync(dataDir + '/storage.index', 'foo');
+            const other = new Storage(Object.assign({ rebuildIndex: true }, config));
+            fs.truncateSync(dataDir + '/storage.index', size);
+            storage.close();
+            other.on('index-rebuilt', () => expect(false).to.be(true));
+            other.open();
+            expect(fs.existsSync(dataDir + '/storage.index.corrupt')).to.be(false);
+            expect(other.length).to.be(10);
+            other.close();
+        });
+
+        it('does not rebuild a primary index that can not be opened for other reasons', function() {
+            storage.close();
+            fs.emptyDirSync(dataDir);
+            const encryptionKey = Buffer.alloc(32, 1);
+            storage = new Storage({ dataDirectory: dataDir, encryptionKey });
+            storage.open();
+            storage.write({ foo: 1 });
+            storage.close();
+            storage = undefined;
+            expect(() => new Storage({ dataDirectory: dataDir, encryptionKey: Buffer.alloc(32, 2), rebuildIndex: true })).to.throwError(/can not be decrypted/);
+            expect(() => new Storage({ dataDirectory: dataDir, rebuildIndex: true })).to.throwError(/is encrypted/);
+            expect(fs.existsSync(dataDir + '/storage.index.corrupt')).to.be(false);
+        });
+
+        it('keeps tombstones of removed documents in the primary index', function() {
+            storage.open();
+            storage.compact(doc => doc.foo === 4 || doc.foo === 10);
+            storage.close();
+            fs.unlinkSync(dataDir + '/storage.index');
+            storage = new Storage(config);
+            expect(storage.rebuildIndex()).to.be(10);
+            expect(storage.index.get(4).size).to.be(0);
+            expect(storage.index.get(10).size).to.be(0);
+            expect(Array.from(storage.readRange(1)).map(doc => doc.foo)).to.eql([1, 2, 3, 5, 6, 7, 8, 9]);
+        });
+
+        it('numbers the documents of a single legacy partition in file order', function() {
+            createLegacyPartitions('single', ['']);
+            storage = new Storage('single', { dataDirectory: dataDir });
+            storage.open();
+            for (let i = 1; i <= 5; i++) {
+                storage.write({ foo: i });
+            }
+            storage.close();
+            fs.unlinkSync(dataDir + '/single.index');
+            storage = new Storage('single', { dataDirectory: dataDir });
+            expect(storage.rebuildIndex()).to.be(5);
+            expect(Array.from(storage.readRange(1)).map(doc => doc.foo)).to.eql([1, 2, 3, 4, 5]);
+        });
+
+        it('throws if the order of documents across legacy partitions is unknown', function() {
+            createLegacyPartitions('legacy', ['.part-0', '.part-1']);
+            storage = new Storage('legacy', config);
+            storage.open();
+            storage.ensureIndex('foo-odd', doc => doc.foo % 2 === 1);
+            for (let i = 1; i <= 10; i++) {
+                storage.write({ foo: i });
+            }
+            storage.close();
+            fs.unlinkSync(dataDir + '/legacy.index');
+            storage = new Storage('legacy', config);
+            expect(() => storage.rebuildIndex()).to.throwError(/Can not determine the order/);
+            expect(fs.existsSync(dataDir + '/legacy.index.rebuild')).to.be(false);
+        });
+
+        it('merges the documents of all partitions while writing the rebuilt primary index', function() {
+            storage = new Storage('merged', { dataDirectory: dataDir, partitioner: (doc, number) => 'part-' + (number * 7 % 5) });
+            storage.open();
+            for (let i = 1; i <= 50; i++) {
+                storage.write({ foo: i });
+            }
+            storage.close();
+            fs.unlinkSync(dataDir + '/merged.index');
+            storage = new Storage('merged', { dataDirectory: dataDir });
+
+            const Partition = require('../src/Partition');
+            const readFrom = Partition.prototype.readFrom;
+            const add = Index.prototype.add;
+            let reads = 0, readsBeforeAdd;
+            Partition.prototype.readFrom = function() {
+                reads++;
+                return readFrom.apply(this, arguments);
+            };
+            Index.prototype.add = function() {
+                if (readsBeforeAdd === undefined) readsBeforeAdd = reads;
+                return add.apply(this, arguments);
+            };
+            try {
+                expect(storage.rebuildIndex()).to.be(50);
+            } finally {
+                Partition.prototype.readFrom = readFrom;
+                Index.prototype.add = add;
+            }
+            expect(readsBeforeAdd).to.be.lessThan(10);
+            storage.open();
+            expect(storage.verifyIndex().errors).to.eql([]);
+            expect(Array.from(storage.readRange(1)).map(doc => doc.foo)).to.eql(Array.from({ length: 50 }, (_, i) => i + 1));
+        });
+
+    });
+
+    describe('matches', function() {
+
+        it('returns true if no matcher specified', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            expect(storage.matches({ foo: 'bar' })).to.be(true);
+        });
+
+        it('returns false if no document specified', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            expect(storage.matches()).to.be(false);
+        });
+
+        it('works with object matchers', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            expect(storage.matches({ foo: 'foo', bar: { baz: 'baz', quux: 'quux' } }, { foo: 'foo', bar: { baz: 'baz' } })).to.be(true);
+            expect(storage.matches({ foo: 'foo', bar: { baz: 'baz2', quux: 'quux' } }, { foo: 'foo', bar: { baz: 'baz' } })).to.be(false);
+        });
+
+        it('works with declarative matchers', function() {
+            storage = new Storage({ dataDirectory: dataDir });
+            expect(storage.matches({ foo: 'foo', bar: { baz: 5 } }, { 'bar.baz': { $gt: 3 }, foo: { $in: ['foo'] } })).to.be(true);
+            expect(storage.matches({ foo: 'foo', bar: { baz: 5 } }, { $not: { 'bar.baz': 5 } })).to.be(false);
         });
 
         it('works with function matchers', function() {
@@ -0,0 +1,55 @@
+const expect = require('expect.js');
+const fs = require('fs-extra');
+const TimeIndex = require('../src/TimeIndex');
+
+describe('TimeIndex', function() {
+
+    let index;
+
+    beforeEach(function() {
+        fs.emptyDirSync('test/data');
+    });
+
+    afterEach(function() {
+        if (index) index.close();
+        index = undefined;
+    });
+
+    it('persists millisecond timestamps', function() {
+        const timestamp = Date.UTC(2024, 0, 1, 12, 0, 0, 123);
+        index = new TimeIndex('test.timestamps', { dataDirectory: 'test/data' });
+        index.add(new TimeIndex.TimeEntry(64, timestamp));
+        index.close();
+        index.open();
+        expect(index.length).to.be(1);
+        expect(index.get(1).number).to.be(64);
+        expect(index.get(1).timestamp).to.be(timestamp);
+    });
+
+    it('finds the last entry with a lower timestamp', function() {
+        index = new TimeIndex('test.timestamps', { dataDirectory: 'test/data' });
+        expect(index.findTimestamp(1000)).to.be(0);
+        for (let i = 1; i <= 10; i++) {
+            index.add(new TimeIndex.TimeEntry(i * 10, i * 1000));
+        }
+        expect(index.findTimestamp(500)).to.be(0);
+        expect(index.findTimestamp(1000)).to.be(0);
+        expect(index.findTimestamp(1001)).to.be(1);
+        expect(index.findTimestamp(5500)).to.be(5);
+        expect(index.findTimestamp(10000)).to.be(9);
+        expect(index.findTimestamp(20000)).to.be(10);
+    });
+
+    it('stays closed when opened read-only before it exists', function() {
+        index = new TimeIndex('test.timestamps', { dataDirectory: 'test/data', readOnly: true });
+        expect(index.isOpen()).to.be(false);
+        expect(index.findTimestamp(1000)).to.be(0);
+
+        const writer = new TimeIndex('test.timestamps', { dataDirectory: 'test/data' });
+        writer.add(new TimeIndex.TimeEntry(10, 1000));
+        writer.close();
+        expect(index.open()).to.be(true);
+        expect(index.get(1).timestamp).to.be(1000);
+    });
+
+});